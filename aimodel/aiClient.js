@@ -1,29 +1,114 @@
 /**
- * @fileoverview AI client initialization and base functionality
+ * @fileoverview AI client initialization and base functionality.
+ *
+ * Models come from a provider selected with the AI_PROVIDER environment variable:
+ * - `gemini` (default): Google Gemini, using GOOGLE_API_KEY
+ * - `openai`: any OpenAI-compatible endpoint, using OPENAI_BASE_URL, OPENAI_API_KEY and AI_MODEL
+ * - `scripted`: deterministic responses from the JSON file in AI_SCRIPT_PATH
+ *
+ * AI_REPLAY_MODE wraps the provider:
+ * - `record`: every response is also written as a fixture to AI_FIXTURES_DIR
+ * - `replay`: responses are served from the fixtures in AI_FIXTURES_DIR and no model is called
+ *
+ * Every model implements:
+ * - `generateText(prompt)` - resolves to the full response text
+ * - `streamText(prompt)` - async iterable of response text chunks
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import dotenv from 'dotenv';
+import { createGeminiProvider } from './providers/geminiProvider.js';
+import { createOpenAICompatibleProvider } from './providers/openAICompatibleProvider.js';
+import { createScriptedProvider } from './providers/scriptedProvider.js';
+import {
+  createRecordingProvider,
+  createReplayProvider
+} from './providers/recordReplayProvider.js';
 
 dotenv.config();
 
-// Initialize the Google Generative AI client
-const apiKey = process.env.GOOGLE_API_KEY;
-const genAI = new GoogleGenerativeAI(apiKey);
+const DEFAULT_FIXTURES_DIR = 'fixtures/ai';
+
+let provider = null;
+
+/**
+ * Create the provider named by the AI_PROVIDER environment variable
+ * @returns {Object} The provider
+ */
+function createProviderFromEnv() {
+  const name = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
+
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: process.env.GOOGLE_API_KEY });
+    case 'openai':
+      return createOpenAICompatibleProvider({
+        baseUrl: process.env.OPENAI_BASE_URL,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.AI_MODEL
+      });
+    case 'scripted':
+      return createScriptedProvider({
+        scriptPath: process.env.AI_SCRIPT_PATH,
+        chunkSize: process.env.AI_SCRIPT_CHUNK_SIZE ? Number(process.env.AI_SCRIPT_CHUNK_SIZE) : undefined
+      });
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${name}". Supported providers are: gemini, openai, scripted`);
+  }
+}
+
+/**
+ * Apply the record/replay mode named by the AI_REPLAY_MODE environment variable
+ * @returns {Object} The provider to use
+ */
+function createProviderWithReplayMode() {
+  const mode = (process.env.AI_REPLAY_MODE || '').toLowerCase();
+  const fixturesDir = process.env.AI_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+  switch (mode) {
+    case '':
+    case 'off':
+      return createProviderFromEnv();
+    case 'record':
+      return createRecordingProvider(createProviderFromEnv(), { fixturesDir });
+    case 'replay':
+      return createReplayProvider({ fixturesDir });
+    default:
+      throw new Error(`Unknown AI_REPLAY_MODE "${mode}". Supported modes are: off, record, replay`);
+  }
+}
+
+/**
+ * Get the active provider, creating it from the environment on first use
+ * @returns {Object} The provider
+ */
+function getProvider() {
+  if (!provider) {
+    provider = createProviderWithReplayMode();
+    console.log(`Using AI provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (e.g. with a scripted provider for offline runs)
+ * @param {Object|null} newProvider - The provider to use, or null to recreate it from the environment
+ */
+function setProvider(newProvider) {
+  provider = newProvider;
+}
 
 /**
- * Get a Gemini model instance with optional configuration
+ * Get a model instance with optional configuration
  * @param {string} modelName - The model name to use
- * @param {Object} config - Optional configuration parameters
+ * @param {Object} config - Optional generation parameters
  * @returns {Object} The model instance
  */
 function getModel(modelName, config = {}) {
-  return genAI.getGenerativeModel({
-    model: modelName,
-    ...config
-  });
+  return getProvider().getModel(modelName, config);
 }
 
 export {
-  getModel
+  getModel,
+  getProvider,
+  setProvider
 };
@@ -24,6 +24,10 @@ const MODEL_CONFIGS = {
     topP: 0.8,
     topK: 40,
   },
+  /** Configuration for classifying line items */
+  CLASSIFIER: {
+    temperature: 0,
+  },
   // Add more configurations as needed
 };
 
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Google Gemini provider
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Create a provider backed by the Google Generative AI SDK
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Google API key
+ * @returns {Object} The provider
+ */
+function createGeminiProvider({ apiKey }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+
+    /**
+     * Get a model instance
+     * @param {string} modelName - The Gemini model name
+     * @param {Object} config - Generation parameters (temperature, topP, topK, responseMimeType, responseSchema, ...)
+     * @returns {Object} Model implementing generateText and streamText
+     */
+    getModel(modelName, config = {}) {
+      const model = genAI.getGenerativeModel({
+        model: modelName,
+        generationConfig: config
+      });
+
+      return {
+        provider: 'gemini',
+        modelName,
+
+        async generateText(prompt) {
+          const result = await model.generateContent(prompt);
+          return result.response.text();
+        },
+
+        async *streamText(prompt) {
+          const result = await model.generateContentStream(prompt);
+          for await (const chunk of result.stream) {
+            yield chunk.text();
+          }
+        }
+      };
+    }
+  };
+}
+
+export {
+  createGeminiProvider
+};
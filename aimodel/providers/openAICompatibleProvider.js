@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Provider for any OpenAI-compatible chat completions endpoint
+ * (OpenAI, Ollama, llama.cpp server, vLLM, ...)
+ */
+
+/**
+ * Map our generation parameters onto the chat completions request body
+ * @param {Object} config - Generation parameters (temperature, topP, topK, maxOutputTokens,
+ *   responseMimeType, responseSchema)
+ * @returns {Object} Request body fields
+ */
+function toRequestParams(config = {}) {
+  const params = {};
+  if (config.temperature !== undefined) params.temperature = config.temperature;
+  if (config.topP !== undefined) params.top_p = config.topP;
+  // Not part of the OpenAI API, but honored by Ollama and llama.cpp
+  if (config.topK !== undefined) params.top_k = config.topK;
+  if (config.maxOutputTokens !== undefined) params.max_tokens = config.maxOutputTokens;
+  if (config.responseSchema) {
+    params.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'response', schema: config.responseSchema }
+    };
+  } else if (config.responseMimeType === 'application/json') {
+    params.response_format = { type: 'json_object' };
+  }
+  return params;
+}
+
+/**
+ * Split a Server-Sent Events byte stream into `data:` payloads
+ * @param {ReadableStream} body - The fetch response body
+ * @returns {AsyncGenerator<string>} The data payloads
+ */
+async function* readEventData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.substring(0, newlineIndex).trim();
+      buffer = buffer.substring(newlineIndex + 1);
+
+      if (line.startsWith('data:')) {
+        yield line.substring(5).trim();
+      }
+    }
+  }
+
+  const line = buffer.trim();
+  if (line.startsWith('data:')) {
+    yield line.substring(5).trim();
+  }
+}
+
+/**
+ * Create a provider that talks to an OpenAI-compatible endpoint
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1
+ * @param {string} [options.apiKey] - API key (local servers usually do not need one)
+ * @param {string} [options.model] - Model name that overrides the one requested by callers
+ * @returns {Object} The provider
+ */
+function createOpenAICompatibleProvider({ baseUrl, apiKey, model: modelOverride }) {
+  if (!baseUrl) {
+    throw new Error('OPENAI_BASE_URL is required for the openai provider');
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const request = async (body) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      throw new Error(`Model request failed with status ${response.status}: ${details}`);
+    }
+
+    return response;
+  };
+
+  return {
+    name: 'openai',
+
+    /**
+     * Get a model instance
+     * @param {string} modelName - The model name (ignored when the provider has an override)
+     * @param {Object} config - Generation parameters
+     * @returns {Object} Model implementing generateText and streamText
+     */
+    getModel(modelName, config = {}) {
+      const resolvedModel = modelOverride || modelName;
+      const baseBody = {
+        model: resolvedModel,
+        ...toRequestParams(config)
+      };
+
+      return {
+        provider: 'openai',
+        modelName: resolvedModel,
+
+        async generateText(prompt) {
+          const response = await request({
+            ...baseBody,
+            messages: [{ role: 'user', content: prompt }]
+          });
+          const result = await response.json();
+          return result.choices?.[0]?.message?.content || '';
+        },
+
+        async *streamText(prompt) {
+          const response = await request({
+            ...baseBody,
+            messages: [{ role: 'user', content: prompt }],
+            stream: true
+          });
+
+          for await (const data of readEventData(response.body)) {
+            if (data === '[DONE]') break;
+
+            const event = JSON.parse(data);
+            const text = event.choices?.[0]?.delta?.content;
+            if (text) {
+              yield text;
+            }
+          }
+        }
+      };
+    }
+  };
+}
+
+export {
+  createOpenAICompatibleProvider
+};
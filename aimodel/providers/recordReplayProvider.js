@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Record and replay of model responses.
+ *
+ * Responses are stored as JSON fixtures named after the SHA-256 hash of the prompt:
+ *   { promptHash, provider, model, recordedAt, prompt, text }
+ * In record mode every response from the wrapped provider is written to disk.
+ * In replay mode responses are served from the fixtures and no model is called,
+ * so a run can be reproduced exactly and without network access.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_CHUNK_SIZE = 64;
+
+/**
+ * Hash a prompt to the key its fixture is stored under
+ * @param {string} prompt - The prompt sent to the model
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt, 'utf8').digest('hex');
+}
+
+/**
+ * Get the path of the fixture for a prompt
+ * @param {string} fixturesDir - Directory holding the fixtures
+ * @param {string} prompt - The prompt
+ * @returns {string} The fixture path
+ */
+function getFixturePath(fixturesDir, prompt) {
+  return path.join(fixturesDir, `${hashPrompt(prompt)}.json`);
+}
+
+/**
+ * Write a fixture for a prompt/response pair
+ * @param {string} fixturesDir - Directory holding the fixtures
+ * @param {Object} fixture - Fixture data
+ * @param {string} fixture.prompt - The prompt
+ * @param {string} fixture.text - The model response text
+ * @param {string} [fixture.provider] - Provider that produced the response
+ * @param {string} [fixture.model] - Model that produced the response
+ * @param {string} [fixture.recordedAt] - When the response was produced
+ * @returns {string} The path of the written fixture
+ */
+function writeFixture(fixturesDir, { prompt, text, provider = null, model = null, recordedAt = null }) {
+  fs.mkdirSync(fixturesDir, { recursive: true });
+
+  const fixturePath = getFixturePath(fixturesDir, prompt);
+  const fixture = {
+    promptHash: hashPrompt(prompt),
+    provider,
+    model,
+    recordedAt: recordedAt || new Date().toISOString(),
+    prompt,
+    text
+  };
+
+  fs.writeFileSync(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`);
+  return fixturePath;
+}
+
+/**
+ * Read the fixture for a prompt
+ * @param {string} fixturesDir - Directory holding the fixtures
+ * @param {string} prompt - The prompt
+ * @returns {Object} The fixture
+ * @throws {Error} If no fixture was recorded for the prompt
+ */
+function readFixture(fixturesDir, prompt) {
+  const fixturePath = getFixturePath(fixturesDir, prompt);
+  if (!fs.existsSync(fixturePath)) {
+    throw new Error(`No recorded response for prompt hash ${hashPrompt(prompt)} in ${fixturesDir}`);
+  }
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+}
+
+/**
+ * Wrap a provider so that every response is also written as a fixture
+ * @param {Object} provider - The provider to record
+ * @param {Object} options - Recording options
+ * @param {string} options.fixturesDir - Directory to write fixtures to
+ * @returns {Object} The recording provider
+ */
+function createRecordingProvider(provider, { fixturesDir }) {
+  return {
+    name: `record:${provider.name}`,
+
+    getModel(modelName, config = {}) {
+      const model = provider.getModel(modelName, config);
+      const record = (prompt, text) => {
+        const fixturePath = writeFixture(fixturesDir, {
+          prompt,
+          text,
+          provider: provider.name,
+          model: model.modelName || modelName
+        });
+        console.log(`Recorded model response to ${fixturePath}`);
+      };
+
+      return {
+        ...model,
+
+        async generateText(prompt) {
+          const text = await model.generateText(prompt);
+          record(prompt, text);
+          return text;
+        },
+
+        async *streamText(prompt) {
+          let text = '';
+          for await (const chunk of model.streamText(prompt)) {
+            text += chunk;
+            yield chunk;
+          }
+          // Only complete responses are recorded
+          record(prompt, text);
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Create a provider that serves recorded fixtures instead of calling a model
+ * @param {Object} options - Replay options
+ * @param {string} options.fixturesDir - Directory to read fixtures from
+ * @param {number} [options.chunkSize] - Size of the chunks streamText yields
+ * @returns {Object} The replay provider
+ */
+function createReplayProvider({ fixturesDir, chunkSize = DEFAULT_CHUNK_SIZE }) {
+  return {
+    name: 'replay',
+
+    getModel(modelName) {
+      return {
+        provider: 'replay',
+        modelName,
+
+        async generateText(prompt) {
+          return readFixture(fixturesDir, prompt).text;
+        },
+
+        async *streamText(prompt) {
+          const { text } = readFixture(fixturesDir, prompt);
+          for (let i = 0; i < text.length; i += chunkSize) {
+            yield text.substring(i, i + chunkSize);
+          }
+        }
+      };
+    }
+  };
+}
+
+export {
+  hashPrompt,
+  writeFixture,
+  readFixture,
+  createRecordingProvider,
+  createReplayProvider
+};
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Deterministic provider that answers from a script instead of a model.
+ * Used to run the whole estimate pipeline offline.
+ *
+ * A script is a list of rules, checked in order:
+ *   [{ "match": "regex tested against the prompt", "response": "<estimate>...</estimate>" }, ...]
+ * A rule without `match` always matches. When no rule matches an error is thrown,
+ * so an incomplete script fails loudly instead of producing an empty estimate.
+ */
+
+import fs from 'fs';
+
+const DEFAULT_CHUNK_SIZE = 64;
+
+/**
+ * Load a script from a JSON file
+ * @param {string} scriptPath - Path to the JSON script
+ * @returns {Array<Object>} The script rules
+ */
+function loadScript(scriptPath) {
+  const script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  if (!Array.isArray(script)) {
+    throw new Error(`Scripted provider file ${scriptPath} must contain an array of rules`);
+  }
+  return script;
+}
+
+/**
+ * Create a provider that returns scripted responses
+ * @param {Object} options - Provider options
+ * @param {Array<Object>} [options.script] - Rules ({ match, response }) to answer with
+ * @param {string} [options.scriptPath] - JSON file to load the rules from
+ * @param {number} [options.chunkSize] - Size of the chunks streamText yields
+ * @returns {Object} The provider
+ */
+function createScriptedProvider({ script, scriptPath, chunkSize = DEFAULT_CHUNK_SIZE } = {}) {
+  const rules = (script || (scriptPath ? loadScript(scriptPath) : [])).map(rule => ({
+    pattern: rule.match ? new RegExp(rule.match, 'i') : null,
+    response: String(rule.response ?? '')
+  }));
+
+  const respond = (prompt) => {
+    const rule = rules.find(candidate => !candidate.pattern || candidate.pattern.test(prompt));
+    if (!rule) {
+      throw new Error('Scripted provider has no response matching the prompt');
+    }
+    return rule.response;
+  };
+
+  return {
+    name: 'scripted',
+
+    /**
+     * Get a model instance
+     * @param {string} modelName - The requested model name (only reported back)
+     * @returns {Object} Model implementing generateText and streamText
+     */
+    getModel(modelName) {
+      return {
+        provider: 'scripted',
+        modelName,
+
+        async generateText(prompt) {
+          return respond(prompt);
+        },
+
+        async *streamText(prompt) {
+          const text = respond(prompt);
+          for (let i = 0; i < text.length; i += chunkSize) {
+            yield text.substring(i, i + chunkSize);
+          }
+        }
+      };
+    }
+  };
+}
+
+export {
+  createScriptedProvider
+};
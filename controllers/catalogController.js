@@ -0,0 +1,220 @@
+import {
+  CATALOG_FIELDS,
+  CatalogError,
+  listCatalogItems,
+  getCatalogItem,
+  createCatalogItem,
+  updateCatalogItem,
+  deleteCatalogItem,
+  importCatalogItems
+} from '../services/catalogService.js';
+import { ImportError } from '../services/importService.js';
+import { parseSpreadsheetUpload } from './importController.js';
+
+/**
+ * Respond to an error from a price book operation
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error
+ * @param {string} message - Message for unexpected errors
+ */
+function sendCatalogError(res, error, message) {
+  if (error instanceof CatalogError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+
+  if (error instanceof ImportError) {
+    return res.status(400).json({ error: error.message, ...error.details });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    error: message,
+    details: error.message
+  });
+}
+
+/**
+ * Validate the ID of a price book entry route
+ * @param {Object} params - Express route parameters (id)
+ * @returns {Object} - { id } on success or { error: { status, message } } on failure
+ */
+function parseCatalogItemId(params) {
+  const id = Number(params.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    return { error: { status: 400, message: 'Invalid price book entry ID' } };
+  }
+  return { id };
+}
+
+/**
+ * Validate the body of a create or update request
+ * @param {Object} body - Request body
+ * @returns {Object|null} - Error object if validation fails, null if successful
+ */
+function validateCatalogBody(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { status: 400, message: `Request body must be an object with the fields: ${CATALOG_FIELDS.join(', ')}` };
+  }
+
+  if (Object.keys(body).length === 0) {
+    return { status: 400, message: 'No fields to change' };
+  }
+
+  return null;
+}
+
+/**
+ * List the price book of the user's business
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleListCatalogItems(req, res) {
+  try {
+    const { search, includeHistory } = req.query;
+    if (includeHistory !== undefined && includeHistory !== 'true' && includeHistory !== 'false') {
+      return res.status(400).json({ error: 'includeHistory must be true or false' });
+    }
+
+    const { businessId, items } = await listCatalogItems(req.user.id, {
+      search: search ? String(search) : undefined,
+      includeHistory: includeHistory === 'true'
+    });
+
+    return res.json({ businessId, items });
+  } catch (error) {
+    return sendCatalogError(res, error, 'Failed to fetch price book');
+  }
+}
+
+/**
+ * Get a price book entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleGetCatalogItem(req, res) {
+  try {
+    const { id, error } = parseCatalogItemId(req.params);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const item = await getCatalogItem(req.user.id, id);
+
+    return res.json({ item });
+  } catch (error) {
+    return sendCatalogError(res, error, 'Failed to fetch price book entry');
+  }
+}
+
+/**
+ * Add an entry to the price book
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleCreateCatalogItem(req, res) {
+  try {
+    const validationError = validateCatalogBody(req.body);
+    if (validationError) {
+      return res.status(validationError.status).json({ error: validationError.message });
+    }
+
+    const item = await createCatalogItem(req.user.id, req.body);
+
+    return res.status(201).json({
+      success: true,
+      item,
+      message: `Added ${item.name} to the price book`
+    });
+  } catch (error) {
+    return sendCatalogError(res, error, 'Failed to create price book entry');
+  }
+}
+
+/**
+ * Change a price book entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleUpdateCatalogItem(req, res) {
+  try {
+    const { id, error } = parseCatalogItemId(req.params);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const validationError = validateCatalogBody(req.body);
+    if (validationError) {
+      return res.status(validationError.status).json({ error: validationError.message });
+    }
+
+    const item = await updateCatalogItem(req.user.id, id, req.body);
+
+    return res.json({
+      success: true,
+      item,
+      message: `Updated price book entry ${id}`
+    });
+  } catch (error) {
+    return sendCatalogError(res, error, 'Failed to update price book entry');
+  }
+}
+
+/**
+ * Delete a price book entry
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleDeleteCatalogItem(req, res) {
+  try {
+    const { id, error } = parseCatalogItemId(req.params);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const item = await deleteCatalogItem(req.user.id, id);
+
+    return res.json({
+      success: true,
+      item,
+      message: `Deleted price book entry ${id}`
+    });
+  } catch (error) {
+    return sendCatalogError(res, error, 'Failed to delete price book entry');
+  }
+}
+
+/**
+ * Import price book entries from an uploaded CSV or XLSX file
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleImportCatalogItems(req, res) {
+  try {
+    const { options, error } = parseSpreadsheetUpload(req, CATALOG_FIELDS);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const summary = await importCatalogItems(req.user.id, req.file.buffer, options);
+
+    return res.json({
+      success: summary.errors.length === 0,
+      dryRun: options.dryRun,
+      ...summary,
+      message: options.dryRun
+        ? `${summary.rowsValid} rows can be imported, ${summary.errors.length} have errors`
+        : `Imported ${summary.itemsImported} price book entries, ${summary.errors.length} rows have errors`
+    });
+  } catch (error) {
+    return sendCatalogError(res, error, 'Failed to import price book');
+  }
+}
+
+export {
+  handleListCatalogItems,
+  handleGetCatalogItem,
+  handleCreateCatalogItem,
+  handleUpdateCatalogItem,
+  handleDeleteCatalogItem,
+  handleImportCatalogItems
+};
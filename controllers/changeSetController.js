@@ -0,0 +1,148 @@
+import {
+  formatChangeSet,
+  listProjectChangeSets,
+  applyChangeSet,
+  discardChangeSet
+} from '../services/changeSetService.js';
+
+const CHANGE_SET_STATUSES = ['pending', 'applied', 'discarded'];
+
+/**
+ * Build the error response for a change set that is no longer pending
+ * @param {Object} changeSet - The change_sets row
+ * @returns {Object} - Response body
+ */
+function buildResolvedResponse(changeSet) {
+  return {
+    error: `Change set is already ${changeSet.status}`,
+    changeSet: formatChangeSet(changeSet)
+  };
+}
+
+/**
+ * List a project's change sets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleListProjectChangeSets(req, res) {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !CHANGE_SET_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${CHANGE_SET_STATUSES.join(', ')}`
+      });
+    }
+
+    const changeSets = await listProjectChangeSets(req.project.id, { status });
+
+    return res.json({
+      projectId: req.project.id,
+      changeSets: changeSets.map(formatChangeSet)
+    });
+  } catch (error) {
+    console.error('Error listing change sets:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch change sets',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Get a single change set with its diff
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleGetChangeSet(req, res) {
+  return res.json({ changeSet: formatChangeSet(req.changeSet) });
+}
+
+/**
+ * Apply a pending change set
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleApplyChangeSet(req, res) {
+  try {
+    if (req.changeSet.status !== 'pending') {
+      return res.status(409).json(buildResolvedResponse(req.changeSet));
+    }
+
+    const { outcome, changeSet, summary, diff } = await applyChangeSet(req.changeSet, req.user.id);
+
+    switch (outcome) {
+      case 'stale':
+        return res.status(409).json({
+          error: 'The project has changed since this change set was created. Review the current diff and create a new preview.',
+          changeSet: formatChangeSet(changeSet),
+          currentDiff: diff
+        });
+
+      case 'resolved':
+        return res.status(409).json(buildResolvedResponse(changeSet));
+
+      case 'rolled_back':
+        return res.status(422).json({
+          success: false,
+          error: `No changes were applied: action ${summary.rolledBackBy.index + 1} failed`,
+          rolledBackBy: summary.rolledBackBy,
+          errors: summary.errors,
+          changeSet: formatChangeSet(changeSet)
+        });
+
+      default:
+        return res.json({
+          success: true,
+          changeSet: formatChangeSet(changeSet),
+          itemsAdded: summary.itemsAdded,
+          itemsUpdated: summary.itemsUpdated,
+          itemsDeleted: summary.itemsDeleted,
+          errors: summary.errors,
+          revisionId: summary.revisionId,
+          message: `Applied ${summary.itemsAdded + summary.itemsUpdated + summary.itemsDeleted} changes to the project`
+        });
+    }
+  } catch (error) {
+    console.error('Error applying change set:', error);
+    return res.status(500).json({
+      error: 'Failed to apply change set',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Discard a pending change set
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleDiscardChangeSet(req, res) {
+  try {
+    if (req.changeSet.status !== 'pending') {
+      return res.status(409).json(buildResolvedResponse(req.changeSet));
+    }
+
+    const discarded = await discardChangeSet(req.changeSet);
+    if (!discarded) {
+      return res.status(409).json({ error: 'Change set is no longer pending' });
+    }
+
+    return res.json({
+      success: true,
+      changeSet: formatChangeSet(discarded)
+    });
+  } catch (error) {
+    console.error('Error discarding change set:', error);
+    return res.status(500).json({
+      error: 'Failed to discard change set',
+      details: error.message
+    });
+  }
+}
+
+export {
+  handleListProjectChangeSets,
+  handleGetChangeSet,
+  handleApplyChangeSet,
+  handleDiscardChangeSet
+};
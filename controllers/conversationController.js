@@ -0,0 +1,79 @@
+import {
+  getProjectConversations,
+  getConversation
+} from '../services/conversationService.js';
+
+/**
+ * Read the decoding options from the query string
+ * @param {Object} query - Express query object
+ * @returns {Object} - Options for decodeMessage
+ */
+function parseTimelineOptions(query) {
+  return {
+    includeRaw: query.includeRaw === 'true'
+  };
+}
+
+/**
+ * List a project's conversations as typed timelines
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleListProjectConversations(req, res) {
+  try {
+    const conversations = await getProjectConversations(
+      req.user.id,
+      req.project.id,
+      parseTimelineOptions(req.query)
+    );
+
+    return res.json({
+      projectId: req.project.id,
+      conversations
+    });
+  } catch (error) {
+    console.error('Error listing project conversations:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch conversations',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Get a single conversation as a typed timeline
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleGetConversation(req, res) {
+  try {
+    const conversationId = req.params.id;
+    if (!/^\d+$/.test(String(conversationId))) {
+      return res.status(400).json({ error: 'Conversation ID must be a positive integer' });
+    }
+
+    // get_conversation_by_id only returns conversations of the user's businesses
+    const conversation = await getConversation(
+      conversationId,
+      req.user.id,
+      parseTimelineOptions(req.query)
+    );
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    return res.json({ conversation });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch conversation',
+      details: error.message
+    });
+  }
+}
+
+export {
+  handleListProjectConversations,
+  handleGetConversation
+};
@@ -0,0 +1,146 @@
+import {
+  CurrencyError,
+  normalizeCurrency,
+  listExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+  redenominateProject
+} from '../services/currencyService.js';
+
+/**
+ * Respond to an error from a currency operation
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error
+ * @param {string} message - Message for unexpected errors
+ */
+function sendCurrencyError(res, error, message) {
+  if (error instanceof CurrencyError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    error: message,
+    details: error.message
+  });
+}
+
+/**
+ * Validate and normalize the currency pair of an exchange rate route
+ * @param {Object} params - Express route parameters (from, to)
+ * @returns {Object} - { from, to } on success or { error: { status, message } } on failure
+ */
+function parseCurrencyPair(params) {
+  const from = normalizeCurrency(params.from);
+  const to = normalizeCurrency(params.to);
+
+  if (!from || !to) {
+    return { error: { status: 400, message: 'Currencies must be three-letter currency codes such as USD' } };
+  }
+
+  if (from === to) {
+    return { error: { status: 400, message: 'The two currencies of an exchange rate must differ' } };
+  }
+
+  return { from, to };
+}
+
+/**
+ * List the exchange rates of the user's business
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleListExchangeRates(req, res) {
+  try {
+    const { businessId, rates } = await listExchangeRates(req.user.id);
+
+    return res.json({ businessId, rates });
+  } catch (error) {
+    return sendCurrencyError(res, error, 'Failed to fetch exchange rates');
+  }
+}
+
+/**
+ * Create or replace an exchange rate of the user's business
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleSetExchangeRate(req, res) {
+  try {
+    const { from, to, error } = parseCurrencyPair(req.params);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const rate = req.body ? req.body.rate : undefined;
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      return res.status(400).json({ error: 'rate must be a positive number' });
+    }
+
+    const exchangeRate = await setExchangeRate(req.user.id, from, to, rate);
+
+    return res.json({
+      success: true,
+      rate: exchangeRate,
+      message: `1 ${from} = ${rate} ${to}`
+    });
+  } catch (error) {
+    return sendCurrencyError(res, error, 'Failed to save exchange rate');
+  }
+}
+
+/**
+ * Delete an exchange rate of the user's business
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleDeleteExchangeRate(req, res) {
+  try {
+    const { from, to, error } = parseCurrencyPair(req.params);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const exchangeRate = await deleteExchangeRate(req.user.id, from, to);
+
+    return res.json({
+      success: true,
+      rate: exchangeRate,
+      message: `Deleted the exchange rate from ${from} to ${to}`
+    });
+  } catch (error) {
+    return sendCurrencyError(res, error, 'Failed to delete exchange rate');
+  }
+}
+
+/**
+ * Convert every line item of a project into another currency and make it
+ * the project currency
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleRedenominateProject(req, res) {
+  try {
+    const currency = normalizeCurrency(req.body ? req.body.currency : undefined);
+    if (!currency) {
+      return res.status(400).json({ error: 'currency must be a three-letter currency code such as USD' });
+    }
+
+    const result = await redenominateProject(req.project, req.user.id, currency);
+
+    return res.json({
+      success: true,
+      ...result,
+      message: `Converted ${result.itemsConverted} line items to ${currency}`
+    });
+  } catch (error) {
+    return sendCurrencyError(res, error, 'Failed to change project currency');
+  }
+}
+
+export {
+  handleListExchangeRates,
+  handleSetExchangeRate,
+  handleDeleteExchangeRate,
+  handleRedenominateProject
+};
@@ -1,20 +1,128 @@
-import { generateEstimate, generateAdditionalEstimate } from '../services/geminiService.js';
+import {
+  OUTPUT_FORMATS,
+  generateEstimate,
+  generateAdditionalEstimate,
+  streamEstimate
+} from '../services/geminiService.js';
 import { 
   getProjectById, 
+  getProjectMembership,
   getConversationsByProjectId, 
   createProject,
+  updateProjectWithEstimate,
   getProjectLineItems,
   applyLineItemChanges,
-  logPromptAndActions
+  applyLineItemInstruction,
+  createActionSummary,
+  recordInstructionResult,
+  logPromptAndActions,
+  applyRangeAction,
+  validateLineItemFields,
+  buildLineItemUpdate,
+  VALID_UNIT_TYPES
 } from '../services/projectService.js';
+import { createChangeSet, formatChangeSet } from '../services/changeSetService.js';
+import { DEFAULT_CURRENCY } from '../services/currencyService.js';
+import { generateProjectChanges, streamProjectChanges } from '../services/projectContextService.js';
+import { captureProjectItems, recordRevision } from '../services/revisionService.js';
+import { recomputeProjectRollups, getProjectSummary } from '../services/rollupService.js';
+import { findRelevantCatalogItems, findRelevantCatalogItemsForUser } from '../services/catalogService.js';
+import { resolveUnit } from '../utils/units.js';
+import { initSse, sendSseEvent } from '../utils/sse.js';
+import { createActionStreamParser } from '../utils/actionStreamParser.js';
+import { parseAction, formatAction, formatValue } from '../utils/actionDsl.js';
+
+/**
+ * Validate the optional outputFormat of a request
+ * @param {Object} requestData - The request body
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.streaming] - Whether the request is for a streaming endpoint (XML only)
+ * @returns {Object|null} - Error object if validation fails, null if successful
+ */
+function validateOutputFormat(requestData, { streaming = false } = {}) {
+  const { outputFormat } = requestData;
+  if (outputFormat === undefined) {
+    return null;
+  }
+
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    return {
+      status: 400,
+      message: `outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`
+    };
+  }
+
+  if (streaming && outputFormat !== 'xml') {
+    return {
+      status: 400,
+      message: 'Streaming endpoints only support outputFormat xml'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validate the optional atomic and preview flags of a request
+ * @param {Object} requestData - The request body
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.streaming] - Whether the request is for a streaming endpoint,
+ *   which applies each action as it arrives and can neither roll back nor preview
+ * @param {boolean} [options.allowPreview] - Whether the endpoint supports preview
+ * @returns {Object|null} - Error object if validation fails, null if successful
+ */
+function validateApplyOptions(requestData, { streaming = false, allowPreview = false } = {}) {
+  for (const option of ['atomic', 'preview']) {
+    if (requestData[option] !== undefined && typeof requestData[option] !== 'boolean') {
+      return {
+        status: 400,
+        message: `${option} must be a boolean`
+      };
+    }
+  }
+
+  if (streaming && (requestData.atomic || requestData.preview)) {
+    return {
+      status: 400,
+      message: 'Streaming endpoints do not support atomic or preview'
+    };
+  }
+
+  if (requestData.preview && !allowPreview) {
+    return {
+      status: 400,
+      message: 'preview is not supported by this endpoint'
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build the error response for a batch of actions that was rolled back
+ * @param {Object} actionSummary - Summary returned by applyLineItemChanges
+ * @returns {Object} - Response body
+ */
+function buildRollbackResponse(actionSummary) {
+  const { index, instruction, error } = actionSummary.rolledBackBy;
+  return {
+    success: false,
+    error: `No changes were applied: action ${index + 1} failed`,
+    rolledBackBy: { index, instruction, error },
+    errors: actionSummary.errors
+  };
+}
 
 /**
  * Validate the request data for the estimator
  * @param {Object} requestData - The data to validate
  * @param {Object} requestData.projectDetails - Details about the project to estimate
+ * @param {string} [requestData.outputFormat] - Model output format ('xml' or 'json')
+ * @param {boolean} [requestData.atomic] - Apply all actions or none of them
+ * @param {Object} [options] - Options passed to validateOutputFormat and validateApplyOptions
  * @returns {Object|null} - Error object if validation fails, null if successful
  */
-function validateEstimatorRequest(requestData) {
+function validateEstimatorRequest(requestData, options = {}) {
   // Check if request data exists
   if (!requestData || Object.keys(requestData).length === 0) {
     return {
@@ -31,7 +139,7 @@ function validateEstimatorRequest(requestData) {
     };
   }
 
-  return null;
+  return validateOutputFormat(requestData, options) || validateApplyOptions(requestData, options);
 }
 
 /**
@@ -52,15 +160,21 @@ async function handleEstimatorRequest(req, res) {
     // Get the authenticated user from the request (added by verifyAuth middleware)
     const user = req.user;
     
-    // Add the user ID to the request data for tracking who created the estimate
+    // Add the user ID to the request data for tracking who created the estimate,
+    // and the price book entries the estimate should be priced from
     const requestWithUser = {
       ...requestData,
-      userId: user.id
+      userId: user.id,
+      catalogItems: await findRelevantCatalogItemsForUser(user.id, JSON.stringify(requestData.projectDetails || {}))
     };
     
     // 1. Generate the estimate using Gemini (now returns projectTitle, currency, instructions, rawGeminiResponse)
     console.log("Generating estimate with data:", JSON.stringify(requestWithUser));
-    const { projectTitle, currency, instructions, rawGeminiResponse } = await generateEstimate(requestWithUser);
+    const outputFormat = requestData.outputFormat || 'xml';
+    const { projectTitle, currency, instructions, rawGeminiResponse } = await generateEstimate(
+      requestWithUser,
+      { outputFormat }
+    );
     
     console.log("Gemini response processed:", {
       projectTitle,
@@ -89,7 +203,8 @@ async function handleEstimatorRequest(req, res) {
       createdProject.id, 
       user.id, 
       instructions, 
-      currency
+      currency,
+      { atomic: requestData.atomic === true }
     );
     
     // 4. Log the user's original prompt and the actions taken
@@ -101,14 +216,31 @@ async function handleEstimatorRequest(req, res) {
       actionSummary
     );
     
-    // 5. Respond to the client with a summary
+    // 5. Respond to the client with a summary and the project totals
+    const summary = await getProjectSummary(createdProject.id);
+    if (actionSummary.rolledBackBy) {
+      return res.status(422).json({
+        ...buildRollbackResponse(actionSummary),
+        projectId: createdProject.id,
+        projectTitle,
+        currency,
+        outputFormat,
+        summary
+      });
+    }
+
+    await updateProjectWithEstimate(createdProject.id, summary.total, currency, user.id);
+
     return res.json({
       success: true,
       projectId: createdProject.id,
       projectTitle,
       currency,
+      outputFormat,
       itemsAdded: actionSummary.itemsAdded,
       errors: actionSummary.errors,
+      revisionId: actionSummary.revisionId,
+      summary,
       message: `Created project "${projectTitle}" with ${actionSummary.itemsAdded} line items`
     });
   } catch (error) {
@@ -125,9 +257,13 @@ async function handleEstimatorRequest(req, res) {
  * @param {Object} requestData - The data to validate
  * @param {string} requestData.projectId - ID of the existing project
  * @param {string} requestData.prompt - The additional prompt to process
+ * @param {string} [requestData.outputFormat] - Model output format ('xml' or 'json')
+ * @param {boolean} [requestData.atomic] - Apply all actions or none of them
+ * @param {boolean} [requestData.preview] - Store the actions as a change set instead of applying them
+ * @param {Object} [options] - Options passed to validateOutputFormat and validateApplyOptions
  * @returns {Object|null} - Error object if validation fails, null if successful
  */
-function validateAdditionalPromptRequest(requestData) {
+function validateAdditionalPromptRequest(requestData, options = {}) {
   // Check if request data exists
   if (!requestData || Object.keys(requestData).length === 0) {
     return {
@@ -152,7 +288,29 @@ function validateAdditionalPromptRequest(requestData) {
     };
   }
 
-  return null;
+  return validateOutputFormat(requestData, options) || validateApplyOptions(requestData, options);
+}
+
+/**
+ * Load a project and check that the user belongs to the business that owns it,
+ * like verifyProjectAccess does for routes with the project ID in the path
+ * @param {number|string} projectId - The ID of the project
+ * @param {string} userId - The ID of the authenticated user
+ * @returns {Promise<Object>} - `{ project, membership }` on success or
+ *   `{ error: { status, message } }` if the project is missing or not accessible
+ */
+async function loadProjectForUser(projectId, userId) {
+  const project = await getProjectById(projectId);
+  if (!project) {
+    return { error: { status: 404, message: 'Project not found' } };
+  }
+
+  const membership = await getProjectMembership(project, userId);
+  if (!membership) {
+    return { error: { status: 403, message: 'You do not have access to this project' } };
+  }
+
+  return { project, membership };
 }
 
 /**
@@ -165,7 +323,7 @@ async function handleAdditionalPrompt(req, res) {
     const requestData = req.body;
     
     // Validate the request
-    const validationError = validateAdditionalPromptRequest(requestData);
+    const validationError = validateAdditionalPromptRequest(requestData, { allowPreview: true });
     if (validationError) {
       return res.status(validationError.status).json({ error: validationError.message });
     }
@@ -173,65 +331,97 @@ async function handleAdditionalPrompt(req, res) {
     // Get the authenticated user from the request (added by verifyAuth middleware)
     const user = req.user;
     
-    // 1. Get the project by ID and offset from query params
+    // 1. Get the project ID from the request
     const projectId = requestData.projectId;
-    const offset = parseInt(req.query.offset) || 0;
     
-    // 2. Fetch the project
-    const project = await getProjectById(projectId);
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
+    // 2. Fetch the project and check that the user belongs to its business
+    // (the server uses the service role, so RLS does not apply)
+    const access = await loadProjectForUser(projectId, user.id);
+    if (access.error) {
+      return res.status(access.error.status).json({ error: access.error.message });
     }
+    const { project } = access;
     
-    // Verify that the user has access to this project (handled by RLS policies in Supabase)
-    if (project.business_id) {
-      // 3. Fetch the current batch of line items with pagination
-      const lineItems = await getProjectLineItems(projectId, offset, 300);
-      
-      // 4. Generate the additional estimate using Gemini with the existing items
-      const { instructions, rawGeminiResponse } = await generateAdditionalEstimate({
-        ...requestData,
+    // 3. Generate the changes using Gemini, over every item of the project
+    // (large projects are handled in parts and the actions merged)
+    const outputFormat = requestData.outputFormat || 'xml';
+    const { instructions, conflicts, parts, rawGeminiResponse } = await generateProjectChanges(project, {
+      ...requestData,
+      userId: user.id,
+      projectId: project.id,
+      catalogItems: await findRelevantCatalogItems(project.business_id, requestData.prompt)
+    }, { outputFormat });
+    
+    // 4. In preview mode, store the changes for review instead of applying them
+    if (requestData.preview) {
+      const changeSet = await createChangeSet({
+        projectId,
         userId: user.id,
-        projectId: project.id,
-        existingProject: project,
-        existingItems: lineItems
+        source: 'prompt',
+        instructions,
+        currency: project.currency || 'USD',
+        prompt: requestData.prompt,
+        rawResponse: rawGeminiResponse
       });
       
-      // 5. Apply the line item changes
-      const actionSummary = await applyLineItemChanges(
-        projectId, 
-        user.id, 
-        instructions, 
-        project.currency || 'USD'
-      );
-      
-      // 6. Log the prompt, response, and actions
-      await logPromptAndActions(
-        projectId,
-        user.id,
-        requestData.prompt,
-        rawGeminiResponse,
-        actionSummary
-      );
-      
-      // 7. Determine if there are more items to fetch
-      const hasMoreItems = lineItems.length === 300; // If we got the max number of items, there might be more
-      const nextOffset = hasMoreItems ? offset + lineItems.length : null;
-      
-      // Return success response with the summary of changes
       return res.json({
         success: true,
         projectId,
-        itemsAdded: actionSummary.itemsAdded,
-        itemsUpdated: actionSummary.itemsUpdated,
-        itemsDeleted: actionSummary.itemsDeleted,
-        errors: actionSummary.errors,
-        nextOffset,
-        message: `Applied ${actionSummary.itemsAdded + actionSummary.itemsUpdated + actionSummary.itemsDeleted} changes to the project`
+        outputFormat,
+        preview: true,
+        changeSet: formatChangeSet(changeSet),
+        parts,
+        conflicts,
+        summary: await getProjectSummary(projectId),
+        message: `Previewed ${instructions.length} changes. Apply them with POST /api/changesets/${changeSet.id}/apply`
+      });
+    }
+    
+    // 5. Apply the line item changes
+    const actionSummary = await applyLineItemChanges(
+      projectId, 
+      user.id, 
+      instructions, 
+      project.currency || 'USD',
+      { atomic: requestData.atomic === true }
+    );
+    
+    // 6. Log the prompt, response, and actions
+    await logPromptAndActions(
+      projectId,
+      user.id,
+      requestData.prompt,
+      rawGeminiResponse,
+      { ...actionSummary, parts, conflicts }
+    );
+    
+    const summary = await getProjectSummary(projectId);
+    if (actionSummary.rolledBackBy) {
+      return res.status(422).json({
+        ...buildRollbackResponse(actionSummary),
+        projectId,
+        outputFormat,
+        parts,
+        conflicts,
+        summary
       });
-    } else {
-      return res.status(403).json({ error: 'You do not have access to this project' });
     }
+    
+    // Return success response with the summary of changes
+    return res.json({
+      success: true,
+      projectId,
+      outputFormat,
+      itemsAdded: actionSummary.itemsAdded,
+      itemsUpdated: actionSummary.itemsUpdated,
+      itemsDeleted: actionSummary.itemsDeleted,
+      errors: actionSummary.errors,
+      revisionId: actionSummary.revisionId,
+      parts,
+      conflicts,
+      summary,
+      message: `Applied ${actionSummary.itemsAdded + actionSummary.itemsUpdated + actionSummary.itemsDeleted} changes to the project`
+    });
   } catch (error) {
     console.error('Error in additional prompt controller:', error);
     return res.status(500).json({ 
@@ -241,6 +431,316 @@ async function handleAdditionalPrompt(req, res) {
   }
 }
 
+/**
+ * SSE event names for each applyLineItemInstruction result type
+ * @readonly
+ */
+const RESULT_EVENTS = {
+  added: 'item_added',
+  updated: 'item_updated',
+  deleted: 'item_deleted',
+  error: 'action_error'
+};
+
+/**
+ * Send the SSE event for an applied instruction
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result returned by applyLineItemInstruction
+ */
+function sendInstructionResult(res, result) {
+  const event = RESULT_EVENTS[result.type];
+  if (!event) return;
+
+  sendSseEvent(res, event, {
+    instruction: result.instruction,
+    itemId: result.itemId ?? null,
+    item: result.item || null,
+    error: result.error || null,
+    warnings: result.warnings || []
+  });
+}
+
+/**
+ * Abort the model stream when the client disconnects before the response ends
+ * @param {Object} res - Express response object
+ * @returns {AbortController} - Controller whose signal is passed to the stream
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('Client disconnected, stopping estimate stream');
+      controller.abort();
+    }
+  });
+  return controller;
+}
+
+/**
+ * Handle the estimator request, streaming each applied action as a Server-Sent Event.
+ * Events: `project`, `item_added`, `item_updated`, `item_deleted`, `action_error`,
+ * `summary` (final) and `error` (fatal).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleEstimatorStreamRequest(req, res) {
+  const requestData = req.body;
+
+  const validationError = validateEstimatorRequest(requestData, { streaming: true });
+  if (validationError) {
+    return res.status(validationError.status).json({ error: validationError.message });
+  }
+
+  const user = req.user;
+  const { signal } = abortOnDisconnect(res);
+  initSse(res);
+
+  try {
+    const summary = createActionSummary();
+    let projectTitle = null;
+    let currency = 'USD';
+    let project = null;
+
+    // The project is created lazily so it can use the title and currency,
+    // which the model emits before the first action
+    const ensureProject = async () => {
+      if (!project) {
+        projectTitle = projectTitle || 'Untitled Project';
+        project = await createProject(
+          {
+            name: projectTitle,
+            description: requestData.projectDetails?.description || ''
+          },
+          user.id,
+          0, // Initial total estimate is 0
+          currency
+        );
+        sendSseEvent(res, 'project', { projectId: project.id, projectTitle, currency });
+      }
+      return project;
+    };
+
+    const catalogItems = await findRelevantCatalogItemsForUser(
+      user.id,
+      JSON.stringify(requestData.projectDetails || {})
+    );
+    // Refs of the items added by this response, for the parent_ref of later actions
+    const refs = new Map();
+
+    const { rawGeminiResponse } = await streamEstimate(
+      { ...requestData, userId: user.id, catalogItems },
+      async (event) => {
+        if (event.type === 'project_title' && !project) {
+          projectTitle = event.value;
+        } else if (event.type === 'currency' && !project) {
+          currency = event.value;
+        } else if (event.type === 'action') {
+          await ensureProject();
+          const result = await applyLineItemInstruction(project.id, user.id, event.instruction, currency, { refs });
+          recordInstructionResult(summary, result);
+          sendInstructionResult(res, result);
+        }
+      },
+      { signal }
+    );
+
+    await ensureProject();
+    const totals = await recomputeProjectRollups(project.id);
+    // The project was created by this request, so all of its items are new
+    summary.revisionId = await recordRevision(project.id, user.id, []);
+
+    await logPromptAndActions(
+      project.id,
+      user.id,
+      JSON.stringify(requestData.projectDetails),
+      rawGeminiResponse,
+      summary
+    );
+    if (totals) {
+      await updateProjectWithEstimate(project.id, totals.total, currency, user.id);
+    }
+
+    sendSseEvent(res, 'summary', {
+      success: true,
+      projectId: project.id,
+      projectTitle,
+      currency,
+      itemsAdded: summary.itemsAdded,
+      errors: summary.errors,
+      revisionId: summary.revisionId,
+      summary: totals,
+      aborted: signal.aborted,
+      message: `Created project "${projectTitle}" with ${summary.itemsAdded} line items`
+    });
+  } catch (error) {
+    console.error('Error in streaming estimator controller:', error);
+    sendSseEvent(res, 'error', {
+      error: 'Failed to generate estimate',
+      details: error.message
+    });
+  } finally {
+    res.end();
+  }
+}
+
+/**
+ * Handle additional prompt requests for existing projects, streaming each applied
+ * action as a Server-Sent Event (same events as handleEstimatorStreamRequest).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleAdditionalPromptStream(req, res) {
+  const requestData = req.body;
+
+  const validationError = validateAdditionalPromptRequest(requestData, { streaming: true });
+  if (validationError) {
+    return res.status(validationError.status).json({ error: validationError.message });
+  }
+
+  const user = req.user;
+  const projectId = requestData.projectId;
+
+  let access;
+  try {
+    access = await loadProjectForUser(projectId, user.id);
+  } catch (error) {
+    console.error('Error loading project for streaming prompt:', error);
+    return res.status(500).json({
+      error: 'Failed to process additional prompt',
+      details: error.message
+    });
+  }
+
+  if (access.error) {
+    return res.status(access.error.status).json({ error: access.error.message });
+  }
+  const { project } = access;
+
+  const { signal } = abortOnDisconnect(res);
+  initSse(res);
+
+  try {
+    const itemsBefore = await captureProjectItems(projectId);
+    const currency = project.currency || 'USD';
+    const summary = createActionSummary();
+    const refs = new Map();
+
+    sendSseEvent(res, 'project', { projectId: project.id, projectTitle: project.name, currency });
+
+    const { conflicts, parts, rawGeminiResponse } = await streamProjectChanges(
+      project,
+      {
+        ...requestData,
+        userId: user.id,
+        projectId: project.id,
+        catalogItems: await findRelevantCatalogItems(project.business_id, requestData.prompt)
+      },
+      async (event) => {
+        if (event.type === 'conflict') {
+          sendSseEvent(res, 'action_conflict', event.conflict);
+          return;
+        }
+        if (event.type !== 'action') return;
+
+        const result = await applyLineItemInstruction(projectId, user.id, event.instruction, currency, { refs });
+        recordInstructionResult(summary, result);
+        sendInstructionResult(res, result);
+      },
+      { signal }
+    );
+
+    const totals = await recomputeProjectRollups(projectId);
+    summary.revisionId = await recordRevision(projectId, user.id, itemsBefore);
+
+    await logPromptAndActions(
+      projectId,
+      user.id,
+      requestData.prompt,
+      rawGeminiResponse,
+      { ...summary, parts, conflicts }
+    );
+
+    sendSseEvent(res, 'summary', {
+      success: true,
+      projectId,
+      itemsAdded: summary.itemsAdded,
+      itemsUpdated: summary.itemsUpdated,
+      itemsDeleted: summary.itemsDeleted,
+      errors: summary.errors,
+      revisionId: summary.revisionId,
+      parts,
+      conflicts,
+      summary: totals,
+      aborted: signal.aborted,
+      message: `Applied ${summary.itemsAdded + summary.itemsUpdated + summary.itemsDeleted} changes to the project`
+    });
+  } catch (error) {
+    console.error('Error in streaming additional prompt controller:', error);
+    sendSseEvent(res, 'error', {
+      error: 'Failed to process additional prompt',
+      details: error.message
+    });
+  } finally {
+    res.end();
+  }
+}
+
+/**
+ * Fields copied by a previewed duplicate
+ * @readonly
+ */
+const DUPLICATED_FIELDS = [
+  'title', 'description', 'quantity', 'unit_price', 'amount',
+  'unit_type', 'cost_type', 'status', 'parent_item_id'
+];
+
+/**
+ * Express a direct range action as instructions in the action language, so that it
+ * can be previewed and stored as a change set
+ * @param {string} action - The range action ('update', 'delete' or 'duplicate')
+ * @param {Array<Object>} lineItems - The line items in the range
+ * @param {Object} [data] - Fields to update, for 'update'
+ * @returns {Object} - `{ instructions }` or `{ error }` if the action cannot be previewed
+ */
+function buildRangeInstructions(action, lineItems, data) {
+  switch (String(action).toLowerCase()) {
+    case 'update': {
+      if (!data || typeof data !== 'object') {
+        return { error: 'Update action requires data object with fields to update' };
+      }
+      if (Object.values(data).some(value => value !== null && typeof value === 'object')) {
+        return { error: 'Previewed updates only support text, number, boolean and null values' };
+      }
+      return {
+        instructions: lineItems.map(item => formatAction({ verb: 'update', id: item.id, attributes: data }))
+      };
+    }
+
+    case 'delete':
+      return {
+        instructions: lineItems.map(item => formatAction({ verb: 'delete', id: item.id }))
+      };
+
+    case 'duplicate':
+      return {
+        instructions: lineItems.map(item => {
+          const attributes = {};
+          for (const field of DUPLICATED_FIELDS) {
+            if (item[field] !== null && item[field] !== undefined) {
+              attributes[field] = item[field];
+            }
+          }
+          return formatAction({ verb: 'add', attributes });
+        })
+      };
+
+    default:
+      return {
+        error: `Unsupported action: ${action}. Supported actions are: update, delete, duplicate`
+      };
+  }
+}
+
 /**
  * Handle range-based actions on line items
  * @param {Object} req - Express request object
@@ -252,8 +752,8 @@ async function handleRangeAction(req, res) {
     const userId = req.user.id; // Assuming user ID is available from auth middleware
 
     // Check if we have a direct action or an AI-generated response
-    if (xmlResponse) {
-      // Process AI-generated XML response
+    if (xmlResponse || (prompt && !action)) {
+      // Process an AI-generated XML response, or generate one from the prompt
       return await handleAIGeneratedRangeAction(req, res);
     }
 
@@ -264,6 +764,11 @@ async function handleRangeAction(req, res) {
       });
     }
 
+    const optionsError = validateApplyOptions(req.body, { allowPreview: true });
+    if (optionsError) {
+      return res.status(optionsError.status).json({ error: optionsError.message });
+    }
+
     // Validate range format
     if (!range.start || !range.end || range.start < 0 || range.end < range.start) {
       return res.status(400).json({
@@ -271,6 +776,12 @@ async function handleRangeAction(req, res) {
       });
     }
 
+    // Check that the user belongs to the project's business before reading its items
+    const access = await loadProjectForUser(projectId, userId);
+    if (access.error) {
+      return res.status(access.error.status).json({ error: access.error.message });
+    }
+
     // Get the line items in the specified range
     const lineItems = await getProjectLineItems(projectId, range.start, range.end - range.start + 1);
     
@@ -280,45 +791,64 @@ async function handleRangeAction(req, res) {
       });
     }
 
-    let result;
-    
-    switch (action.toLowerCase()) {
-      case 'update':
-        if (!data || typeof data !== 'object') {
-          return res.status(400).json({
-            error: 'Update action requires data object with fields to update'
-          });
-        }
-        // Update each item in the range with the provided data
-        const updatePromises = lineItems.map(item => 
-          updateLineItem(projectId, item.id, data, userId)
-        );
-        result = await Promise.all(updatePromises);
-        break;
-        
-      case 'delete':
-        // Delete items in the range
-        const deletePromises = lineItems.map(item => 
-          deleteLineItem(projectId, item.id, userId)
-        );
-        result = await Promise.all(deletePromises);
-        break;
-        
-      case 'duplicate':
-        // Duplicate items in the range
-        const duplicatePromises = lineItems.map(item => 
-          duplicateLineItem(projectId, item.id, userId)
-        );
-        result = await Promise.all(duplicatePromises);
-        result = result.flat(); // Flatten array of arrays
-        break;
-        
-      default:
+    // In preview mode, store the changes as a change set instead of applying them
+    if (req.body.preview) {
+      const { instructions, error } = buildRangeInstructions(action, lineItems, data);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const changeSet = await createChangeSet({
+        projectId,
+        userId,
+        source: 'range_action',
+        instructions,
+        currency: lineItems[0].currency || 'USD'
+      });
+
+      return res.json({
+        success: true,
+        action,
+        range,
+        preview: true,
+        changeSet: formatChangeSet(changeSet),
+        summary: await getProjectSummary(projectId)
+      });
+    }
+
+    const rangeAction = String(action).toLowerCase();
+    if (!['update', 'delete', 'duplicate'].includes(rangeAction)) {
+      return res.status(400).json({
+        error: `Unsupported action: ${action}. Supported actions are: update, delete, duplicate`
+      });
+    }
+
+    if (rangeAction === 'update') {
+      if (!data || typeof data !== 'object') {
         return res.status(400).json({
-          error: `Unsupported action: ${action}. Supported actions are: update, delete, duplicate`
+          error: 'Update action requires data object with fields to update'
         });
+      }
+      const dataError = validateLineItemFields(buildLineItemUpdate(data));
+      if (dataError) {
+        return res.status(400).json({ error: dataError });
+      }
     }
 
+    // Apply the action to the whole range in one batch, so it lands completely or not at all
+    const itemsBefore = await captureProjectItems(projectId);
+    const result = await applyRangeAction(projectId, userId, rangeAction, lineItems, data);
+    if (!result.committed) {
+      return res.status(422).json({
+        success: false,
+        error: 'No changes were applied',
+        itemId: result.itemId,
+        details: result.error
+      });
+    }
+
+    const revisionId = await recordRevision(projectId, userId, itemsBefore);
+
     // Get the updated list of line items
     const updatedItems = await getProjectLineItems(projectId);
     
@@ -326,8 +856,10 @@ async function handleRangeAction(req, res) {
       success: true,
       action,
       range,
-      affectedCount: result.length,
-      updatedItems
+      affectedCount: result.items.length,
+      revisionId,
+      updatedItems,
+      summary: result.summary
     });
     
   } catch (error) {
@@ -355,6 +887,11 @@ async function handleAIGeneratedRangeAction(req, res) {
       });
     }
 
+    const optionsError = validateApplyOptions(req.body, { allowPreview: true });
+    if (optionsError) {
+      return res.status(optionsError.status).json({ error: optionsError.message });
+    }
+
     // Validate range format
     if (!range.start || !range.end || range.start < 0 || range.end < range.start) {
       return res.status(400).json({
@@ -362,6 +899,14 @@ async function handleAIGeneratedRangeAction(req, res) {
       });
     }
 
+    // Check that the user belongs to the project's business before reading its items
+    const access = await loadProjectForUser(projectId, userId);
+    if (access.error) {
+      return res.status(access.error.status).json({ error: access.error.message });
+    }
+    const { project } = access;
+    const currency = project.currency || DEFAULT_CURRENCY;
+
     // Get the line items in the specified range
     const lineItems = await getProjectLineItems(projectId, range.start, range.end - range.start + 1);
     
@@ -394,32 +939,36 @@ async function handleAIGeneratedRangeAction(req, res) {
     
     console.log(`Detected change type: ${changeType}`);
 
-    // If xmlResponse is provided directly, use it
-    // Otherwise, generate a response using the AI service
-    let aiResponse = xmlResponse;
-    if (!aiResponse) {
-      // Generate AI response based on the prompt and line items
-      const itemsContext = lineItems.map(item => 
-        `ID:${item.id}, description='${item.description}', quantity=${item.quantity}, ` +
-        `unit_price=${item.unit_price}, amount=${item.amount}, ` +
-        `cost_type='${item.cost_type || "material"}', unit_type='${item.unit_type || "unit"}'`
-      ).join('\n');
-      
-      let fullPrompt;
+    // If xmlResponse is provided directly, use its actions
+    // Otherwise, generate the actions using the AI service
+    let actions;
+    let rawResponse;
+    if (xmlResponse) {
+      actions = extractActionsFromXML(xmlResponse);
+      rawResponse = { response: xmlResponse };
+    } else {
+      let rangePrompt;
       if (changeType === 'cost_type') {
-        fullPrompt = `For the following line items:\n${itemsContext}\n\nUser request: ${prompt}\n\nPlease ONLY update the cost_type field and do not change any other fields. Use the format: <estimate><actions><action>+ ID:[id], cost_type=[new_cost_type]</action></actions></estimate>`;
+        rangePrompt = `${prompt}\n\nPlease ONLY update the cost_type field and do not change any other fields. Use the format: <action>+ ID:[id], cost_type=[new_cost_type]</action>`;
       } else if (changeType === 'unit_type') {
-        fullPrompt = `For the following line items:\n${itemsContext}\n\nUser request: ${prompt}\n\nPlease ONLY update the unit_type field and do not change any other fields. Valid unit types are: hour, day, unit, package. Use the format: <estimate><actions><action>+ ID:[id], unit_type=[new_unit_type]</action></actions></estimate>`;
+        rangePrompt = `${prompt}\n\nPlease ONLY update the unit_type field and do not change any other fields. Valid unit types are: ${VALID_UNIT_TYPES.join(', ')}. Use the format: <action>+ ID:[id], unit_type=[new_unit_type]</action>`;
       } else {
-        fullPrompt = `For the following line items:\n${itemsContext}\n\nUser request: ${prompt}\n\nPlease provide actions to modify these items. For unit_type, valid values are: hour, day, unit, package. Use the format: <estimate><actions><action>+ ID:[id], [field]=[value]</action></actions></estimate>`;
+        rangePrompt = `${prompt}\n\nPlease provide actions to modify these items. For unit_type, valid values are: ${VALID_UNIT_TYPES.join(', ')}.`;
       }
-      
-      // Call the AI service to generate a response
-      aiResponse = await generateAdditionalEstimate(fullPrompt, projectId);
+
+      // Call the AI service with the items of the range as the project's items
+      const { instructions, rawGeminiResponse } = await generateAdditionalEstimate({
+        prompt: rangePrompt,
+        userId,
+        projectId,
+        existingProject: project,
+        existingItems: lineItems,
+        catalogItems: await findRelevantCatalogItems(project.business_id, prompt)
+      }, { outputFormat: 'xml' });
+      actions = instructions;
+      rawResponse = rawGeminiResponse;
     }
 
-    // Extract actions from the XML response
-    const actions = extractActionsFromXML(aiResponse);
     if (!actions || actions.length === 0) {
       return res.status(400).json({
         error: 'No valid actions found in the AI response'
@@ -431,11 +980,46 @@ async function handleAIGeneratedRangeAction(req, res) {
     console.log('Original actions:', actions);
     console.log('Normalized actions:', normalizedActions);
 
+    // In preview mode, store the changes as a change set instead of applying them
+    if (req.body.preview) {
+      const changeSet = await createChangeSet({
+        projectId,
+        userId,
+        source: 'range_action',
+        instructions: normalizedActions,
+        currency,
+        prompt,
+        rawResponse
+      });
+
+      return res.json({
+        success: true,
+        prompt,
+        range,
+        preview: true,
+        changeSet: formatChangeSet(changeSet),
+        summary: await getProjectSummary(projectId)
+      });
+    }
+
     // Apply the normalized actions to the line items
-    const actionSummary = await applyLineItemChanges(projectId, userId, normalizedActions);
+    const actionSummary = await applyLineItemChanges(projectId, userId, normalizedActions, currency, {
+      atomic: req.body.atomic === true
+    });
 
     // Log the prompt and actions to the conversation history
-    await logPromptAndActions(projectId, userId, prompt, { response: aiResponse }, actionSummary);
+    await logPromptAndActions(projectId, userId, prompt, rawResponse, actionSummary);
+
+    const summary = await getProjectSummary(projectId);
+    if (actionSummary.rolledBackBy) {
+      return res.status(422).json({
+        ...buildRollbackResponse(actionSummary),
+        prompt,
+        range,
+        actionSummary,
+        summary
+      });
+    }
 
     // Get the updated list of line items
     const updatedItems = await getProjectLineItems(projectId);
@@ -445,7 +1029,8 @@ async function handleAIGeneratedRangeAction(req, res) {
       prompt,
       range,
       actionSummary,
-      updatedItems
+      updatedItems,
+      summary
     });
     
   } catch (error) {
@@ -463,296 +1048,99 @@ async function handleAIGeneratedRangeAction(req, res) {
  * @returns {Array<string>} - Array of action strings
  */
 function extractActionsFromXML(xmlString) {
-  const actions = [];
-  
-  // Simple regex-based extraction for actions
-  // In a production environment, consider using a proper XML parser
-  const actionRegex = /<action>([^<]+)<\/action>/g;
-  let match;
-  
-  while ((match = actionRegex.exec(xmlString)) !== null) {
-    if (match[1] && match[1].trim()) {
-      actions.push(match[1].trim());
-    }
+  const parser = createActionStreamParser();
+  const events = [...parser.push(String(xmlString || '')), ...parser.end()];
+
+  return events
+    .filter(event => event.type === 'action')
+    .map(event => event.instruction);
+}
+
+/**
+ * Normalize a unit_type value with the units of utils/units.js. Units that are
+ * converted when stored (e.g. square yards) keep their name, and unknown units
+ * are kept as written so applyLineItemChanges reports them.
+ * @param {any} unitType - The requested unit_type
+ * @param {number} itemId - The ID of the item (for logging)
+ * @returns {string} - The unit
+ */
+function normalizeUnitType(unitType, itemId) {
+  const unit = resolveUnit(unitType);
+  if (unit) {
+    return unit.unit;
   }
-  
-  return actions;
+
+  console.log(`Unknown unit_type '${unitType}' for item ID:${itemId}`);
+  return String(unitType);
 }
 
 /**
  * Validate and normalize action data before applying changes
  * @param {Array<string>} actions - Array of action strings
  * @param {string} [changeType='general'] - Type of change: 'cost_type', 'unit_type', or 'general'
- * @returns {Array<string>} - Array of validated and normalized action strings
+ * @returns {Array<string>} - Array of validated and normalized action strings. Updates that
+ *   have nothing left to change after a cost_type or unit_type only filter are dropped.
  */
 function validateAndNormalizeActions(actions, changeType = 'general') {
-  return actions.map(action => {
-    // If it's not an update action with ID, return as is
-    if (!action.startsWith('+ ID:')) {
-      return action;
-    }
-    
+  const normalizedActions = [];
+
+  for (const action of actions) {
+    let parsed;
     try {
-      // Extract the ID part
-      const idMatch = action.match(/^\+ ID:(\d+)/);
-      if (!idMatch) return action;
-      
-      const itemId = idMatch[1];
-      const attributesPart = action.substring(action.indexOf(',') + 1).trim();
-      
-      // Parse the attributes
-      const attributePairs = attributesPart.split(',').map(pair => pair.trim());
-      const normalizedPairs = [];
-      
-      // Check if we need to add cost_type
-      let hasCostType = false;
-      
-      for (const pair of attributePairs) {
-        if (!pair.includes('=')) continue;
-        
-        const [key, value] = pair.split('=').map(part => part.trim());
-        
-        // Skip undefined values to prevent database errors
-        if (value === 'undefined') continue;
-        
-        // Track if we have a cost_type field
-        if (key === 'cost_type') {
-          hasCostType = true;
-        }
-        
-        // Handle different field types appropriately
-        if (key === 'cost_type') {
-          // cost_type is a string field, ensure it's properly quoted
-          const formattedValue = value.startsWith('\'') || value.startsWith('"') 
-            ? value 
-            : `'${value}'`;
-          normalizedPairs.push(`${key}=${formattedValue}`);
-        } 
-        else if (key === 'unit_type' || key === 'description' || key === 'title') {
-          // These are string fields, ensure they're properly quoted if not already
-          const formattedValue = value.startsWith('\'') || value.startsWith('"') 
-            ? value 
-            : `'${value}'`;
-          normalizedPairs.push(`${key}=${formattedValue}`);
-        }
-        else if (key === 'is_sub_item') {
-          // Boolean field
-          const boolValue = value.toLowerCase() === 'true' ? 'true' : 'false';
-          normalizedPairs.push(`${key}=${boolValue}`);
-        }
-        else if (key === 'amount' || key === 'unit_price' || key === 'quantity') {
-          // Numeric fields, ensure they're valid numbers
-          const numValue = parseFloat(value);
-          if (!isNaN(numValue)) {
-            normalizedPairs.push(`${key}=${numValue}`);
-          }
-        }
-        else {
-          // For other fields, keep as is
-          normalizedPairs.push(`${key}=${value}`);
-        }
-      }
-      
-      // Handle different types of changes
-      if (changeType === 'cost_type') {
-        // For cost type changes, we only want to keep the cost_type field
-        // and not auto-determine it from description
-        const costTypePair = attributePairs.find(pair => pair.startsWith('cost_type='));
-        
-        if (costTypePair) {
-          // Extract the cost_type value
-          let costType = costTypePair.substring(costTypePair.indexOf('=') + 1).trim();
-          // Remove quotes if present
-          if ((costType.startsWith('\'') && costType.endsWith('\'')) ||
-              (costType.startsWith('"') && costType.endsWith('"'))) {
-            costType = costType.substring(1, costType.length - 1);
-          }
-          
-          // Add the cost_type field with proper formatting
-          normalizedPairs.push(`cost_type='${costType}'`);
-          console.log(`Set cost_type='${costType}' for item ID:${itemId} (cost type change only)`);
-        }
-      } 
-      else if (changeType === 'unit_type') {
-        // For unit type changes, we only want to keep the unit_type field
-        const unitTypePair = attributePairs.find(pair => pair.startsWith('unit_type='));
-        
-        if (unitTypePair) {
-          // Extract the unit_type value
-          let unitType = unitTypePair.substring(unitTypePair.indexOf('=') + 1).trim();
-          // Remove quotes if present
-          if ((unitType.startsWith('\'') && unitType.endsWith('\'')) ||
-              (unitType.startsWith('"') && unitType.endsWith('"'))) {
-            unitType = unitType.substring(1, unitType.length - 1);
-          }
-          
-          // Validate unit_type value
-          const validUnitTypes = ['hour', 'day', 'unit', 'package'];
-          if (!validUnitTypes.includes(unitType.toLowerCase())) {
-            unitType = 'unit'; // Default to 'unit' if invalid
-            console.log(`Invalid unit_type '${unitType}', defaulting to 'unit'`);
-          }
-          
-          // Add the unit_type field with proper formatting
-          normalizedPairs.push(`unit_type='${unitType}'`);
-          console.log(`Set unit_type='${unitType}' for item ID:${itemId} (unit type change only)`);
-        }
-      } 
-      else {
-        // For regular updates, process both unit_type and cost_type
-        
-        // Handle unit_type if present
-        const unitTypePair = attributePairs.find(pair => pair.startsWith('unit_type='));
-        if (unitTypePair) {
-          // Extract the unit_type value
-          let unitType = unitTypePair.substring(unitTypePair.indexOf('=') + 1).trim();
-          // Remove quotes if present
-          if ((unitType.startsWith('\'') && unitType.endsWith('\'')) ||
-              (unitType.startsWith('"') && unitType.endsWith('"'))) {
-            unitType = unitType.substring(1, unitType.length - 1);
-          }
-          
-          // Validate unit_type value
-          const validUnitTypes = ['hour', 'day', 'unit', 'package'];
-          if (!validUnitTypes.includes(unitType.toLowerCase())) {
-            unitType = 'unit'; // Default to 'unit' if invalid
-            console.log(`Invalid unit_type '${unitType}', defaulting to 'unit'`);
-          }
-          
-          // Remove any existing unit_type from normalizedPairs
-          const unitTypeIndex = normalizedPairs.findIndex(pair => pair.startsWith('unit_type='));
-          if (unitTypeIndex !== -1) {
-            normalizedPairs.splice(unitTypeIndex, 1);
-          }
-          
-          // Add the unit_type field with proper formatting
-          normalizedPairs.push(`unit_type='${unitType}'`);
-        }
-        
-        // Determine cost_type based on description if present
-        const descriptionPair = attributePairs.find(pair => pair.startsWith('description='));
-        
-        if (descriptionPair) {
-          // Extract the description value
-          let description = descriptionPair.substring(descriptionPair.indexOf('=') + 1).trim();
-          // Remove quotes if present
-          if ((description.startsWith('\'') && description.endsWith('\'')) ||
-              (description.startsWith('"') && description.endsWith('"'))) {
-            description = description.substring(1, description.length - 1);
-          }
-          
-          description = description.toLowerCase();
-          
-          // Determine cost_type based on keywords
-          let costType = null;
-          
-          if (description.includes('admin')) {
-            costType = 'admin';
-          } else if (description.includes('equipment') || description.includes('tool') || 
-                    description.includes('machine') || description.includes('device')) {
-            costType = 'equipment';
-          } else if (description.includes('labor') || description.includes('work') || 
-                    description.includes('service') || description.includes('hour') || 
-                    description.includes('installation')) {
-            costType = 'labor';
-          } else if (description.includes('material') || description.includes('supply') || 
-                    description.includes('part') || description.includes('component')) {
-            costType = 'material';
-          } else if (description.includes('overhead') || description.includes('indirect') || 
-                    description.includes('administrative')) {
-            costType = 'overhead';
-          } else {
-            costType = 'other'; // Default to 'other' if no match
-          }
-          
-          // Only set cost_type if it's not explicitly provided
-          const hasCostType = attributePairs.some(pair => pair.startsWith('cost_type='));
-          if (!hasCostType) {
-            // Remove any existing cost_type from normalizedPairs
-            const costTypeIndex = normalizedPairs.findIndex(pair => pair.startsWith('cost_type='));
-            if (costTypeIndex !== -1) {
-              normalizedPairs.splice(costTypeIndex, 1);
-            }
-            
-            // Add the determined cost_type
-            normalizedPairs.push(`cost_type='${costType}'`);
-            console.log(`Set cost_type='${costType}' based on description for item ID:${itemId}`);
-          }
+      parsed = parseAction(action);
+    } catch (error) {
+      // Keep it as is, applyLineItemChanges reports the syntax error
+      normalizedActions.push(action);
+      continue;
+    }
+
+    // Only updates of existing items are normalized
+    if (parsed.verb !== 'update') {
+      normalizedActions.push(action);
+      continue;
+    }
+
+    const attributes = {};
+    for (const [key, value] of Object.entries(parsed.attributes)) {
+      // Skip undefined values to prevent database errors
+      if (value === 'undefined') continue;
+
+      if (key === 'amount' || key === 'unit_price' || key === 'quantity') {
+        const numValue = parseFloat(value);
+        if (!isNaN(numValue)) {
+          attributes[key] = numValue;
         }
+      } else if (key === 'is_sub_item') {
+        attributes[key] = String(value).toLowerCase() === 'true';
+      } else if (key === 'unit_type') {
+        attributes[key] = normalizeUnitType(value, parsed.id);
+      } else {
+        attributes[key] = value;
       }
-      
-      // Reconstruct the action string
-      return `+ ID:${itemId}, ${normalizedPairs.join(', ')}`;
-    } catch (error) {
-      console.error('Error normalizing action:', action, error);
-      return action; // Return original action if normalization fails
     }
-  });
-}
 
-// Helper function to update a line item
-async function updateLineItem(projectId, itemId, updates, userId) {
-  // Implementation depends on your database schema
-  // This is a simplified example
-  const { data, error } = await supabase
-    .from('estimate_items')
-    .update({
-      ...updates,
-      updated_at: new Date().toISOString(),
-      updated_by: userId
-    })
-    .eq('id', itemId)
-    .eq('project_id', projectId)
-    .select();
-    
-  if (error) throw error;
-  return data[0];
-}
+    // For cost_type or unit_type only changes, keep just that field so the
+    // cost_type is not re-inferred from a description
+    const onlyField = changeType === 'cost_type' || changeType === 'unit_type' ? changeType : null;
+    const keptAttributes = onlyField
+      ? (attributes[onlyField] !== undefined ? { [onlyField]: attributes[onlyField] } : {})
+      : attributes;
 
-// Helper function to delete a line item
-async function deleteLineItem(projectId, itemId, userId) {
-  // In a real implementation, you might want to soft delete
-  const { data, error } = await supabase
-    .from('estimate_items')
-    .delete()
-    .eq('id', itemId)
-    .eq('project_id', projectId);
-    
-  if (error) throw error;
-  return { id: itemId, deleted: true };
-}
+    if (Object.keys(keptAttributes).length === 0) {
+      console.log(`Dropping action without changes for item ID:${parsed.id}: ${action}`);
+      continue;
+    }
 
-// Helper function to duplicate a line item
-async function duplicateLineItem(projectId, itemId, userId) {
-  // First get the item to duplicate
-  const { data: item, error: fetchError } = await supabase
-    .from('estimate_items')
-    .select('*')
-    .eq('id', itemId)
-    .eq('project_id', projectId)
-    .single();
-    
-  if (fetchError) throw fetchError;
-  
-  // Remove the ID to create a new record
-  const { id, created_at, updated_at, ...itemData } = item;
-  
-  // Create the duplicate
-  const { data: newItem, error: createError } = await supabase
-    .from('estimate_items')
-    .insert([{
-      ...itemData,
-      created_by: userId,
-      updated_by: userId
-    }])
-    .select();
-    
-  if (createError) throw createError;
-  return newItem[0];
+    normalizedActions.push(formatAction({ ...parsed, attributes: keptAttributes }));
+  }
+
+  return normalizedActions;
 }
 
 export {
   handleEstimatorRequest,
+  handleEstimatorStreamRequest,
   handleAdditionalPrompt,
+  handleAdditionalPromptStream,
   handleRangeAction
 };
@@ -0,0 +1,65 @@
+import { CurrencyError } from '../services/currencyService.js';
+import { exportProjectItems } from '../services/exportService.js';
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+/**
+ * Build a file name for an export from the project name
+ * @param {Object} project - The projects row
+ * @param {string} extension - File extension
+ * @returns {string} - The file name
+ */
+function buildExportFileName(project, extension) {
+  const slug = String(project.name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+
+  return `${slug || `project-${project.id}`}-estimate.${extension}`;
+}
+
+/**
+ * Download a project's line items as a CSV or XLSX spreadsheet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleExportProject(req, res) {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+      return res.status(400).json({
+        error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const currency = req.project.currency || 'USD';
+    const body = await exportProjectItems(req.project, format, currency);
+
+    res.set('Content-Type', exportFormat.contentType);
+    res.attachment(buildExportFileName(req.project, exportFormat.extension));
+    return res.send(body);
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+
+    console.error('Error exporting project:', error);
+    return res.status(500).json({
+      error: 'Failed to export project',
+      details: error.message
+    });
+  }
+}
+
+export { handleExportProject };
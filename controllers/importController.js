@@ -0,0 +1,150 @@
+import {
+  ImportError,
+  IMPORT_FIELDS,
+  HIERARCHY_MODES,
+  importLineItems
+} from '../services/importService.js';
+
+const IMPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * Determine the format of an uploaded file from the request or the file name
+ * @param {Object} file - The uploaded file (from multer)
+ * @param {string} [format] - Format given in the request
+ * @returns {string|undefined} - 'csv', 'xlsx' or undefined if unknown
+ */
+function detectImportFormat(file, format) {
+  if (format) {
+    return String(format).toLowerCase();
+  }
+
+  const extension = (file.originalname || '').split('.').pop().toLowerCase();
+  if (IMPORT_FORMATS.includes(extension)) {
+    return extension;
+  }
+  if (file.mimetype === 'text/csv') {
+    return 'csv';
+  }
+  if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return 'xlsx';
+  }
+  return undefined;
+}
+
+/**
+ * Validate and parse the form fields shared by spreadsheet imports: the file,
+ * its format, the column mapping and dryRun
+ * @param {Object} req - Express request object (after uploadSpreadsheet)
+ * @param {Array<string>} fields - Fields columns can be mapped to
+ * @returns {Object} - { options } on success or { error: { status, message } } on failure
+ */
+function parseSpreadsheetUpload(req, fields) {
+  if (!req.file) {
+    return { error: { status: 400, message: 'file is required (upload it as the "file" field of a multipart/form-data request)' } };
+  }
+
+  const body = req.body || {};
+  const format = detectImportFormat(req.file, body.format);
+  if (!IMPORT_FORMATS.includes(format)) {
+    return { error: { status: 400, message: `format must be one of: ${IMPORT_FORMATS.join(', ')}` } };
+  }
+
+  let mapping;
+  if (body.mapping !== undefined && body.mapping !== '') {
+    try {
+      mapping = typeof body.mapping === 'string' ? JSON.parse(body.mapping) : body.mapping;
+    } catch (error) {
+      return { error: { status: 400, message: `mapping must be a JSON object: ${error.message}` } };
+    }
+
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return { error: { status: 400, message: 'mapping must be a JSON object' } };
+    }
+
+    const unknownFields = Object.keys(mapping).filter(field => !fields.includes(field));
+    if (unknownFields.length > 0) {
+      return {
+        error: {
+          status: 400,
+          message: `Unsupported mapping fields: ${unknownFields.join(', ')}. Columns can be mapped to: ${fields.join(', ')}`
+        }
+      };
+    }
+
+    if (Object.values(mapping).some(header => typeof header !== 'string' || !header.trim())) {
+      return { error: { status: 400, message: 'mapping values must be column headers' } };
+    }
+  }
+
+  if (body.dryRun !== undefined && body.dryRun !== 'true' && body.dryRun !== 'false') {
+    return { error: { status: 400, message: 'dryRun must be true or false' } };
+  }
+
+  return {
+    options: {
+      format,
+      mapping,
+      dryRun: body.dryRun === 'true'
+    }
+  };
+}
+
+/**
+ * Validate and parse the line item import form fields
+ * @param {Object} req - Express request object (after uploadSpreadsheet)
+ * @returns {Object} - { options } on success or { error: { status, message } } on failure
+ */
+function parseImportRequest(req) {
+  const { options, error } = parseSpreadsheetUpload(req, IMPORT_FIELDS);
+  if (error) {
+    return { error };
+  }
+
+  const hierarchy = (req.body && req.body.hierarchy) || 'auto';
+  if (!HIERARCHY_MODES.includes(hierarchy)) {
+    return { error: { status: 400, message: `hierarchy must be one of: ${HIERARCHY_MODES.join(', ')}` } };
+  }
+
+  return { options: { ...options, hierarchy } };
+}
+
+/**
+ * Import line items from an uploaded CSV or XLSX file
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleImportLineItems(req, res) {
+  try {
+    const { options, error } = parseImportRequest(req);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const summary = await importLineItems(req.project.id, req.user.id, req.file.buffer, {
+      ...options,
+      currency: req.project.currency || 'USD'
+    });
+
+    return res.json({
+      success: summary.errors.length === 0,
+      projectId: req.project.id,
+      dryRun: options.dryRun,
+      ...summary,
+      message: options.dryRun
+        ? `${summary.rowsValid} rows can be imported, ${summary.errors.length} have errors`
+        : `Imported ${summary.itemsImported} line items, ${summary.errors.length} rows have errors`
+    });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+
+    console.error('Error importing line items:', error);
+    return res.status(500).json({
+      error: 'Failed to import line items',
+      details: error.message
+    });
+  }
+}
+
+export { handleImportLineItems, parseSpreadsheetUpload };
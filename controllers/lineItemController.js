@@ -0,0 +1,282 @@
+import {
+  getProjectLineItems,
+  getLineItemById,
+  createLineItem,
+  updateLineItem,
+  deleteLineItem,
+  validateLineItemFields,
+  buildLineItemUpdate
+} from '../services/projectService.js';
+
+const DEFAULT_PAGE_SIZE = 300;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Validate the request body for creating or updating a line item
+ * @param {Object} requestData - The data to validate
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.requireDescription] - Whether a description is required (creation)
+ * @returns {Object|null} - Error object if validation fails, null if successful
+ */
+function validateLineItemRequest(requestData, { requireDescription = false } = {}) {
+  if (!requestData || Object.keys(requestData).length === 0) {
+    return {
+      status: 400,
+      message: 'Request body cannot be empty'
+    };
+  }
+
+  if (requireDescription &&
+      (typeof requestData.description !== 'string' || !requestData.description.trim())) {
+    return {
+      status: 400,
+      message: 'description is required'
+    };
+  }
+
+  const fieldError = validateLineItemFields(buildLineItemUpdate(requestData));
+  if (fieldError) {
+    return {
+      status: 400,
+      message: fieldError
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check that a parent item exists in the project and is neither the item itself
+ * nor one of its sub-items
+ * @param {number|string} projectId - The ID of the project
+ * @param {number|null|undefined} parentItemId - The requested parent ID
+ * @param {number|string} [itemId] - The ID of the item being updated
+ * @returns {Promise<Object|null>} - Error object if the parent is invalid, null if successful
+ */
+async function validateParentItem(projectId, parentItemId, itemId) {
+  if (parentItemId === undefined || parentItemId === null) {
+    return null;
+  }
+
+  if (itemId !== undefined && String(parentItemId) === String(itemId)) {
+    return {
+      status: 400,
+      message: 'An item cannot be its own parent'
+    };
+  }
+
+  const parent = await getLineItemById(projectId, parentItemId);
+  if (!parent) {
+    return {
+      status: 400,
+      message: `Parent item ${parentItemId} not found in this project`
+    };
+  }
+
+  // Walk up from the new parent to make sure the item is not one of its ancestors
+  for (let ancestor = parent; itemId !== undefined && ancestor; ) {
+    if (String(ancestor.id) === String(itemId)) {
+      return {
+        status: 400,
+        message: 'An item cannot be moved under itself or one of its sub-items'
+      };
+    }
+    ancestor = ancestor.parent_item_id
+      ? await getLineItemById(projectId, ancestor.parent_item_id)
+      : null;
+  }
+
+  return null;
+}
+
+/**
+ * Parse the :itemId route parameter
+ * @param {Object} req - Express request object
+ * @returns {number|null} - The item ID or null if it is not a positive integer
+ */
+function parseItemId(req) {
+  return /^\d+$/.test(String(req.params.itemId)) ? Number(req.params.itemId) : null;
+}
+
+/**
+ * List the line items of a project
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleListLineItems(req, res) {
+  try {
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    const items = await getProjectLineItems(req.project.id, offset, limit);
+    const nextOffset = items.length === limit ? offset + items.length : null;
+
+    return res.json({
+      projectId: req.project.id,
+      items,
+      offset,
+      limit,
+      nextOffset
+    });
+  } catch (error) {
+    console.error('Error listing line items:', error);
+    return res.status(500).json({
+      error: 'Failed to list line items',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Get a single line item
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleGetLineItem(req, res) {
+  try {
+    const itemId = parseItemId(req);
+    if (itemId === null) {
+      return res.status(400).json({ error: 'Item ID must be a positive integer' });
+    }
+
+    const item = await getLineItemById(req.project.id, itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Line item not found' });
+    }
+
+    return res.json({ item });
+  } catch (error) {
+    console.error('Error fetching line item:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch line item',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Create a line item from manually entered fields
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleCreateLineItem(req, res) {
+  try {
+    const validationError = validateLineItemRequest(req.body, { requireDescription: true })
+      || await validateParentItem(req.project.id, buildLineItemUpdate(req.body).parent_item_id);
+    if (validationError) {
+      return res.status(validationError.status).json({ error: validationError.message });
+    }
+
+    const item = await createLineItem(
+      req.project.id,
+      req.user.id,
+      req.body,
+      req.project.currency || 'USD'
+    );
+
+    return res.status(201).json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    console.error('Error creating line item:', error);
+    return res.status(500).json({
+      error: 'Failed to create line item',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Update a line item
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleUpdateLineItem(req, res) {
+  try {
+    const itemId = parseItemId(req);
+    if (itemId === null) {
+      return res.status(400).json({ error: 'Item ID must be a positive integer' });
+    }
+
+    const validationError = validateLineItemRequest(req.body)
+      || await validateParentItem(req.project.id, buildLineItemUpdate(req.body).parent_item_id, itemId);
+    if (validationError) {
+      return res.status(validationError.status).json({ error: validationError.message });
+    }
+
+    const item = await updateLineItem(req.project.id, itemId, req.body);
+    if (!item) {
+      return res.status(404).json({ error: 'Line item not found' });
+    }
+
+    return res.json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    console.error('Error updating line item:', error);
+    return res.status(500).json({
+      error: 'Failed to update line item',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Delete a line item. Its sub-items move up to its parent, or are deleted
+ * too with ?cascade=true
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleDeleteLineItem(req, res) {
+  try {
+    const itemId = parseItemId(req);
+    if (itemId === null) {
+      return res.status(400).json({ error: 'Item ID must be a positive integer' });
+    }
+
+    const { cascade } = req.query;
+    if (cascade !== undefined && cascade !== 'true' && cascade !== 'false') {
+      return res.status(400).json({ error: 'cascade must be true or false' });
+    }
+
+    const item = await getLineItemById(req.project.id, itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Line item not found' });
+    }
+
+    const { deletedItemIds, movedItemIds } = await deleteLineItem(req.project.id, itemId, {
+      cascade: cascade === 'true'
+    });
+
+    return res.json({
+      success: true,
+      itemId,
+      deletedItemIds,
+      movedItemIds
+    });
+  } catch (error) {
+    console.error('Error deleting line item:', error);
+    return res.status(500).json({
+      error: 'Failed to delete line item',
+      details: error.message
+    });
+  }
+}
+
+export {
+  handleListLineItems,
+  handleGetLineItem,
+  handleCreateLineItem,
+  handleUpdateLineItem,
+  handleDeleteLineItem
+};
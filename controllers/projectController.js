@@ -0,0 +1,228 @@
+import {
+  getUserProjectsPage,
+  updateProject,
+  deleteProject
+} from '../services/projectService.js';
+import { getProjectSummary } from '../services/rollupService.js';
+import { validatePricingRules } from '../services/pricingService.js';
+
+const SORTABLE_FIELDS = ['created_at', 'updated_at', 'name', 'status'];
+const EDITABLE_FIELDS = ['name', 'description', 'status', 'pricing_rules'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Validate and normalize the pagination and sorting query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object} - { options } on success or { error: { status, message } } on failure
+ */
+function parseListQuery(query) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  const sort = query.sort || 'created_at';
+  const order = (query.order || 'desc').toLowerCase();
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: { status: 400, message: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` } };
+  }
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: { status: 400, message: 'offset must be a non-negative integer' } };
+  }
+
+  if (!SORTABLE_FIELDS.includes(sort)) {
+    return { error: { status: 400, message: `sort must be one of: ${SORTABLE_FIELDS.join(', ')}` } };
+  }
+
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: { status: 400, message: 'order must be either asc or desc' } };
+  }
+
+  return { options: { limit, offset, sort, order } };
+}
+
+/**
+ * Validate the request body for a project update
+ * @param {Object} requestData - The data to validate
+ * @returns {Object|null} - Error object if validation fails, null if successful
+ */
+function validateProjectUpdate(requestData) {
+  if (!requestData || Object.keys(requestData).length === 0) {
+    return {
+      status: 400,
+      message: 'Request body cannot be empty'
+    };
+  }
+
+  const unknownFields = Object.keys(requestData).filter(key => !EDITABLE_FIELDS.includes(key));
+  if (unknownFields.length > 0) {
+    return {
+      status: 400,
+      message: `Unsupported fields: ${unknownFields.join(', ')}. Editable fields are: ${EDITABLE_FIELDS.join(', ')}`
+    };
+  }
+
+  if (requestData.name !== undefined &&
+      (typeof requestData.name !== 'string' || !requestData.name.trim())) {
+    return {
+      status: 400,
+      message: 'name must be a non-empty string'
+    };
+  }
+
+  if (requestData.description !== undefined && typeof requestData.description !== 'string') {
+    return {
+      status: 400,
+      message: 'description must be a string'
+    };
+  }
+
+  if (requestData.status !== undefined &&
+      (typeof requestData.status !== 'string' || !requestData.status.trim())) {
+    return {
+      status: 400,
+      message: 'status must be a non-empty string'
+    };
+  }
+
+  if (requestData.pricing_rules !== undefined && requestData.pricing_rules !== null) {
+    const ruleErrors = validatePricingRules(requestData.pricing_rules);
+    if (ruleErrors.length > 0) {
+      return {
+        status: 400,
+        message: `Invalid pricing_rules: ${ruleErrors.join('; ')}`
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the projects the authenticated user has access to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleListProjects(req, res) {
+  try {
+    const { options, error: queryError } = parseListQuery(req.query);
+    if (queryError) {
+      return res.status(queryError.status).json({ error: queryError.message });
+    }
+
+    const { projects, total } = await getUserProjectsPage(req.user.id, options);
+    const nextOffset = options.offset + projects.length < total
+      ? options.offset + projects.length
+      : null;
+
+    return res.json({
+      projects,
+      total,
+      limit: options.limit,
+      offset: options.offset,
+      nextOffset
+    });
+  } catch (error) {
+    console.error('Error listing projects:', error);
+    return res.status(500).json({
+      error: 'Failed to list projects',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Get a single project (loaded by verifyProjectAccess)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleGetProject(req, res) {
+  return res.json({ project: req.project });
+}
+
+/**
+ * Get the totals of a project: the grand total, the subtotals by cost_type
+ * and the rolled-up total of every top-level item
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleGetProjectSummary(req, res) {
+  try {
+    const summary = await getProjectSummary(req.project.id);
+
+    return res.json({ summary });
+  } catch (error) {
+    console.error('Error getting project summary:', error);
+    return res.status(500).json({
+      error: 'Failed to get project summary',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Update a project's name, description, status or pricing rules
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleUpdateProject(req, res) {
+  try {
+    const validationError = validateProjectUpdate(req.body);
+    if (validationError) {
+      return res.status(validationError.status).json({ error: validationError.message });
+    }
+
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = typeof req.body[field] === 'string' && field !== 'description'
+          ? req.body[field].trim()
+          : req.body[field];
+      }
+    }
+
+    const project = await updateProject(req.project.id, updates);
+
+    return res.json({
+      success: true,
+      project
+    });
+  } catch (error) {
+    console.error('Error updating project:', error);
+    return res.status(500).json({
+      error: 'Failed to update project',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Delete a project and everything that belongs to it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleDeleteProject(req, res) {
+  try {
+    await deleteProject(req.project.id);
+
+    return res.json({
+      success: true,
+      projectId: req.project.id,
+      message: `Deleted project "${req.project.name}"`
+    });
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    return res.status(500).json({
+      error: 'Failed to delete project',
+      details: error.message
+    });
+  }
+}
+
+export {
+  handleListProjects,
+  handleGetProject,
+  handleGetProjectSummary,
+  handleUpdateProject,
+  handleDeleteProject
+};
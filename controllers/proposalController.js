@@ -0,0 +1,67 @@
+import { CurrencyError } from '../services/currencyService.js';
+import { PROPOSAL_THEMES, renderProjectProposal } from '../services/proposalService.js';
+
+const PROPOSAL_FORMATS = ['html', 'pdf'];
+
+/**
+ * Validate the proposal query parameters
+ * @param {Object} query - Express query object
+ * @returns {Object|null} - Error object if validation fails, null if successful
+ */
+function validateProposalQuery(query) {
+  if (!PROPOSAL_FORMATS.includes(query.format)) {
+    return {
+      status: 400,
+      message: `format must be one of: ${PROPOSAL_FORMATS.join(', ')}`
+    };
+  }
+
+  if (query.theme !== undefined && !Object.hasOwn(PROPOSAL_THEMES, query.theme)) {
+    return {
+      status: 400,
+      message: `theme must be one of: ${Object.keys(PROPOSAL_THEMES).join(', ')}`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Render a client-facing proposal for a project as HTML or PDF
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleGetProposal(req, res) {
+  try {
+    const query = { ...req.query, format: String(req.query.format || 'html').toLowerCase() };
+    const validationError = validateProposalQuery(query);
+    if (validationError) {
+      return res.status(validationError.status).json({ error: validationError.message });
+    }
+
+    const document = await renderProjectProposal(req.project, query.format, {
+      currency: req.project.currency || 'USD',
+      theme: query.theme
+    });
+
+    if (query.format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `inline; filename="proposal-${req.project.id}.pdf"`);
+    } else {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+    }
+    return res.send(document);
+  } catch (error) {
+    if (error instanceof CurrencyError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+
+    console.error('Error rendering proposal:', error);
+    return res.status(500).json({
+      error: 'Failed to render proposal',
+      details: error.message
+    });
+  }
+}
+
+export { handleGetProposal };
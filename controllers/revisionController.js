@@ -0,0 +1,120 @@
+import {
+  RevisionError,
+  formatRevision,
+  listProjectRevisions,
+  undoRevision,
+  redoRevision,
+  restoreRevision
+} from '../services/revisionService.js';
+import { getProjectLineItems } from '../services/projectService.js';
+
+/**
+ * Respond to an error from an undo, redo or restore
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error
+ * @param {string} message - Message for unexpected errors
+ */
+function sendRevisionError(res, error, message) {
+  if (error instanceof RevisionError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+
+  console.error(`${message}:`, error);
+  return res.status(500).json({
+    error: message,
+    details: error.message
+  });
+}
+
+/**
+ * List a project's revisions, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleListRevisions(req, res) {
+  try {
+    const revisions = await listProjectRevisions(req.project.id);
+
+    return res.json({
+      projectId: req.project.id,
+      revisions: revisions.map(revision => formatRevision(revision))
+    });
+  } catch (error) {
+    console.error('Error listing revisions:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch revisions',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Undo the latest applied revision of a project
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleUndo(req, res) {
+  try {
+    const revision = await undoRevision(req.project.id);
+
+    return res.json({
+      success: true,
+      revision: formatRevision(revision),
+      items: await getProjectLineItems(req.project.id, 0, 1000)
+    });
+  } catch (error) {
+    return sendRevisionError(res, error, 'Failed to undo');
+  }
+}
+
+/**
+ * Redo the oldest undone revision of a project
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleRedo(req, res) {
+  try {
+    const revision = await redoRevision(req.project.id);
+
+    return res.json({
+      success: true,
+      revision: formatRevision(revision),
+      items: await getProjectLineItems(req.project.id, 0, 1000)
+    });
+  } catch (error) {
+    return sendRevisionError(res, error, 'Failed to redo');
+  }
+}
+
+/**
+ * Restore a project to its state right after a revision
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleRestoreRevision(req, res) {
+  try {
+    const revisionId = req.params.rev;
+    if (!/^\d+$/.test(String(revisionId))) {
+      return res.status(400).json({ error: 'Revision ID must be a positive integer' });
+    }
+
+    const { revision, undone, redone } = await restoreRevision(req.project.id, revisionId);
+
+    return res.json({
+      success: true,
+      revision: formatRevision(revision),
+      undone,
+      redone,
+      items: await getProjectLineItems(req.project.id, 0, 1000)
+    });
+  } catch (error) {
+    return sendRevisionError(res, error, 'Failed to restore revision');
+  }
+}
+
+export {
+  handleListRevisions,
+  handleUndo,
+  handleRedo,
+  handleRestoreRevision
+};
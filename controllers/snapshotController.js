@@ -0,0 +1,160 @@
+import {
+  formatSnapshot,
+  createSnapshot,
+  listProjectSnapshots,
+  getSnapshot,
+  diffSnapshots
+} from '../services/snapshotService.js';
+
+const MAX_SNAPSHOT_NAME_LENGTH = 200;
+
+/**
+ * Validate the request body for creating a snapshot
+ * @param {Object} requestData - The request body
+ * @returns {Object|null} - Error object if validation fails, null if successful
+ */
+function validateSnapshotRequest(requestData) {
+  if (!requestData || typeof requestData.name !== 'string' || !requestData.name.trim()) {
+    return {
+      status: 400,
+      message: 'name is required'
+    };
+  }
+
+  if (requestData.name.trim().length > MAX_SNAPSHOT_NAME_LENGTH) {
+    return {
+      status: 400,
+      message: `name must be at most ${MAX_SNAPSHOT_NAME_LENGTH} characters`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validate a `from` or `to` reference of a diff
+ * @param {string} name - Name of the query parameter
+ * @param {*} value - The query parameter value
+ * @returns {Object|null} - Error object if validation fails, null if successful
+ */
+function validateDiffReference(name, value) {
+  if (typeof value !== 'string' || !(value === 'live' || /^\d+$/.test(value))) {
+    return {
+      status: 400,
+      message: `${name} must be a snapshot ID or 'live'`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Freeze the project's current line items and totals as a named snapshot
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleCreateSnapshot(req, res) {
+  try {
+    const validationError = validateSnapshotRequest(req.body);
+    if (validationError) {
+      return res.status(validationError.status).json({ error: validationError.message });
+    }
+
+    const name = req.body.name.trim();
+    const snapshot = await createSnapshot(req.project.id, req.user.id, name);
+
+    return res.status(201).json({ snapshot: formatSnapshot(snapshot) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        error: `A snapshot named "${req.body.name.trim()}" already exists for this project`
+      });
+    }
+
+    console.error('Error creating snapshot:', error);
+    return res.status(500).json({
+      error: 'Failed to create snapshot',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * List a project's snapshots, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleListSnapshots(req, res) {
+  try {
+    const snapshots = await listProjectSnapshots(req.project.id);
+
+    return res.json({
+      projectId: req.project.id,
+      snapshots: snapshots.map(snapshot => formatSnapshot(snapshot))
+    });
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch snapshots',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Get a snapshot with its frozen line item tree
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleGetSnapshot(req, res) {
+  try {
+    const snapshot = await getSnapshot(req.project.id, req.params.snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    return res.json({ snapshot: formatSnapshot(snapshot, { includeItems: true }) });
+  } catch (error) {
+    console.error('Error fetching snapshot:', error);
+    return res.status(500).json({
+      error: 'Failed to fetch snapshot',
+      details: error.message
+    });
+  }
+}
+
+/**
+ * Compare two snapshots, or a snapshot and the live project
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function handleDiffSnapshots(req, res) {
+  try {
+    const { from, to = 'live' } = req.query;
+
+    const validationError = validateDiffReference('from', from) || validateDiffReference('to', to);
+    if (validationError) {
+      return res.status(validationError.status).json({ error: validationError.message });
+    }
+
+    const diff = await diffSnapshots(req.project.id, from, to);
+    if (!diff) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    return res.json({ projectId: req.project.id, ...diff });
+  } catch (error) {
+    console.error('Error diffing snapshots:', error);
+    return res.status(500).json({
+      error: 'Failed to diff snapshots',
+      details: error.message
+    });
+  }
+}
+
+export {
+  handleCreateSnapshot,
+  handleListSnapshots,
+  handleGetSnapshot,
+  handleDiffSnapshots
+};
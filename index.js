@@ -2,6 +2,11 @@ import express from "express";
 import dotenv from "dotenv";
 import cors from "cors";
 import estimatorRoutes from "./routes/estimatorRoutes.js";
+import projectRoutes from "./routes/projectRoutes.js";
+import conversationRoutes from "./routes/conversationRoutes.js";
+import changeSetRoutes from "./routes/changeSetRoutes.js";
+import exchangeRateRoutes from "./routes/exchangeRateRoutes.js";
+import catalogRoutes from "./routes/catalogRoutes.js";
 
 dotenv.config();
 
@@ -18,7 +23,7 @@ app.use(
       "https://localhost:5173",
       "http://localhost:5173",
     ],
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization", "content-type"],
     credentials: true,
     preflightContinue: false,
@@ -40,6 +45,11 @@ app.get("/health", (req, res) => {
 });
 
 app.use("/api", estimatorRoutes);
+app.use("/api", projectRoutes);
+app.use("/api", conversationRoutes);
+app.use("/api", changeSetRoutes);
+app.use("/api", exchangeRateRoutes);
+app.use("/api", catalogRoutes);
 
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -1,4 +1,4 @@
-import { supabase } from "../services/supabaseService.js";
+import { getStorage } from "../storage/index.js";
 
 /**
  * Middleware to verify if the request is coming from an authenticated user
@@ -28,11 +28,12 @@ const verifyAuth = async (req, res, next) => {
       });
     }
 
-    console.log("Verifying token with Supabase...");
-    // Verify the token with Supabase
-    const { data, error } = await supabase.auth.getUser(token);
-
-    if (error) {
+    console.log("Verifying token...");
+    // Verify the token with the storage's auth provider (Supabase Auth by default)
+    let user;
+    try {
+      user = await getStorage().auth.getUserByToken(token);
+    } catch (error) {
       console.error("Token verification error:", error);
       return res.status(401).json({
         error: "Unauthorized",
@@ -41,7 +42,7 @@ const verifyAuth = async (req, res, next) => {
       });
     }
 
-    if (!data || !data.user) {
+    if (!user) {
       console.error("No user found for token");
       return res.status(401).json({
         error: "Unauthorized",
@@ -49,9 +50,9 @@ const verifyAuth = async (req, res, next) => {
       });
     }
 
-    console.log("Token verified successfully, user:", data.user.email);
+    console.log("Token verified successfully, user:", user.email);
     // Add the user to the request object for use in route handlers
-    req.user = data.user;
+    req.user = user;
 
     // Proceed to the next middleware or route handler
     next();
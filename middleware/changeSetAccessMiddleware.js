@@ -0,0 +1,52 @@
+import { getChangeSet } from "../services/changeSetService.js";
+import {
+  getProjectById,
+  getProjectMembership
+} from "../services/projectService.js";
+
+/**
+ * Middleware to verify that the authenticated user belongs to the business
+ * that owns the project of the change set in `req.params.id`. Must run after verifyAuth.
+ * On success the change set, project and membership are added to the request object.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyChangeSetAccess = async (req, res, next) => {
+  try {
+    const changeSetId = req.params.id;
+
+    if (!/^\d+$/.test(String(changeSetId))) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Change set ID must be a positive integer",
+      });
+    }
+
+    const changeSet = await getChangeSet(changeSetId);
+    const project = changeSet ? await getProjectById(changeSet.project_id) : null;
+    const membership = await getProjectMembership(project, req.user.id);
+
+    // Change sets of other businesses are reported as missing, like conversations
+    if (!changeSet || !membership) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Change set not found",
+      });
+    }
+
+    req.changeSet = changeSet;
+    req.project = project;
+    req.membership = membership;
+
+    next();
+  } catch (error) {
+    console.error("Change set access middleware error:", error);
+    return res.status(500).json({
+      error: "Authorization failed",
+      message: "An error occurred while checking change set access",
+    });
+  }
+};
+
+export { verifyChangeSetAccess };
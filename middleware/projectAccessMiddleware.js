@@ -0,0 +1,54 @@
+import {
+  getProjectById,
+  getProjectMembership
+} from "../services/projectService.js";
+
+/**
+ * Middleware to verify that the authenticated user belongs to the business
+ * that owns the project in `req.params.id`. Must run after verifyAuth.
+ * On success the project and membership are added to the request object.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const verifyProjectAccess = async (req, res, next) => {
+  try {
+    const projectId = req.params.id;
+
+    if (!/^\d+$/.test(String(projectId))) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message: "Project ID must be a positive integer",
+      });
+    }
+
+    const project = await getProjectById(projectId);
+    if (!project) {
+      return res.status(404).json({
+        error: "Not Found",
+        message: "Project not found",
+      });
+    }
+
+    const membership = await getProjectMembership(project, req.user.id);
+    if (!membership) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "You do not have access to this project",
+      });
+    }
+
+    req.project = project;
+    req.membership = membership;
+
+    next();
+  } catch (error) {
+    console.error("Project access middleware error:", error);
+    return res.status(500).json({
+      error: "Authorization failed",
+      message: "An error occurred while checking project access",
+    });
+  }
+};
+
+export { verifyProjectAccess };
@@ -0,0 +1,39 @@
+import multer from "multer";
+
+/**
+ * Largest spreadsheet that can be uploaded, in bytes
+ */
+const MAX_SPREADSHEET_BYTES = 5 * 1024 * 1024;
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SPREADSHEET_BYTES, files: 1 },
+}).single("file");
+
+/**
+ * Middleware to read a spreadsheet uploaded as the `file` field of a
+ * multipart/form-data request. The file is kept in memory as `req.file`
+ * and the other form fields are added to `req.body`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        error: "Bad Request",
+        message:
+          error.code === "LIMIT_FILE_SIZE"
+            ? `The file is larger than ${MAX_SPREADSHEET_BYTES / (1024 * 1024)} MB`
+            : `Invalid upload: ${error.message}`,
+      });
+    }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
+};
+
+export { uploadSpreadsheet };
@@ -0,0 +1,41 @@
+import express from "express";
+const router = express.Router();
+import {
+  handleListCatalogItems,
+  handleGetCatalogItem,
+  handleCreateCatalogItem,
+  handleUpdateCatalogItem,
+  handleDeleteCatalogItem,
+  handleImportCatalogItems
+} from "../controllers/catalogController.js";
+import { verifyAuth } from "../middleware/authMiddleware.js";
+import { uploadSpreadsheet } from "../middleware/uploadMiddleware.js";
+
+// GET /api/catalog - List the price book of the user's business
+// Query: ?search=<text>&includeHistory=true
+// Requires authentication
+router.get("/catalog", verifyAuth, handleListCatalogItems);
+
+// POST /api/catalog - Add a price book entry
+// Body: { name, unit_price, unit_type?, cost_type?, currency?, supplier?, effective_date? }
+// Requires authentication
+router.post("/catalog", verifyAuth, handleCreateCatalogItem);
+
+// POST /api/catalog/import - Import price book entries from a CSV or XLSX file
+// Body (multipart/form-data): file, format?, mapping? (JSON), dryRun?
+// Requires authentication
+router.post("/catalog/import", verifyAuth, uploadSpreadsheet, handleImportCatalogItems);
+
+// GET /api/catalog/:id - Get a price book entry
+// Requires authentication
+router.get("/catalog/:id", verifyAuth, handleGetCatalogItem);
+
+// PATCH /api/catalog/:id - Change a price book entry
+// Requires authentication
+router.patch("/catalog/:id", verifyAuth, handleUpdateCatalogItem);
+
+// DELETE /api/catalog/:id - Delete a price book entry
+// Requires authentication
+router.delete("/catalog/:id", verifyAuth, handleDeleteCatalogItem);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from "express";
+const router = express.Router();
+import {
+  handleGetChangeSet,
+  handleApplyChangeSet,
+  handleDiscardChangeSet
+} from "../controllers/changeSetController.js";
+import { verifyAuth } from "../middleware/authMiddleware.js";
+import { verifyChangeSetAccess } from "../middleware/changeSetAccessMiddleware.js";
+
+// GET /api/changesets/:id - Get a change set with its diff
+// Requires authentication and membership in the project's business
+router.get("/changesets/:id", verifyAuth, verifyChangeSetAccess, handleGetChangeSet);
+
+// POST /api/changesets/:id/apply - Apply a pending change set
+// Requires authentication and membership in the project's business
+router.post("/changesets/:id/apply", verifyAuth, verifyChangeSetAccess, handleApplyChangeSet);
+
+// POST /api/changesets/:id/discard - Discard a pending change set
+// Requires authentication and membership in the project's business
+router.post("/changesets/:id/discard", verifyAuth, verifyChangeSetAccess, handleDiscardChangeSet);
+
+export default router;
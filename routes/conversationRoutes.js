@@ -0,0 +1,11 @@
+import express from "express";
+const router = express.Router();
+import { handleGetConversation } from "../controllers/conversationController.js";
+import { verifyAuth } from "../middleware/authMiddleware.js";
+
+// GET /api/conversations/:id - Get a conversation's prompt/action timeline
+// Supports ?includeRaw=true to include the raw model responses
+// Requires authentication and membership in the conversation's business
+router.get("/conversations/:id", verifyAuth, handleGetConversation);
+
+export default router;
@@ -2,7 +2,9 @@ import express from "express";
 const router = express.Router();
 import {
   handleEstimatorRequest,
+  handleEstimatorStreamRequest,
   handleAdditionalPrompt,
+  handleAdditionalPromptStream,
   handleRangeAction
 } from "../controllers/estimatorController.js";
 import { verifyAuth } from "../middleware/authMiddleware.js";
@@ -11,10 +13,18 @@ import { verifyAuth } from "../middleware/authMiddleware.js";
 // Requires authentication
 router.post("/agent", verifyAuth, handleEstimatorRequest);
 
+// POST /api/agent/stream - Generate an estimate, streaming each applied action as Server-Sent Events
+// Requires authentication
+router.post("/agent/stream", verifyAuth, handleEstimatorStreamRequest);
+
 // POST /api/agent/prompt - Add additional prompt to an existing project
 // Requires authentication
 router.post("/agent/prompt", verifyAuth, handleAdditionalPrompt);
 
+// POST /api/agent/prompt/stream - Add additional prompt, streaming each applied action as Server-Sent Events
+// Requires authentication
+router.post("/agent/prompt/stream", verifyAuth, handleAdditionalPromptStream);
+
 // POST /api/agent/range-action - Perform actions on a range of line items
 // Requires authentication
 router.post("/agent/range-action", verifyAuth, handleRangeAction);
@@ -0,0 +1,23 @@
+import express from "express";
+const router = express.Router();
+import {
+  handleListExchangeRates,
+  handleSetExchangeRate,
+  handleDeleteExchangeRate
+} from "../controllers/currencyController.js";
+import { verifyAuth } from "../middleware/authMiddleware.js";
+
+// GET /api/exchange-rates - List the exchange rates of the user's business
+// Requires authentication
+router.get("/exchange-rates", verifyAuth, handleListExchangeRates);
+
+// PUT /api/exchange-rates/:from/:to - Set the rate of one unit of :from in :to
+// Body: { rate }
+// Requires authentication
+router.put("/exchange-rates/:from/:to", verifyAuth, handleSetExchangeRate);
+
+// DELETE /api/exchange-rates/:from/:to - Delete an exchange rate
+// Requires authentication
+router.delete("/exchange-rates/:from/:to", verifyAuth, handleDeleteExchangeRate);
+
+export default router;
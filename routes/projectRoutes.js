@@ -0,0 +1,145 @@
+import express from "express";
+const router = express.Router();
+import {
+  handleListProjects,
+  handleGetProject,
+  handleGetProjectSummary,
+  handleUpdateProject,
+  handleDeleteProject
+} from "../controllers/projectController.js";
+import {
+  handleListLineItems,
+  handleGetLineItem,
+  handleCreateLineItem,
+  handleUpdateLineItem,
+  handleDeleteLineItem
+} from "../controllers/lineItemController.js";
+import { handleListProjectConversations } from "../controllers/conversationController.js";
+import { handleListProjectChangeSets } from "../controllers/changeSetController.js";
+import {
+  handleListRevisions,
+  handleUndo,
+  handleRedo,
+  handleRestoreRevision
+} from "../controllers/revisionController.js";
+import {
+  handleCreateSnapshot,
+  handleListSnapshots,
+  handleGetSnapshot,
+  handleDiffSnapshots
+} from "../controllers/snapshotController.js";
+import { handleExportProject } from "../controllers/exportController.js";
+import { handleGetProposal } from "../controllers/proposalController.js";
+import { handleImportLineItems } from "../controllers/importController.js";
+import { handleRedenominateProject } from "../controllers/currencyController.js";
+import { verifyAuth } from "../middleware/authMiddleware.js";
+import { verifyProjectAccess } from "../middleware/projectAccessMiddleware.js";
+import { uploadSpreadsheet } from "../middleware/uploadMiddleware.js";
+
+// GET /api/projects - List the projects the user has access to
+// Supports ?limit=&offset=&sort=&order= query parameters
+// Requires authentication
+router.get("/projects", verifyAuth, handleListProjects);
+
+// GET /api/projects/:id - Get a single project
+// Requires authentication and membership in the project's business
+router.get("/projects/:id", verifyAuth, verifyProjectAccess, handleGetProject);
+
+// PATCH /api/projects/:id - Update a project's name, description, status or pricing rules
+// Requires authentication and membership in the project's business
+router.patch("/projects/:id", verifyAuth, verifyProjectAccess, handleUpdateProject);
+
+// DELETE /api/projects/:id - Delete a project and its line items
+// Requires authentication and membership in the project's business
+router.delete("/projects/:id", verifyAuth, verifyProjectAccess, handleDeleteProject);
+
+// GET /api/projects/:id/summary - Get the project total, subtotals by cost_type and top-level item totals
+// Requires authentication and membership in the project's business
+router.get("/projects/:id/summary", verifyAuth, verifyProjectAccess, handleGetProjectSummary);
+
+// POST /api/projects/:id/redenominate - Convert the line items to another currency and make it the project currency
+// Body: { currency }
+// Requires authentication and membership in the project's business
+router.post("/projects/:id/redenominate", verifyAuth, verifyProjectAccess, handleRedenominateProject);
+
+// GET /api/projects/:id/export - Download the line items as a spreadsheet
+// Supports ?format=csv|xlsx (default csv)
+// Requires authentication and membership in the project's business
+router.get("/projects/:id/export", verifyAuth, verifyProjectAccess, handleExportProject);
+
+// GET /api/projects/:id/proposal - Render a client-facing proposal
+// Supports ?format=html|pdf (default html) and ?theme=classic|modern|minimal
+// Requires authentication and membership in the project's business
+router.get("/projects/:id/proposal", verifyAuth, verifyProjectAccess, handleGetProposal);
+
+// GET /api/projects/:id/items - List a project's line items
+// Supports ?offset=&limit= query parameters
+// Requires authentication and membership in the project's business
+router.get("/projects/:id/items", verifyAuth, verifyProjectAccess, handleListLineItems);
+
+// GET /api/projects/:id/items/:itemId - Get a single line item
+// Requires authentication and membership in the project's business
+router.get("/projects/:id/items/:itemId", verifyAuth, verifyProjectAccess, handleGetLineItem);
+
+// POST /api/projects/:id/items - Create a line item manually
+// Requires authentication and membership in the project's business
+router.post("/projects/:id/items", verifyAuth, verifyProjectAccess, handleCreateLineItem);
+
+// PATCH /api/projects/:id/items/:itemId - Update a line item manually
+// Requires authentication and membership in the project's business
+router.patch("/projects/:id/items/:itemId", verifyAuth, verifyProjectAccess, handleUpdateLineItem);
+
+// DELETE /api/projects/:id/items/:itemId - Delete a line item
+// Query: ?cascade=true also deletes its sub-items (by default they move up to its parent)
+// Requires authentication and membership in the project's business
+router.delete("/projects/:id/items/:itemId", verifyAuth, verifyProjectAccess, handleDeleteLineItem);
+
+// POST /api/projects/:id/import - Import line items from a CSV or XLSX file
+// multipart/form-data with the fields file, and optionally format, mapping, hierarchy and dryRun
+// Requires authentication and membership in the project's business
+router.post("/projects/:id/import", verifyAuth, verifyProjectAccess, uploadSpreadsheet, handleImportLineItems);
+
+// GET /api/projects/:id/conversations - Get the project's prompt/action timeline
+// Supports ?includeRaw=true to include the raw model responses
+// Requires authentication and membership in the project's business
+router.get("/projects/:id/conversations", verifyAuth, verifyProjectAccess, handleListProjectConversations);
+
+// GET /api/projects/:id/changesets - List the project's previewed change sets
+// Supports ?status=pending|applied|discarded
+// Requires authentication and membership in the project's business
+router.get("/projects/:id/changesets", verifyAuth, verifyProjectAccess, handleListProjectChangeSets);
+
+// GET /api/projects/:id/revisions - List the revisions recorded for the project's line item changes
+// Requires authentication and membership in the project's business
+router.get("/projects/:id/revisions", verifyAuth, verifyProjectAccess, handleListRevisions);
+
+// POST /api/projects/:id/undo - Undo the latest applied revision
+// Requires authentication and membership in the project's business
+router.post("/projects/:id/undo", verifyAuth, verifyProjectAccess, handleUndo);
+
+// POST /api/projects/:id/redo - Redo the oldest undone revision
+// Requires authentication and membership in the project's business
+router.post("/projects/:id/redo", verifyAuth, verifyProjectAccess, handleRedo);
+
+// POST /api/projects/:id/revisions/:rev/restore - Return the line items to their state right after a revision
+// Requires authentication and membership in the project's business
+router.post("/projects/:id/revisions/:rev/restore", verifyAuth, verifyProjectAccess, handleRestoreRevision);
+
+// POST /api/projects/:id/snapshots - Freeze the current line items and totals under a name
+// Requires authentication and membership in the project's business
+router.post("/projects/:id/snapshots", verifyAuth, verifyProjectAccess, handleCreateSnapshot);
+
+// GET /api/projects/:id/snapshots - List the project's snapshots
+// Requires authentication and membership in the project's business
+router.get("/projects/:id/snapshots", verifyAuth, verifyProjectAccess, handleListSnapshots);
+
+// GET /api/projects/:id/snapshots/diff - Compare two snapshots, or a snapshot and the live project
+// Supports ?from=<snapshotId|live>&to=<snapshotId|live> (to defaults to live)
+// Requires authentication and membership in the project's business
+router.get("/projects/:id/snapshots/diff", verifyAuth, verifyProjectAccess, handleDiffSnapshots);
+
+// GET /api/projects/:id/snapshots/:snapshotId - Get a snapshot with its line item tree
+// Requires authentication and membership in the project's business
+router.get("/projects/:id/snapshots/:snapshotId", verifyAuth, verifyProjectAccess, handleGetSnapshot);
+
+export default router;
@@ -0,0 +1,82 @@
+/**
+ * Export the model responses stored for a project as replay fixtures.
+ *
+ * Every assistant message written by createProject and logPromptAndActions keeps
+ * the prompt and response text in `raw_response`. This writes each of them as a
+ * fixture, so the project's estimate can be reproduced with AI_REPLAY_MODE=replay.
+ *
+ * Usage: node scripts/exportReplayFixtures.js <projectId> [fixturesDir]
+ */
+
+import { getStorage } from "../storage/index.js";
+import { writeFixture } from "../aimodel/providers/recordReplayProvider.js";
+
+/**
+ * Collect the raw model responses stored in a project's conversations
+ * @param {number|string} projectId - The ID of the project
+ * @returns {Promise<Array<Object>>} - Array of { prompt, text, timestamp }
+ */
+async function getStoredResponses(projectId) {
+  const storage = getStorage();
+  const conversations = await storage.conversations.listByProject(projectId);
+  const responses = [];
+
+  for (const conversation of conversations) {
+    const messages = await storage.messages.listByConversation(conversation.id, {
+      role: "assistant",
+    });
+
+    for (const message of messages) {
+      let content;
+      try {
+        content = JSON.parse(message.content);
+      } catch (error) {
+        continue;
+      }
+
+      // A prompt on a large project stores one raw response per part
+      const raw = content && content.raw_response;
+      const parts = raw && Array.isArray(raw.parts) ? raw.parts : [raw];
+      for (const part of parts) {
+        if (part && typeof part.prompt === "string" && typeof part.text === "string") {
+          responses.push({
+            prompt: part.prompt,
+            text: part.text,
+            timestamp: part.timestamp || message.created_at,
+          });
+        }
+      }
+    }
+  }
+
+  return responses;
+}
+
+async function main() {
+  const [projectId, fixturesDir = process.env.AI_FIXTURES_DIR || "fixtures/ai"] =
+    process.argv.slice(2);
+
+  if (!projectId) {
+    console.error("Usage: node scripts/exportReplayFixtures.js <projectId> [fixturesDir]");
+    process.exit(1);
+  }
+
+  const responses = await getStoredResponses(projectId);
+
+  for (const response of responses) {
+    const fixturePath = writeFixture(fixturesDir, {
+      prompt: response.prompt,
+      text: response.text,
+      provider: "stored",
+      recordedAt: response.timestamp,
+    });
+    console.log(`Wrote ${fixturePath}`);
+  }
+
+  console.log(`Exported ${responses.length} responses for project ${projectId}`);
+}
+
+main().catch((error) => {
+  console.error("Error exporting replay fixtures:", error);
+  process.exit(1);
+});
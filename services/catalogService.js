@@ -0,0 +1,654 @@
+import { getStorage } from "../storage/index.js";
+import { roundAmount } from "../utils/money.js";
+import { normalizeUnitType } from "../utils/units.js";
+import { VALID_COST_TYPES, VALID_UNIT_TYPES } from "../utils/lineItemTypes.js";
+import { DEFAULT_CURRENCY, normalizeCurrency } from "./currencyService.js";
+import {
+  ImportError,
+  MAX_IMPORT_ROWS,
+  normalizeHeader,
+  isBlank,
+  parseNumber,
+  normalizeCostType,
+  readSpreadsheet,
+} from "./importService.js";
+
+/**
+ * Columns of catalog_items that can be written through the API and imports
+ * @readonly
+ */
+const CATALOG_FIELDS = [
+  "name",
+  "unit_type",
+  "cost_type",
+  "unit_price",
+  "currency",
+  "supplier",
+  "effective_date",
+];
+
+/**
+ * Column headers recognized for each catalog field when no mapping is given,
+ * compared after normalizeHeader
+ * @readonly
+ */
+const CATALOG_HEADERS = {
+  name: ["name", "item", "item name", "description", "product"],
+  unit_type: ["unit", "units", "unit type", "uom", "unit of measure"],
+  cost_type: ["cost type", "type", "category"],
+  unit_price: ["unit price", "price", "cost", "unit cost", "rate"],
+  currency: ["currency"],
+  supplier: ["supplier", "vendor", "source"],
+  effective_date: ["effective date", "effective", "date", "valid from", "as of"],
+};
+
+/**
+ * Maximum number of price book entries included in a prompt
+ */
+const CATALOG_PROMPT_LIMIT = 50;
+
+/**
+ * Error for a price book request that cannot be carried out. `status` is the
+ * HTTP status the controller responds with.
+ */
+class CatalogError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} status - HTTP status (400 or 404)
+   * @param {Object} [details] - Extra response fields
+   */
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = "CatalogError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Today's date as stored in catalog_items.effective_date
+ * @returns {string} - YYYY-MM-DD
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Check that a value is a calendar date written as YYYY-MM-DD
+ * @param {*} value - The value
+ * @returns {boolean}
+ */
+function isIsoDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Normalize catalog fields in place: trimmed text, canonical unit_type
+ * (free-text units such as "LF" or "ea" are mapped), lower-case cost_type
+ * and upper-case currency
+ * @param {Object} fields - Catalog fields
+ * @returns {Object} - The same object
+ */
+function normalizeCatalogFields(fields) {
+  for (const key of ["name", "supplier", "effective_date"]) {
+    if (typeof fields[key] === "string") fields[key] = fields[key].trim();
+  }
+  if (fields.supplier === "") fields.supplier = null;
+  if (typeof fields.unit_type === "string") {
+    fields.unit_type = normalizeUnitType(fields.unit_type) || fields.unit_type.trim();
+  }
+  if (typeof fields.cost_type === "string") {
+    fields.cost_type = normalizeCostType(fields.cost_type);
+  }
+  if (typeof fields.currency === "string") {
+    fields.currency = fields.currency.trim().toUpperCase();
+  }
+  return fields;
+}
+
+/**
+ * Validate catalog fields against the catalog_items schema
+ * @param {Object} fields - Catalog fields (normalized)
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.requireAll] - Require name and unit_price, as for a new entry
+ * @returns {string|null} - Error message if validation fails, null if successful
+ */
+function validateCatalogFields(fields, { requireAll = false } = {}) {
+  const unknownFields = Object.keys(fields).filter((key) => !CATALOG_FIELDS.includes(key));
+  if (unknownFields.length > 0) {
+    return `Unsupported fields: ${unknownFields.join(", ")}. Fields are: ${CATALOG_FIELDS.join(", ")}`;
+  }
+
+  if ((requireAll || fields.name !== undefined) && (typeof fields.name !== "string" || !fields.name)) {
+    return "name is required";
+  }
+
+  if (
+    (requireAll || fields.unit_price !== undefined) &&
+    (typeof fields.unit_price !== "number" || !Number.isFinite(fields.unit_price) || fields.unit_price < 0)
+  ) {
+    return "unit_price must be a non-negative number";
+  }
+
+  if (fields.unit_type !== undefined && !VALID_UNIT_TYPES.includes(fields.unit_type)) {
+    return `Invalid unit_type '${fields.unit_type}'. Valid unit types are: ${VALID_UNIT_TYPES.join(", ")}`;
+  }
+
+  if (fields.cost_type !== undefined && !VALID_COST_TYPES.includes(fields.cost_type)) {
+    return `Invalid cost_type '${fields.cost_type}'. Valid cost types are: ${VALID_COST_TYPES.join(", ")}`;
+  }
+
+  if (fields.currency !== undefined && normalizeCurrency(fields.currency) !== fields.currency) {
+    return `Invalid currency '${fields.currency}'. Use a three-letter currency code such as USD`;
+  }
+
+  if (fields.supplier !== undefined && fields.supplier !== null && typeof fields.supplier !== "string") {
+    return "supplier must be a string";
+  }
+
+  if (fields.effective_date !== undefined && !isIsoDate(fields.effective_date)) {
+    return "effective_date must be a date written as YYYY-MM-DD";
+  }
+
+  return null;
+}
+
+/**
+ * Keep the entries in effect on a date: for every item (name and supplier),
+ * the entry with the latest effective_date that is not after the date
+ * @param {Array<Object>} entries - catalog_items rows
+ * @param {string} [date] - YYYY-MM-DD (default: today)
+ * @returns {Array<Object>} - The entries in effect, in the order given
+ */
+function currentCatalogItems(entries, date = today()) {
+  const latest = new Map();
+  for (const entry of entries) {
+    if (String(entry.effective_date) > date) continue;
+
+    const key = `${entry.name.toLowerCase()}\u0000${(entry.supplier || "").toLowerCase()}`;
+    const current = latest.get(key);
+    if (!current || String(entry.effective_date) > String(current.effective_date)) {
+      latest.set(key, entry);
+    }
+  }
+
+  const inEffect = new Set(latest.values());
+  return entries.filter((entry) => inEffect.has(entry));
+}
+
+/**
+ * Split text into lower-case words for matching, without a plural "s"
+ * @param {string} text - The text
+ * @returns {Set<string>} - Words of three or more characters
+ */
+function tokenize(text) {
+  const words = String(text || "").toLowerCase().match(/[a-z0-9]+/g) || [];
+  return new Set(
+    words
+      .filter((word) => word.length >= 3)
+      .map((word) => (word.length > 3 && word.endsWith("s") ? word.slice(0, -1) : word))
+  );
+}
+
+/**
+ * Pick the price book entries relevant to a request. A small price book is
+ * included whole; a larger one is ranked by the words its entries share with
+ * the request, and entries sharing none are left out.
+ * @param {Array<Object>} entries - catalog_items rows in effect
+ * @param {string} text - The request (project details or prompt)
+ * @param {number} [limit] - Maximum number of entries (default: CATALOG_PROMPT_LIMIT)
+ * @returns {Array<Object>} - The relevant entries
+ */
+function selectRelevantCatalogItems(entries, text, limit = CATALOG_PROMPT_LIMIT) {
+  if (entries.length <= limit) {
+    return entries;
+  }
+
+  const words = tokenize(text);
+  return entries
+    .map((entry) => {
+      const entryWords = tokenize(`${entry.name} ${entry.supplier || ""}`);
+      let score = 0;
+      for (const word of entryWords) {
+        if (words.has(word)) score++;
+      }
+      return { entry, score };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name))
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Find the price book entries of a business to include in a prompt. Failures
+ * are logged and give no entries, so that an estimate never fails because of
+ * the price book.
+ * @param {number|string|null} businessId - The ID of the business
+ * @param {string} text - The request (project details or prompt)
+ * @returns {Promise<Array<Object>>} - catalog_items rows
+ */
+async function findRelevantCatalogItems(businessId, text) {
+  if (!businessId) {
+    return [];
+  }
+
+  try {
+    const entries = await getStorage().catalogItems.listByBusiness(businessId);
+    return selectRelevantCatalogItems(currentCatalogItems(entries), text);
+  } catch (error) {
+    console.error("Error loading price book for prompt:", error);
+    return [];
+  }
+}
+
+/**
+ * Find the price book entries of the user's business to include in a prompt
+ * for a new project
+ * @param {string} userId - The ID of the authenticated user
+ * @param {string} text - The request (project details)
+ * @returns {Promise<Array<Object>>} - catalog_items rows
+ */
+async function findRelevantCatalogItemsForUser(userId, text) {
+  try {
+    const businessUser = await getStorage().businessUsers.getFirstForUser(userId);
+    return businessUser ? findRelevantCatalogItems(businessUser.business_id, text) : [];
+  } catch (error) {
+    console.error("Error loading price book for prompt:", error);
+    return [];
+  }
+}
+
+/**
+ * Describe the price book entry a line item was priced from, for estimate_items.data
+ * @param {Object} entry - The catalog_items row
+ * @returns {Object} - `{ id, name, supplier, unit_price, currency, effective_date }`
+ */
+function catalogLink(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    supplier: entry.supplier || null,
+    unit_price: Number(entry.unit_price),
+    currency: entry.currency,
+    effective_date: entry.effective_date,
+  };
+}
+
+/**
+ * Replace the catalog_id attribute of an add or update action with the
+ * values of the price book entry: its unit_price, unit_type, cost_type and
+ * currency, an amount for the quantity, and a link to the entry in
+ * data.catalog. An add without a description takes the entry's name.
+ * @param {number|string} projectId - The ID of the project
+ * @param {Object} action - Action parsed by parseAction
+ * @returns {Promise<Object>} - `{ action }` (unchanged without catalog_id) or `{ error, itemId }`
+ */
+async function resolveCatalogReference(projectId, action) {
+  const attributes = action.attributes || {};
+  if (attributes.catalog_id === undefined) {
+    return { action };
+  }
+
+  const fail = (message) => ({
+    itemId: action.id,
+    error: action.verb === "update"
+      ? `Error updating item ID:${action.id}: ${message}`
+      : `Error adding new item: ${message}`,
+  });
+
+  const { catalog_id: catalogId, ...fields } = attributes;
+  if (!Number.isInteger(catalogId)) {
+    return fail("catalog_id must be the ID of a price book entry");
+  }
+
+  const storage = getStorage();
+  const project = await storage.projects.getById(projectId);
+  const entry = project && project.business_id
+    ? await storage.catalogItems.getById(project.business_id, catalogId)
+    : null;
+  if (!entry) {
+    return fail(`price book entry ${catalogId} not found`);
+  }
+
+  const existing = action.verb === "update" ? await storage.estimateItems.getById(projectId, action.id) : null;
+  const quantity = fields.quantity ?? (existing && existing.quantity !== null ? Number(existing.quantity) : 1);
+  const unitPrice = Number(entry.unit_price);
+
+  const resolved = {
+    ...fields,
+    quantity,
+    unit_price: unitPrice,
+    unit_type: entry.unit_type,
+    cost_type: entry.cost_type,
+    currency: entry.currency,
+    amount: roundAmount(quantity * unitPrice),
+    data: {
+      ...((existing && existing.data) || {}),
+      ...(fields.data || {}),
+      catalog: catalogLink(entry),
+    },
+  };
+  if (action.verb !== "update" && !resolved.description) {
+    resolved.description = entry.name;
+  }
+
+  return { action: { ...action, attributes: resolved } };
+}
+
+/**
+ * Find the business whose price book a user maintains
+ * @param {string} userId - The ID of the authenticated user
+ * @returns {Promise<number>} - The ID of the business
+ * @throws {CatalogError} - 404 if the user does not belong to a business
+ */
+async function getUserBusinessId(userId) {
+  const businessUser = await getStorage().businessUsers.getFirstForUser(userId);
+  if (!businessUser) {
+    throw new CatalogError("Failed to find business for user", 404);
+  }
+  return businessUser.business_id;
+}
+
+/**
+ * List the price book of the user's business
+ * @param {string} userId - The ID of the authenticated user
+ * @param {Object} [options] - List options
+ * @param {string} [options.search] - Only entries whose name or supplier contains this text
+ * @param {boolean} [options.includeHistory] - Include superseded and future entries
+ * @returns {Promise<Object>} - `{ businessId, items }`
+ */
+async function listCatalogItems(userId, { search, includeHistory = false } = {}) {
+  try {
+    const businessId = await getUserBusinessId(userId);
+    const entries = await getStorage().catalogItems.listByBusiness(businessId);
+    let items = includeHistory ? entries : currentCatalogItems(entries);
+
+    if (search) {
+      const needle = search.toLowerCase();
+      items = items.filter((entry) =>
+        `${entry.name} ${entry.supplier || ""}`.toLowerCase().includes(needle)
+      );
+    }
+
+    return { businessId, items };
+  } catch (error) {
+    if (!(error instanceof CatalogError)) {
+      console.error("Error listing price book:", error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a price book entry of the user's business
+ * @param {string} userId - The ID of the authenticated user
+ * @param {number|string} catalogItemId - The ID of the entry
+ * @returns {Promise<Object>} - The catalog_items row
+ * @throws {CatalogError} - 404 if the business has no such entry
+ */
+async function getCatalogItem(userId, catalogItemId) {
+  try {
+    const businessId = await getUserBusinessId(userId);
+    const entry = await getStorage().catalogItems.getById(businessId, catalogItemId);
+    if (!entry) {
+      throw new CatalogError("Price book entry not found", 404);
+    }
+    return entry;
+  } catch (error) {
+    if (!(error instanceof CatalogError)) {
+      console.error("Error getting price book entry:", error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Add an entry to the price book of the user's business
+ * @param {string} userId - The ID of the authenticated user
+ * @param {Object} fields - Catalog fields (name and unit_price are required)
+ * @returns {Promise<Object>} - The created catalog_items row
+ * @throws {CatalogError} - 400 if the fields are invalid
+ */
+async function createCatalogItem(userId, fields) {
+  try {
+    const values = normalizeCatalogFields({ ...fields });
+    const validationError = validateCatalogFields(values, { requireAll: true });
+    if (validationError) {
+      throw new CatalogError(validationError, 400);
+    }
+
+    const businessId = await getUserBusinessId(userId);
+    return await getStorage().catalogItems.create({
+      ...values,
+      business_id: businessId,
+      created_by: userId,
+    });
+  } catch (error) {
+    if (!(error instanceof CatalogError)) {
+      console.error("Error creating price book entry:", error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Update a price book entry of the user's business. Line items already
+ * priced from the entry keep the price recorded in their data.catalog.
+ * @param {string} userId - The ID of the authenticated user
+ * @param {number|string} catalogItemId - The ID of the entry
+ * @param {Object} fields - Catalog fields to change
+ * @returns {Promise<Object>} - The updated catalog_items row
+ * @throws {CatalogError} - 400 if the fields are invalid, 404 if the entry does not exist
+ */
+async function updateCatalogItem(userId, catalogItemId, fields) {
+  try {
+    const values = normalizeCatalogFields({ ...fields });
+    const validationError = validateCatalogFields(values);
+    if (validationError) {
+      throw new CatalogError(validationError, 400);
+    }
+
+    const businessId = await getUserBusinessId(userId);
+    const entry = await getStorage().catalogItems.update(businessId, catalogItemId, values);
+    if (!entry) {
+      throw new CatalogError("Price book entry not found", 404);
+    }
+    return entry;
+  } catch (error) {
+    if (!(error instanceof CatalogError)) {
+      console.error("Error updating price book entry:", error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete a price book entry of the user's business
+ * @param {string} userId - The ID of the authenticated user
+ * @param {number|string} catalogItemId - The ID of the entry
+ * @returns {Promise<Object>} - The deleted catalog_items row
+ * @throws {CatalogError} - 404 if the entry does not exist
+ */
+async function deleteCatalogItem(userId, catalogItemId) {
+  try {
+    const businessId = await getUserBusinessId(userId);
+    const entry = await getStorage().catalogItems.delete(businessId, catalogItemId);
+    if (!entry) {
+      throw new CatalogError("Price book entry not found", 404);
+    }
+    return entry;
+  } catch (error) {
+    if (!(error instanceof CatalogError)) {
+      console.error("Error deleting price book entry:", error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find the column of every mapped catalog field
+ * @param {Array} headers - The header row
+ * @param {Object} [mapping] - Field name to column header; fields that are
+ *   not mapped are matched against CATALOG_HEADERS
+ * @returns {Object} - Field name to 0-based column index
+ * @throws {ImportError} - If a mapped header is missing or there is no name or price column
+ */
+function resolveCatalogColumns(headers, mapping) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+
+  for (const [field, header] of Object.entries(mapping || {})) {
+    const index = normalized.indexOf(normalizeHeader(header));
+    if (index === -1) {
+      throw new ImportError(`Column "${header}" mapped to ${field} was not found`, {
+        headers: headers.map(String),
+      });
+    }
+    columns[field] = index;
+  }
+
+  for (const field of CATALOG_FIELDS) {
+    if (columns[field] !== undefined) continue;
+    const index = normalized.findIndex(
+      (header, position) =>
+        CATALOG_HEADERS[field].includes(header) && !Object.values(columns).includes(position)
+    );
+    if (index !== -1) columns[field] = index;
+  }
+
+  for (const field of ["name", "unit_price"]) {
+    if (columns[field] === undefined) {
+      throw new ImportError(`No ${field} column found. Map one with mapping.${field}.`, {
+        headers: headers.map(String),
+      });
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Turn a data row into catalog fields
+ * @param {Object} row - Row from readSpreadsheet
+ * @param {Object} columns - Field name to column index
+ * @returns {Object} - `{ fields }` or `{ error }`
+ */
+function toCatalogFields(row, columns) {
+  const cell = (field) => (columns[field] === undefined ? "" : row.cells[columns[field]]);
+  const fields = {};
+
+  for (const field of ["name", "unit_type", "cost_type", "currency", "supplier", "effective_date"]) {
+    if (!isBlank(cell(field))) fields[field] = String(cell(field)).trim();
+  }
+
+  const unitPrice = parseNumber(cell("unit_price"));
+  if (unitPrice === undefined) {
+    return { error: `unit_price '${cell("unit_price")}' is not a number` };
+  }
+  if (unitPrice !== null) fields.unit_price = unitPrice;
+
+  const values = normalizeCatalogFields(fields);
+  const validationError = validateCatalogFields(values, { requireAll: true });
+  return validationError ? { error: validationError } : { fields: values };
+}
+
+/**
+ * Import price book entries from a CSV or XLSX file into the user's business.
+ * Every valid row is added as a new entry (a row for an existing item with a
+ * later effective_date supersedes it from that date). The valid rows are
+ * inserted together; rows with errors are reported and not inserted.
+ * @param {string} userId - The ID of the authenticated user
+ * @param {Buffer} buffer - The file contents
+ * @param {Object} options - Import options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {Object} [options.mapping] - Field name to column header
+ * @param {boolean} [options.dryRun] - Only validate the rows
+ * @returns {Promise<Object>} - `{ columns, itemsImported, rowsValid, errors, rows }`
+ * @throws {ImportError} - If the file or mapping cannot be used
+ */
+async function importCatalogItems(userId, buffer, { format, mapping, dryRun = false }) {
+  try {
+    const table = (await readSpreadsheet(buffer, format)).filter((row) =>
+      row.cells.some((value) => !isBlank(value))
+    );
+    if (table.length === 0) {
+      throw new ImportError("The file is empty");
+    }
+
+    const [header, ...dataRows] = table;
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+      throw new ImportError(`The file has ${dataRows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`);
+    }
+
+    const columns = resolveCatalogColumns(header.cells, mapping);
+    const rows = dataRows.map((row) => {
+      const result = toCatalogFields(row, columns);
+      return {
+        number: row.number,
+        status: result.error ? "error" : "valid",
+        fields: result.fields || null,
+        error: result.error,
+      };
+    });
+
+    const validRows = rows.filter((row) => row.status === "valid");
+    if (!dryRun && validRows.length > 0) {
+      const businessId = await getUserBusinessId(userId);
+      const created = await getStorage().catalogItems.createMany(
+        validRows.map((row) => ({
+          currency: DEFAULT_CURRENCY,
+          ...row.fields,
+          business_id: businessId,
+          created_by: userId,
+        }))
+      );
+      validRows.forEach((row, index) => {
+        row.status = "imported";
+        row.itemId = created[index].id;
+      });
+    }
+
+    const failed = rows.filter((row) => row.status === "error");
+    return {
+      columns: Object.fromEntries(
+        Object.entries(columns).map(([field, index]) => [field, String(header.cells[index])])
+      ),
+      itemsImported: rows.filter((row) => row.status === "imported").length,
+      rowsValid: rows.filter((row) => row.status === "valid").length,
+      errors: failed.map((row) => ({ row: row.number, error: row.error })),
+      rows: rows.map((row) => ({
+        row: row.number,
+        status: row.status,
+        ...(row.itemId !== undefined ? { itemId: row.itemId } : {}),
+        ...(row.fields ? { fields: row.fields } : {}),
+        ...(row.error ? { error: row.error } : {}),
+      })),
+    };
+  } catch (error) {
+    if (!(error instanceof ImportError) && !(error instanceof CatalogError)) {
+      console.error("Error importing price book:", error);
+    }
+    throw error;
+  }
+}
+
+export {
+  CATALOG_FIELDS,
+  CatalogError,
+  currentCatalogItems,
+  selectRelevantCatalogItems,
+  findRelevantCatalogItems,
+  findRelevantCatalogItemsForUser,
+  resolveCatalogReference,
+  listCatalogItems,
+  getCatalogItem,
+  createCatalogItem,
+  updateCatalogItem,
+  deleteCatalogItem,
+  importCatalogItems,
+};
@@ -0,0 +1,487 @@
+import { getStorage } from "../storage/index.js";
+import {
+  applyLineItemChanges,
+  logPromptAndActions,
+  parseLineItemInstruction,
+  resolveLineItemAction,
+  prepareLineItemOperation,
+  validateItemRefs,
+} from "./projectService.js";
+import { canonicalJson } from "../utils/canonicalJson.js";
+import { roundAmount, amountOf, sumAmounts } from "../utils/money.js";
+import { findItemByParentReference, createsCycle } from "../utils/itemTree.js";
+
+/**
+ * Fields listed in the diff of an added item
+ * @readonly
+ */
+const ADDED_ITEM_FIELDS = [
+  "title",
+  "description",
+  "quantity",
+  "unit_price",
+  "amount",
+  "unit_type",
+  "cost_type",
+  "status",
+  "parent_item_id",
+  "is_sub_item",
+];
+
+/**
+ * NUMERIC(10, 2) columns of estimate_items, rounded like the database does
+ * @readonly
+ */
+const NUMERIC_FIELDS = ["quantity", "unit_price", "amount", "total_amount"];
+
+/**
+ * Round the numeric fields of a row like NUMERIC(10, 2) columns
+ * @param {Object} fields - Row fields
+ * @returns {Object} - The same object with rounded numbers
+ */
+function roundNumericFields(fields) {
+  for (const field of NUMERIC_FIELDS) {
+    if (typeof fields[field] === "number") {
+      fields[field] = roundAmount(fields[field]);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Build the diff entry of a single instruction by applying it to the simulated items
+ * @param {Map} items - Simulated items of the project by ID (modified in place)
+ * @param {Object} operation - Operation from prepareLineItemOperation
+ * @param {Object} entry - Diff entry with index and instruction
+ * @param {Map} refs - IDs of the items added by earlier instructions by their ref (modified in place)
+ * @returns {Object} - The completed diff entry
+ */
+function simulateOperation(items, operation, entry, refs) {
+  const findByDescription = (description) =>
+    findItemByParentReference([...items.values()], description);
+  const fail = (verb, message) => ({
+    ...entry,
+    type: "error",
+    itemId: operation.id ?? null,
+    error: `Error ${verb} item ID:${operation.id}: ${message}`,
+  });
+
+  const existing = operation.op === "insert" ? null : items.get(String(operation.id));
+  const amountBefore = amountOf(existing);
+
+  switch (operation.op) {
+    case "insert": {
+      const refError = validateItemRefs(operation, refs);
+      if (refError) {
+        return { ...entry, type: "error", itemId: null, error: refError };
+      }
+
+      const item = roundNumericFields({ ...operation.fields, parent_item_id: null });
+      const warnings = [];
+
+      if (operation.parentRef !== undefined && refs.has(operation.parentRef)) {
+        item.parent_item_id = refs.get(operation.parentRef);
+        item.is_sub_item = true;
+      } else if (operation.parentDescription !== undefined) {
+        const parent = findByDescription(operation.parentDescription);
+        if (parent) {
+          item.parent_item_id = parent.id;
+          item.is_sub_item = true;
+        } else {
+          warnings.push(`Could not find parent item: ${operation.parentDescription}`);
+        }
+      }
+
+      // Items added by the change set are referenced as new:<index> until they exist
+      item.id = `new:${entry.index}`;
+      items.set(item.id, item);
+      if (operation.ref !== undefined) refs.set(operation.ref, item.id);
+
+      return {
+        ...entry,
+        type: "add",
+        itemId: null,
+        ref: item.id,
+        description: item.description,
+        changes: ADDED_ITEM_FIELDS.filter((field) => item[field] !== undefined).map(
+          (field) => ({ field, before: null, after: item[field] })
+        ),
+        amountBefore: 0,
+        amountAfter: amountOf(item),
+        amountDelta: roundAmount(amountOf(item)),
+        warnings,
+      };
+    }
+
+    case "update": {
+      if (!existing) return fail("updating", "item not found");
+      if (
+        operation.fields.parent_item_id !== undefined &&
+        createsCycle([...items.values()], existing.id, operation.fields.parent_item_id)
+      ) {
+        return fail("updating", "an item cannot be moved under itself or one of its sub-items");
+      }
+
+      const updated = roundNumericFields({ ...existing, ...operation.fields });
+      const changes = Object.keys(operation.fields)
+        .filter((field) => canonicalJson(existing[field]) !== canonicalJson(updated[field]))
+        .map((field) => ({ field, before: existing[field] ?? null, after: updated[field] }));
+      items.set(String(existing.id), updated);
+
+      return {
+        ...entry,
+        type: "update",
+        itemId: existing.id,
+        description: updated.description,
+        changes,
+        amountBefore,
+        amountAfter: amountOf(updated),
+        amountDelta: roundAmount(amountOf(updated) - amountBefore),
+      };
+    }
+
+    case "delete": {
+      if (!existing) return fail("deleting", "item not found");
+
+      items.delete(String(existing.id));
+      // The sub-items of a deleted item move up to its parent
+      const detachedItemIds = [];
+      for (const [id, item] of items) {
+        if (String(item.parent_item_id) === String(existing.id)) {
+          items.set(id, {
+            ...item,
+            parent_item_id: existing.parent_item_id ?? null,
+            is_sub_item: existing.parent_item_id !== null && existing.parent_item_id !== undefined,
+          });
+          detachedItemIds.push(item.id);
+        }
+      }
+
+      return {
+        ...entry,
+        type: "delete",
+        itemId: existing.id,
+        description: existing.description,
+        changes: [],
+        amountBefore,
+        amountAfter: 0,
+        amountDelta: roundAmount(-amountBefore),
+        detachedItemIds,
+      };
+    }
+
+    default: {
+      if (!existing) return fail("moving", "item not found");
+
+      let parent = null;
+      if (operation.parentId !== undefined) {
+        parent = items.get(String(operation.parentId)) || null;
+        if (!parent) return fail("moving", `parent item ID:${operation.parentId} not found`);
+      } else if (operation.parentDescription !== undefined) {
+        parent = findByDescription(operation.parentDescription);
+        if (!parent) return fail("moving", `parent item '${operation.parentDescription}' not found`);
+      }
+
+      for (let ancestor = parent; ancestor; ) {
+        if (String(ancestor.id) === String(existing.id)) {
+          return fail("moving", "an item cannot be moved under itself or one of its sub-items");
+        }
+        ancestor = ancestor.parent_item_id !== null && ancestor.parent_item_id !== undefined
+          ? items.get(String(ancestor.parent_item_id)) || null
+          : null;
+      }
+
+      const moved = {
+        ...existing,
+        parent_item_id: parent ? parent.id : null,
+        is_sub_item: parent !== null,
+      };
+      items.set(String(existing.id), moved);
+
+      return {
+        ...entry,
+        type: "move",
+        itemId: existing.id,
+        description: existing.description,
+        changes: ["parent_item_id", "is_sub_item"]
+          .filter((field) => existing[field] !== moved[field])
+          .map((field) => ({ field, before: existing[field] ?? null, after: moved[field] })),
+        amountBefore,
+        amountAfter: amountBefore,
+        amountDelta: 0,
+      };
+    }
+  }
+}
+
+/**
+ * Work out what a list of instructions would change, without applying them.
+ * Every instruction is parsed, its item IDs and parents are resolved against
+ * the project's items as the instructions before it leave them, and the result
+ * is described field by field. Cost types are classified with the keyword
+ * rules only, so that the same instructions always give the same diff.
+ * @param {number|string} projectId - The ID of the project
+ * @param {string} userId - The ID of the authenticated user
+ * @param {Array<string>} instructions - Instructions in the action language
+ * @param {string} [currency] - Currency for new items (default: USD)
+ * @returns {Promise<Object>} - Diff with `items` (one entry per instruction),
+ *   `totals` ({ before, after, delta }) and `counts`
+ */
+async function previewLineItemChanges(projectId, userId, instructions, currency = "USD") {
+  const rows = await getStorage().estimateItems.listByProject(projectId);
+  const items = new Map(rows.map((row) => [String(row.id), { ...row }]));
+  const totalBefore = sumAmounts(rows);
+  const entries = [];
+  const refs = new Map();
+
+  for (const [index, rawInstruction] of instructions.entries()) {
+    const instruction = String(rawInstruction).trim();
+    if (!instruction) continue;
+
+    const entry = { index, instruction };
+    const parsed = parseLineItemInstruction(instruction);
+    if (parsed.error) {
+      entries.push({ ...entry, type: "error", itemId: null, error: parsed.error });
+      continue;
+    }
+
+    // Resolve against the simulated items, with the keyword rules only: a model
+    // answer could differ between this preview and the one applyChangeSet compares it with
+    const resolved = await resolveLineItemAction(projectId, parsed.action, {
+      useModel: false,
+      items,
+    });
+    const prepared = resolved.error
+      ? resolved
+      : prepareLineItemOperation(userId, resolved.action, instruction, currency);
+    if (prepared.error) {
+      entries.push({
+        ...entry,
+        type: "error",
+        itemId: prepared.itemId ?? null,
+        error: prepared.error,
+      });
+      continue;
+    }
+
+    entries.push(simulateOperation(items, prepared.operation, entry, refs));
+  }
+
+  const totalAfter = sumAmounts([...items.values()]);
+  const count = (type) => entries.filter((entry) => entry.type === type).length;
+
+  return {
+    items: entries,
+    totals: {
+      before: totalBefore,
+      after: totalAfter,
+      delta: roundAmount(totalAfter - totalBefore),
+    },
+    counts: {
+      added: count("add"),
+      updated: count("update"),
+      deleted: count("delete"),
+      moved: count("move"),
+      errors: count("error"),
+    },
+  };
+}
+
+/**
+ * Format a change_sets row for API responses
+ * @param {Object} changeSet - The change_sets row
+ * @returns {Object} - The change set with its diff
+ */
+function formatChangeSet(changeSet) {
+  return {
+    id: changeSet.id,
+    projectId: changeSet.project_id,
+    status: changeSet.status,
+    source: changeSet.source,
+    prompt: changeSet.prompt,
+    instructions: changeSet.instructions,
+    currency: changeSet.currency,
+    createdBy: changeSet.created_by,
+    createdAt: changeSet.created_at,
+    resolvedAt: changeSet.resolved_at,
+    ...changeSet.diff,
+  };
+}
+
+/**
+ * Preview instructions and store them as a pending change set
+ * @param {Object} params - Change set parameters
+ * @param {number|string} params.projectId - The ID of the project
+ * @param {string} params.userId - The ID of the authenticated user
+ * @param {string} params.source - What produced the instructions ('prompt' or 'range_action')
+ * @param {Array<string>} params.instructions - Instructions in the action language
+ * @param {string} [params.currency] - Currency for new items (default: USD)
+ * @param {string} [params.prompt] - The user's prompt, logged to the conversation when applied
+ * @param {Object} [params.rawResponse] - The model's raw response, logged with the prompt
+ * @returns {Promise<Object>} - The created change_sets row
+ */
+async function createChangeSet({
+  projectId,
+  userId,
+  source,
+  instructions,
+  currency = "USD",
+  prompt = null,
+  rawResponse = null,
+}) {
+  try {
+    const diff = await previewLineItemChanges(projectId, userId, instructions, currency);
+
+    return await getStorage().changeSets.create({
+      project_id: projectId,
+      source,
+      prompt,
+      instructions,
+      currency,
+      diff,
+      raw_response: rawResponse,
+      created_by: userId,
+    });
+  } catch (error) {
+    console.error("Error creating change set:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a change set by ID
+ * @param {number|string} changeSetId - The ID of the change set
+ * @returns {Promise<Object|null>} - The change_sets row or null if not found
+ */
+async function getChangeSet(changeSetId) {
+  try {
+    return await getStorage().changeSets.getById(changeSetId);
+  } catch (error) {
+    console.error("Error in getChangeSet:", error);
+    throw error;
+  }
+}
+
+/**
+ * List the change sets of a project, newest first
+ * @param {number|string} projectId - The ID of the project
+ * @param {Object} [options] - Filter options
+ * @param {string} [options.status] - Only return change sets with this status
+ * @returns {Promise<Array>} - Array of change_sets rows
+ */
+async function listProjectChangeSets(projectId, { status = null } = {}) {
+  try {
+    return await getStorage().changeSets.listByProject(projectId, { status });
+  } catch (error) {
+    console.error("Error in listProjectChangeSets:", error);
+    throw error;
+  }
+}
+
+/**
+ * Apply a pending change set. The instructions are previewed again first: if
+ * the project changed since the change set was created, so that the diff would
+ * differ from the one the user saw, nothing is applied. Otherwise the
+ * instructions without errors in the diff are applied in one transaction,
+ * classifying cost types without the model like the preview did.
+ * @param {Object} changeSet - The change_sets row
+ * @param {string} userId - The ID of the authenticated user
+ * @returns {Promise<Object>} - `{ outcome, changeSet, summary, diff }` where outcome is
+ *   'applied', 'stale' (with the current diff), 'resolved' (no longer pending) or
+ *   'rolled_back' (with the summary of applyLineItemChanges)
+ */
+async function applyChangeSet(changeSet, userId) {
+  try {
+    const storage = getStorage();
+    const { id, project_id: projectId, instructions, currency } = changeSet;
+
+    const diff = await previewLineItemChanges(projectId, userId, instructions, currency);
+    if (canonicalJson(diff.items) !== canonicalJson(changeSet.diff.items || [])) {
+      return { outcome: "stale", changeSet, diff };
+    }
+
+    // Claim the change set first so that concurrent requests cannot apply it twice
+    const timestamp = new Date().toISOString();
+    const claimed = await storage.changeSets.update(
+      id,
+      { status: "applied", resolved_at: timestamp, updated_at: timestamp },
+      { status: "pending" }
+    );
+    if (!claimed) {
+      return { outcome: "resolved", changeSet: await getChangeSet(id) };
+    }
+
+    // The instructions that failed in the preview would fail again, so they are skipped
+    const failed = diff.items.filter((entry) => entry.type === "error");
+    const failedIndexes = new Set(failed.map((entry) => entry.index));
+    const applicableIndexes = instructions
+      .map((_, index) => index)
+      .filter((index) => !failedIndexes.has(index));
+
+    const summary = await applyLineItemChanges(
+      projectId,
+      userId,
+      applicableIndexes.map((index) => instructions[index]),
+      currency,
+      { atomic: true, useModel: false }
+    );
+    summary.errors = [...failed.map((entry) => entry.error), ...summary.errors];
+
+    if (summary.rolledBackBy) {
+      summary.rolledBackBy = {
+        ...summary.rolledBackBy,
+        index: applicableIndexes[summary.rolledBackBy.index],
+      };
+      await storage.changeSets.update(id, {
+        status: "pending",
+        resolved_at: null,
+        updated_at: new Date().toISOString(),
+      });
+      return { outcome: "rolled_back", changeSet, summary };
+    }
+
+    if (changeSet.prompt) {
+      await logPromptAndActions(
+        projectId,
+        userId,
+        changeSet.prompt,
+        changeSet.raw_response,
+        summary
+      );
+    }
+
+    return { outcome: "applied", changeSet: claimed, summary };
+  } catch (error) {
+    console.error("Error applying change set:", error);
+    throw error;
+  }
+}
+
+/**
+ * Discard a pending change set
+ * @param {Object} changeSet - The change_sets row
+ * @returns {Promise<Object|null>} - The discarded change set, or null if it was no longer pending
+ */
+async function discardChangeSet(changeSet) {
+  try {
+    const timestamp = new Date().toISOString();
+    return await getStorage().changeSets.update(
+      changeSet.id,
+      { status: "discarded", resolved_at: timestamp, updated_at: timestamp },
+      { status: "pending" }
+    );
+  } catch (error) {
+    console.error("Error discarding change set:", error);
+    throw error;
+  }
+}
+
+export {
+  previewLineItemChanges,
+  formatChangeSet,
+  createChangeSet,
+  getChangeSet,
+  listProjectChangeSets,
+  applyChangeSet,
+  discardChangeSet,
+};
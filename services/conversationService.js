@@ -0,0 +1,221 @@
+import { getStorage } from "../storage/index.js";
+
+/**
+ * Try to parse a message's content as JSON
+ * @param {string} content - The raw messages.content value
+ * @returns {Object|null} - The parsed object or null if the content is plain text
+ */
+function parseMessageContent(content) {
+  if (typeof content !== "string" || !content.trim().startsWith("{")) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalize an action summary stored by logPromptAndActions
+ * @param {Object} [actionSummary] - The stored action summary
+ * @returns {Object} - Summary with counts and errors always present
+ */
+function normalizeActionSummary(actionSummary = {}) {
+  const summary = actionSummary || {};
+  return {
+    itemsAdded: summary.itemsAdded || 0,
+    itemsUpdated: summary.itemsUpdated || 0,
+    itemsDeleted: summary.itemsDeleted || 0,
+    errors: Array.isArray(summary.errors) ? summary.errors : [],
+    revisionId: summary.revisionId || null,
+    ...(summary.rolledBackBy ? { rolledBackBy: summary.rolledBackBy } : {}),
+  };
+}
+
+/**
+ * Decode a stored message into a typed timeline entry.
+ *
+ * Entry types:
+ * - `prompt`: a user prompt (`details` is set when the prompt was JSON project details)
+ * - `estimate`: the initial estimate stored by createProject
+ * - `actions`: the result of applying a prompt's actions (logPromptAndActions)
+ * - `estimate_update`: a system note stored by updateProjectWithEstimate
+ * - `currency_change`: a system note stored by redenominateProject, with the rates used
+ * - `message`: any other message, passed through as text
+ *
+ * @param {Object} message - A messages row
+ * @param {Object} [options] - Decoding options
+ * @param {boolean} [options.includeRaw] - Include the raw model response (prompt and text)
+ * @returns {Object} - The timeline entry
+ */
+function decodeMessage(message, { includeRaw = false } = {}) {
+  const entry = {
+    id: message.id,
+    role: message.role,
+    createdAt: message.created_at,
+    userId: message.user_id,
+    relatedItemId: message.related_estimate_item_id || null,
+  };
+
+  const content = parseMessageContent(message.content);
+
+  if (message.role === "user") {
+    return {
+      ...entry,
+      type: "prompt",
+      text: message.content,
+      details: content,
+    };
+  }
+
+  if (!content || !content.type) {
+    return {
+      ...entry,
+      type: "message",
+      text: message.content,
+    };
+  }
+
+  const raw = includeRaw ? { raw: content.raw_response || null } : {};
+
+  switch (content.type) {
+    case "estimate":
+      return {
+        ...entry,
+        type: "estimate",
+        title: content.title || null,
+        totalAmount: content.total_amount ?? null,
+        currency: content.currency || null,
+        generatedAt: content.raw_response?.timestamp || null,
+        ...raw,
+      };
+
+    case "additional_estimate": {
+      const actionSummary = normalizeActionSummary(content.action_summary);
+      return {
+        ...entry,
+        type: "actions",
+        actionSummary,
+        changeCount:
+          actionSummary.itemsAdded +
+          actionSummary.itemsUpdated +
+          actionSummary.itemsDeleted,
+        generatedAt:
+          content.timestamp || content.raw_response?.timestamp || null,
+        ...raw,
+      };
+    }
+
+    case "estimate_update":
+      return {
+        ...entry,
+        type: "estimate_update",
+        message: content.message || null,
+        totalAmount: content.total_amount ?? null,
+        currency: content.currency || null,
+      };
+
+    case "currency_change":
+      return {
+        ...entry,
+        type: "currency_change",
+        message: content.message || null,
+        from: content.from || null,
+        to: content.to || null,
+        rates: Array.isArray(content.rates) ? content.rates : [],
+      };
+
+    default:
+      return {
+        ...entry,
+        type: "message",
+        text: message.content,
+      };
+  }
+}
+
+/**
+ * Decode a conversation's messages into a chronological timeline.
+ * Each `actions` or `estimate` entry is linked to the user prompt that
+ * preceded it through `promptId`.
+ * @param {Object} conversation - A conversation as returned by the conversation RPCs
+ * @param {Object} [options] - Options passed to decodeMessage
+ * @returns {Object} - The conversation with a `timeline` instead of raw messages
+ */
+function decodeConversation(conversation, options = {}) {
+  const { messages, ...rest } = conversation;
+  const timeline = [];
+  let lastPromptId = null;
+
+  for (const message of messages || []) {
+    const entry = decodeMessage(message, options);
+
+    if (entry.type === "prompt") {
+      lastPromptId = entry.id;
+    } else if (entry.type === "actions" || entry.type === "estimate") {
+      entry.promptId = lastPromptId;
+      lastPromptId = null;
+    }
+
+    timeline.push(entry);
+  }
+
+  return {
+    id: rest.id,
+    projectId: rest.project_id,
+    businessId: rest.business_id,
+    createdAt: rest.created_at,
+    updatedAt: rest.updated_at,
+    createdBy: rest.created_by,
+    timeline,
+  };
+}
+
+/**
+ * Get a project's conversations with decoded timelines
+ * @param {string} userId - The ID of the authenticated user
+ * @param {number|string} projectId - The ID of the project
+ * @param {Object} [options] - Options passed to decodeMessage
+ * @returns {Promise<Array>} - Array of decoded conversations, newest first
+ */
+async function getProjectConversations(userId, projectId, options = {}) {
+  try {
+    const conversations = await getStorage().conversations.listForUser(
+      userId,
+      projectId
+    );
+
+    return conversations
+      .map((conversation) => decodeConversation(conversation, options))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  } catch (error) {
+    console.error("Error in getProjectConversations:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a single conversation the user has access to, with its decoded timeline
+ * @param {number|string} conversationId - The ID of the conversation
+ * @param {string} userId - The ID of the authenticated user
+ * @param {Object} [options] - Options passed to decodeMessage
+ * @returns {Promise<Object|null>} - The decoded conversation or null if not found
+ */
+async function getConversation(conversationId, userId, options = {}) {
+  try {
+    const conversation = await getStorage().conversations.getForUser(
+      conversationId,
+      userId
+    );
+
+    return conversation ? decodeConversation(conversation, options) : null;
+  } catch (error) {
+    console.error("Error in getConversation:", error);
+    throw error;
+  }
+}
+
+export { decodeMessage, getProjectConversations, getConversation };
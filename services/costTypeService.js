@@ -0,0 +1,200 @@
+/**
+ * Classification of line items into an estimate_items.cost_type. Keyword
+ * rules of the business (businesses.settings.costTypes.rules) are tried
+ * first, then the default rules. When nothing matches, or the default rules
+ * match keywords of several cost types, the model can be asked instead
+ * (businesses.settings.costTypes.modelFallback). The outcome is recorded in
+ * estimate_items.data.cost_type_classification.
+ */
+
+import { getStorage } from "../storage/index.js";
+import { VALID_COST_TYPES } from "../utils/lineItemTypes.js";
+import { classifyCostTypeWithModel } from "./geminiService.js";
+
+/**
+ * Keyword rules used for every business, in order. A keyword matches at the
+ * start of a word, so "install" matches "Installation" and "tool" matches "Tools".
+ * @readonly
+ */
+const DEFAULT_COST_TYPE_RULES = [
+  { costType: "subcontractor", keywords: ["subcontract", "sub-contract", "sub contract"] },
+  { costType: "admin", keywords: ["admin"] },
+  { costType: "overhead", keywords: ["overhead", "indirect"] },
+  { costType: "equipment", keywords: ["equipment", "tool", "machine", "device"] },
+  { costType: "labor", keywords: ["labor", "labour", "work", "service", "hour", "install"] },
+  { costType: "material", keywords: ["material", "suppl", "part", "component"] },
+];
+
+/**
+ * Escape a text for use in a regular expression
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Find the first keyword of a rule that matches a description
+ * @param {string} text - The lower-cased description
+ * @param {Object} rule - `{ costType, keywords }`
+ * @returns {string|null} - The keyword, or null if none matches
+ */
+function matchKeyword(text, rule) {
+  return (
+    rule.keywords.find((keyword) =>
+      new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword.toLowerCase())}`).test(text)
+    ) || null
+  );
+}
+
+/**
+ * Validate the costTypes settings of a business
+ * @param {Object} settings - businesses.settings.costTypes
+ * @returns {Array<string>} - Error messages (empty if the settings are valid)
+ */
+function validateCostTypeSettings(settings) {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    return ["costTypes must be an object"];
+  }
+
+  const errors = [];
+  if (settings.rules !== undefined && !Array.isArray(settings.rules)) {
+    errors.push("costTypes.rules must be an array");
+  }
+
+  (Array.isArray(settings.rules) ? settings.rules : []).forEach((rule, index) => {
+    if (!rule || !VALID_COST_TYPES.includes(rule.costType)) {
+      errors.push(`costTypes.rules[${index}].costType must be one of: ${VALID_COST_TYPES.join(", ")}`);
+    }
+    if (
+      !rule ||
+      !Array.isArray(rule.keywords) ||
+      rule.keywords.length === 0 ||
+      rule.keywords.some((keyword) => typeof keyword !== "string" || !keyword.trim())
+    ) {
+      errors.push(`costTypes.rules[${index}].keywords must be a list of words`);
+    }
+  });
+
+  if (settings.modelFallback !== undefined && typeof settings.modelFallback !== "boolean") {
+    errors.push("costTypes.modelFallback must be true or false");
+  }
+
+  return errors;
+}
+
+/**
+ * Get the classification settings of a business. Invalid settings are logged
+ * and left out, so that a typo in the settings does not break item writes.
+ * @param {Object|null} business - The businesses row
+ * @returns {Object} - `{ rules, modelFallback }`
+ */
+function getCostTypeSettings(business) {
+  const settings = business && business.settings && business.settings.costTypes;
+  if (!settings) {
+    return { rules: [], modelFallback: false };
+  }
+
+  const errors = validateCostTypeSettings(settings);
+  if (errors.length > 0) {
+    console.error(`Ignoring invalid cost type rules of business ${business.id}:`, errors);
+    return { rules: [], modelFallback: false };
+  }
+
+  return { rules: settings.rules || [], modelFallback: settings.modelFallback === true };
+}
+
+/**
+ * Load the classification settings of a project's business
+ * @param {number|string} projectId - The ID of the project
+ * @returns {Promise<Object>} - `{ rules, modelFallback }` (see getCostTypeSettings)
+ */
+async function loadCostTypeSettings(projectId) {
+  const storage = getStorage();
+  const project = await storage.projects.getById(projectId);
+  const business = project && project.business_id
+    ? await storage.businesses.getById(project.business_id)
+    : null;
+  return getCostTypeSettings(business);
+}
+
+/**
+ * Classify a description with keyword rules: the first business rule with a
+ * matching keyword wins, then the first matching default rule
+ * @param {string} description - The item description
+ * @param {Array<Object>} [businessRules] - Rules of the business, `{ costType, keywords }`
+ * @returns {Object} - `{ costType, source, rule, keyword, candidates }`: source
+ *   is 'business', 'default' or 'none' ('other' when nothing matches), rule the
+ *   index of the business rule, and candidates the cost types whose default
+ *   rules matched
+ */
+function classifyCostType(description, businessRules = []) {
+  const text = String(description || "").toLowerCase();
+
+  for (const [index, rule] of businessRules.entries()) {
+    const keyword = matchKeyword(text, rule);
+    if (keyword) {
+      return { costType: rule.costType, source: "business", rule: index, keyword, candidates: [] };
+    }
+  }
+
+  const matches = DEFAULT_COST_TYPE_RULES
+    .map((rule) => ({ costType: rule.costType, keyword: matchKeyword(text, rule) }))
+    .filter((match) => match.keyword);
+  const candidates = matches.map((match) => match.costType);
+
+  if (matches.length === 0) {
+    return { costType: "other", source: "none", rule: null, keyword: null, candidates };
+  }
+
+  return { costType: matches[0].costType, source: "default", rule: null, keyword: matches[0].keyword, candidates };
+}
+
+/**
+ * Classify a line item, asking the model when the keyword rules do not decide
+ * and the business enabled the model fallback
+ * @param {string} description - The item description
+ * @param {Object} settings - Classification settings (see getCostTypeSettings)
+ * @param {Object} [options] - Classification options
+ * @param {boolean} [options.useModel] - Allow the model fallback (default: true)
+ * @returns {Promise<Object>} - `{ costType, classification }`, where classification
+ *   is the record stored in data.cost_type_classification
+ */
+async function classifyLineItem(description, settings, { useModel = true } = {}) {
+  const result = classifyCostType(description, settings.rules);
+  const ambiguous = result.source === "none" || new Set(result.candidates).size > 1;
+
+  if (ambiguous && useModel && settings.modelFallback) {
+    try {
+      const costType = await classifyCostTypeWithModel(description, VALID_COST_TYPES);
+      if (costType) {
+        return {
+          costType,
+          classification: { cost_type: costType, source: "model", candidates: result.candidates },
+        };
+      }
+    } catch (error) {
+      console.error("Error classifying cost type with the model:", error);
+    }
+  }
+
+  return {
+    costType: result.costType,
+    classification: {
+      cost_type: result.costType,
+      source: result.source,
+      ...(result.rule !== null ? { rule: result.rule } : {}),
+      ...(result.keyword ? { keyword: result.keyword } : {}),
+    },
+  };
+}
+
+export {
+  DEFAULT_COST_TYPE_RULES,
+  validateCostTypeSettings,
+  getCostTypeSettings,
+  loadCostTypeSettings,
+  classifyCostType,
+  classifyLineItem,
+};
@@ -0,0 +1,415 @@
+import { getStorage } from "../storage/index.js";
+import { roundAmount } from "../utils/money.js";
+import { captureProjectItems, recordRevision, linkRevisionToMessage } from "./revisionService.js";
+import { recomputeProjectRollups } from "./rollupService.js";
+
+/**
+ * Currency used when a project or an item has none
+ * @readonly
+ */
+const DEFAULT_CURRENCY = "USD";
+
+/**
+ * Format of a currency code (ISO 4217)
+ * @readonly
+ */
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Error for a currency operation that cannot be carried out. `status` is the
+ * HTTP status the controller responds with.
+ */
+class CurrencyError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} status - HTTP status (404 or 409)
+   * @param {Object} [details] - Extra response fields (e.g. the missing rates)
+   */
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = "CurrencyError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Normalize a currency code
+ * @param {*} currency - The code, e.g. "eur"
+ * @returns {string|null} - The upper-case code, or null if it is not a three-letter code
+ */
+function normalizeCurrency(currency) {
+  if (typeof currency !== "string") {
+    return null;
+  }
+  const code = currency.trim().toUpperCase();
+  return CURRENCY_CODE_PATTERN.test(code) ? code : null;
+}
+
+/**
+ * Find the rate converting one currency into another. A pair stored in the
+ * other direction is used inverted; rates are not chained through a third currency.
+ * @param {Array<Object>} rates - exchange_rates rows of the business
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Currency to convert to
+ * @returns {number|null} - Units of `to` per unit of `from`, or null if no rate is stored
+ */
+function findRate(rates, from, to) {
+  if (from === to) {
+    return 1;
+  }
+
+  const direct = rates.find((rate) => rate.from_currency === from && rate.to_currency === to);
+  if (direct) {
+    return Number(direct.rate);
+  }
+
+  const inverse = rates.find((rate) => rate.from_currency === to && rate.to_currency === from);
+  return inverse ? 1 / Number(inverse.rate) : null;
+}
+
+/**
+ * Convert a single amount, keeping null for a missing amount
+ * @param {number|string|null} value - The amount
+ * @param {number} rate - The exchange rate
+ * @returns {number|null} - The converted amount, rounded to cents
+ */
+function convertAmount(value, rate) {
+  return value === null || value === undefined ? value : roundAmount(Number(value) * rate);
+}
+
+/**
+ * Convert the amounts of a project's items into the project currency, for
+ * totaling. Items without a currency are taken to be in the project currency.
+ * Items whose currency has no rate keep no amount, so that they are left out
+ * of the totals rather than added unconverted.
+ * @param {Array<Object>} items - estimate_items rows
+ * @param {string} currency - The project currency
+ * @param {Array<Object>} rates - exchange_rates rows of the business
+ * @returns {Object} - `{ items, conversions, missingRates }`: copies of the items
+ *   with amount, unit_price and currency converted, the rates used as
+ *   `{ from, to, rate, itemCount }` and the currencies without a rate
+ */
+function convertItems(items, currency, rates) {
+  const conversions = new Map();
+  const missingRates = new Set();
+
+  const converted = items.map((item) => {
+    const from = item.currency || currency;
+    if (from === currency) {
+      return item;
+    }
+
+    const rate = findRate(rates, from, currency);
+    if (rate === null) {
+      missingRates.add(from);
+      return { ...item, amount: null, unit_price: null, currency };
+    }
+
+    const conversion = conversions.get(from) || { from, to: currency, rate, itemCount: 0 };
+    conversion.itemCount += 1;
+    conversions.set(from, conversion);
+
+    return {
+      ...item,
+      amount: convertAmount(item.amount, rate),
+      unit_price: convertAmount(item.unit_price, rate),
+      currency,
+    };
+  });
+
+  return {
+    items: converted,
+    conversions: [...conversions.values()],
+    missingRates: [...missingRates].sort(),
+  };
+}
+
+/**
+ * Get the exchange rates of a business
+ * @param {number|string|null} businessId - The ID of the business
+ * @returns {Promise<Array<Object>>} - exchange_rates rows (empty without a business)
+ */
+async function loadBusinessRates(businessId) {
+  return businessId ? getStorage().exchangeRates.listByBusiness(businessId) : [];
+}
+
+/**
+ * Convert a project's items into the project currency for a document that
+ * shows their amounts, such as an export or a proposal
+ * @param {Object} project - The projects row
+ * @param {Array<Object>} items - The project's estimate_items rows
+ * @returns {Promise<Array<Object>>} - The converted items (see convertItems)
+ * @throws {CurrencyError} - 409 if a currency of the items has no rate
+ */
+async function convertProjectItems(project, items) {
+  const currency = project.currency || DEFAULT_CURRENCY;
+  const rates = await loadBusinessRates(project.business_id);
+  const { items: converted, missingRates } = convertItems(items, currency, rates);
+  if (missingRates.length > 0) {
+    throw new CurrencyError(
+      `No exchange rate to ${currency} for: ${missingRates.join(", ")}. Add the rates and try again.`,
+      409,
+      { missingRates }
+    );
+  }
+  return converted;
+}
+
+/**
+ * Format an exchange_rates row for API responses
+ * @param {Object} row - The exchange_rates row
+ * @returns {Object} - `{ from, to, rate, updatedAt }`
+ */
+function formatExchangeRate(row) {
+  return {
+    from: row.from_currency,
+    to: row.to_currency,
+    rate: Number(row.rate),
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Find the business whose exchange rates a user maintains
+ * @param {string} userId - The ID of the authenticated user
+ * @returns {Promise<number>} - The ID of the business
+ * @throws {CurrencyError} - 404 if the user does not belong to a business
+ */
+async function getUserBusinessId(userId) {
+  const businessUser = await getStorage().businessUsers.getFirstForUser(userId);
+  if (!businessUser) {
+    throw new CurrencyError("Failed to find business for user", 404);
+  }
+  return businessUser.business_id;
+}
+
+/**
+ * Recompute the totals of a business's projects after its exchange rates
+ * changed, since item totals are stored in the project currency
+ * @param {string} userId - The ID of the authenticated user
+ * @param {number} businessId - The ID of the business
+ * @returns {Promise<void>}
+ */
+async function recomputeBusinessProjects(userId, businessId) {
+  const projects = await getStorage().projects.listForUser(userId);
+  for (const project of projects) {
+    if (String(project.business && project.business.id) === String(businessId)) {
+      await recomputeProjectRollups(project.id);
+    }
+  }
+}
+
+/**
+ * List the exchange rates of the user's business
+ * @param {string} userId - The ID of the authenticated user
+ * @returns {Promise<Object>} - `{ businessId, rates }`
+ */
+async function listExchangeRates(userId) {
+  try {
+    const businessId = await getUserBusinessId(userId);
+    const rows = await getStorage().exchangeRates.listByBusiness(businessId);
+    return { businessId, rates: rows.map(formatExchangeRate) };
+  } catch (error) {
+    if (!(error instanceof CurrencyError)) {
+      console.error("Error listing exchange rates:", error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create or replace an exchange rate of the user's business and recompute
+ * the totals of its projects
+ * @param {string} userId - The ID of the authenticated user
+ * @param {string} from - Currency converted from (normalized)
+ * @param {string} to - Currency converted to (normalized)
+ * @param {number} rate - Units of `to` per unit of `from`
+ * @returns {Promise<Object>} - The rate (see formatExchangeRate)
+ */
+async function setExchangeRate(userId, from, to, rate) {
+  try {
+    const businessId = await getUserBusinessId(userId);
+    const row = await getStorage().exchangeRates.upsert({
+      business_id: businessId,
+      from_currency: from,
+      to_currency: to,
+      rate,
+      created_by: userId,
+    });
+    await recomputeBusinessProjects(userId, businessId);
+    return formatExchangeRate(row);
+  } catch (error) {
+    if (!(error instanceof CurrencyError)) {
+      console.error("Error saving exchange rate:", error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete an exchange rate of the user's business and recompute the totals of
+ * its projects
+ * @param {string} userId - The ID of the authenticated user
+ * @param {string} from - Currency converted from (normalized)
+ * @param {string} to - Currency converted to (normalized)
+ * @returns {Promise<Object>} - The deleted rate (see formatExchangeRate)
+ * @throws {CurrencyError} - 404 if the business has no such rate
+ */
+async function deleteExchangeRate(userId, from, to) {
+  try {
+    const businessId = await getUserBusinessId(userId);
+    const row = await getStorage().exchangeRates.delete(businessId, from, to);
+    if (!row) {
+      throw new CurrencyError(`No exchange rate from ${from} to ${to}`, 404);
+    }
+    await recomputeBusinessProjects(userId, businessId);
+    return formatExchangeRate(row);
+  } catch (error) {
+    if (!(error instanceof CurrencyError)) {
+      console.error("Error deleting exchange rate:", error);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record a currency change in the project's conversation, with the rates used
+ * @param {Object} project - The projects row (before the change)
+ * @param {string} userId - The ID of the authenticated user
+ * @param {string} currency - The new currency
+ * @param {Array<Object>} conversions - Rates used (see convertItems)
+ * @param {number|null} revisionId - The revision of the item changes
+ * @returns {Promise<void>}
+ */
+async function logCurrencyChange(project, userId, currency, conversions, revisionId) {
+  try {
+    const storage = getStorage();
+    let conversation = await storage.conversations.findLatestByProject(project.id);
+    if (!conversation) {
+      conversation = await storage.conversations.create({
+        business_id: project.business_id,
+        project_id: project.id,
+        created_by: userId,
+      });
+    }
+
+    const message = await storage.messages.create({
+      conversation_id: conversation.id,
+      content: JSON.stringify({
+        type: "currency_change",
+        message: `Project currency changed from ${project.currency || DEFAULT_CURRENCY} to ${currency}`,
+        from: project.currency || DEFAULT_CURRENCY,
+        to: currency,
+        rates: conversions,
+        updated_at: new Date().toISOString(),
+      }),
+      role: "system",
+      user_id: userId,
+    });
+
+    if (revisionId) {
+      await linkRevisionToMessage(revisionId, message.id);
+    }
+  } catch (error) {
+    console.error("Error logging currency change:", error);
+  }
+}
+
+/**
+ * Re-denominate a project into another currency: convert the amount and
+ * unit_price of every item not already in that currency with the business's
+ * exchange rates, record the rate on the item in data.currency_conversion,
+ * and make the currency the project currency. The items are updated in one
+ * transaction and the change is recorded as a revision that can be undone.
+ * @param {Object} project - The projects row
+ * @param {string} userId - The ID of the authenticated user
+ * @param {string} currency - The new currency (normalized)
+ * @returns {Promise<Object>} - `{ project, conversions, itemsConverted, revisionId, summary }`
+ * @throws {CurrencyError} - 409 if a currency of the items has no rate; nothing is changed
+ */
+async function redenominateProject(project, userId, currency) {
+  try {
+    const storage = getStorage();
+    const projectCurrency = project.currency || DEFAULT_CURRENCY;
+    const [rates, itemsBefore] = await Promise.all([
+      loadBusinessRates(project.business_id),
+      captureProjectItems(project.id),
+    ]);
+
+    const itemsToConvert = itemsBefore.filter((item) => (item.currency || projectCurrency) !== currency);
+    const { items: converted, conversions, missingRates } = convertItems(itemsToConvert, currency, rates);
+    if (missingRates.length > 0) {
+      throw new CurrencyError(
+        `No exchange rate to ${currency} for: ${missingRates.join(", ")}. Add the rates and try again.`,
+        409,
+        { missingRates }
+      );
+    }
+
+    const convertedAt = new Date().toISOString();
+    const operations = converted.map((item, index) => {
+      const from = itemsToConvert[index].currency || projectCurrency;
+      return {
+        op: "update",
+        id: item.id,
+        fields: {
+          amount: item.amount,
+          unit_price: item.unit_price,
+          currency,
+          data: {
+            ...(item.data || {}),
+            currency_conversion: {
+              from,
+              to: currency,
+              rate: findRate(rates, from, currency),
+              converted_at: convertedAt,
+            },
+          },
+        },
+      };
+    });
+
+    if (operations.length > 0) {
+      const batch = await storage.estimateItems.applyBatch(project.id, operations);
+      if (!batch.committed) {
+        throw new Error(`Could not convert items: ${batch.error}`);
+      }
+    }
+
+    const updatedProject = await storage.projects.update(project.id, { currency });
+    const summary = await recomputeProjectRollups(project.id);
+    const revisionId = await recordRevision(project.id, userId, itemsBefore);
+
+    if (currency !== projectCurrency || operations.length > 0) {
+      await logCurrencyChange(project, userId, currency, conversions, revisionId);
+    }
+
+    return {
+      project: summary ? { ...updatedProject, total_amount: summary.total } : updatedProject,
+      conversions,
+      itemsConverted: operations.length,
+      revisionId,
+      summary,
+    };
+  } catch (error) {
+    if (!(error instanceof CurrencyError)) {
+      console.error("Error re-denominating project:", error);
+    }
+    throw error;
+  }
+}
+
+export {
+  DEFAULT_CURRENCY,
+  CurrencyError,
+  normalizeCurrency,
+  findRate,
+  convertItems,
+  loadBusinessRates,
+  convertProjectItems,
+  listExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+  redenominateProject,
+};
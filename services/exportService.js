@@ -0,0 +1,210 @@
+import ExcelJS from "exceljs";
+import { getStorage } from "../storage/index.js";
+import { buildItemTree } from "./snapshotService.js";
+import { computeTotals, getProjectSummary } from "./rollupService.js";
+import { CurrencyError, convertProjectItems } from "./currencyService.js";
+import { roundAmount, amountOf, sumAmounts } from "../utils/money.js";
+
+/**
+ * Spaces added in front of a sub-item's name per level in CSV exports
+ */
+const CSV_INDENT = "  ";
+
+/**
+ * Collect an item and all of its descendants
+ * @param {Object} node - An item from buildItemTree
+ * @returns {Array<Object>} - The item followed by its descendants
+ */
+function flattenNode(node) {
+  return [node, ...node.subItems.flatMap(flattenNode)];
+}
+
+/**
+ * Lay out a project's items as spreadsheet rows: every item followed by its
+ * sub-items, a subtotal after every item that has sub-items, then a subtotal
+ * per cost type, the lines of the pricing rules and the grand total
+ * @param {Array<Object>} items - estimate_items rows, in display order
+ * @param {Array<Object>} [adjustments] - Lines of the pricing rules (see computeAdjustments)
+ * @returns {Array<Object>} - Rows with a `type` of 'item' ({ depth, item }),
+ *   'subtotal' ({ depth, label, amount }), 'cost_type_subtotal' ({ label, costType, amount }),
+ *   'cost_subtotal', 'adjustment' or 'total' ({ label, amount })
+ */
+function buildExportRows(items, adjustments = []) {
+  const rows = [];
+
+  const visit = (node, depth) => {
+    rows.push({ type: "item", depth, item: node });
+    node.subItems.forEach((child) => visit(child, depth + 1));
+
+    if (node.subItems.length > 0) {
+      rows.push({
+        type: "subtotal",
+        depth,
+        label: `Subtotal: ${node.title || node.description || ""}`,
+        amount: sumAmounts(flattenNode(node)),
+      });
+    }
+  };
+  buildItemTree(items).forEach((node) => visit(node, 0));
+
+  const totals = computeTotals(items);
+  for (const [costType, amount] of Object.entries(totals.byCostType)) {
+    rows.push({ type: "cost_type_subtotal", label: `Subtotal (${costType})`, costType, amount });
+  }
+  if (adjustments.length > 0) {
+    rows.push({ type: "cost_subtotal", label: "Subtotal", amount: totals.total });
+    for (const adjustment of adjustments) {
+      rows.push({ type: "adjustment", label: adjustment.label, amount: adjustment.amount });
+    }
+  }
+  rows.push({
+    type: "total",
+    label: "Total",
+    amount: roundAmount(adjustments.reduce((sum, adjustment) => sum + adjustment.amount, totals.total)),
+  });
+
+  return rows;
+}
+
+/**
+ * Convert a row to the cells of the export columns
+ * @param {Object} row - A row from buildExportRows
+ * @returns {Array} - Name, quantity, unit, unit price, amount and cost type
+ */
+function toCells(row) {
+  if (row.type !== "item") {
+    return [row.label, null, null, null, row.amount, row.costType || null];
+  }
+
+  const { item } = row;
+  const number = (value) =>
+    value === null || value === undefined || value === "" ? null : Number(value);
+
+  return [
+    item.title || item.description || "",
+    number(item.quantity),
+    item.unit_type || null,
+    number(item.unit_price),
+    amountOf(item),
+    item.cost_type || null,
+  ];
+}
+
+/**
+ * Column headers of an export
+ * @param {string} currency - The project currency
+ * @returns {Array<string>} - The headers
+ */
+function exportHeaders(currency) {
+  return ["Item", "Quantity", "Unit", `Unit Price (${currency})`, `Amount (${currency})`, "Cost Type"];
+}
+
+/**
+ * Quote a CSV cell. Text that a spreadsheet would read as a formula is
+ * prefixed with an apostrophe.
+ * @param {*} value - The cell value
+ * @param {string} [indent] - Spaces to put in front of the text
+ * @returns {string} - The CSV field
+ */
+function toCsvField(value, indent = "") {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (typeof value === "number") {
+    return String(value);
+  }
+
+  let text = String(value);
+  if (/^\s*[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  text = indent + text;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write export rows as CSV
+ * @param {Array<Object>} rows - Rows from buildExportRows
+ * @param {string} currency - The project currency
+ * @returns {string} - The CSV document
+ */
+function toCsv(rows, currency) {
+  const lines = [exportHeaders(currency).map((value) => toCsvField(value)).join(",")];
+
+  for (const row of rows) {
+    const [name, ...rest] = toCells(row);
+    const indent = CSV_INDENT.repeat(row.depth || 0);
+    lines.push([toCsvField(name, indent), ...rest.map((value) => toCsvField(value))].join(","));
+  }
+
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Write export rows as an XLSX workbook. Sub-items are indented and subtotal
+ * rows are bold.
+ * @param {Array<Object>} rows - Rows from buildExportRows
+ * @param {string} currency - The project currency
+ * @param {string} sheetName - Name of the worksheet
+ * @returns {Promise<Buffer>} - The XLSX file
+ */
+async function toXlsx(rows, currency, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  // Worksheet names are limited to 31 characters and cannot contain []:*?/\
+  const sheet = workbook.addWorksheet(
+    (sheetName || "Estimate").replace(/[[\]:*?/\\]/g, " ").slice(0, 31)
+  );
+
+  sheet.columns = [
+    { width: 48 },
+    { width: 12 },
+    { width: 10 },
+    { width: 16, style: { numFmt: "#,##0.00" } },
+    { width: 16, style: { numFmt: "#,##0.00" } },
+    { width: 14 },
+  ];
+
+  sheet.addRow(exportHeaders(currency)).font = { bold: true };
+  for (const row of rows) {
+    const added = sheet.addRow(toCells(row));
+    if (row.depth) {
+      added.getCell(1).alignment = { indent: row.depth };
+    }
+    if (row.type !== "item") {
+      added.font = { bold: true };
+    }
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Export the line items of a project, with their amounts converted into the
+ * project currency
+ * @param {Object} project - The projects row
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {string} currency - The project currency
+ * @returns {Promise<string|Buffer>} - The CSV document or XLSX file
+ * @throws {CurrencyError} - 409 if a currency of the items has no exchange rate
+ */
+async function exportProjectItems(project, format, currency) {
+  try {
+    const [items, summary] = await Promise.all([
+      getStorage().estimateItems.listByProject(project.id),
+      getProjectSummary(project.id),
+    ]);
+    const rows = buildExportRows(
+      await convertProjectItems(project, items),
+      summary ? summary.adjustments : []
+    );
+
+    return format === "xlsx" ? await toXlsx(rows, currency, project.name) : toCsv(rows, currency);
+  } catch (error) {
+    if (!(error instanceof CurrencyError)) {
+      console.error("Error exporting project:", error);
+    }
+    throw error;
+  }
+}
+
+export { buildExportRows, toCsv, toXlsx, exportProjectItems };
@@ -1,46 +1,75 @@
 import { getModel } from "../aimodel/aiClient.js";
 import { GEMINI_MODELS, MODEL_CONFIGS } from "../aimodel/geminiModels.js";
-import { supabase } from "./supabaseService.js";
 import { XMLParser } from "fast-xml-parser";
+import { createActionStreamParser } from "../utils/actionStreamParser.js";
+import { formatAction, formatValue } from "../utils/actionDsl.js";
+import {
+  generateResponseStructureTemplate,
+  generateEstimateResponseSchema,
+  generateActionsResponseSchema,
+  validateAgainstSchema,
+} from "../utils/schemaGenerator.js";
 
 /**
- * Get the Gemini model instance for the estimator
+ * Output formats the model can be asked for.
+ * - `xml`: <estimate> XML with actions in the action language (default)
+ * - `json`: JSON constrained by a response schema
+ * @readonly
+ */
+const OUTPUT_FORMATS = ["xml", "json"];
+
+/**
+ * Get the estimator model instance from the configured AI provider
+ * @param {Object} [responseSchema] - Response schema that switches the model to JSON output
  * @returns {Object} The model instance
  */
-function getEstimatorModel() {
-  return getModel(GEMINI_MODELS.FLASH_2_0_001, MODEL_CONFIGS.ESTIMATOR);
+function getEstimatorModel(responseSchema = null) {
+  const config = responseSchema
+    ? {
+        ...MODEL_CONFIGS.ESTIMATOR,
+        responseMimeType: "application/json",
+        responseSchema,
+      }
+    : MODEL_CONFIGS.ESTIMATOR;
+
+  return getModel(GEMINI_MODELS.FLASH_2_0_001, config);
 }
 
 /**
  * Prepare the prompt for the estimator agent
  * @param {Object} requestData - The data from the request
  * @param {Object} [requestData.projectDetails] - Details about the project
+ * @param {Array} [requestData.catalogItems] - Price book entries relevant to the request
  * @returns {string} - The formatted prompt
  */
 function prepareEstimatorPrompt(requestData) {
   // Extract project details from request
-  const { projectDetails } = requestData;
+  const { projectDetails, catalogItems = [] } = requestData;
 
   return `
     You are an estimator agent. Based on the following request, create a detailed line item estimate.
     
     Request details:
     ${JSON.stringify(projectDetails || requestData, null, 2)}
-    
+    ${formatCatalogSection(catalogItems, "catalog_id=<id>")}
     IMPORTANT: Your response MUST be in XML format with the following structure:
     <estimate>
       <project_title>Title of the estimate</project_title>
       <currency>USD</currency>
       <actions>
         <action>+ description='Description of item', quantity=1, unit_price=100, amount=100</action>
-        <action>+ description='Another item with sub-items', quantity=1, unit_price=200, amount=200</action>
-        <action>+ description='Sub-item 1', quantity=2, unit_price=50, amount=100, parent='Another item with sub-items'</action>
+        <action>+ description='Another item with sub-items', quantity=1, unit_price=200, amount=200, ref='2'</action>
+        <action>+ description='Sub-item 1', quantity=2, unit_price=50, amount=100, ref='2.1', parent_ref='2'</action>
+        <action>+ description='Part of sub-item 1', quantity=4, unit_price=10, amount=40, parent_ref='2.1'</action>
       </actions>
     </estimate>
     
     Each <action> tag must start with a '+' character followed by a space, then a comma-separated list of attributes.
     The attributes should include: description, quantity, unit_price, and amount.
-    For sub-items, include a parent attribute that matches the description of the parent item.
+    Give every item that has sub-items a ref that is unique in this response, and give each of its sub-items a parent_ref with that ref.
+    Sub-items can have sub-items of their own, to any depth. Add a parent before its sub-items.
+    Price every item at cost. Do not add items for markup, profit, overhead, contingency or sales tax; they are applied to the project totals separately.
+    Put text values in single quotes and escape a quote inside a value with a backslash, e.g. description='Owner\\'s suite'.
     Do not include any other text, explanations, or formatting outside of this XML structure.
   `;
 }
@@ -50,34 +79,37 @@ function prepareEstimatorPrompt(requestData) {
  * @param {Object} requestData - The data from the request
  * @param {string} requestData.prompt - The additional prompt to process
  * @param {Object} requestData.existingProject - The existing project data
- * @param {Array} requestData.existingItems - Existing line items for the project (up to 300)
+ * @param {Array} requestData.existingItems - Existing line items for the project, or of
+ *   the part of the project the prompt covers
+ * @param {Object} [requestData.projectContext] - The part of a large project the prompt
+ *   covers (see formatProjectContextSection)
+ * @param {Array} [requestData.catalogItems] - Price book entries relevant to the request
  * @returns {string} - The formatted prompt
  */
 function prepareAdditionalEstimatorPrompt(requestData) {
   // Extract data from the request
-  const { prompt, existingProject, existingItems = [] } = requestData;
+  const { prompt, existingProject, existingItems = [], catalogItems = [], projectContext = null } = requestData;
 
   // Format existing items for context
-  const formattedItems = existingItems.map(item => {
-    return `ID:${item.id}, description='${item.description}', quantity=${item.quantity}, unit_price=${item.unitPrice}, amount=${item.amount}${item.parentId ? `, parent_id=${item.parentId}` : ''}`;
-  }).join('\n');
+  const formattedItems = formatExistingItems(existingItems);
 
   return `
     You are an estimator agent. You have previously created an estimate for a project titled "${existingProject.name || 'Untitled Project'}". 
     Now you need to modify the estimate based on the following additional request.
-    
+    ${formatProjectContextSection(projectContext)}
     Current line items:
     ${formattedItems || 'No existing items'}
     
     Additional request from the user:
     ${prompt}
-    
+    ${formatCatalogSection(catalogItems, "catalog_id=<id>")}
     IMPORTANT: Your response MUST be in XML format with the following structure:
     <estimate>
       <actions>
         <action>+ description='New item description', quantity=1, unit_price=100, amount=100</action>
         <action>+ ID:123, description='Updated item description', quantity=2, unit_price=150, amount=300</action>
         <action>- ID:456</action>
+        <action>move ID:789 to ID:123</action>
       </actions>
     </estimate>
     
@@ -85,11 +117,247 @@ function prepareAdditionalEstimatorPrompt(requestData) {
     1. For adding new items: Start with '+' followed by attributes (description, quantity, unit_price, amount)
     2. For updating existing items: Start with '+' followed by the item ID and the attributes to update
     3. For deleting items: Start with '-' followed by the item ID
+    4. For moving an item under another parent: 'move ID:<id> to ID:<parent id>', or 'move ID:<id> to root' to make it a top-level item
+    
+    To add a sub-item under an existing item, include parent_id=<id of the parent>.
+    To add a sub-item under an item added in this response, give the new parent a ref that is unique in this response (e.g. ref='1') and the sub-item parent_ref='1'. Add a parent before its sub-items.
+    Deleting an item moves its sub-items up to its parent; delete them as well to remove them.
+    Price every item at cost. Do not add items for markup, profit, overhead, contingency or sales tax; they are applied to the project totals separately.
+    Put text values in single quotes and escape a quote inside a value with a backslash, e.g. description='Owner\\'s suite'.
     
     Do not include any other text, explanations, or formatting outside of this XML structure.
   `;
 }
 
+/**
+ * Format existing line items as context for the model
+ * @param {Array} existingItems - Line items of the project
+ * @returns {string} - One line per item
+ */
+function formatExistingItems(existingItems) {
+  return existingItems.map(item => {
+    return `ID:${item.id}, description=${formatValue(item.description)}, quantity=${item.quantity}, unit_price=${item.unit_price}, amount=${item.amount}${item.parent_item_id ? `, parent_id=${item.parent_item_id}` : ''}`;
+  }).join('\n    ');
+}
+
+/**
+ * Format the part of a large project a prompt covers, with the outline of the
+ * whole project (see projectContextService)
+ * @param {Object|null} [projectContext] - `{ part, parts, totalItems, outline }`
+ * @returns {string} - The section, or an empty string for a prompt with every item
+ */
+function formatProjectContextSection(projectContext) {
+  if (!projectContext) {
+    return '';
+  }
+
+  const { part, parts, totalItems, outline } = projectContext;
+  const additions = part === 1
+    ? 'Add the new top-level items the request needs in this part.'
+    : 'Only add sub-items of the items listed below; new top-level items are added in part 1.';
+
+  return `
+    The project has ${totalItems} line items, too many to list at once, so the request is handled in ${parts} parts.
+    Outline of the whole project:
+    ${outline.split('\n').join('\n    ')}
+    
+    This is part ${part} of ${parts}. Only update, delete or move the items listed below; the items of the other parts are handled separately. ${additions}
+  `;
+}
+
+/**
+ * Format the price book entries relevant to a request as a prompt section
+ * that asks the model to use their prices
+ * @param {Array} catalogItems - catalog_items rows
+ * @param {string} reference - How an item names its entry, e.g. "catalog_id=<id>"
+ * @returns {string} - The section, or an empty string without entries
+ */
+function formatCatalogSection(catalogItems, reference) {
+  if (catalogItems.length === 0) {
+    return '';
+  }
+
+  const lines = catalogItems.map(entry => {
+    return `catalog_id=${entry.id}, name=${formatValue(entry.name)}, unit_type=${entry.unit_type}, cost_type=${entry.cost_type}, unit_price=${entry.unit_price}, currency=${entry.currency}${entry.supplier ? `, supplier=${formatValue(entry.supplier)}` : ''}`;
+  }).join('\n    ');
+
+  return `
+    Price book of the business (real prices):
+    ${lines}
+    
+    When an item matches a price book entry, add ${reference} to it and use the entry's unit_price, unit_type and cost_type instead of estimating them.
+  `;
+}
+
+/**
+ * Prepare the prompt for the estimator agent in JSON mode
+ * @param {Object} requestData - The data from the request
+ * @param {Object} [requestData.projectDetails] - Details about the project
+ * @param {Array} [requestData.catalogItems] - Price book entries relevant to the request
+ * @returns {string} - The formatted prompt
+ */
+function prepareEstimatorJsonPrompt(requestData) {
+  const { projectDetails, catalogItems = [] } = requestData;
+
+  return `
+    You are an estimator agent. Based on the following request, create a detailed line item estimate.
+    
+    Request details:
+    ${JSON.stringify(projectDetails || requestData, null, 2)}
+    ${formatCatalogSection(catalogItems, '"catalogId": <id>')}
+    IMPORTANT: Your response MUST be a single JSON object with the following structure:
+    ${JSON.stringify(generateResponseStructureTemplate(), null, 2)}
+    
+    Put the parts of a line item in its subItems; sub-items can have subItems of their own, to any depth. unitType, costType and catalogId are optional.
+    Price every item at cost. Do not add items for markup, profit, overhead, contingency or sales tax; they are applied to the project totals separately.
+    Do not include any other text, explanations, or formatting outside of this JSON object.
+  `;
+}
+
+/**
+ * Prepare the prompt for additional estimates on existing projects in JSON mode
+ * @param {Object} requestData - The data from the request (see prepareAdditionalEstimatorPrompt)
+ * @returns {string} - The formatted prompt
+ */
+function prepareAdditionalEstimatorJsonPrompt(requestData) {
+  const { prompt, existingProject, existingItems = [], catalogItems = [], projectContext = null } = requestData;
+
+  return `
+    You are an estimator agent. You have previously created an estimate for a project titled "${existingProject.name || 'Untitled Project'}". 
+    Now you need to modify the estimate based on the following additional request.
+    ${formatProjectContextSection(projectContext)}
+    Current line items:
+    ${formatExistingItems(existingItems) || 'No existing items'}
+    
+    Additional request from the user:
+    ${prompt}
+    ${formatCatalogSection(catalogItems, '"catalog_id": <id>')}
+    IMPORTANT: Your response MUST be a single JSON object with the following structure:
+    {
+      "actions": [
+        { "verb": "add", "description": "New item description", "quantity": 1, "unit_price": 100, "amount": 100, "ref": "1" },
+        { "verb": "add", "description": "New sub-item", "quantity": 2, "unit_price": 50, "amount": 100, "parent_ref": "1" },
+        { "verb": "add", "description": "Sub-item of an existing item", "quantity": 1, "unit_price": 20, "amount": 20, "parent_id": 123 },
+        { "verb": "update", "id": 123, "description": "Updated item description", "quantity": 2, "unit_price": 150, "amount": 300 },
+        { "verb": "delete", "id": 456 },
+        { "verb": "move", "id": 789, "parent_id": 123 }
+      ]
+    }
+    
+    update, delete and move require the "id" of an existing item. A move without "parent_id" makes the item a top-level item.
+    A new sub-item names its parent with "parent_id" when the parent exists, or with "parent_ref" set to the "ref" of a parent added earlier in this response.
+    Deleting an item moves its sub-items up to its parent; delete them as well to remove them.
+    Price every item at cost. Do not add items for markup, profit, overhead, contingency or sales tax; they are applied to the project totals separately.
+    Do not include any other text, explanations, or formatting outside of this JSON object.
+  `;
+}
+
+/**
+ * Parse a JSON model response and validate it against a response schema
+ * @param {string} responseText - The raw response text
+ * @param {Object} schema - The response schema the model was given
+ * @returns {Object} - The parsed response
+ */
+function processJsonResponse(responseText, schema) {
+  let parsed;
+  try {
+    // Some providers wrap JSON in markdown code blocks even in JSON mode
+    const match = responseText.match(/\`\`\`(?:json)?\s*([\s\S]*?)\`\`\`/);
+    parsed = JSON.parse(match && match[1] ? match[1] : responseText);
+  } catch (error) {
+    console.error("Error processing JSON response:", error);
+    throw new Error(`Failed to parse JSON response: ${error.message}`);
+  }
+
+  const validationError = validateAgainstSchema(parsed, schema);
+  if (validationError) {
+    throw new Error(`JSON response does not match the response schema: ${validationError}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Pick the line item attributes of a JSON estimate line item
+ * @param {Object} lineItem - Line item from the estimate response schema
+ * @returns {Object} - Attributes in the action language's names
+ */
+function lineItemAttributes(lineItem) {
+  const attributes = {
+    description: lineItem.description,
+    quantity: lineItem.quantity,
+    unit_price: lineItem.unitPrice,
+    amount: lineItem.amount,
+  };
+  if (lineItem.unitType) attributes.unit_type = lineItem.unitType;
+  if (lineItem.costType) attributes.cost_type = lineItem.costType;
+  if (Number.isInteger(lineItem.catalogId)) attributes.catalog_id = lineItem.catalogId;
+  return attributes;
+}
+
+/**
+ * Convert the line items of a JSON estimate into add instructions. An item
+ * with sub-items gets a ref from its position (e.g. '2.1' for the first
+ * sub-item of the second item), and its sub-items point to it with
+ * parent_ref, so that items with the same description keep their own sub-items.
+ * @param {Array} lineItems - Line items from the estimate response schema
+ * @param {string|null} [parentRef] - Ref of the parent of `lineItems`
+ * @returns {Array<string>} - Instructions in the action language, parents before their sub-items
+ */
+function lineItemsToInstructions(lineItems, parentRef = null) {
+  const instructions = [];
+
+  lineItems.forEach((lineItem, index) => {
+    const ref = parentRef ? `${parentRef}.${index + 1}` : String(index + 1);
+    const subItems = lineItem.subItems || [];
+    const attributes = lineItemAttributes(lineItem);
+    if (subItems.length > 0) attributes.ref = ref;
+    if (parentRef) attributes.parent_ref = parentRef;
+
+    instructions.push(formatAction({ verb: "add", attributes }));
+    instructions.push(...lineItemsToInstructions(subItems, ref));
+  });
+
+  return instructions;
+}
+
+/**
+ * Convert JSON actions into instructions in the action language
+ * @param {Array} actions - Actions from the actions response schema
+ * @returns {Array<string>} - Instructions in the action language
+ */
+function jsonActionsToInstructions(actions) {
+  return actions.map((action, index) => {
+    const { verb, id, parent, parent_id: parentId, ...fields } = action;
+
+    if (verb !== "add" && !Number.isInteger(id)) {
+      throw new Error(`JSON response does not match the response schema: response.actions[${index}].id is required for ${verb}`);
+    }
+
+    switch (verb) {
+      case "add":
+        return formatAction({
+          verb,
+          attributes: {
+            ...fields,
+            ...(parent ? { parent } : {}),
+            ...(Number.isInteger(parentId) ? { parent_id: parentId } : {}),
+          },
+        });
+      case "update":
+        return formatAction({ verb, id, attributes: fields });
+      case "delete":
+        return formatAction({ verb, id });
+      default:
+        return formatAction({
+          verb,
+          id,
+          target: Number.isInteger(parentId) ? { type: "id", id: parentId } : { type: "root" },
+        });
+    }
+  });
+}
+
 /**
  * Process the response from Gemini to extract XML content
  * @param {string} responseText - The raw response from Gemini
@@ -159,26 +427,40 @@ function processGeminiResponse(responseText) {
 /**
  * Generate an estimate using Gemini Flash 002
  * @param {Object} requestData - The data to generate an estimate for
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.outputFormat] - One of OUTPUT_FORMATS (default: xml)
  * @returns {Promise<Object>} - Object containing project title, currency, instructions, and raw response
  */
-async function generateEstimate(requestData) {
+async function generateEstimate(requestData, { outputFormat = "xml" } = {}) {
   try {
-    const model = getEstimatorModel();
-    const prompt = prepareEstimatorPrompt(requestData);
+    const jsonMode = outputFormat === "json";
+    const schema = jsonMode ? generateEstimateResponseSchema() : null;
+    const model = getEstimatorModel(schema);
+    const prompt = jsonMode
+      ? prepareEstimatorJsonPrompt(requestData)
+      : prepareEstimatorPrompt(requestData);
 
-    // Generate content from Gemini
-    const result = await model.generateContent(prompt);
-    const responseText = result.response.text();
+    // Generate content from the configured model provider
+    const responseText = await model.generateText(prompt);
 
     // Store the raw response text for debugging/logging
     const rawGeminiResponse = {
       text: responseText,
       timestamp: new Date().toISOString(),
       prompt: prompt,
+      outputFormat,
     };
 
     // Process and validate the response
-    const { projectTitle, currency, instructions } = processGeminiResponse(responseText);
+    let projectTitle, currency, instructions;
+    if (jsonMode) {
+      const { estimate } = processJsonResponse(responseText, schema);
+      projectTitle = estimate.title || "Untitled Project";
+      currency = estimate.currency || "USD";
+      instructions = lineItemsToInstructions(estimate.lineItems);
+    } else {
+      ({ projectTitle, currency, instructions } = processGeminiResponse(responseText));
+    }
 
     // Return the structured data
     return {
@@ -200,26 +482,35 @@ async function generateEstimate(requestData) {
  * @param {string} requestData.prompt - The additional prompt to process
  * @param {Object} requestData.existingProject - The existing project data
  * @param {Array} requestData.existingItems - Existing line items for the project
+ * @param {Object} [requestData.projectContext] - The part of a large project the prompt covers
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.outputFormat] - One of OUTPUT_FORMATS (default: xml)
  * @returns {Promise<Object>} - Object containing instructions and raw response
  */
-async function generateAdditionalEstimate(requestData) {
+async function generateAdditionalEstimate(requestData, { outputFormat = "xml" } = {}) {
   try {
-    const model = getEstimatorModel();
-    const prompt = prepareAdditionalEstimatorPrompt(requestData);
+    const jsonMode = outputFormat === "json";
+    const schema = jsonMode ? generateActionsResponseSchema() : null;
+    const model = getEstimatorModel(schema);
+    const prompt = jsonMode
+      ? prepareAdditionalEstimatorJsonPrompt(requestData)
+      : prepareAdditionalEstimatorPrompt(requestData);
 
-    // Generate content from Gemini
-    const result = await model.generateContent(prompt);
-    const responseText = result.response.text();
+    // Generate content from the configured model provider
+    const responseText = await model.generateText(prompt);
 
     // Store the raw response text for debugging/logging
     const rawGeminiResponse = {
       text: responseText,
       timestamp: new Date().toISOString(),
       prompt: prompt,
+      outputFormat,
     };
 
     // Process and validate the response
-    const { instructions } = processGeminiResponse(responseText);
+    const instructions = jsonMode
+      ? jsonActionsToInstructions(processJsonResponse(responseText, schema).actions)
+      : processGeminiResponse(responseText).instructions;
 
     // Return the structured data
     return {
@@ -232,4 +523,108 @@ async function generateAdditionalEstimate(requestData) {
   }
 }
 
-export { generateEstimate, generateAdditionalEstimate };
+/**
+ * Stream a prompt through the estimator model, emitting each complete XML element as it arrives
+ * @param {string} prompt - The prepared prompt
+ * @param {Function} onEvent - Async callback invoked in order with each parser event
+ *   (`project_title`, `currency` or `action`); the stream waits for it to resolve
+ * @param {Object} [options] - Streaming options
+ * @param {AbortSignal} [options.signal] - Stops reading the stream once aborted
+ * @returns {Promise<Object>} - The raw response record ({ text, timestamp, prompt })
+ */
+async function streamEstimatorResponse(prompt, onEvent, { signal } = {}) {
+  const model = getEstimatorModel();
+  const parser = createActionStreamParser();
+  let responseText = "";
+
+  for await (const chunkText of model.streamText(prompt)) {
+    if (signal && signal.aborted) {
+      break;
+    }
+
+    responseText += chunkText;
+
+    for (const event of parser.push(chunkText)) {
+      await onEvent(event);
+    }
+  }
+
+  if (!signal || !signal.aborted) {
+    for (const event of parser.end()) {
+      await onEvent(event);
+    }
+  }
+
+  return {
+    text: responseText,
+    timestamp: new Date().toISOString(),
+    prompt: prompt,
+  };
+}
+
+/**
+ * Stream a new estimate from Gemini, emitting the title, currency and each action as they arrive
+ * @param {Object} requestData - The data to generate an estimate for
+ * @param {Function} onEvent - Async callback for each parser event
+ * @param {Object} [options] - Streaming options (see streamEstimatorResponse)
+ * @returns {Promise<Object>} - Object containing the raw response
+ */
+async function streamEstimate(requestData, onEvent, options = {}) {
+  try {
+    const prompt = prepareEstimatorPrompt(requestData);
+    const rawGeminiResponse = await streamEstimatorResponse(prompt, onEvent, options);
+
+    return { rawGeminiResponse };
+  } catch (error) {
+    console.error("Error streaming estimate:", error);
+    throw error;
+  }
+}
+
+/**
+ * Stream an additional estimate for an existing project, emitting each action as it arrives
+ * @param {Object} requestData - The data to generate an estimate for (see generateAdditionalEstimate)
+ * @param {Function} onEvent - Async callback for each parser event
+ * @param {Object} [options] - Streaming options (see streamEstimatorResponse)
+ * @returns {Promise<Object>} - Object containing the raw response
+ */
+async function streamAdditionalEstimate(requestData, onEvent, options = {}) {
+  try {
+    const prompt = prepareAdditionalEstimatorPrompt(requestData);
+    const rawGeminiResponse = await streamEstimatorResponse(prompt, onEvent, options);
+
+    return { rawGeminiResponse };
+  } catch (error) {
+    console.error("Error streaming additional estimate:", error);
+    throw error;
+  }
+}
+
+/**
+ * Ask the model for the cost type of a line item
+ * @param {string} description - The item description
+ * @param {Array<string>} costTypes - The cost types to choose from
+ * @returns {Promise<string|null>} - One of costTypes, or null if the answer names none
+ */
+async function classifyCostTypeWithModel(description, costTypes) {
+  const prompt = `
+    You classify the line items of construction estimates by cost type.
+    
+    Line item: ${formatValue(String(description || ''))}
+    
+    Answer with exactly one of these cost types and nothing else: ${costTypes.join(', ')}
+  `;
+
+  const responseText = await getModel(GEMINI_MODELS.FLASH_2_0_001, MODEL_CONFIGS.CLASSIFIER).generateText(prompt);
+  const words = String(responseText).toLowerCase().match(/[a-z]+/g) || [];
+  return words.find(word => costTypes.includes(word)) || null;
+}
+
+export {
+  OUTPUT_FORMATS,
+  generateEstimate,
+  generateAdditionalEstimate,
+  streamEstimate,
+  streamAdditionalEstimate,
+  classifyCostTypeWithModel,
+};
@@ -0,0 +1,537 @@
+import ExcelJS from "exceljs";
+import {
+  applyLineItemInstruction,
+  parseLineItemInstruction,
+  prepareLineItemOperation,
+  VALID_COST_TYPES,
+  VALID_UNIT_TYPES,
+} from "./projectService.js";
+import { captureProjectItems, recordRevision } from "./revisionService.js";
+import { recomputeProjectRollups } from "./rollupService.js";
+import { loadCostTypeSettings } from "./costTypeService.js";
+import { formatAction } from "../utils/actionDsl.js";
+import { parseCsv } from "../utils/csv.js";
+import { resolveUnit } from "../utils/units.js";
+
+/**
+ * Column headers recognized for each importable field when no mapping is given,
+ * compared after normalizeHeader
+ * @readonly
+ */
+const FIELD_HEADERS = {
+  description: ["description", "item", "item description", "name", "task", "scope"],
+  title: ["title"],
+  quantity: ["quantity", "qty"],
+  unit_type: ["unit", "units", "unit type", "uom", "unit of measure"],
+  unit_price: ["unit price", "price", "rate", "unit cost", "cost per unit"],
+  amount: ["amount", "total", "line total", "extended", "extended price"],
+  cost_type: ["cost type", "type", "category"],
+  outline: ["outline", "wbs", "item no", "item #", "no", "#"],
+};
+
+/**
+ * Fields that a column can be mapped to. `outline` holds outline numbers
+ * (1, 1.1, 1.1.2) that define the hierarchy.
+ * @readonly
+ */
+const IMPORT_FIELDS = Object.keys(FIELD_HEADERS);
+
+/**
+ * Ways to rebuild the item hierarchy
+ * @readonly
+ */
+const HIERARCHY_MODES = ["auto", "outline", "indent", "none"];
+
+/**
+ * Maximum number of data rows in one import
+ */
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Error for a file or mapping that cannot be imported at all
+ */
+class ImportError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {Object} [details] - Extra response fields (e.g. the headers found)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "ImportError";
+    this.details = details;
+  }
+}
+
+/**
+ * Normalize a column header for matching: lower case, without a trailing
+ * parenthesized note such as "(USD)" and with underscores as spaces
+ * @param {*} header - The header
+ * @returns {string} - The normalized header
+ */
+function normalizeHeader(header) {
+  return String(header ?? "")
+    .toLowerCase()
+    .replace(/\(.*\)\s*$/, "")
+    .replace(/_/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Count the indentation of a text cell
+ * @param {*} value - The cell value
+ * @returns {number} - Number of leading spaces (a tab counts as four)
+ */
+function leadingIndent(value) {
+  if (typeof value !== "string") return 0;
+  const [whitespace] = value.match(/^[ \t]*/);
+  return [...whitespace].reduce((total, char) => total + (char === "\t" ? 4 : 1), 0);
+}
+
+/**
+ * Convert an ExcelJS cell value to a plain value
+ * @param {*} value - The cell value (number, string, date, formula, rich text or hyperlink)
+ * @returns {string|number} - The value, or '' for empty cells
+ */
+function xlsxCellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number" || typeof value === "string") return value;
+  if (typeof value === "boolean") return String(value);
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (Array.isArray(value.richText)) return value.richText.map((part) => part.text).join("");
+  if (Object.hasOwn(value, "result")) return xlsxCellValue(value.result);
+  if (Object.hasOwn(value, "text")) return xlsxCellValue(value.text);
+  return "";
+}
+
+/**
+ * Read the rows of a CSV or XLSX file
+ * @param {Buffer} buffer - The file contents
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Promise<Array<Object>>} - Rows as `{ number, cells, indents }`, where
+ *   `number` is the 1-based row number in the file and `indents` the indentation of every cell
+ * @throws {ImportError} - If the file cannot be read
+ */
+async function readSpreadsheet(buffer, format) {
+  if (format === "csv") {
+    let rows;
+    try {
+      rows = parseCsv(buffer.toString("utf8"));
+    } catch (error) {
+      throw new ImportError(`Could not read the CSV file: ${error.message}`);
+    }
+    return rows.map((cells, index) => ({
+      number: index + 1,
+      cells,
+      indents: cells.map(leadingIndent),
+    }));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new ImportError(`Could not read the XLSX file: ${error.message}`);
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    throw new ImportError("The XLSX file has no worksheets");
+  }
+
+  const rows = [];
+  for (let number = 1; number <= sheet.rowCount; number++) {
+    const row = sheet.getRow(number);
+    const cells = [];
+    const indents = [];
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      const cell = row.getCell(column);
+      const value = xlsxCellValue(cell.value);
+      cells.push(value);
+      // An indent level in Excel is about as wide as four spaces
+      indents.push(((cell.alignment && cell.alignment.indent) || 0) * 4 + leadingIndent(value));
+    }
+    rows.push({ number, cells, indents });
+  }
+  return rows;
+}
+
+/**
+ * Check whether a cell is empty
+ * @param {*} value - The cell value
+ * @returns {boolean}
+ */
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === "";
+}
+
+/**
+ * Find the column of every mapped field
+ * @param {Array} headers - The header row
+ * @param {Object} [mapping] - Field name to column header; fields that are
+ *   not mapped are matched against FIELD_HEADERS
+ * @returns {Object} - Field name to 0-based column index
+ * @throws {ImportError} - If a mapped header is missing or no description column is found
+ */
+function resolveColumns(headers, mapping) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+
+  for (const [field, header] of Object.entries(mapping || {})) {
+    const index = normalized.indexOf(normalizeHeader(header));
+    if (index === -1) {
+      throw new ImportError(`Column "${header}" mapped to ${field} was not found`, {
+        headers: headers.map(String),
+      });
+    }
+    columns[field] = index;
+  }
+
+  for (const field of IMPORT_FIELDS) {
+    if (columns[field] !== undefined) continue;
+    const index = normalized.findIndex(
+      (header, position) =>
+        FIELD_HEADERS[field].includes(header) && !Object.values(columns).includes(position)
+    );
+    if (index !== -1) columns[field] = index;
+  }
+
+  if (columns.description === undefined && columns.title === undefined) {
+    throw new ImportError("No description column found. Map one with mapping.description.", {
+      headers: headers.map(String),
+    });
+  }
+
+  return columns;
+}
+
+/**
+ * Parse a number written in a spreadsheet cell, allowing currency symbols,
+ * thousands separators and negative amounts in parentheses
+ * @param {*} value - The cell value
+ * @returns {number|null|undefined} - The number, null for an empty cell or undefined if it is not a number
+ */
+function parseNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+  if (isBlank(value)) return null;
+
+  let text = String(value).trim().replace(/[\s,$€£¥]/g, "");
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(text)) return undefined;
+  return sign * Number(text);
+}
+
+/**
+ * Map a free-text cost type onto estimate_items.cost_type
+ * @param {string} text - The cost type as written
+ * @returns {string} - The cost type, lower-cased and singular when that makes it valid
+ */
+function normalizeCostType(text) {
+  const value = String(text).trim().toLowerCase();
+  if (value === "labour") return "labor";
+  if (value.endsWith("s") && VALID_COST_TYPES.includes(value.slice(0, -1))) {
+    return value.slice(0, -1);
+  }
+  return value;
+}
+
+/**
+ * Turn a data row into line item attributes
+ * @param {Object} row - Row from readSpreadsheet
+ * @param {Object} columns - Field name to column index
+ * @returns {Object} - `{ attributes }`, `{ skipped: reason }` or `{ error }`
+ */
+function toAttributes(row, columns) {
+  const cell = (field) => (columns[field] === undefined ? "" : row.cells[columns[field]]);
+  const text = (field) => (isBlank(cell(field)) ? null : String(cell(field)).trim());
+
+  const description = text("description") || text("title");
+  const attributes = { description };
+  if (text("title")) attributes.title = text("title");
+
+  for (const field of ["quantity", "unit_price", "amount"]) {
+    const number = parseNumber(cell(field));
+    if (number === undefined) {
+      return { error: `${field} '${cell(field)}' is not a number` };
+    }
+    if (number !== null) attributes[field] = number;
+  }
+
+  // Subtotal and total rows, like the ones in our own exports, are not items
+  if (
+    description &&
+    /^(sub)?total\b/i.test(description) &&
+    attributes.quantity === undefined &&
+    attributes.unit_price === undefined
+  ) {
+    return { skipped: "Subtotal or total row" };
+  }
+
+  if (!description) {
+    return { error: "description is required" };
+  }
+
+  if (text("unit_type")) {
+    const unit = resolveUnit(text("unit_type"));
+    if (!unit) {
+      return {
+        error: `Unknown unit '${text("unit_type")}'. Valid unit types are: ${VALID_UNIT_TYPES.join(", ")}`,
+      };
+    }
+    // Units such as square yards are converted when the item is built
+    attributes.unit_type = unit.unit;
+  }
+
+  if (text("cost_type")) {
+    attributes.cost_type = normalizeCostType(text("cost_type"));
+  }
+
+  return { attributes };
+}
+
+/**
+ * Assign every row its parent row
+ * @param {Array<Object>} rows - Import rows with `number`, `outline` and `indent`
+ * @param {string} mode - 'outline', 'indent' or 'none'
+ * @returns {void} - Sets `depth` and `parentRow` on the rows, or `error`
+ */
+function assignParents(rows, mode) {
+  if (mode === "outline") {
+    const byOutline = new Map();
+    for (const row of rows) {
+      const outline = String(row.outline ?? "").trim().replace(/\.$/, "");
+      if (!outline) {
+        row.depth = 0;
+        continue;
+      }
+      if (byOutline.has(outline)) {
+        row.error = `Duplicate outline number ${outline} (also on row ${byOutline.get(outline).number})`;
+        continue;
+      }
+      byOutline.set(outline, row);
+
+      const segments = outline.split(".");
+      row.depth = segments.length - 1;
+      if (segments.length > 1) {
+        const parentOutline = segments.slice(0, -1).join(".");
+        const parent = byOutline.get(parentOutline);
+        if (!parent) {
+          row.error = `Parent outline number ${parentOutline} not found before this row`;
+          continue;
+        }
+        row.parentRow = parent.number;
+      }
+    }
+    return;
+  }
+
+  if (mode === "indent") {
+    // Every distinct indentation is one level deeper than the next smaller one
+    const levels = [...new Set(rows.map((row) => row.indent))].sort((a, b) => a - b);
+    const stack = [];
+    for (const row of rows) {
+      const level = levels.indexOf(row.indent);
+      while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+      const parent = stack[stack.length - 1];
+      row.depth = stack.length;
+      if (parent) row.parentRow = parent.row.number;
+      stack.push({ level, row });
+    }
+    return;
+  }
+
+  rows.forEach((row) => (row.depth = 0));
+}
+
+/**
+ * Read, map and validate the rows of a spreadsheet, without writing anything
+ * @param {Buffer} buffer - The file contents
+ * @param {Object} options - Import options
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {Object} [options.mapping] - Field name to column header
+ * @param {string} [options.hierarchy] - One of HIERARCHY_MODES (default: auto)
+ * @param {string} options.userId - The ID of the authenticated user
+ * @param {string} options.currency - Currency for the items
+ * @returns {Promise<Object>} - `{ columns, hierarchy, rows }`. Each row has its
+ *   file row `number`, a `status` ('valid', 'skipped' or 'error'), the `attributes`
+ *   to insert, its `depth` and `parentRow`, and an `error` or `reason`.
+ * @throws {ImportError} - If the file or mapping cannot be used
+ */
+async function validateImport(buffer, { format, mapping, hierarchy = "auto", userId, currency }) {
+  const table = (await readSpreadsheet(buffer, format)).filter((row) =>
+    row.cells.some((value) => !isBlank(value))
+  );
+  if (table.length === 0) {
+    throw new ImportError("The file is empty");
+  }
+
+  const [header, ...dataRows] = table;
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`The file has ${dataRows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once`);
+  }
+
+  const columns = resolveColumns(header.cells, mapping);
+  const mode = hierarchy === "auto" ? (columns.outline !== undefined ? "outline" : "indent") : hierarchy;
+  if (mode === "outline" && columns.outline === undefined) {
+    throw new ImportError("No outline column found. Map one with mapping.outline.", {
+      headers: header.cells.map(String),
+    });
+  }
+
+  const nameColumn = columns.description !== undefined ? columns.description : columns.title;
+  const rows = dataRows.map((row) => {
+    const result = toAttributes(row, columns);
+    return {
+      number: row.number,
+      status: result.error ? "error" : result.skipped ? "skipped" : "valid",
+      attributes: result.attributes || null,
+      error: result.error,
+      reason: result.skipped,
+      outline: columns.outline === undefined ? null : row.cells[columns.outline],
+      indent: row.indents[nameColumn] || 0,
+    };
+  });
+
+  const itemRows = rows.filter((row) => row.status !== "skipped");
+  assignParents(itemRows, mode);
+
+  const byNumber = new Map(rows.map((row) => [row.number, row]));
+  for (const row of itemRows) {
+    if (row.status === "error") continue;
+
+    const parent = row.parentRow ? byNumber.get(row.parentRow) : null;
+    if (row.error) {
+      row.status = "error";
+    } else if (parent && parent.status === "error") {
+      row.status = "error";
+      row.error = `Parent row ${parent.number} has errors`;
+    } else {
+      // Validate the row exactly as the insert will
+      const instruction = formatAction({ verb: "add", attributes: row.attributes });
+      const parsed = parseLineItemInstruction(instruction);
+      const prepared = parsed.error
+        ? { error: parsed.error }
+        : prepareLineItemOperation(userId, parsed.action, instruction, currency);
+      if (prepared.error) {
+        row.status = "error";
+        row.error = prepared.error;
+      }
+    }
+  }
+
+  return {
+    columns: Object.fromEntries(
+      Object.entries(columns).map(([field, index]) => [field, String(header.cells[index])])
+    ),
+    hierarchy: mode,
+    rows,
+  };
+}
+
+/**
+ * Format an import row for API responses
+ * @param {Object} row - Row from validateImport
+ * @returns {Object} - The row
+ */
+function formatImportRow(row) {
+  return {
+    row: row.number,
+    status: row.status,
+    ...(row.itemId !== undefined ? { itemId: row.itemId } : {}),
+    ...(row.parentRow ? { parentRow: row.parentRow } : {}),
+    depth: row.depth ?? 0,
+    ...(row.attributes ? { fields: row.attributes } : {}),
+    ...(row.error ? { error: row.error } : {}),
+    ...(row.reason ? { reason: row.reason } : {}),
+  };
+}
+
+/**
+ * Import line items from a CSV or XLSX file. Rows are inserted in file order
+ * through applyLineItemInstruction, the insert path of applyLineItemChanges,
+ * with the ID of the parent row's new item as parent_item_id. Rows with errors,
+ * and the sub-items of rows with errors, are reported and not inserted.
+ * @param {number|string} projectId - The ID of the project
+ * @param {string} userId - The ID of the authenticated user
+ * @param {Buffer} buffer - The file contents
+ * @param {Object} options - Options of validateImport, plus:
+ * @param {boolean} [options.dryRun] - Only validate the rows
+ * @returns {Promise<Object>} - `{ columns, hierarchy, itemsImported, rowsSkipped,
+ *   errors, rows, revisionId }`
+ * @throws {ImportError} - If the file or mapping cannot be used
+ */
+async function importLineItems(projectId, userId, buffer, options) {
+  const { dryRun = false, currency } = options;
+  const { columns, hierarchy, rows } = await validateImport(buffer, { ...options, userId });
+
+  let revisionId = null;
+  if (!dryRun) {
+    const itemsBefore = await captureProjectItems(projectId);
+    const costTypeSettings = await loadCostTypeSettings(projectId);
+    const itemIds = new Map();
+
+    for (const row of rows) {
+      if (row.status !== "valid") continue;
+
+      const attributes = { ...row.attributes };
+      if (row.parentRow) {
+        if (!itemIds.has(row.parentRow)) {
+          row.status = "error";
+          row.error = `Parent row ${row.parentRow} was not imported`;
+          continue;
+        }
+        attributes.parent_item_id = itemIds.get(row.parentRow);
+      }
+
+      // Rows are classified with the keyword rules only, not one model call per row
+      const result = await applyLineItemInstruction(
+        projectId,
+        userId,
+        formatAction({ verb: "add", attributes }),
+        currency,
+        { costTypeSettings, useModel: false }
+      );
+      if (result.type === "added") {
+        row.status = "imported";
+        row.itemId = result.itemId;
+        itemIds.set(row.number, result.itemId);
+      } else {
+        row.status = "error";
+        row.error = result.error;
+      }
+    }
+
+    await recomputeProjectRollups(projectId);
+    revisionId = await recordRevision(projectId, userId, itemsBefore);
+  }
+
+  const failed = rows.filter((row) => row.status === "error");
+  return {
+    columns,
+    hierarchy,
+    itemsImported: rows.filter((row) => row.status === "imported").length,
+    rowsValid: rows.filter((row) => row.status === "valid").length,
+    rowsSkipped: rows.filter((row) => row.status === "skipped").length,
+    errors: failed.map((row) => ({ row: row.number, error: row.error })),
+    rows: rows.map(formatImportRow),
+    revisionId,
+  };
+}
+
+export {
+  ImportError,
+  IMPORT_FIELDS,
+  HIERARCHY_MODES,
+  MAX_IMPORT_ROWS,
+  normalizeHeader,
+  isBlank,
+  parseNumber,
+  normalizeCostType,
+  readSpreadsheet,
+  validateImport,
+  importLineItems,
+};
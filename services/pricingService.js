@@ -0,0 +1,240 @@
+import { VALID_COST_TYPES } from "../utils/lineItemTypes.js";
+import { roundAmount } from "../utils/money.js";
+
+/**
+ * Pricing rules applied on top of the cost of a project's items. They are
+ * defined in businesses.settings.pricing and can be overridden per project in
+ * projects.pricing_rules. Percentages are written as numbers, e.g. 15 for 15%.
+ *
+ *   {
+ *     "markup": { "material": 15, "labor": 10 },
+ *     "overhead": 8,
+ *     "contingency": 5,
+ *     "fees": [{ "label": "Permit fee", "amount": 350 }],
+ *     "tax": { "rate": 7.25, "costTypes": ["material"], "label": "Sales tax" }
+ *   }
+ */
+
+/**
+ * Cost types taxed when a tax rule does not list any
+ * @readonly
+ */
+const DEFAULT_TAXED_COST_TYPES = ["material"];
+
+/**
+ * Top-level keys of a set of pricing rules
+ * @readonly
+ */
+const PRICING_RULE_KEYS = ["markup", "overhead", "contingency", "fees", "tax"];
+
+/**
+ * Check that a value is a percentage
+ * @param {*} value - The value
+ * @returns {boolean} - Whether the value is a non-negative finite number
+ */
+function isPercent(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate a set of pricing rules. `null` disables a rule, so that a project
+ * can turn off a rule of its business.
+ * @param {Object} rules - The pricing rules
+ * @returns {Array<string>} - One message per invalid rule (empty if the rules are valid)
+ */
+function validatePricingRules(rules) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return ["pricing rules must be an object"];
+  }
+
+  const errors = [];
+  const unknownKeys = Object.keys(rules).filter((key) => !PRICING_RULE_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`Unsupported pricing rules: ${unknownKeys.join(", ")}. Rules are: ${PRICING_RULE_KEYS.join(", ")}`);
+  }
+
+  const { markup, overhead, contingency, fees, tax } = rules;
+
+  if (markup !== undefined && markup !== null) {
+    if (typeof markup !== "object" || Array.isArray(markup)) {
+      errors.push("markup must map cost types to percentages");
+    } else {
+      for (const [costType, percent] of Object.entries(markup)) {
+        if (!VALID_COST_TYPES.includes(costType)) {
+          errors.push(`Invalid markup cost type '${costType}'. Valid cost types are: ${VALID_COST_TYPES.join(", ")}`);
+        } else if (percent !== null && !isPercent(percent)) {
+          errors.push(`markup.${costType} must be a non-negative number`);
+        }
+      }
+    }
+  }
+
+  for (const [key, percent] of [["overhead", overhead], ["contingency", contingency]]) {
+    if (percent !== undefined && percent !== null && !isPercent(percent)) {
+      errors.push(`${key} must be a non-negative number`);
+    }
+  }
+
+  if (fees !== undefined && fees !== null) {
+    if (!Array.isArray(fees)) {
+      errors.push("fees must be an array of { label, amount }");
+    } else {
+      fees.forEach((fee, index) => {
+        if (!fee || typeof fee.label !== "string" || !fee.label.trim()) {
+          errors.push(`fees[${index}].label must be a non-empty string`);
+        }
+        if (!fee || typeof fee.amount !== "number" || !Number.isFinite(fee.amount)) {
+          errors.push(`fees[${index}].amount must be a number`);
+        }
+      });
+    }
+  }
+
+  if (tax !== undefined && tax !== null) {
+    if (typeof tax !== "object" || Array.isArray(tax)) {
+      errors.push("tax must be an object with a rate");
+    } else {
+      if (tax.rate !== undefined && !isPercent(tax.rate)) {
+        errors.push("tax.rate must be a non-negative number");
+      }
+      if (
+        tax.costTypes !== undefined &&
+        (!Array.isArray(tax.costTypes) || tax.costTypes.some((costType) => !VALID_COST_TYPES.includes(costType)))
+      ) {
+        errors.push(`tax.costTypes must be a list of cost types: ${VALID_COST_TYPES.join(", ")}`);
+      }
+      if (tax.label !== undefined && (typeof tax.label !== "string" || !tax.label.trim())) {
+        errors.push("tax.label must be a non-empty string");
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Combine the pricing rules of a business with the overrides of a project.
+ * A project rule replaces the business rule, except that markup is merged per
+ * cost type and tax field by field. A rule set to null is turned off.
+ * @param {Object|null} businessRules - businesses.settings.pricing
+ * @param {Object|null} projectRules - projects.pricing_rules
+ * @returns {Object} - The rules in effect for the project
+ */
+function resolvePricingRules(businessRules, projectRules) {
+  const base = businessRules || {};
+  const overrides = projectRules || {};
+  const merged = { ...base, ...overrides };
+
+  if (base.markup && overrides.markup) {
+    merged.markup = { ...base.markup, ...overrides.markup };
+  }
+  if (base.tax && overrides.tax) {
+    merged.tax = { ...base.tax, ...overrides.tax };
+  }
+
+  return merged;
+}
+
+/**
+ * Format a percentage for a summary line
+ * @param {number} percent - The percentage
+ * @returns {string} - e.g. "7.25%"
+ */
+function formatPercent(percent) {
+  return `${Number(percent.toFixed(4))}%`;
+}
+
+/**
+ * Compute the summary lines of a set of pricing rules: a markup per cost type,
+ * then overhead and contingency on the cost subtotal, the fixed fees, and the
+ * tax on the cost of the taxed cost types
+ * @param {Object} totals - `{ total, byCostType }` from computeTotals
+ * @param {Object} rules - Pricing rules (see resolvePricingRules)
+ * @returns {Array<Object>} - Lines with `type` ('markup', 'overhead', 'contingency',
+ *   'fee' or 'tax'), `label` and `amount`, plus `rate` and `basis` for percentages
+ *   and `costType`/`costTypes` for markups and tax
+ */
+function computeAdjustments(totals, rules) {
+  const adjustments = [];
+  const percentOf = (basis, rate) => roundAmount((basis * rate) / 100);
+
+  const markup = rules.markup || {};
+  for (const costType of VALID_COST_TYPES) {
+    const rate = markup[costType];
+    const basis = totals.byCostType[costType];
+    if (!rate || !basis) continue;
+
+    adjustments.push({
+      type: "markup",
+      label: `Markup on ${costType} (${formatPercent(rate)})`,
+      costType,
+      rate,
+      basis,
+      amount: percentOf(basis, rate),
+    });
+  }
+
+  for (const type of ["overhead", "contingency"]) {
+    const rate = rules[type];
+    if (!rate || !totals.total) continue;
+
+    adjustments.push({
+      type,
+      label: `${type[0].toUpperCase()}${type.slice(1)} (${formatPercent(rate)})`,
+      rate,
+      basis: totals.total,
+      amount: percentOf(totals.total, rate),
+    });
+  }
+
+  for (const fee of rules.fees || []) {
+    adjustments.push({ type: "fee", label: fee.label.trim(), amount: roundAmount(fee.amount) });
+  }
+
+  if (rules.tax && rules.tax.rate) {
+    const costTypes = rules.tax.costTypes || DEFAULT_TAXED_COST_TYPES;
+    const basis = roundAmount(
+      costTypes.reduce((sum, costType) => sum + (totals.byCostType[costType] || 0), 0)
+    );
+    if (basis) {
+      adjustments.push({
+        type: "tax",
+        label: `${rules.tax.label || "Sales tax"} on ${costTypes.join(", ")} (${formatPercent(rules.tax.rate)})`,
+        costTypes,
+        rate: rules.tax.rate,
+        basis,
+        amount: percentOf(basis, rules.tax.rate),
+      });
+    }
+  }
+
+  return adjustments;
+}
+
+/**
+ * Get the pricing rules in effect for a project. Invalid business rules are
+ * logged and left out, so that a typo in the settings does not break totals.
+ * @param {Object} project - The projects row
+ * @param {Object|null} business - The businesses row of the project
+ * @returns {Object} - The rules (see resolvePricingRules)
+ */
+function getProjectPricingRules(project, business) {
+  const settings = (business && business.settings) || {};
+  let businessRules = settings.pricing || null;
+
+  const errors = businessRules ? validatePricingRules(businessRules) : [];
+  if (errors.length > 0) {
+    console.error(`Ignoring invalid pricing rules of business ${business.id}:`, errors);
+    businessRules = null;
+  }
+
+  return resolvePricingRules(businessRules, project.pricing_rules || null);
+}
+
+export {
+  PRICING_RULE_KEYS,
+  validatePricingRules,
+  resolvePricingRules,
+  computeAdjustments,
+  getProjectPricingRules,
+};
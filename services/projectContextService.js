@@ -0,0 +1,451 @@
+/**
+ * Context for follow-up prompts on projects of any size. The items of a project
+ * are split into parts of whole subtrees (CONTEXT_CHUNK_SIZE items, default 300),
+ * and the prompt is run once per part with an outline of the whole project. The
+ * actions of the parts are merged into one list; an action that contradicts an
+ * action of an earlier part is reported as a conflict instead of being applied.
+ */
+
+import { parseAction, formatAction } from "../utils/actionDsl.js";
+import { getProjectLineItems } from "./projectService.js";
+import { generateAdditionalEstimate, streamAdditionalEstimate } from "./geminiService.js";
+
+/**
+ * Number of items in a part unless CONTEXT_CHUNK_SIZE says otherwise
+ * @readonly
+ */
+const DEFAULT_CONTEXT_CHUNK_SIZE = 300;
+
+/**
+ * Maximum number of items listed in the outline of a project
+ * @readonly
+ */
+const OUTLINE_MAX_ITEMS = 200;
+
+/**
+ * Number of items loaded per storage request
+ * @readonly
+ */
+const LOAD_PAGE_SIZE = 1000;
+
+/**
+ * Get the configured number of items in a part
+ * @returns {number} - Items per part (CONTEXT_CHUNK_SIZE, default 300)
+ */
+function getContextChunkSize() {
+  const size = Number(process.env.CONTEXT_CHUNK_SIZE);
+  return Number.isInteger(size) && size > 0 ? size : DEFAULT_CONTEXT_CHUNK_SIZE;
+}
+
+/**
+ * Load every item of a project, a page at a time
+ * @param {number|string} projectId - The ID of the project
+ * @returns {Promise<Array<Object>>} - estimate_items rows in ID order
+ */
+async function loadProjectItems(projectId) {
+  const items = [];
+
+  for (;;) {
+    const page = await getProjectLineItems(projectId, items.length, LOAD_PAGE_SIZE);
+    items.push(...page);
+    if (page.length < LOAD_PAGE_SIZE) return items;
+  }
+}
+
+/**
+ * Order items depth-first, each parent before its sub-items. Items whose parent
+ * is missing are treated as top-level items, and items in a parent cycle are
+ * listed once, after the others.
+ * @param {Array<Object>} items - estimate_items rows of the project
+ * @returns {Array<Object>} - `{ item, depth, subtreeSize }` entries, where
+ *   subtreeSize counts the item and all of its descendants
+ */
+function orderItemsByTree(items) {
+  const ids = new Set(items.map((item) => String(item.id)));
+  const childrenOf = new Map();
+  for (const item of items) {
+    const parentId = item.parent_item_id === null || item.parent_item_id === undefined
+      ? null
+      : String(item.parent_item_id);
+    const key = parentId !== null && ids.has(parentId) ? parentId : null;
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(item);
+  }
+
+  const ordered = [];
+  const visited = new Set();
+
+  const visit = (item, depth) => {
+    visited.add(String(item.id));
+    const entry = { item, depth, subtreeSize: 1 };
+    ordered.push(entry);
+
+    for (const child of childrenOf.get(String(item.id)) || []) {
+      if (!visited.has(String(child.id))) {
+        entry.subtreeSize += visit(child, depth + 1);
+      }
+    }
+    return entry.subtreeSize;
+  };
+
+  for (const item of childrenOf.get(null) || []) {
+    visit(item, 0);
+  }
+  for (const item of items) {
+    if (!visited.has(String(item.id))) visit(item, 0);
+  }
+
+  return ordered;
+}
+
+/**
+ * Split the items of a project into parts of at most `size` items. A subtree
+ * that fits into a part is never split; larger subtrees are split between their
+ * sub-items.
+ * @param {Array<Object>} items - estimate_items rows of the project
+ * @param {number} [size] - Maximum items per part (default: getContextChunkSize())
+ * @returns {Array<Object>} - `{ index, items }` parts in tree order; one empty
+ *   part for a project without items
+ */
+function chunkProjectItems(items, size = getContextChunkSize()) {
+  const chunks = [];
+  let current = [];
+
+  for (const { item, subtreeSize } of orderItemsByTree(items)) {
+    if (current.length > 0 && current.length + Math.min(subtreeSize, size) > size) {
+      chunks.push(current);
+      current = [];
+    }
+    current.push(item);
+  }
+  if (current.length > 0 || chunks.length === 0) {
+    chunks.push(current);
+  }
+
+  return chunks.map((chunkItems, index) => ({ index, items: chunkItems }));
+}
+
+/**
+ * Summarize the hierarchy of a project as an indented outline. Whole levels
+ * are listed from the top down: when the items do not all fit, the deepest
+ * levels are left out and counted on their parents. The top level is always
+ * listed.
+ * @param {Array<Object>} items - estimate_items rows of the project
+ * @param {number} [maxItems] - Maximum items to list (default: OUTLINE_MAX_ITEMS)
+ * @returns {string} - One line per listed item
+ */
+function summarizeProjectTree(items, maxItems = OUTLINE_MAX_ITEMS) {
+  const ordered = orderItemsByTree(items);
+
+  const countsByDepth = [];
+  for (const { depth } of ordered) {
+    countsByDepth[depth] = (countsByDepth[depth] || 0) + 1;
+  }
+  let maxDepth = 0;
+  let listed = countsByDepth[0] || 0;
+  while (maxDepth + 1 < countsByDepth.length && listed + countsByDepth[maxDepth + 1] <= maxItems) {
+    maxDepth++;
+    listed += countsByDepth[maxDepth];
+  }
+
+  const lines = [];
+  for (const { item, depth, subtreeSize } of ordered) {
+    if (depth > maxDepth) continue;
+
+    const total = item.total_amount ?? item.amount;
+    const subItems = subtreeSize > 1 ? `, ${subtreeSize - 1} sub-items` : "";
+    lines.push(`${"  ".repeat(depth)}- ID:${item.id} ${item.description} (total=${total}${subItems})`);
+  }
+
+  if (lines.length < items.length) {
+    lines.push(`(${items.length - lines.length} deeper sub-items are not listed)`);
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Create a merger for the actions of the parts of a prompt. With more than one
+ * part, the refs of each part are prefixed with its number so that they do not
+ * collide, and an action is a conflict when:
+ * - it changes an item that an earlier part already updated, deleted or moved
+ * - it names a parent that an earlier part deleted, or deletes an item that an
+ *   earlier part used as a parent
+ * - it adds an item with the description and parent of an item an earlier part added,
+ *   or a sub-item of an add that conflicts
+ * Actions that do not parse are passed on unchanged, so that applying them
+ * reports the syntax error.
+ * @param {number} partCount - Number of parts
+ * @returns {Object} - `{ accept(instruction, part), conflicts }`; accept returns the
+ *   instruction to apply, or null for a conflict, which is added to conflicts
+ *   as `{ part, instruction, reason }` (part is 1-based)
+ */
+function createActionMerger(partCount) {
+  const conflicts = [];
+  const changedBy = new Map();
+  const deletedBy = new Map();
+  const parentOf = new Map();
+  const addedBy = new Map();
+  const droppedRefs = new Set();
+
+  /**
+   * Record a conflict
+   * @param {number} part - The 1-based part number
+   * @param {string} instruction - The instruction
+   * @param {string} reason - Why it conflicts
+   * @returns {null}
+   */
+  const conflict = (part, instruction, reason) => {
+    conflicts.push({ part, instruction, reason });
+    return null;
+  };
+
+  /**
+   * Find the earlier part that recorded a key in a map
+   * @param {Map} byKey - Part numbers by key
+   * @param {*} key - The key
+   * @param {number} part - The part asking
+   * @returns {number|null}
+   */
+  const otherPart = (byKey, key, part) => {
+    const recorded = byKey.get(String(key));
+    return recorded !== undefined && recorded !== part ? recorded : null;
+  };
+
+  /**
+   * Get the ID of the existing parent an action names
+   * @param {Object} action - A parsed action
+   * @returns {number|string|null}
+   */
+  const namedParentId = (action) => {
+    if (action.verb === "move") {
+      return action.target.type === "id" ? action.target.id : null;
+    }
+    const attributes = action.attributes || {};
+    return attributes.parent_item_id ?? attributes.parent_id ?? null;
+  };
+
+  /**
+   * Get the key under which an add is compared with the adds of other parts
+   * @param {Object} action - A parsed add action
+   * @param {number} part - The 1-based part number
+   * @returns {string}
+   */
+  const addKeyOf = (action, part) => {
+    const { attributes } = action;
+    const parentId = namedParentId(action);
+    const parentKey = parentId !== null
+      ? `id:${parentId}`
+      : attributes.parent !== undefined
+        ? `parent:${String(attributes.parent).trim().toLowerCase()}`
+        : attributes.parent_ref !== undefined ? `ref:${part}:${attributes.parent_ref}` : "root";
+    return `${String(attributes.description ?? "").trim().toLowerCase()}|${parentKey}`;
+  };
+
+  /**
+   * Find why an action conflicts with the actions of earlier parts
+   * @param {Object} action - A parsed action
+   * @param {number} part - The 1-based part number
+   * @returns {string|null} - The reason, or null if the action does not conflict
+   */
+  const findConflict = (action, part) => {
+    if (action.verb !== "add") {
+      const changed = otherPart(changedBy, action.id, part);
+      if (changed !== null) return `item ID:${action.id} was already changed by part ${changed}`;
+    }
+
+    const parentId = namedParentId(action);
+    if (parentId !== null) {
+      const deleted = otherPart(deletedBy, parentId, part);
+      if (deleted !== null) return `parent item ID:${parentId} was deleted by part ${deleted}`;
+    }
+
+    if (action.verb === "delete") {
+      const usedAsParent = otherPart(parentOf, action.id, part);
+      if (usedAsParent !== null) return `item ID:${action.id} is the parent of a change in part ${usedAsParent}`;
+    }
+
+    if (action.verb === "add") {
+      const { attributes } = action;
+      if (attributes.parent_ref !== undefined && droppedRefs.has(`${part}:${attributes.parent_ref}`)) {
+        return `its parent (ref '${attributes.parent_ref}') was not added because of a conflict`;
+      }
+      const added = otherPart(addedBy, addKeyOf(action, part), part);
+      if (added !== null) return `an item '${attributes.description}' was already added there by part ${added}`;
+    }
+
+    return null;
+  };
+
+  const accept = (instruction, partIndex) => {
+    if (partCount <= 1) return instruction;
+
+    const part = partIndex + 1;
+    let action;
+    try {
+      action = parseAction(instruction);
+    } catch (error) {
+      return instruction;
+    }
+
+    const attributes = action.attributes || {};
+    const reason = findConflict(action, part);
+    if (reason !== null) {
+      // Sub-items of a dropped add cannot be added either
+      if (attributes.ref !== undefined) droppedRefs.add(`${part}:${attributes.ref}`);
+      return conflict(part, instruction, reason);
+    }
+
+    const parentId = namedParentId(action);
+    if (action.verb !== "add" && !changedBy.has(String(action.id))) {
+      changedBy.set(String(action.id), part);
+    }
+    if (action.verb === "delete" && !deletedBy.has(String(action.id))) {
+      deletedBy.set(String(action.id), part);
+    }
+    if (parentId !== null && !parentOf.has(String(parentId))) {
+      parentOf.set(String(parentId), part);
+    }
+    if (action.verb === "add" && !addedBy.has(addKeyOf(action, part))) {
+      addedBy.set(addKeyOf(action, part), part);
+    }
+
+    if (attributes.ref === undefined && attributes.parent_ref === undefined) {
+      return instruction;
+    }
+
+    const prefixed = { ...attributes };
+    for (const name of ["ref", "parent_ref"]) {
+      if (prefixed[name] !== undefined) prefixed[name] = `${part}:${prefixed[name]}`;
+    }
+    return formatAction({ ...action, attributes: prefixed });
+  };
+
+  return { accept, conflicts };
+}
+
+/**
+ * Build the request data of each part of a follow-up prompt
+ * @param {Object} project - The projects row
+ * @param {Object} requestData - The request data (see generateAdditionalEstimate)
+ * @returns {Promise<Array<Object>>} - Request data per part, with existingItems
+ *   set to the items of the part and projectContext describing the part
+ */
+async function buildPartRequests(project, requestData) {
+  const items = await loadProjectItems(project.id);
+  const chunks = chunkProjectItems(items);
+  const outline = chunks.length > 1 ? summarizeProjectTree(items) : null;
+
+  return chunks.map((chunk) => ({
+    ...requestData,
+    existingProject: project,
+    existingItems: chunk.items,
+    projectContext: chunks.length > 1
+      ? { part: chunk.index + 1, parts: chunks.length, totalItems: items.length, outline }
+      : null,
+  }));
+}
+
+/**
+ * Combine the raw responses of the parts into the record that is logged
+ * @param {Array<Object>} rawResponses - Raw response records, one per part
+ * @param {Object} [fields] - Fields to add to a combined record
+ * @returns {Object} - The single raw response, or `{ timestamp, parts, ... }`
+ */
+function combineRawResponses(rawResponses, fields = {}) {
+  if (rawResponses.length === 1) return rawResponses[0];
+
+  return {
+    timestamp: new Date().toISOString(),
+    ...fields,
+    parts: rawResponses,
+  };
+}
+
+/**
+ * Generate the changes a follow-up prompt makes to a project, with every item
+ * of the project as context
+ * @param {Object} project - The projects row
+ * @param {Object} requestData - The request data (see generateAdditionalEstimate)
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.outputFormat] - One of OUTPUT_FORMATS (default: xml)
+ * @returns {Promise<Object>} - `{ instructions, conflicts, parts, rawGeminiResponse }`
+ */
+async function generateProjectChanges(project, requestData, { outputFormat = "xml" } = {}) {
+  const partRequests = await buildPartRequests(project, requestData);
+  const merger = createActionMerger(partRequests.length);
+  const instructions = [];
+  const rawResponses = [];
+
+  for (const [index, partRequest] of partRequests.entries()) {
+    const { instructions: partInstructions, rawGeminiResponse } =
+      await generateAdditionalEstimate(partRequest, { outputFormat });
+    rawResponses.push(rawGeminiResponse);
+
+    for (const instruction of partInstructions) {
+      const accepted = merger.accept(instruction, index);
+      if (accepted !== null) instructions.push(accepted);
+    }
+  }
+
+  return {
+    instructions,
+    conflicts: merger.conflicts,
+    parts: partRequests.length,
+    rawGeminiResponse: combineRawResponses(rawResponses, { outputFormat }),
+  };
+}
+
+/**
+ * Stream the changes a follow-up prompt makes to a project, part by part, with
+ * every item of the project as context
+ * @param {Object} project - The projects row
+ * @param {Object} requestData - The request data (see generateAdditionalEstimate)
+ * @param {Function} onEvent - Async callback for each parser event of the parts.
+ *   An action event carries the merged instruction; an action that conflicts is
+ *   emitted as `{ type: 'conflict', conflict }` instead.
+ * @param {Object} [options] - Streaming options (see streamAdditionalEstimate)
+ * @returns {Promise<Object>} - `{ conflicts, parts, rawGeminiResponse }`
+ */
+async function streamProjectChanges(project, requestData, onEvent, options = {}) {
+  const partRequests = await buildPartRequests(project, requestData);
+  const merger = createActionMerger(partRequests.length);
+  const rawResponses = [];
+
+  for (const [index, partRequest] of partRequests.entries()) {
+    if (options.signal && options.signal.aborted) break;
+
+    const { rawGeminiResponse } = await streamAdditionalEstimate(
+      partRequest,
+      async (event) => {
+        if (event.type !== "action") return onEvent(event);
+
+        const accepted = merger.accept(event.instruction, index);
+        if (accepted === null) {
+          return onEvent({ type: "conflict", conflict: merger.conflicts[merger.conflicts.length - 1] });
+        }
+        return onEvent({ ...event, instruction: accepted });
+      },
+      options
+    );
+    rawResponses.push(rawGeminiResponse);
+  }
+
+  return {
+    conflicts: merger.conflicts,
+    parts: partRequests.length,
+    rawGeminiResponse: combineRawResponses(rawResponses),
+  };
+}
+
+export {
+  DEFAULT_CONTEXT_CHUNK_SIZE,
+  getContextChunkSize,
+  loadProjectItems,
+  orderItemsByTree,
+  chunkProjectItems,
+  summarizeProjectTree,
+  createActionMerger,
+  generateProjectChanges,
+  streamProjectChanges,
+};
@@ -1,91 +1,321 @@
-import { supabase } from "./supabaseService.js";
+import { getStorage } from "../storage/index.js";
+import { parseAction, ActionSyntaxError } from "../utils/actionDsl.js";
+import {
+  captureProjectItems,
+  recordRevision,
+  linkRevisionToMessage,
+} from "./revisionService.js";
+import { recomputeProjectRollups } from "./rollupService.js";
+import { DEFAULT_CURRENCY, normalizeCurrency } from "./currencyService.js";
+import { resolveCatalogReference } from "./catalogService.js";
+import { resolveUnit, conversionFactor, convertQuantity } from "../utils/units.js";
+import {
+  classifyCostType,
+  classifyLineItem,
+  loadCostTypeSettings,
+} from "./costTypeService.js";
+import { roundAmount, amountOf } from "../utils/money.js";
+import { collectSubtree } from "../utils/itemTree.js";
+import { VALID_UNIT_TYPES, VALID_COST_TYPES } from "../utils/lineItemTypes.js";
 
 /**
- * Parse attributes from an instruction string
- * @param {string} instructionPart - The instruction string (e.g., "description='Site Prep', quantity=1")
- * @returns {Object} - Object with parsed attributes
+ * Parse the attribute list of an add or update instruction
+ * @param {string} instructionPart - The instruction without its verb (e.g., "description='Site Prep', quantity=1" or "ID:12, quantity=2")
+ * @returns {Object} - Object with parsed attributes (and `id` for an update)
+ * @throws {ActionSyntaxError} - If the attributes do not match the action grammar
  */
 function parseInstructionAttributes(instructionPart) {
-  const attributes = {};
-  let currentKey = "";
-  let currentValue = "";
-  let inQuote = false;
-  let quoteChar = "";
-  let parsingKey = true;
-
-  if (instructionPart.startsWith("ID:")) {
-    const idMatch = instructionPart.match(/^ID:(\d+),?\s*/);
-    if (idMatch) {
-      attributes.id = parseInt(idMatch[1], 10);
-      instructionPart = instructionPart.substring(idMatch[0].length);
-    }
+  const action = parseAction(`+ ${instructionPart}`);
+  return action.verb === "update"
+    ? { id: action.id, ...action.attributes }
+    : action.attributes;
+}
+
+/**
+ * Columns of estimate_items that may be written through line item changes
+ * @readonly
+ */
+const EDITABLE_LINE_ITEM_FIELDS = [
+  "title",
+  "description",
+  "quantity",
+  "unit_price",
+  "unit_type",
+  "cost_type",
+  "amount",
+  "currency",
+  "total_amount",
+  "status",
+  "parent_item_id",
+  "is_sub_item",
+  "data",
+];
+
+/**
+ * Normalize the enum-like text fields of a line item in place
+ * @param {Object} fields - Line item fields
+ * @returns {Object} - The same object with unit_type/cost_type trimmed and lower-cased
+ *   and currency trimmed and upper-cased
+ */
+function normalizeLineItemEnums(fields) {
+  if (typeof fields.unit_type === "string") {
+    fields.unit_type = fields.unit_type.trim().toLowerCase();
   }
+  if (typeof fields.cost_type === "string") {
+    fields.cost_type = fields.cost_type.trim().toLowerCase();
+  }
+  if (typeof fields.currency === "string") {
+    fields.currency = fields.currency.trim().toUpperCase();
+  }
+  return fields;
+}
 
-  for (let i = 0; i < instructionPart.length; i++) {
-    const char = instructionPart[i];
+/**
+ * Store the unit of line item fields as a canonical unit_type. A unit that is
+ * not stored, such as square yards, is converted into its unit_type together
+ * with the quantity and unit_price. Changing an existing item between
+ * compatible units (hours and days) without a new quantity converts its
+ * quantity and unit_price, so the amount stays the same; with a new quantity,
+ * its stored unit_price is converted to the new unit. Unrecognized units are
+ * left for validateLineItemFields to report.
+ * @param {Object} fields - Line item fields (modified in place)
+ * @param {Object|null} [existing] - The estimate_items row being updated
+ * @returns {Object} - The same object
+ */
+function normalizeLineItemUnit(fields, existing = null) {
+  if (typeof fields.unit_type !== "string") {
+    return fields;
+  }
 
-    if (parsingKey) {
-      if (char === "=") {
-        parsingKey = false;
-        currentKey = currentKey.trim();
-      } else {
-        currentKey += char;
-      }
-    } else {
-      if (!inQuote && (char === "'" || char === '"')) {
-        inQuote = true;
-        quoteChar = char;
-      } else if (inQuote && char === quoteChar) {
-        inQuote = false;
-      } else if (!inQuote && char === ",") {
-        attributes[currentKey] = processValue(currentValue.trim(), currentKey);
-        currentKey = "";
-        currentValue = "";
-        parsingKey = true;
-      } else {
-        currentValue += char;
-      }
+  const unit = resolveUnit(fields.unit_type);
+  if (!unit) {
+    return fields;
+  }
+
+  fields.unit_type = unit.unitType;
+  if (existing && fields.quantity === undefined && existing.quantity !== null) {
+    const factor = conversionFactor(existing.unit_type, unit.unitType);
+    if (factor === null || factor === 1) {
+      return fields;
     }
+
+    fields.quantity = roundAmount(Number(existing.quantity) * factor);
+    if (fields.unit_price === undefined && existing.unit_price !== null) {
+      fields.unit_price = roundAmount(Number(existing.unit_price) / factor);
+      if (fields.amount === undefined) fields.amount = amountOf(existing);
+    }
+    return fields;
+  }
+
+  convertQuantity(fields, unit.factor);
+  if (existing && fields.unit_price === undefined && existing.unit_price !== null) {
+    const factor = conversionFactor(existing.unit_type, unit.unitType);
+    if (factor !== null && factor !== 1) {
+      fields.unit_price = roundAmount(Number(existing.unit_price) / factor);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Set the amount of an update that changes the quantity or unit_price but not
+ * the amount, from the new values merged over the stored ones. A value that is
+ * not a number is left for validateLineItemFields to report.
+ * @param {Object} attributes - Update attributes (modified in place)
+ * @param {Object} existing - The estimate_items row being updated
+ * @returns {Object} - The same object
+ */
+function recomputeUpdatedAmount(attributes, existing) {
+  if (
+    attributes.amount !== undefined ||
+    (attributes.quantity === undefined && attributes.unit_price === undefined)
+  ) {
+    return attributes;
   }
 
-  if (currentKey) {
-    attributes[currentKey] = processValue(currentValue.trim(), currentKey);
+  const changed = [attributes.quantity, attributes.unit_price].filter((value) => value !== undefined);
+  if (changed.some((value) => typeof value !== "number")) {
+    return attributes;
   }
 
+  const quantity = attributes.quantity !== undefined ? attributes.quantity : existing.quantity;
+  const unitPrice = attributes.unit_price !== undefined ? attributes.unit_price : existing.unit_price;
+  const amount = Number(quantity) * Number(unitPrice);
+  if (quantity !== null && unitPrice !== null && Number.isFinite(amount)) {
+    attributes.amount = roundAmount(amount);
+  }
   return attributes;
 }
 
 /**
- * Process a value to convert it to the appropriate type
- * @param {string} value - The value to process
- * @param {string} [key] - Optional key name to help determine type
- * @returns {any} - The processed value
+ * Validate line item fields against the estimate_items schema
+ * @param {Object} fields - Line item fields (database column names)
+ * @returns {string|null} - Error message if validation fails, null if successful
+ */
+function validateLineItemFields(fields) {
+  const unknownFields = Object.keys(fields).filter(
+    (key) => !EDITABLE_LINE_ITEM_FIELDS.includes(key)
+  );
+  if (unknownFields.length > 0) {
+    return `Unsupported fields: ${unknownFields.join(", ")}`;
+  }
+
+  for (const key of ["quantity", "unit_price", "amount", "total_amount"]) {
+    const value = fields[key];
+    if (
+      value !== undefined &&
+      value !== null &&
+      (typeof value !== "number" || !Number.isFinite(value))
+    ) {
+      return `${key} must be a number`;
+    }
+  }
+
+  for (const key of ["title", "description", "currency", "status"]) {
+    const value = fields[key];
+    if (value !== undefined && value !== null && typeof value !== "string") {
+      return `${key} must be a string`;
+    }
+  }
+
+  if (
+    typeof fields.currency === "string" &&
+    normalizeCurrency(fields.currency) !== fields.currency
+  ) {
+    return `Invalid currency '${fields.currency}'. Use a three-letter currency code such as USD`;
+  }
+
+  if (
+    fields.unit_type !== undefined &&
+    fields.unit_type !== null &&
+    !VALID_UNIT_TYPES.includes(fields.unit_type)
+  ) {
+    return `Invalid unit_type '${fields.unit_type}'. Valid unit types are: ${VALID_UNIT_TYPES.join(", ")}`;
+  }
+
+  if (
+    fields.cost_type !== undefined &&
+    fields.cost_type !== null &&
+    !VALID_COST_TYPES.includes(fields.cost_type)
+  ) {
+    return `Invalid cost_type '${fields.cost_type}'. Valid cost types are: ${VALID_COST_TYPES.join(", ")}`;
+  }
+
+  if (
+    fields.parent_item_id !== undefined &&
+    fields.parent_item_id !== null &&
+    !Number.isInteger(fields.parent_item_id)
+  ) {
+    return "parent_item_id must be an integer";
+  }
+
+  if (fields.is_sub_item !== undefined && typeof fields.is_sub_item !== "boolean") {
+    return "is_sub_item must be a boolean";
+  }
+
+  if (
+    fields.data !== undefined &&
+    fields.data !== null &&
+    (typeof fields.data !== "object" || Array.isArray(fields.data))
+  ) {
+    return "data must be an object";
+  }
+
+  return null;
+}
+
+/**
+ * Build the column updates for an existing line item from instruction attributes
+ * @param {Object} attributes - Parsed attributes (e.g. from parseInstructionAttributes or a request body)
+ * @returns {Object} - Normalized update data using database column names
  */
-function processValue(value, key) {
-  // Handle quoted strings (remove quotes)
+function buildLineItemUpdate(attributes) {
+  const updateData = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    if (key === "id") continue;
+    if (key === "parent_id") updateData.parent_item_id = value;
+    else updateData[key] = value;
+  }
+  normalizeLineItemUnit(updateData);
+
   if (
-    (value.startsWith("'") && value.endsWith("'")) ||
-    (value.startsWith('"') && value.endsWith('"'))
+    typeof updateData.quantity === "number" &&
+    typeof updateData.unit_price === "number" &&
+    updateData.amount === undefined
   ) {
-    return value.substring(1, value.length - 1);
+    updateData.amount = roundAmount(updateData.quantity * updateData.unit_price);
   }
-  
-  // Special handling for known text fields
-  if (key && ['cost_type', 'unit_type', 'status'].includes(key)) {
-    return value; // Keep as string even if it looks like a number
+
+  // If description is being updated, determine the appropriate cost_type
+  if (updateData.description && !updateData.cost_type) {
+    updateData.cost_type = classifyCostType(updateData.description).costType;
   }
 
-  // Convert numeric strings to numbers
-  if (!isNaN(value) && value.trim() !== "") {
-    return Number(value);
+  if (updateData.description && !updateData.title) {
+    updateData.title = updateData.description;
   }
 
-  // Handle boolean values
-  if (value.toLowerCase() === 'true') return true;
-  if (value.toLowerCase() === 'false') return false;
+  if (
+    updateData.parent_item_id !== undefined &&
+    updateData.is_sub_item === undefined
+  ) {
+    updateData.is_sub_item = updateData.parent_item_id !== null;
+  }
+
+  return normalizeLineItemEnums(updateData);
+}
+
+/**
+ * Build the fields of a new line item from instruction attributes.
+ * project_id and created_by are added by the caller at insert time.
+ * @param {Object} rawAttributes - Parsed attributes (description is required)
+ * @param {Object} [options] - Insert options
+ * @param {string} [options.currency] - Currency for the item unless the attributes name one (default: USD)
+ * @param {boolean} [options.aiGenerated] - Whether the item came from the model (default: true)
+ * @returns {Object} - Normalized fields using database column names
+ */
+function buildLineItemInsert(
+  rawAttributes,
+  { currency = "USD", aiGenerated = true } = {}
+) {
+  const attributes = normalizeLineItemUnit({ ...rawAttributes });
+  const quantity = attributes.quantity || 1;
+  const unitPrice = attributes.unit_price || 0;
+
+  const itemData = {
+    description: attributes.description,
+    title: attributes.title || attributes.description,
+    quantity,
+    unit_price: unitPrice,
+    amount: attributes.amount || quantity * unitPrice,
+    currency: attributes.currency || currency,
+    unit_type: attributes.unit_type || "unit",
+    // Determine cost_type based on description if not explicitly provided
+    cost_type: attributes.cost_type || classifyCostType(attributes.description).costType,
+    is_sub_item: attributes.is_sub_item || false,
+    status: attributes.status || "active",
+    // Store any extra data as JSON
+    data: {
+      ...(aiGenerated
+        ? {
+            ai_generated: true,
+            generation_timestamp: new Date().toISOString(),
+          }
+        : {}),
+      ...(attributes.data || {}),
+    },
+  };
+
+  const parentId =
+    attributes.parent_item_id !== undefined
+      ? attributes.parent_item_id
+      : attributes.parent_id;
+  if (parentId !== undefined && parentId !== null) {
+    itemData.parent_item_id = parentId;
+    itemData.is_sub_item = true;
+  }
 
-  // Default case
-  return value;
+  return normalizeLineItemEnums(itemData);
 }
 
 /**
@@ -107,68 +337,46 @@ async function createProject(
   rawResponse = null
 ) {
   try {
-    const { data: businessUsers, error: businessError } = await supabase
-      .from("business_users")
-      .select("business_id")
-      .eq("user_id", userId)
-      .limit(1);
+    const storage = getStorage();
+    const businessUser = await storage.businessUsers.getFirstForUser(userId);
 
-    if (businessError || !businessUsers || businessUsers.length === 0) {
+    if (!businessUser) {
       throw new Error("Failed to find business for user");
     }
 
-    const businessId = businessUsers[0].business_id;
+    const businessId = businessUser.business_id;
 
     const projectInsertData = {
       business_id: businessId,
       name: projectData.name,
       description: projectData.description || "",
       status: "draft",
+      currency: normalizeCurrency(currency) || DEFAULT_CURRENCY,
       created_by: userId,
     };
 
-    const { data: project, error } = await supabase
-      .from("projects")
-      .insert(projectInsertData)
-      .select()
-      .single();
-
-    if (error) {
-      throw error;
-    }
+    const project = await storage.projects.create(projectInsertData);
 
     if (rawResponse && project.id) {
       try {
-        const { data: conversation, error: convError } = await supabase
-          .from("conversations")
-          .insert({
-            business_id: businessId,
-            project_id: project.id,
-            created_by: userId,
-          })
-          .select()
-          .single();
-
-        if (convError) {
-          console.error("Error creating conversation:", convError);
-        } else if (conversation && conversation.id) {
-          const { error: msgError } = await supabase.from("messages").insert({
-            conversation_id: conversation.id,
-            content: JSON.stringify({
-              type: "estimate",
-              title: `Estimate for ${projectData.name}`,
-              total_amount: totalEstimate,
-              currency: currency,
-              raw_response: rawResponse, // This now contains the prompt and processed XML
-            }),
-            role: "assistant",
-            user_id: userId,
-          });
-
-          if (msgError) {
-            console.error("Error creating message:", msgError);
-          }
-        }
+        const conversation = await storage.conversations.create({
+          business_id: businessId,
+          project_id: project.id,
+          created_by: userId,
+        });
+
+        await storage.messages.create({
+          conversation_id: conversation.id,
+          content: JSON.stringify({
+            type: "estimate",
+            title: `Estimate for ${projectData.name}`,
+            total_amount: totalEstimate,
+            currency: currency,
+            raw_response: rawResponse, // This now contains the prompt and processed XML
+          }),
+          role: "assistant",
+          user_id: userId,
+        });
       } catch (storageError) {
         console.error("Error storing Gemini response:", storageError);
         // Continue execution even if storing the response fails
@@ -183,359 +391,1074 @@ async function createProject(
 }
 
 /**
- * Update a project with estimate information
- * @param {number} projectId - The ID of the project
- * @param {number} totalEstimate - Total estimate value
- * @param {string} currency - Currency of the estimate
- * @returns {Promise<Object>} - The updated project
+ * Update a project with estimate information
+ * @param {number} projectId - The ID of the project
+ * @param {number} totalEstimate - Total estimate value
+ * @param {string} currency - Currency of the estimate
+ * @returns {Promise<Object>} - The updated project
+ */
+async function updateProjectWithEstimate(
+  projectId,
+  totalEstimate,
+  currency = "USD",
+  userId = null
+) {
+  try {
+    const storage = getStorage();
+
+    // First, get the project to ensure it exists
+    const project = await storage.projects.getById(projectId);
+
+    if (!project) {
+      throw new Error(`Project with ID ${projectId} not found`);
+    }
+
+    // Get the existing conversation for this project or create a new one
+    let conversationId;
+
+    const conversation = await storage.conversations.findLatestByProject(projectId);
+    if (conversation) {
+      conversationId = conversation.id;
+    } else {
+      try {
+        const newConversation = await storage.conversations.create({
+          business_id: project.business_id,
+          project_id: projectId,
+          created_by: userId,
+        });
+        conversationId = newConversation.id;
+      } catch (convError) {
+        console.error("Error creating conversation:", convError);
+      }
+    }
+
+    if (conversationId) {
+      try {
+        await storage.messages.create({
+          conversation_id: conversationId,
+          content: JSON.stringify({
+            type: "estimate_update",
+            message: `Estimate updated with total: ${totalEstimate} ${currency}`,
+            total_amount: totalEstimate,
+            currency: currency,
+            updated_at: new Date().toISOString(),
+          }),
+          role: "system",
+          user_id: userId,
+        });
+      } catch (msgError) {
+        console.error("Error creating message for estimate update:", msgError);
+      }
+    }
+
+    return project;
+  } catch (error) {
+    console.error("Error updating project with estimate:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get project line items with pagination
+ * @param {number|string} projectId - The ID of the project
+ * @param {number} offset - Offset for pagination (default: 0)
+ * @param {number} limit - Limit for pagination (default: 300)
+ * @returns {Promise<Array>} - Array of line items
+ */
+async function getProjectLineItems(projectId, offset = 0, limit = 300) {
+  try {
+    return await getStorage().estimateItems.listByProject(projectId, {
+      offset,
+      limit,
+    });
+  } catch (error) {
+    console.error(
+      `Error in getProjectLineItems for project ${projectId}:`,
+      error
+    );
+    throw error;
+  }
+}
+
+/**
+ * Get a single line item of a project
+ * @param {number|string} projectId - The ID of the project
+ * @param {number|string} itemId - The ID of the line item
+ * @returns {Promise<Object|null>} - The line item or null if not found
+ */
+async function getLineItemById(projectId, itemId) {
+  try {
+    return await getStorage().estimateItems.getById(projectId, itemId);
+  } catch (error) {
+    console.error(`Error in getLineItemById for item ${itemId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create a single line item from manually entered fields
+ * @param {number|string} projectId - The ID of the project
+ * @param {string} userId - The ID of the authenticated user
+ * @param {Object} attributes - Item fields (description is required)
+ * @param {string} [currency] - Currency to use for the item (default: USD)
+ * @returns {Promise<Object>} - The created line item
+ */
+async function createLineItem(projectId, userId, attributes, currency = "USD") {
+  try {
+    const resolved = await resolveLineItemAction(projectId, { verb: "add", attributes });
+    if (resolved.error) {
+      throw new Error(resolved.error);
+    }
+
+    const itemData = buildLineItemInsert(resolved.action.attributes, {
+      currency,
+      aiGenerated: false,
+    });
+
+    const validationError = validateLineItemFields(itemData);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const storage = getStorage();
+    const item = await storage.estimateItems.create({
+      ...itemData,
+      project_id: projectId,
+      created_by: userId,
+    });
+
+    await recomputeProjectRollups(projectId);
+    return await storage.estimateItems.getById(projectId, item.id);
+  } catch (error) {
+    console.error("Error creating line item:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update a single line item
+ * @param {number|string} projectId - The ID of the project
+ * @param {number|string} itemId - The ID of the line item
+ * @param {Object} attributes - Fields to update
+ * @returns {Promise<Object|null>} - The updated line item or null if not found
+ */
+async function updateLineItem(projectId, itemId, attributes) {
+  try {
+    const resolved = await resolveLineItemAction(projectId, {
+      verb: "update",
+      id: Number(itemId),
+      attributes,
+    });
+    if (resolved.error) {
+      throw new Error(resolved.error);
+    }
+
+    const updateData = buildLineItemUpdate(resolved.action.attributes);
+
+    const validationError = validateLineItemFields(updateData);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    const storage = getStorage();
+    const item = await storage.estimateItems.update(projectId, itemId, {
+      ...updateData,
+      updated_at: new Date().toISOString(),
+    });
+    if (!item) {
+      return null;
+    }
+
+    await recomputeProjectRollups(projectId);
+    return await storage.estimateItems.getById(projectId, itemId);
+  } catch (error) {
+    console.error(`Error updating line item ${itemId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a single line item. Its sub-items move up to the item's parent
+ * unless the whole subtree is deleted.
+ * @param {number|string} projectId - The ID of the project
+ * @param {number|string} itemId - The ID of the line item
+ * @param {Object} [options] - Delete options
+ * @param {boolean} [options.cascade] - Delete the item's sub-items at every depth too (default: false)
+ * @returns {Promise<Object>} - The ID of the deleted item, with `deletedItemIds`
+ *   (the item and, on cascade, its descendants) and `movedItemIds` (re-homed sub-items)
+ */
+async function deleteLineItem(projectId, itemId, { cascade = false } = {}) {
+  try {
+    const storage = getStorage();
+    const subtree = collectSubtree(await storage.estimateItems.listByProject(projectId), itemId);
+
+    const batch = await storage.estimateItems.applyBatch(projectId, [
+      { op: "delete", id: Number(itemId), cascade },
+    ]);
+    if (!batch.committed) {
+      throw new Error(batch.error);
+    }
+
+    await recomputeProjectRollups(projectId);
+
+    const [item, ...descendants] = subtree;
+    return {
+      id: itemId,
+      deleted: true,
+      deletedItemIds: cascade ? subtree.map((row) => row.id) : [Number(itemId)],
+      movedItemIds: cascade || !item
+        ? []
+        : descendants
+            .filter((row) => String(row.parent_item_id) === String(item.id))
+            .map((row) => row.id),
+    };
+  } catch (error) {
+    console.error(`Error deleting line item ${itemId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Duplicate a single line item within its project
+ * @param {number|string} projectId - The ID of the project
+ * @param {number|string} itemId - The ID of the line item to copy
+ * @param {string} userId - The ID of the authenticated user
+ * @returns {Promise<Object>} - The new line item
+ */
+async function duplicateLineItem(projectId, itemId, userId) {
+  try {
+    const item = await getLineItemById(projectId, itemId);
+    if (!item) {
+      throw new Error(`Line item ${itemId} not found`);
+    }
+
+    // Remove the ID and timestamps to create a new record
+    const { id, created_at, updated_at, ...itemData } = item;
+
+    const storage = getStorage();
+    const copy = await storage.estimateItems.create({
+      ...itemData,
+      created_by: userId,
+    });
+
+    await recomputeProjectRollups(projectId);
+    return await storage.estimateItems.getById(projectId, copy.id);
+  } catch (error) {
+    console.error(`Error duplicating line item ${itemId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Turn a direct range action into storage operations for estimateItems.applyBatch
+ * @param {number|string} projectId - The ID of the project
+ * @param {string} userId - The ID of the authenticated user
+ * @param {string} action - The range action ('update', 'delete' or 'duplicate')
+ * @param {Array<Object>} lineItems - The line items in the range
+ * @param {Object} [data] - Fields to update, for 'update'
+ * @returns {Promise<Object>} - `{ operations }` or `{ error, itemId }`
+ */
+async function prepareRangeOperations(projectId, userId, action, lineItems, data) {
+  const operations = [];
+
+  for (const item of lineItems) {
+    switch (action) {
+      case "update": {
+        const resolved = await resolveLineItemAction(projectId, {
+          verb: "update",
+          id: Number(item.id),
+          attributes: data,
+        });
+        if (resolved.error) {
+          return { itemId: item.id, error: resolved.error };
+        }
+
+        const fields = buildLineItemUpdate(resolved.action.attributes);
+        const validationError = validateLineItemFields(fields);
+        if (validationError) {
+          return { itemId: item.id, error: `Error updating item ID:${item.id}: ${validationError}` };
+        }
+        operations.push({ op: "update", id: item.id, fields });
+        break;
+      }
+
+      case "delete":
+        operations.push({ op: "delete", id: item.id });
+        break;
+
+      case "duplicate": {
+        const { id, created_at, updated_at, ...fields } = item;
+        operations.push({ op: "insert", fields: { ...fields, created_by: userId } });
+        break;
+      }
+
+      default:
+        return { error: `Unsupported action: ${action}` };
+    }
+  }
+
+  return { operations };
+}
+
+/**
+ * Apply a direct range action to line items in a single batch, then recompute
+ * the rolled-up totals of the project. Nothing is applied if the action fails
+ * for any of the items.
+ * @param {number|string} projectId - The ID of the project
+ * @param {string} userId - The ID of the authenticated user
+ * @param {string} action - The range action ('update', 'delete' or 'duplicate')
+ * @param {Array<Object>} lineItems - The line items in the range
+ * @param {Object} [data] - Fields to update, for 'update'
+ * @returns {Promise<Object>} - `{ committed: true, items, summary }` with the updated,
+ *   deleted or created rows and the project summary returned by recomputeProjectRollups,
+ *   or `{ committed: false, itemId, error }` if nothing was applied
+ */
+async function applyRangeAction(projectId, userId, action, lineItems, data) {
+  try {
+    const { operations, itemId, error } = await prepareRangeOperations(
+      projectId,
+      userId,
+      action,
+      lineItems,
+      data
+    );
+    if (error) {
+      return { committed: false, itemId, error };
+    }
+
+    const batch = await getStorage().estimateItems.applyBatch(projectId, operations);
+    if (!batch.committed) {
+      const failed = lineItems[batch.failedIndex];
+      return {
+        committed: false,
+        itemId: failed.id,
+        error: `Error applying ${action} to item ID:${failed.id}: ${batch.error}`,
+      };
+    }
+
+    const summary = await recomputeProjectRollups(projectId);
+    return { committed: true, items: batch.results.map(({ item }) => item), summary };
+  } catch (error) {
+    console.error(`Error applying range action ${action}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Parse an instruction, turning syntax errors into an error result
+ * @param {string} instruction - The trimmed instruction
+ * @returns {Object} - `{ action }` or `{ error }`
+ */
+function parseLineItemInstruction(instruction) {
+  try {
+    return { action: parseAction(instruction) };
+  } catch (error) {
+    if (!(error instanceof ActionSyntaxError)) {
+      throw error;
+    }
+    return { error: `Invalid instruction "${instruction}": ${error.message}` };
+  }
+}
+
+/**
+ * Get an item as changed by the earlier actions of a batch
+ * @param {number|string} projectId - The ID of the project
+ * @param {number|string} itemId - The ID of the item
+ * @param {Map|null} items - Rows by ID changed by the batch so far
+ * @returns {Promise<Object|null>} - The row, or null if it does not exist
+ */
+async function findBatchItem(projectId, itemId, items) {
+  if (items && items.has(String(itemId))) {
+    return items.get(String(itemId));
+  }
+  return getStorage().estimateItems.getById(projectId, itemId);
+}
+
+/**
+ * Record the effect of a prepared update or delete operation on the rows of a
+ * batch, so later actions of the batch are resolved against it
+ * @param {number|string} projectId - The ID of the project
+ * @param {Object} operation - Operation from prepareLineItemOperation
+ * @param {Map} items - Rows by ID changed by the batch so far (modified in place)
+ * @returns {Promise<void>}
+ */
+async function trackBatchOperation(projectId, operation, items) {
+  if (operation.op === "delete") {
+    items.set(String(operation.id), null);
+  } else if (operation.op === "update") {
+    const existing = await findBatchItem(projectId, operation.id, items);
+    if (existing) items.set(String(operation.id), { ...existing, ...operation.fields });
+  }
+}
+
+/**
+ * Resolve the parts of an add or update action that depend on stored rows:
+ * a catalog_id reference (see resolveCatalogReference), the quantity and
+ * unit_price of an item whose unit changes, the amount of an item whose
+ * quantity or unit_price changes (see recomputeUpdatedAmount), and the
+ * cost_type of an item without one (see classifyLineItem), recorded in
+ * data.cost_type_classification
+ * @param {number|string} projectId - The ID of the project
+ * @param {Object} action - Action parsed by parseAction
+ * @param {Object} [options] - Resolution options
+ * @param {Object} [options.costTypeSettings] - Classification settings, loaded from
+ *   the project's business when omitted
+ * @param {boolean} [options.useModel] - Allow the model fallback of the classifier (default: true)
+ * @param {Map} [options.items] - Rows by ID as changed by earlier actions of the same
+ *   batch (null for a deleted row), used instead of the stored rows they contain
+ * @returns {Promise<Object>} - `{ action }` or `{ error, itemId }`
+ */
+async function resolveLineItemAction(
+  projectId,
+  action,
+  { costTypeSettings = null, useModel = true, items = null } = {}
+) {
+  const resolved = await resolveCatalogReference(projectId, action);
+  if (resolved.error || !["add", "update"].includes(resolved.action.verb)) {
+    return resolved;
+  }
+
+  const attributes = { ...resolved.action.attributes };
+  const isUpdate = resolved.action.verb === "update";
+  const changesUnit = isUpdate && typeof attributes.unit_type === "string";
+  const changesPrice =
+    isUpdate &&
+    attributes.amount === undefined &&
+    (attributes.quantity !== undefined || attributes.unit_price !== undefined);
+  const needsCostType = !attributes.cost_type && Boolean(attributes.description);
+  if (!changesUnit && !changesPrice && !needsCostType) {
+    return resolved;
+  }
+
+  const existing = isUpdate ? await findBatchItem(projectId, action.id, items) : null;
+  if (changesUnit) {
+    normalizeLineItemUnit(attributes, existing);
+  }
+  if (existing) {
+    recomputeUpdatedAmount(attributes, existing);
+  }
+
+  if (needsCostType) {
+    const settings = costTypeSettings || (await loadCostTypeSettings(projectId));
+    const { costType, classification } = await classifyLineItem(
+      attributes.description,
+      settings,
+      { useModel }
+    );
+    attributes.cost_type = costType;
+    attributes.data = {
+      ...((existing && existing.data) || {}),
+      ...(attributes.data || {}),
+      cost_type_classification: classification,
+    };
+  }
+
+  return { action: { ...resolved.action, attributes } };
+}
+
+/**
+ * Validate a parsed action and turn it into a storage operation
+ * (the operations accepted by estimateItems.applyBatch)
+ * @param {string} userId - The ID of the authenticated user
+ * @param {Object} action - Action parsed by parseAction
+ * @param {string} instruction - The original instruction text
+ * @param {string} currency - Currency to use for new items
+ * @returns {Object} - `{ operation }` or `{ error, itemId }` if the action is invalid
+ */
+function prepareLineItemOperation(userId, action, instruction, currency) {
+  switch (action.verb) {
+    case "update": {
+      if (action.attributes.ref !== undefined || action.attributes.parent_ref !== undefined) {
+        return {
+          itemId: action.id,
+          error: `Error updating item ID:${action.id}: ref and parent_ref can only be used when adding an item`,
+        };
+      }
+
+      const updateData = buildLineItemUpdate(action.attributes);
+
+      if (updateData.cost_type && !action.attributes.cost_type) {
+        console.log(`Automatically set cost_type to '${updateData.cost_type}' based on description for item ID:${action.id}`);
+      }
+
+      const validationError = validateLineItemFields(updateData);
+      if (validationError) {
+        return {
+          itemId: action.id,
+          error: `Error updating item ID:${action.id}: ${validationError}`,
+        };
+      }
+
+      return { operation: { op: "update", id: action.id, fields: updateData } };
+    }
+
+    case "delete":
+      return { operation: { op: "delete", id: action.id } };
+
+    case "move": {
+      const { target } = action;
+      const operation = { op: "move", id: action.id };
+      if (target.type === "id") operation.parentId = target.id;
+      if (target.type === "description") operation.parentDescription = target.description;
+      return { operation };
+    }
+
+    default: {
+      const { attributes } = action;
+
+      if (!attributes.description) {
+        return { error: `Missing description in add instruction: ${instruction}` };
+      }
+
+      const itemData = buildLineItemInsert(attributes, { currency });
+
+      if (!attributes.cost_type) {
+        console.log(`Automatically determined cost_type as '${itemData.cost_type}' based on description`);
+      }
+
+      const validationError = validateLineItemFields(itemData);
+      if (validationError) {
+        return { error: `Error adding new item: ${validationError}` };
+      }
+
+      const operation = {
+        op: "insert",
+        fields: { ...itemData, created_by: userId },
+      };
+      if (attributes.parent) {
+        operation.parentDescription = attributes.parent;
+      }
+      for (const [name, key] of [["ref", "ref"], ["parent_ref", "parentRef"]]) {
+        if (attributes[name] === undefined) continue;
+        if (typeof attributes[name] !== "string" || !attributes[name].trim()) {
+          return { error: `Error adding new item: ${name} must be a non-empty text` };
+        }
+        operation[key] = attributes[name].trim();
+      }
+      return { operation };
+    }
+  }
+}
+
+/**
+ * Check the refs of an insert against the refs of the items added before it
+ * in the same batch. A ref names the new item within its batch only, and a
+ * parent_ref must name an item added earlier in the batch unless the insert
+ * also has a parent description to fall back to.
+ * @param {Object} operation - Insert operation from prepareLineItemOperation
+ * @param {Map|Set} refs - Refs of the items added before it in the batch
+ * @returns {string|null} - Error message, or null if the refs are valid
+ */
+function validateItemRefs(operation, refs) {
+  if (operation.ref !== undefined && refs.has(operation.ref)) {
+    return `Error adding new item: ref '${operation.ref}' is already used in this batch`;
+  }
+
+  if (
+    operation.parentRef !== undefined &&
+    !refs.has(operation.parentRef) &&
+    operation.parentDescription === undefined
+  ) {
+    return `Error adding new item: parent_ref '${operation.parentRef}' does not match the ref of an item added before it`;
+  }
+
+  return null;
+}
+
+/**
+ * Apply an update operation
+ * @param {number|string} projectId - The ID of the project
+ * @param {Object} operation - Operation from prepareLineItemOperation
+ * @param {string} instruction - The original instruction text
+ * @returns {Promise<Object>} - Result as returned by applyLineItemInstruction
+ */
+async function applyUpdateOperation(projectId, operation, instruction) {
+  const itemId = operation.id;
+
+  let updatedItem;
+  try {
+    updatedItem = await getStorage().estimateItems.update(
+      projectId,
+      itemId,
+      operation.fields
+    );
+  } catch (error) {
+    console.error("Error updating item ID:", itemId, error);
+    return {
+      type: "error",
+      instruction,
+      itemId,
+      error: `Error updating item ID:${itemId}: ${error.message}`,
+    };
+  }
+
+  if (!updatedItem) {
+    return {
+      type: "error",
+      instruction,
+      itemId,
+      error: `Item ID:${itemId} not found`,
+    };
+  }
+
+  console.log("Successfully updated item ID:", itemId);
+  return {
+    type: "updated",
+    instruction,
+    itemId,
+    item: updatedItem,
+  };
+}
+
+/**
+ * Apply a delete operation in its own batch, which moves the item's
+ * sub-items up to its parent
+ * @param {number|string} projectId - The ID of the project
+ * @param {Object} operation - Operation from prepareLineItemOperation
+ * @param {string} instruction - The original instruction text
+ * @returns {Promise<Object>} - Result as returned by applyLineItemInstruction
+ */
+async function applyDeleteOperation(projectId, operation, instruction) {
+  const itemId = operation.id;
+
+  let batch;
+  try {
+    batch = await getStorage().estimateItems.applyBatch(projectId, [operation]);
+  } catch (error) {
+    batch = { committed: false, error: error.message };
+  }
+
+  if (!batch.committed) {
+    console.error("Error deleting item ID:", itemId, batch.error);
+    return {
+      type: "error",
+      instruction,
+      itemId,
+      error: `Error deleting item ID:${itemId}: ${batch.error}`,
+    };
+  }
+
+  console.log("Successfully deleted item ID:", itemId);
+  return { type: "deleted", instruction, itemId };
+}
+
+/**
+ * Apply an insert operation. A parent_ref is resolved against the refs of the
+ * batch before the parent description is looked up.
+ * @param {number|string} projectId - The ID of the project
+ * @param {Object} operation - Operation from prepareLineItemOperation
+ * @param {string} instruction - The original instruction text
+ * @param {Map} refs - IDs of the items added earlier in the batch by their ref (updated in place)
+ * @returns {Promise<Object>} - Result as returned by applyLineItemInstruction
+ */
+async function applyInsertOperation(projectId, operation, instruction, refs) {
+  const itemData = { ...operation.fields };
+  const warnings = [];
+  const storage = getStorage();
+
+  const refError = validateItemRefs(operation, refs);
+  if (refError) {
+    return { type: "error", instruction, error: refError };
+  }
+
+  if (operation.parentRef !== undefined && refs.has(operation.parentRef)) {
+    itemData.parent_item_id = refs.get(operation.parentRef);
+    itemData.is_sub_item = true;
+  } else if (operation.parentDescription !== undefined) {
+    let parentItem = null;
+    try {
+      parentItem = await storage.estimateItems.findByDescription(
+        projectId,
+        operation.parentDescription
+      );
+    } catch (parentError) {
+      console.error("Error looking up parent item:", parentError);
+    }
+
+    if (!parentItem) {
+      warnings.push(`Could not find parent item: ${operation.parentDescription}`);
+    } else {
+      itemData.parent_item_id = parentItem.id;
+      itemData.is_sub_item = true;
+    }
+  }
+
+  let item;
+  try {
+    item = await storage.estimateItems.create({
+      ...itemData,
+      project_id: projectId,
+    });
+  } catch (error) {
+    console.error("Error adding new item:", error);
+    return {
+      type: "error",
+      instruction,
+      error: `Error adding new item: ${error.message}`,
+      warnings,
+    };
+  }
+
+  if (operation.ref !== undefined) {
+    refs.set(operation.ref, item.id);
+  }
+
+  console.log("Successfully added new item:", item);
+  return {
+    type: "added",
+    instruction,
+    itemId: item ? item.id : null,
+    item,
+    warnings,
+  };
+}
+
+/**
+ * Apply a move operation. A move that would make an item its own ancestor is rejected.
+ * @param {number|string} projectId - The ID of the project
+ * @param {Object} operation - Operation from prepareLineItemOperation
+ * @param {string} instruction - The original instruction text
+ * @returns {Promise<Object>} - Result as returned by applyLineItemInstruction
+ */
+async function applyMoveOperation(projectId, operation, instruction) {
+  const itemId = operation.id;
+  const storage = getStorage();
+  const fail = (message) => ({
+    type: "error",
+    instruction,
+    itemId,
+    error: `Error moving item ID:${itemId}: ${message}`,
+  });
+
+  try {
+    const item = await storage.estimateItems.getById(projectId, itemId);
+    if (!item) {
+      return fail("item not found");
+    }
+
+    let parent = null;
+    if (operation.parentId !== undefined) {
+      parent = await storage.estimateItems.getById(projectId, operation.parentId);
+      if (!parent) {
+        return fail(`parent item ID:${operation.parentId} not found`);
+      }
+    } else if (operation.parentDescription !== undefined) {
+      parent = await storage.estimateItems.findByDescription(
+        projectId,
+        operation.parentDescription
+      );
+      if (!parent) {
+        return fail(`parent item '${operation.parentDescription}' not found`);
+      }
+    }
+
+    // Walk up from the new parent to make sure the item is not one of its ancestors
+    for (let ancestor = parent; ancestor; ) {
+      if (ancestor.id === item.id) {
+        return fail("an item cannot be moved under itself or one of its sub-items");
+      }
+      ancestor = ancestor.parent_item_id
+        ? await storage.estimateItems.getById(projectId, ancestor.parent_item_id)
+        : null;
+    }
+
+    const movedItem = await storage.estimateItems.update(projectId, itemId, {
+      parent_item_id: parent ? parent.id : null,
+      is_sub_item: parent !== null,
+      updated_at: new Date().toISOString(),
+    });
+
+    console.log("Successfully moved item ID:", itemId);
+    return {
+      type: "updated",
+      instruction,
+      itemId,
+      item: movedItem,
+    };
+  } catch (error) {
+    console.error("Error moving item ID:", itemId, error);
+    return fail(error.message);
+  }
+}
+
+/**
+ * Apply a single line item instruction from Gemini
+ * @param {number|string} projectId - The ID of the project
+ * @param {string} userId - The ID of the authenticated user
+ * @param {string} instruction - Instruction in the action language of utils/actionDsl.js
+ *   (e.g., "+ description='Item A', quantity=10", "- ID:123" or "move ID:5 to ID:2")
+ * @param {string} currency - Currency to use for new items (default: USD)
+ * @param {Object} [options] - Options for resolveLineItemAction, plus:
+ * @param {Map} [options.refs] - IDs of the items added earlier in the same batch by
+ *   their ref, updated with the ref of an added item. Pass the same map for every
+ *   instruction of a batch so that parent_ref resolves.
+ * @returns {Promise<Object>} - Result with `type` ('added', 'updated', 'deleted', 'error' or 'skipped'),
+ *   the affected `itemId`/`item`, an `error` message for failures and non-fatal `warnings`.
+ *   Moves are reported as updates of the item's parent.
+ */
+async function applyLineItemInstruction(
+  projectId,
+  userId,
+  instruction,
+  currency = "USD",
+  options = {}
+) {
+  const trimmedInstruction = instruction.trim();
+
+  if (!trimmedInstruction) {
+    return { type: "skipped", instruction: trimmedInstruction };
+  }
+
+  const parsed = parseLineItemInstruction(trimmedInstruction);
+  if (parsed.error) {
+    return { type: "error", instruction: trimmedInstruction, error: parsed.error };
+  }
+
+  const { refs = new Map(), ...resolveOptions } = options;
+  const resolved = await resolveLineItemAction(projectId, parsed.action, resolveOptions);
+  if (resolved.error) {
+    return {
+      type: "error",
+      instruction: trimmedInstruction,
+      itemId: resolved.itemId,
+      error: resolved.error,
+    };
+  }
+
+  const prepared = prepareLineItemOperation(
+    userId,
+    resolved.action,
+    trimmedInstruction,
+    currency
+  );
+  if (prepared.error) {
+    return {
+      type: "error",
+      instruction: trimmedInstruction,
+      itemId: prepared.itemId,
+      error: prepared.error,
+    };
+  }
+
+  const { operation } = prepared;
+  switch (operation.op) {
+    case "update":
+      return applyUpdateOperation(projectId, operation, trimmedInstruction);
+    case "delete":
+      return applyDeleteOperation(projectId, operation, trimmedInstruction);
+    case "move":
+      return applyMoveOperation(projectId, operation, trimmedInstruction);
+    default:
+      return applyInsertOperation(projectId, operation, trimmedInstruction, refs);
+  }
+}
+
+/**
+ * Create an empty summary of applied line item changes
+ * @returns {Object} - Summary with zeroed counters and no errors
+ */
+function createActionSummary() {
+  return {
+    itemsAdded: 0,
+    itemsUpdated: 0,
+    itemsDeleted: 0,
+    errors: [],
+  };
+}
+
+/**
+ * Record the result of applyLineItemInstruction in an action summary
+ * @param {Object} summary - Summary created by createActionSummary
+ * @param {Object} result - Result returned by applyLineItemInstruction
+ * @returns {Object} - The updated summary
+ */
+function recordInstructionResult(summary, result) {
+  for (const warning of result.warnings || []) {
+    summary.errors.push(warning);
+  }
+
+  if (result.type === "added") summary.itemsAdded++;
+  else if (result.type === "updated") summary.itemsUpdated++;
+  else if (result.type === "deleted") summary.itemsDeleted++;
+  else if (result.type === "error") summary.errors.push(result.error);
+
+  return summary;
+}
+
+/**
+ * Convert a committed batch result into the result format of applyLineItemInstruction
+ * @param {Object} operation - The operation that was applied
+ * @param {Object} batchResult - `{ item, parentFound }` from estimateItems.applyBatch
+ * @param {string} instruction - The original instruction text
+ * @returns {Object} - Result as returned by applyLineItemInstruction
+ */
+function toInstructionResult(operation, batchResult, instruction) {
+  const { item, parentFound } = batchResult;
+  const itemId = item ? item.id : operation.id;
+
+  switch (operation.op) {
+    case "insert":
+      return {
+        type: "added",
+        instruction,
+        itemId,
+        item,
+        warnings: parentFound === false
+          ? [`Could not find parent item: ${operation.parentDescription}`]
+          : [],
+      };
+    case "delete":
+      return { type: "deleted", instruction, itemId };
+    default:
+      return { type: "updated", instruction, itemId, item };
+  }
+}
+
+/**
+ * Apply all instructions in a single transaction. Nothing is applied if any
+ * instruction fails to parse, validate or apply. Each instruction is resolved
+ * against the items as the instructions before it leave them.
+ * @param {number|string} projectId - The ID of the project
+ * @param {string} userId - The ID of the authenticated user
+ * @param {Array<string>} instructions - Array of instruction strings
+ * @param {string} currency - Currency to use for new items
+ * @param {Object} [resolveOptions] - Options passed to resolveLineItemAction
+ * @returns {Promise<Object>} - Summary of actions performed, with `committed` and
+ *   `rolledBackBy` ({ index, instruction, error } of the failing instruction, or null)
  */
-async function updateProjectWithEstimate(
+async function applyLineItemChangesAtomically(
   projectId,
-  totalEstimate,
-  currency = "USD",
-  userId = null
+  userId,
+  instructions,
+  currency,
+  resolveOptions = {}
 ) {
-  try {
-    // First, get the project to ensure it exists
-    const { data: project, error: projectError } = await supabase
-      .from("projects")
-      .select("id, business_id")
-      .eq("id", projectId)
-      .single();
-
-    if (projectError) {
-      throw projectError;
-    }
-
-    if (!project) {
-      throw new Error(`Project with ID ${projectId} not found`);
-    }
-
-    // Get the existing conversation for this project or create a new one
-    const { data: conversations, error: convError } = await supabase
-      .from("conversations")
-      .select("id")
-      .eq("project_id", projectId)
-      .limit(1);
+  const summary = { ...createActionSummary(), committed: false, rolledBackBy: null };
+  const prepared = [];
+  const refs = new Set();
+  const items = new Map();
+
+  const rollBack = (index, error) => {
+    summary.rolledBackBy = { index, instruction: instructions[index], error };
+    summary.errors.push(error);
+    return summary;
+  };
 
-    let conversationId;
+  for (let index = 0; index < instructions.length; index++) {
+    const instruction = instructions[index].trim();
+    if (!instruction) continue;
 
-    if (convError || !conversations || conversations.length === 0) {
-      const { data: newConversation, error: newConvError } = await supabase
-        .from("conversations")
-        .insert({
-          business_id: project.business_id,
-          project_id: projectId,
-          created_by: userId,
-        })
-        .select()
-        .single();
+    const parsed = parseLineItemInstruction(instruction);
+    if (parsed.error) {
+      return rollBack(index, parsed.error);
+    }
 
-      if (newConvError) {
-        console.error("Error creating conversation:", newConvError);
-      } else {
-        conversationId = newConversation.id;
-      }
-    } else {
-      conversationId = conversations[0].id;
+    // Resolve against the rows as the earlier instructions leave them
+    const resolved = await resolveLineItemAction(projectId, parsed.action, {
+      ...resolveOptions,
+      items,
+    });
+    if (resolved.error) {
+      return rollBack(index, resolved.error);
     }
 
-    if (conversationId) {
-      const { error: msgError } = await supabase.from("messages").insert({
-        conversation_id: conversationId,
-        content: JSON.stringify({
-          type: "estimate_update",
-          message: `Estimate updated with total: ${totalEstimate} ${currency}`,
-          total_amount: totalEstimate,
-          currency: currency,
-          updated_at: new Date().toISOString(),
-        }),
-        role: "system",
-        user_id: userId,
-      });
+    const { operation, error } = prepareLineItemOperation(
+      userId,
+      resolved.action,
+      instruction,
+      currency
+    );
+    if (error) {
+      return rollBack(index, error);
+    }
 
-      if (msgError) {
-        console.error("Error creating message for estimate update:", msgError);
+    // The batch resolves parent_ref itself; make sure every ref it needs is there
+    if (operation.op === "insert") {
+      const refError = validateItemRefs(operation, refs);
+      if (refError) {
+        return rollBack(index, refError);
       }
+      if (operation.ref !== undefined) refs.add(operation.ref);
     }
 
-    return project;
-  } catch (error) {
-    console.error("Error updating project with estimate:", error);
-    throw error;
+    await trackBatchOperation(projectId, operation, items);
+    prepared.push({ index, instruction, operation });
   }
-}
 
-/**
- * Get project line items with pagination
- * @param {number|string} projectId - The ID of the project
- * @param {number} offset - Offset for pagination (default: 0)
- * @param {number} limit - Limit for pagination (default: 300)
- * @returns {Promise<Array>} - Array of line items
- */
-async function getProjectLineItems(projectId, offset = 0, limit = 300) {
-  try {
-    const { data: items, error } = await supabase
-      .from("estimate_items")
-      .select("*")
-      .eq("project_id", projectId)
-      .range(offset, offset + limit - 1)
-      .order("created_at", { ascending: true });
+  const batch = await getStorage().estimateItems.applyBatch(
+    projectId,
+    prepared.map(({ operation }) => operation)
+  );
 
-    if (error) {
-      console.error("Error fetching project line items:", error);
-      throw error;
-    }
+  if (!batch.committed) {
+    const failed = prepared[batch.failedIndex];
+    console.error("Rolled back line item changes at instruction", failed.index, batch.error);
+    return rollBack(failed.index, `Error applying "${failed.instruction}": ${batch.error}`);
+  }
 
-    return items || [];
-  } catch (error) {
-    console.error(
-      `Error in getProjectLineItems for project ${projectId}:`,
-      error
+  prepared.forEach(({ instruction, operation }, position) => {
+    recordInstructionResult(
+      summary,
+      toInstructionResult(operation, batch.results[position], instruction)
     );
-    throw error;
-  }
+  });
+  summary.committed = true;
+
+  return summary;
 }
 
 /**
- * Apply line item changes based on instructions from Gemini
+ * Apply line item changes based on instructions from Gemini, then recompute
+ * the rolled-up totals of the project
  * @param {number|string} projectId - The ID of the project
  * @param {string} userId - The ID of the authenticated user
  * @param {Array<string>} instructions - Array of instruction strings (e.g., ["+ description='Item A', quantity=10", "- ID:123"])
  * @param {string} currency - Currency to use for the items (default: USD)
- * @returns {Promise<Object>} - Summary of actions performed
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.atomic=false] - Commit all instructions or none of them
+ *   (see applyLineItemChangesAtomically). By default each instruction is applied on
+ *   its own and failures are collected in `errors`.
+ * @param {boolean} [options.useModel=true] - Allow the model fallback of the cost type classifier
+ * @returns {Promise<Object>} - Summary of actions performed, with the `revisionId`
+ *   of the revision recorded for undo (null if nothing changed)
  */
 async function applyLineItemChanges(
   projectId,
   userId,
   instructions,
-  currency = "USD"
+  currency = "USD",
+  { atomic = false, useModel = true } = {}
 ) {
   try {
-    const summary = {
-      itemsAdded: 0,
-      itemsUpdated: 0,
-      itemsDeleted: 0,
-      errors: [],
-    };
-
-    for (const instruction of instructions) {
-      const trimmedInstruction = instruction.trim();
-
-      if (!trimmedInstruction) continue;
-
-      if (trimmedInstruction.startsWith("+ ID:")) {
-        const idMatch = trimmedInstruction.match(/^\+ ID:(\d+)/);
-        if (!idMatch) {
-          summary.errors.push(
-            `Invalid update instruction: ${trimmedInstruction}`
-          );
-          continue;
-        }
-
-        const itemId = parseInt(idMatch[1], 10);
-        const attributesStr = trimmedInstruction
-          .substring(trimmedInstruction.indexOf(",") + 1)
-          .trim();
-        const attributes = parseInstructionAttributes(attributesStr);
-
-        if (
-          attributes.quantity &&
-          attributes.unit_price &&
-          !attributes.amount
-        ) {
-          attributes.amount = attributes.quantity * attributes.unit_price;
-        }
-
-        const updateData = {};
-        for (const [key, value] of Object.entries(attributes)) {
-          if (key === "unit_price") updateData.unit_price = value;
-          else if (key === "parent_id") updateData.parent_item_id = value;
-          else if (key === "title") updateData.title = value;
-          else if (key === "unit_type") updateData.unit_type = value;
-          else if (key === "cost_type") updateData.cost_type = value;
-          else if (key === "is_sub_item") updateData.is_sub_item = value;
-          else if (key === "data") updateData.data = value;
-          else updateData[key] = value;
-        }
-        
-        // If description is being updated, determine the appropriate cost_type
-        if (attributes.description && !attributes.cost_type) {
-          const description = attributes.description.toLowerCase();
-          
-          // Determine cost_type based on keywords in the description
-          if (description.includes('admin')) {
-            updateData.cost_type = 'admin';
-          } else if (description.includes('equipment') || description.includes('tool') || 
-                    description.includes('machine') || description.includes('device')) {
-            updateData.cost_type = 'equipment';
-          } else if (description.includes('labor') || description.includes('work') || 
-                    description.includes('service') || description.includes('hour') || 
-                    description.includes('installation')) {
-            updateData.cost_type = 'labor';
-          } else if (description.includes('material') || description.includes('supply') || 
-                    description.includes('part') || description.includes('component')) {
-            updateData.cost_type = 'material';
-          } else if (description.includes('overhead') || description.includes('indirect') || 
-                    description.includes('administrative')) {
-            updateData.cost_type = 'overhead';
-          } else {
-            updateData.cost_type = 'other'; // Default to 'other' if no match
-          }
-          
-          console.log(`Automatically set cost_type to '${updateData.cost_type}' based on description for item ID:${itemId}`);
-        }
-
-        if (updateData.description && !updateData.title) {
-          updateData.title = updateData.description;
-        }
-
-        const { error } = await supabase
-          .from("estimate_items")
-          .update(updateData)
-          .eq("id", itemId)
-          .eq("project_id", projectId);
-
-        if (error) {
-          console.error("Error updating item ID:", itemId, error);
-          summary.errors.push(
-            `Error updating item ID:${itemId}: ${error.message}`
-          );
-        } else {
-          console.log("Successfully updated item ID:", itemId);
-          summary.itemsUpdated++;
-        }
-      } else if (trimmedInstruction.startsWith("- ID:")) {
-        const idMatch = trimmedInstruction.match(/^- ID:(\d+)/);
-        if (!idMatch) {
-          summary.errors.push(
-            `Invalid delete instruction: ${trimmedInstruction}`
-          );
-          continue;
-        }
-
-        const itemId = parseInt(idMatch[1], 10);
-
-        const { error } = await supabase
-          .from("estimate_items")
-          .delete()
-          .eq("id", itemId)
-          .eq("project_id", projectId);
-
-        if (error) {
-          console.error("Error deleting item ID:", itemId, error);
-          summary.errors.push(
-            `Error deleting item ID:${itemId}: ${error.message}`
-          );
-        } else {
-          console.log("Successfully deleted item ID:", itemId);
-          summary.itemsDeleted++;
-        }
-      } else if (trimmedInstruction.startsWith("+")) {
-        const attributesStr = trimmedInstruction.substring(1).trim();
-        const attributes = parseInstructionAttributes(attributesStr);
-
-        if (!attributes.description) {
-          summary.errors.push(
-            `Missing description in add instruction: ${trimmedInstruction}`
-          );
-          continue;
-        }
-
-        attributes.quantity = attributes.quantity || 1;
-        attributes.unit_price = attributes.unit_price || 0;
-
-        if (!attributes.amount) {
-          attributes.amount = attributes.quantity * attributes.unit_price;
-        }
-        
-        // Determine cost_type based on description if not explicitly provided
-        let costType = attributes.cost_type;
-        if (!costType && attributes.description) {
-          const description = attributes.description.toLowerCase();
-          
-          if (description.includes('admin')) {
-            costType = 'admin';
-          } else if (description.includes('equipment') || description.includes('tool') || 
-                    description.includes('machine') || description.includes('device')) {
-            costType = 'equipment';
-          } else if (description.includes('labor') || description.includes('work') || 
-                    description.includes('service') || description.includes('hour') || 
-                    description.includes('installation')) {
-            costType = 'labor';
-          } else if (description.includes('material') || description.includes('supply') || 
-                    description.includes('part') || description.includes('component')) {
-            costType = 'material';
-          } else if (description.includes('overhead') || description.includes('indirect') || 
-                    description.includes('administrative')) {
-            costType = 'overhead';
-          } else {
-            costType = 'other'; // Default to 'other' if no match
-          }
-          
-          console.log(`Automatically determined cost_type as '${costType}' based on description`);
-        }
-
-        const itemData = {
-          project_id: projectId,
-          description: attributes.description,
-          title: attributes.title || attributes.description,
-          quantity: attributes.quantity,
-          unit_price: attributes.unit_price,
-          amount: attributes.amount,
-          currency: currency,
-          created_by: userId,
-          unit_type: attributes.unit_type || "unit",
-          cost_type: costType || "material", // Use determined cost_type or default to material
-          is_sub_item: attributes.is_sub_item || false,
-          status: attributes.status || "active",
-          // Store any extra data as JSON
-          data: attributes.data || {
-            ai_generated: true,
-            generation_timestamp: new Date().toISOString(),
-          },
-        };
-
-        if (attributes.parent) {
-          const { data: parentItems, error: parentError } = await supabase
-            .from("estimate_items")
-            .select("id")
-            .eq("project_id", projectId)
-            .eq("description", attributes.parent)
-            .limit(1);
-
-          if (parentError || !parentItems || parentItems.length === 0) {
-            summary.errors.push(
-              `Could not find parent item: ${attributes.parent}`
-            );
-          } else {
-            itemData.parent_item_id = parentItems[0].id;
-            itemData.is_sub_item = true;
-          }
-        } else if (attributes.parent_id) {
-          itemData.parent_item_id = attributes.parent_id;
-          itemData.is_sub_item = true;
-        }
-
-        const { data: newItem, error } = await supabase
-          .from("estimate_items")
-          .insert(itemData)
-          .select();
-
-        if (error) {
-          console.error("Error adding new item:", error);
-          summary.errors.push(`Error adding new item: ${error.message}`);
-        } else {
-          console.log("Successfully added new item:", newItem);
-          summary.itemsAdded++;
-        }
-      } else {
-        summary.errors.push(
-          `Unknown instruction format: ${trimmedInstruction}`
+    const itemsBefore = await captureProjectItems(projectId);
+    let summary;
+
+    if (atomic) {
+      summary = await applyLineItemChangesAtomically(
+        projectId,
+        userId,
+        instructions,
+        currency,
+        { useModel }
+      );
+    } else {
+      summary = createActionSummary();
+      const refs = new Map();
+
+      for (const instruction of instructions) {
+        const result = await applyLineItemInstruction(
+          projectId,
+          userId,
+          instruction,
+          currency,
+          { refs, useModel }
         );
+        recordInstructionResult(summary, result);
       }
     }
 
+    await recomputeProjectRollups(projectId);
+    summary.revisionId = await recordRevision(projectId, userId, itemsBefore);
     return summary;
   } catch (error) {
     console.error("Error applying line item changes:", error);
@@ -549,7 +1472,8 @@ async function applyLineItemChanges(
  * @param {string} userId - The ID of the authenticated user
  * @param {string} userPrompt - The user's prompt
  * @param {Object} geminiRawResponse - Gemini's raw response
- * @param {Object} actionSummary - Summary of actions performed
+ * @param {Object} actionSummary - Summary of actions performed. If it has a
+ *   `revisionId`, the revision is linked to the created message.
  * @returns {Promise<Object>} - The created message
  */
 async function logPromptAndActions(
@@ -560,83 +1484,57 @@ async function logPromptAndActions(
   actionSummary
 ) {
   try {
+    const storage = getStorage();
+
     // Get the business ID for the user
-    const { data: businessUsers, error: businessError } = await supabase
-      .from("business_users")
-      .select("business_id")
-      .eq("user_id", userId)
-      .limit(1);
+    const businessUser = await storage.businessUsers.getFirstForUser(userId);
 
-    if (businessError || !businessUsers || businessUsers.length === 0) {
+    if (!businessUser) {
       throw new Error("Failed to find business for user");
     }
 
-    const businessId = businessUsers[0].business_id;
+    const businessId = businessUser.business_id;
 
     // Get the existing conversation for this project or create a new one
-    const { data: conversations, error: convError } = await supabase
-      .from("conversations")
-      .select("id")
-      .eq("project_id", projectId)
-      .order("created_at", { ascending: false })
-      .limit(1);
-
-    let conversationId;
-
-    if (convError || !conversations || conversations.length === 0) {
-      // Create a new conversation if one doesn't exist
-      const { data: newConversation, error: newConvError } = await supabase
-        .from("conversations")
-        .insert({
-          business_id: businessId,
-          project_id: projectId,
-          created_by: userId,
-        })
-        .select()
-        .single();
-
-      if (newConvError) {
-        console.error("Error creating conversation:", newConvError);
-        throw newConvError;
-      }
+    let conversation = await storage.conversations.findLatestByProject(projectId);
 
-      conversationId = newConversation.id;
-    } else {
-      conversationId = conversations[0].id;
+    if (!conversation) {
+      conversation = await storage.conversations.create({
+        business_id: businessId,
+        project_id: projectId,
+        created_by: userId,
+      });
     }
 
-    // Store the user prompt as a message
-    const { error: userMsgError } = await supabase.from("messages").insert({
-      conversation_id: conversationId,
-      content: userPrompt,
-      role: "user",
-      user_id: userId,
-    });
+    const conversationId = conversation.id;
 
-    if (userMsgError) {
+    // Store the user prompt as a message
+    try {
+      await storage.messages.create({
+        conversation_id: conversationId,
+        content: userPrompt,
+        role: "user",
+        user_id: userId,
+      });
+    } catch (userMsgError) {
       console.error("Error creating user message:", userMsgError);
     }
 
     // Store the Gemini response and action summary as a message
-    const { data: message, error: msgError } = await supabase
-      .from("messages")
-      .insert({
-        conversation_id: conversationId,
-        content: JSON.stringify({
-          type: "additional_estimate",
-          raw_response: geminiRawResponse,
-          action_summary: actionSummary,
-          timestamp: new Date().toISOString(),
-        }),
-        role: "assistant",
-        user_id: userId,
-      })
-      .select()
-      .single();
+    const message = await storage.messages.create({
+      conversation_id: conversationId,
+      content: JSON.stringify({
+        type: "additional_estimate",
+        raw_response: geminiRawResponse,
+        action_summary: actionSummary,
+        timestamp: new Date().toISOString(),
+      }),
+      role: "assistant",
+      user_id: userId,
+    });
 
-    if (msgError) {
-      console.error("Error creating assistant message:", msgError);
-      throw msgError;
+    if (actionSummary && actionSummary.revisionId) {
+      await linkRevisionToMessage(actionSummary.revisionId, message.id);
     }
 
     return message;
@@ -647,187 +1545,83 @@ async function logPromptAndActions(
 }
 
 /**
- * Create estimate items for a project
+ * Build the estimate_items row of a line item of a generated estimate
+ * @param {Object} item - Line item from normalizeLineItems
+ * @param {Object} context - Where the row goes
+ * @param {number} context.projectId - The ID of the project
+ * @param {string} context.userId - The ID of the user
+ * @param {number|null} context.parentId - The ID of the parent item (null for a top-level item)
+ * @returns {Object} - The row to insert
+ */
+function buildEstimateItemRow(item, { projectId, userId, parentId }) {
+  const isSubItem = parentId !== null;
+
+  return normalizeLineItemUnit({
+    project_id: projectId,
+    title: item.description || item.title || "Unnamed Item",
+    description: item.details || "",
+    quantity: parseFloat(item.quantity || 0),
+    unit_price: parseFloat(item.unitPrice || 0),
+    unit_type: item.unitType || "unit",
+    cost_type: item.costType || "material",
+    amount: parseFloat(item.amount || 0),
+    currency: item.currency || "USD",
+    total_amount: parseFloat(item.totalAmount || item.amount || 0),
+    status: "draft",
+    parent_item_id: parentId,
+    created_by: userId,
+    is_sub_item: isSubItem,
+    data: {
+      original_item: item,
+      ai_generated: true,
+      generation_timestamp: new Date().toISOString(),
+      // Default high confidence if not provided, slightly lower for sub-items
+      confidence_score: item.confidenceScore || (isSubItem ? 0.85 : 0.9),
+      notes: item.notes || "",
+      tags: item.tags || [],
+    },
+  });
+}
+
+/**
+ * Create estimate items for a project. Sub-items can nest to any depth: the
+ * tree is inserted level by level, so that every sub-item is inserted after
+ * its parent and gets the parent's ID.
  * @param {number} projectId - The ID of the project
- * @param {Array} estimateItems - Array of estimate items
+ * @param {Array} estimateItems - Array of estimate items, with their `subItems`
  * @param {string} userId - The ID of the user
- * @returns {Promise<Array>} - The created estimate items
+ * @returns {Promise<Array>} - The created estimate items, level by level
  */
 async function createEstimateItems(projectId, estimateItems, userId) {
   try {
-    // First, insert all top-level items and get their IDs
-    const topLevelItems = estimateItems.map((item) => ({
-      project_id: projectId,
-      title: item.description || item.title || "Unnamed Item",
-      description: item.details || "",
-      quantity: parseFloat(item.quantity || 0),
-      unit_price: parseFloat(item.unitPrice || 0),
-      unit_type: item.unitType || "unit",
-      cost_type: item.costType || "material",
-      amount: parseFloat(item.amount || 0),
-      currency: item.currency || "USD",
-      total_amount: parseFloat(item.totalAmount || item.amount || 0),
-      status: "draft",
-      parent_item_id: null,
-      created_by: userId,
-      is_sub_item: false,
-      data: {
-        original_item: item,
-        ai_generated: true,
-        generation_timestamp: new Date().toISOString(),
-        confidence_score: item.confidenceScore || 0.9, // Default high confidence if not provided
-        notes: item.notes || "",
-        tags: item.tags || [],
-      },
-    }));
-
-    const { data: createdTopLevelItems, error: topLevelError } = await supabase
-      .from("estimate_items")
-      .insert(topLevelItems)
-      .select();
-
-    if (topLevelError) {
-      throw topLevelError;
-    }
-
-    // Now process sub-items with the correct parent IDs
-    const allSubItems = [];
-
-    // Make sure createdTopLevelItems exists and has items before processing sub-items
-    if (createdTopLevelItems && createdTopLevelItems.length > 0) {
-      for (
-        let i = 0;
-        i < Math.min(estimateItems.length, createdTopLevelItems.length);
-        i++
-      ) {
-        const item = estimateItems[i];
-        const parentItem = createdTopLevelItems[i];
-
-        if (
-          item &&
-          parentItem &&
-          parentItem.id &&
-          item.subItems &&
-          Array.isArray(item.subItems) &&
-          item.subItems.length > 0
-        ) {
-          // Process sub-items recursively
-          await processSubItems(
-            item.subItems,
-            parentItem.id,
-            projectId,
-            userId,
-            allSubItems
-          );
-        }
-      }
-    }
-
-    if (allSubItems.length > 0) {
-      const { data: createdSubItems, error: subItemsError } = await supabase
-        .from("estimate_items")
-        .insert(allSubItems)
-        .select();
-
-      if (subItemsError) {
-        throw subItemsError;
-      }
-
-      return [...createdTopLevelItems, ...createdSubItems];
+    const storage = getStorage();
+    const isItem = (item) => item && typeof item === "object";
+    const createdItems = [];
+
+    let level = estimateItems.filter(isItem).map((item) => ({ item, parentId: null }));
+    while (level.length > 0) {
+      const createdLevel = await storage.estimateItems.createMany(
+        level.map(({ item, parentId }) =>
+          buildEstimateItemRow(item, { projectId, userId, parentId })
+        )
+      );
+      createdItems.push(...createdLevel);
+
+      // createMany returns the rows in insert order
+      level = level.flatMap(({ item }, index) =>
+        (Array.isArray(item.subItems) ? item.subItems : [])
+          .filter(isItem)
+          .map((subItem) => ({ item: subItem, parentId: createdLevel[index].id }))
+      );
     }
 
-    return createdTopLevelItems;
+    return createdItems;
   } catch (error) {
     console.error("Error creating estimate items:", error);
     throw error;
   }
 }
 
-/**
- * Process sub-items recursively and add them to the allSubItems array
- * @param {Array} subItems - Array of sub-items
- * @param {number} parentId - ID of the parent item
- * @param {number} projectId - ID of the project
- * @param {string} userId - ID of the user
- * @param {Array} allSubItems - Array to collect all sub-items
- */
-async function processSubItems(
-  subItems,
-  parentId,
-  projectId,
-  userId,
-  allSubItems
-) {
-  // Validate inputs to prevent errors
-  if (
-    !Array.isArray(subItems) ||
-    !parentId ||
-    !projectId ||
-    !userId ||
-    !Array.isArray(allSubItems)
-  ) {
-    console.warn("Invalid parameters passed to processSubItems", {
-      hasSubItems: Array.isArray(subItems),
-      hasParentId: !!parentId,
-      hasProjectId: !!projectId,
-      hasUserId: !!userId,
-      hasAllSubItems: Array.isArray(allSubItems),
-    });
-    return; // Exit early if any required parameter is missing
-  }
-
-  for (const subItem of subItems) {
-    // Skip if subItem is not a valid object
-    if (!subItem || typeof subItem !== "object") {
-      continue;
-    }
-
-    try {
-      const newSubItem = {
-        project_id: projectId,
-        title: subItem.description || subItem.title || "Unnamed Item",
-        description: subItem.details || "",
-        quantity: parseFloat(subItem.quantity || 0),
-        unit_price: parseFloat(subItem.unitPrice || 0),
-        unit_type: subItem.unitType || "unit",
-        cost_type: subItem.costType || "material",
-        amount: parseFloat(subItem.amount || 0),
-        currency: subItem.currency || "USD",
-        total_amount: parseFloat(subItem.totalAmount || subItem.amount || 0),
-        status: "draft",
-        parent_item_id: parentId,
-        created_by: userId,
-        is_sub_item: true,
-        data: {
-          original_item: subItem,
-          ai_generated: true,
-          generation_timestamp: new Date().toISOString(),
-          confidence_score: subItem.confidenceScore || 0.85, // Slightly lower default confidence for sub-items
-          notes: subItem.notes || "",
-          tags: subItem.tags || [],
-        },
-      };
-
-      allSubItems.push(newSubItem);
-
-      // Process nested sub-items if they exist
-      if (
-        subItem.subItems &&
-        Array.isArray(subItem.subItems) &&
-        subItem.subItems.length > 0
-      ) {
-        // We'll need to handle this after insertion to get the parent IDs
-        // For now, we'll just add a placeholder and process later
-        // This is a simplified approach - for deep nesting, you'd need a more complex solution
-        subItem._placeholderId = allSubItems.length - 1;
-      }
-    } catch (error) {
-      console.error("Error processing sub-item:", error, subItem);
-      // Continue with the next sub-item even if this one fails
-    }
-  }
-}
-
 /**
  * Process an estimate from Gemini and save it to the database
  * @param {Object} estimateData - The estimate data from Gemini
@@ -926,6 +1720,7 @@ async function processAndSaveEstimate(
         console.error("Error creating estimate items:", itemError);
       }
     }
+    await recomputeProjectRollups(project.id);
     return {
       ...estimateData,
       projectId: project.id,
@@ -966,7 +1761,7 @@ function calculateTotalFromLineItems(lineItems) {
 }
 
 /**
- * Normalize line items to match the database schema
+ * Normalize line items, and their sub-items at every depth, to match the database schema
  * @param {Array} lineItems - Array of line items from the estimate
  * @param {string} currency - Currency to use for the items
  * @returns {Array} - Normalized line items
@@ -1024,75 +1819,8 @@ function normalizeLineItems(lineItems, currency = "USD") {
       amount = quantity * unitPrice;
     }
 
-    // Extract subItems and normalize them
-    let subItems = [];
-    if (Array.isArray(item.subItems)) {
-      subItems = item.subItems.map((subItem) => {
-        // Similar extraction logic for sub-items
-        let subDescription = "";
-        if (typeof subItem.description === "string") {
-          subDescription = subItem.description;
-        } else if (
-          subItem.description &&
-          typeof subItem.description.type === "string"
-        ) {
-          subDescription = "";
-        }
-
-        let subQuantity = 0;
-        if (typeof subItem.quantity === "number") {
-          subQuantity = subItem.quantity;
-        } else if (
-          subItem.quantity &&
-          typeof subItem.quantity.type === "string"
-        ) {
-          subQuantity = 0;
-        }
-
-        let subUnitPrice = 0;
-        if (typeof subItem.unitPrice === "number") {
-          subUnitPrice = subItem.unitPrice;
-        } else if (
-          subItem.unitPrice &&
-          typeof subItem.unitPrice.type === "string"
-        ) {
-          subUnitPrice = 0;
-        }
-
-        let subUnitType = "unit";
-        if (typeof subItem.unitType === "string") {
-          subUnitType = subItem.unitType;
-        } else if (subItem.unitType && Array.isArray(subItem.unitType.enum)) {
-          subUnitType = subItem.unitType.enum[0] || "unit";
-        }
-
-        // Extract costType for sub-item
-        let subCostType = "material";
-        if (typeof subItem.costType === "string") {
-          subCostType = subItem.costType;
-        } else if (subItem.costType && Array.isArray(subItem.costType.enum)) {
-          subCostType = subItem.costType.enum[0] || "material";
-        }
-
-        let subAmount = 0;
-        if (typeof subItem.amount === "number") {
-          subAmount = subItem.amount;
-        } else if (subItem.amount && typeof subItem.amount.type === "string") {
-          // Calculate amount from quantity and unitPrice
-          subAmount = subQuantity * subUnitPrice;
-        }
-
-        return {
-          description: subDescription,
-          quantity: subQuantity,
-          unitPrice: subUnitPrice,
-          unitType: subUnitType,
-          costType: subCostType,
-          amount: subAmount,
-          currency,
-        };
-      });
-    }
+    // Sub-items are line items too and can have sub-items of their own
+    const subItems = normalizeLineItems(item.subItems, currency);
 
     return {
       description: description,
@@ -1114,24 +1842,109 @@ function normalizeLineItems(lineItems, currency = "USD") {
  */
 async function getProjectById(projectId) {
   try {
-    const { data: project, error } = await supabase
-      .from("projects")
-      .select("*")
-      .eq("id", projectId)
-      .single();
+    return await getStorage().projects.getById(projectId);
+  } catch (error) {
+    console.error("Error in getProjectById:", error);
+    return null;
+  }
+}
 
-    if (error) {
-      console.error("Error fetching project:", error);
-      return null;
-    }
+/**
+ * Get all projects the user can access through their business memberships
+ * @param {string} userId - The ID of the authenticated user
+ * @returns {Promise<Array>} - Array of projects (as returned by get_user_projects)
+ */
+async function getUserProjects(userId) {
+  try {
+    return await getStorage().projects.listForUser(userId);
+  } catch (error) {
+    console.error("Error in getUserProjects:", error);
+    throw error;
+  }
+}
 
-    return project;
+/**
+ * Get one page of the projects the user can access, sorted by the storage
+ * @param {string} userId - The ID of the authenticated user
+ * @param {Object} options - Page options
+ * @param {number} options.limit - Maximum number of projects to return
+ * @param {number} [options.offset] - Number of projects to skip (default: 0)
+ * @param {string} [options.sort] - Field to sort by: created_at, updated_at, name or status
+ *   (default: created_at)
+ * @param {string} [options.order] - 'asc' or 'desc' (default: desc)
+ * @returns {Promise<Object>} - `{ projects, total }`, where total counts the projects of all pages
+ */
+async function getUserProjectsPage(userId, options) {
+  try {
+    return await getStorage().projects.listPageForUser(userId, options);
   } catch (error) {
-    console.error("Error in getProjectById:", error);
+    console.error("Error in getUserProjectsPage:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the user's membership in the business that owns a project
+ * @param {Object} project - The project (must include business_id)
+ * @param {string} userId - The ID of the authenticated user
+ * @returns {Promise<Object|null>} - The business_users row or null if the user is not a member
+ */
+async function getProjectMembership(project, userId) {
+  if (!project || !project.business_id || !userId) {
+    return null;
+  }
+
+  try {
+    return await getStorage().businessUsers.get(project.business_id, userId);
+  } catch (error) {
+    console.error("Error in getProjectMembership:", error);
     return null;
   }
 }
 
+/**
+ * Update a project's editable fields. The totals are recomputed when the
+ * pricing rules change.
+ * @param {number|string} projectId - The ID of the project
+ * @param {Object} updates - Fields to update (name, description, status, pricing_rules)
+ * @returns {Promise<Object>} - The updated project
+ */
+async function updateProject(projectId, updates) {
+  try {
+    const storage = getStorage();
+    const project = await storage.projects.update(projectId, {
+      ...updates,
+      updated_at: new Date().toISOString(),
+    });
+
+    if (project && updates.pricing_rules !== undefined) {
+      await recomputeProjectRollups(projectId);
+      return await storage.projects.getById(projectId);
+    }
+    return project;
+  } catch (error) {
+    console.error("Error updating project:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a project. Line items, conversations and messages are removed by
+ * the ON DELETE CASCADE foreign keys.
+ * @param {number|string} projectId - The ID of the project
+ * @returns {Promise<Object>} - The ID of the deleted project
+ */
+async function deleteProject(projectId) {
+  try {
+    await getStorage().projects.delete(projectId);
+
+    return { id: projectId, deleted: true };
+  } catch (error) {
+    console.error("Error deleting project:", error);
+    throw error;
+  }
+}
+
 /**
  * Get conversations by project ID
  * @param {number|string} projectId - The ID of the project
@@ -1139,26 +1952,16 @@ async function getProjectById(projectId) {
  */
 async function getConversationsByProjectId(projectId) {
   try {
-    const { data: conversations, error: convError } = await supabase
-      .from("conversations")
-      .select("id, created_at, created_by")
-      .eq("project_id", projectId)
-      .order("created_at", { ascending: false });
-
-    if (convError) {
-      console.error("Error fetching conversations:", convError);
-      return [];
-    }
+    const storage = getStorage();
+    const conversations = await storage.conversations.listByProject(projectId);
 
     const conversationsWithMessages = await Promise.all(
-      conversations.map(async (conversation) => {
-        const { data: messages, error: msgError } = await supabase
-          .from("messages")
-          .select("*")
-          .eq("conversation_id", conversation.id)
-          .order("created_at", { ascending: true });
-
-        if (msgError) {
+      conversations.map(async ({ id, created_at, created_by }) => {
+        const conversation = { id, created_at, created_by };
+        let messages;
+        try {
+          messages = await storage.messages.listByConversation(id);
+        } catch (msgError) {
           console.error("Error fetching messages:", msgError);
           return { ...conversation, messages: [] };
         }
@@ -1186,9 +1989,31 @@ export {
   createProject,
   updateProjectWithEstimate,
   getProjectById,
+  getUserProjects,
+  getUserProjectsPage,
+  getProjectMembership,
+  updateProject,
+  deleteProject,
   getConversationsByProjectId,
   getProjectLineItems,
+  getLineItemById,
+  createLineItem,
+  updateLineItem,
+  deleteLineItem,
+  duplicateLineItem,
+  applyRangeAction,
   applyLineItemChanges,
+  applyLineItemInstruction,
+  parseLineItemInstruction,
+  resolveLineItemAction,
+  prepareLineItemOperation,
+  validateItemRefs,
+  createActionSummary,
+  recordInstructionResult,
   logPromptAndActions,
   parseInstructionAttributes,
+  validateLineItemFields,
+  buildLineItemUpdate,
+  VALID_UNIT_TYPES,
+  VALID_COST_TYPES,
 };
@@ -0,0 +1,574 @@
+import PDFDocument from "pdfkit";
+import { getStorage } from "../storage/index.js";
+import { buildExportRows } from "./exportService.js";
+import { computeTotals } from "./rollupService.js";
+import { computeAdjustments, getProjectPricingRules } from "./pricingService.js";
+import { CurrencyError, convertProjectItems } from "./currencyService.js";
+
+/**
+ * Built-in proposal themes. `font` is the CSS font stack of the HTML proposal,
+ * `pdfFont`/`pdfBoldFont` are standard PDF fonts so no font files are needed.
+ * @readonly
+ */
+const PROPOSAL_THEMES = {
+  classic: {
+    primaryColor: "#1f3a5f",
+    accentColor: "#c9a227",
+    textColor: "#222222",
+    mutedColor: "#6b7280",
+    font: "Georgia, 'Times New Roman', serif",
+    pdfFont: "Times-Roman",
+    pdfBoldFont: "Times-Bold",
+  },
+  modern: {
+    primaryColor: "#0f766e",
+    accentColor: "#14b8a6",
+    textColor: "#1f2937",
+    mutedColor: "#6b7280",
+    font: "'Helvetica Neue', Helvetica, Arial, sans-serif",
+    pdfFont: "Helvetica",
+    pdfBoldFont: "Helvetica-Bold",
+  },
+  minimal: {
+    primaryColor: "#111111",
+    accentColor: "#9ca3af",
+    textColor: "#111111",
+    mutedColor: "#6b7280",
+    font: "'Helvetica Neue', Helvetica, Arial, sans-serif",
+    pdfFont: "Helvetica",
+    pdfBoldFont: "Helvetica-Bold",
+  },
+};
+
+const DEFAULT_THEME = "modern";
+const DEFAULT_VALID_FOR_DAYS = 30;
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Terms printed when the business has not configured its own
+ * @readonly
+ */
+const DEFAULT_TERMS = [
+  "Quantities and prices are estimates based on the scope described above. Work outside this scope is billed separately.",
+  "Payment is due within 30 days of invoice unless agreed otherwise in writing.",
+  "Any change to the scope must be agreed in writing and may change the total.",
+];
+
+/**
+ * Format an amount in a currency
+ * @param {number} amount - The amount
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {string} - The formatted amount
+ */
+function formatMoney(amount, currency) {
+  try {
+    return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(amount);
+  } catch {
+    // Unknown currency codes are printed after the number
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+}
+
+/**
+ * Format a quantity without trailing zeros
+ * @param {*} value - The quantity
+ * @returns {string} - The formatted quantity, or '' if there is none
+ */
+function formatQuantity(value) {
+  if (value === null || value === undefined || value === "") {
+    return "";
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? String(Math.round(number * 1000) / 1000) : "";
+}
+
+/**
+ * Resolve the theme of a proposal
+ * @param {Object} proposalSettings - businesses.settings.proposal
+ * @param {string} [themeName] - Theme requested for this proposal, overriding the settings
+ * @returns {Object} - The theme colors and fonts, with its `name`
+ */
+function resolveTheme(proposalSettings, themeName) {
+  const name = [themeName, proposalSettings.theme, DEFAULT_THEME].find((candidate) =>
+    Object.hasOwn(PROPOSAL_THEMES, candidate || "")
+  );
+  const theme = { name, ...PROPOSAL_THEMES[name] };
+
+  // Colors are copied into CSS, so only plain hex colors are accepted
+  for (const key of ["primaryColor", "accentColor"]) {
+    if (HEX_COLOR_PATTERN.test(String(proposalSettings[key] || ""))) {
+      theme[key] = proposalSettings[key];
+    }
+  }
+
+  return theme;
+}
+
+/**
+ * Build the contents of a proposal
+ * @param {Object} project - The projects row
+ * @param {Object|null} business - The businesses row of the project
+ * @param {Array<Object>} items - The project's estimate_items rows
+ * @param {Object} options - Proposal options
+ * @param {string} options.currency - The project currency
+ * @param {string} [options.theme] - Theme name overriding the business settings
+ * @param {Array<Object>} [options.adjustments] - Lines of the pricing rules (see computeAdjustments)
+ * @param {Date} [options.date] - Date of the proposal (default: now)
+ * @returns {Object} - The proposal: theme, company, title, dates, scope, rows, terms and signature
+ */
+function buildProposal(project, business, items, { currency, theme, adjustments = [], date = new Date() }) {
+  const settings = (business && business.settings) || {};
+  const company = settings.company || {};
+  const proposalSettings = settings.proposal || {};
+
+  const validForDays = Number.isInteger(proposalSettings.validForDays) && proposalSettings.validForDays > 0
+    ? proposalSettings.validForDays
+    : DEFAULT_VALID_FOR_DAYS;
+  const validUntil = new Date(date.getTime() + validForDays * 24 * 60 * 60 * 1000);
+
+  const terms = Array.isArray(proposalSettings.terms)
+    ? proposalSettings.terms.filter((term) => typeof term === "string" && term.trim())
+    : typeof proposalSettings.terms === "string" && proposalSettings.terms.trim()
+      ? proposalSettings.terms.split(/\n\s*\n/).map((term) => term.trim())
+      : DEFAULT_TERMS;
+
+  const rows = buildExportRows(items, adjustments);
+  const sections = rows
+    .filter((row) => row.type === "item" && row.depth === 0)
+    .map((row) => row.item.title || row.item.description || "");
+
+  return {
+    theme: resolveTheme(proposalSettings, theme),
+    company: {
+      name: (business && business.name) || "",
+      address: company.address || null,
+      phone: company.phone || null,
+      email: company.email || null,
+      website: company.website || null,
+    },
+    title: project.name,
+    reference: `Proposal #${project.id}`,
+    date: date.toISOString().slice(0, 10),
+    validUntil: validUntil.toISOString().slice(0, 10),
+    currency,
+    scope: {
+      description: project.description || null,
+      sections,
+    },
+    rows,
+    terms: [...terms, `This proposal is valid until ${validUntil.toISOString().slice(0, 10)}.`],
+    signature: {
+      clientLabel: proposalSettings.clientSignatureLabel || "Accepted by (client)",
+      companyLabel: proposalSettings.companySignatureLabel || `For ${(business && business.name) || "the contractor"}`,
+    },
+  };
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Render the line item table rows of an HTML proposal
+ * @param {Object} proposal - The proposal from buildProposal
+ * @returns {string} - The <tr> elements
+ */
+function renderHtmlRows(proposal) {
+  const money = (amount) => escapeHtml(formatMoney(amount, proposal.currency));
+
+  return proposal.rows
+    .map((row) => {
+      if (row.type === "item") {
+        const { item } = row;
+        const name = item.title || item.description || "";
+        const details = item.description && item.description !== name
+          ? `<div class="details">${escapeHtml(item.description)}</div>`
+          : "";
+        return `<tr class="item depth-${Math.min(row.depth, 4)}">
+          <td class="name" style="padding-left:${0.5 + row.depth * 1.25}rem">${escapeHtml(name)}${details}</td>
+          <td class="num">${escapeHtml(formatQuantity(item.quantity))}</td>
+          <td>${escapeHtml(item.unit_type || "")}</td>
+          <td class="num">${item.unit_price === null || item.unit_price === undefined ? "" : money(item.unit_price)}</td>
+          <td class="num">${money(Number(item.amount) || 0)}</td>
+        </tr>`;
+      }
+
+      if (row.type === "subtotal") {
+        return `<tr class="subtotal">
+          <td colspan="4" style="padding-left:${0.5 + row.depth * 1.25}rem">${escapeHtml(row.label)}</td>
+          <td class="num">${money(row.amount)}</td>
+        </tr>`;
+      }
+
+      return "";
+    })
+    .join("\n");
+}
+
+/**
+ * Render a proposal as a standalone HTML document
+ * @param {Object} proposal - The proposal from buildProposal
+ * @returns {string} - The HTML document
+ */
+function renderProposalHtml(proposal) {
+  const { theme, company } = proposal;
+  const money = (amount) => escapeHtml(formatMoney(amount, proposal.currency));
+  const contact = [company.address, company.phone, company.email, company.website]
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join(" &middot; ");
+
+  const totalRows = proposal.rows
+    .filter((row) => ["cost_type_subtotal", "cost_subtotal", "adjustment"].includes(row.type))
+    .map((row) => {
+      const rowClass = row.type === "cost_subtotal" ? ' class="subtotal"' : "";
+      return `<tr${rowClass}><td>${escapeHtml(row.label)}</td><td class="num">${money(row.amount)}</td></tr>`;
+    })
+    .join("\n");
+  const total = proposal.rows.find((row) => row.type === "total");
+
+  const scopeDescription = proposal.scope.description
+    ? `<p>${escapeHtml(proposal.scope.description)}</p>`
+    : "";
+  const scopeSections = proposal.scope.sections.length > 0
+    ? `<p>This proposal covers:</p><ul>${proposal.scope.sections
+        .map((section) => `<li>${escapeHtml(section)}</li>`)
+        .join("")}</ul>`
+    : "<p>No line items have been added to this project yet.</p>";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(proposal.title)} - ${escapeHtml(proposal.reference)}</title>
+<style>
+  body { font-family: ${theme.font}; color: ${theme.textColor}; max-width: 900px; margin: 0 auto; padding: 2.5rem; }
+  header { border-bottom: 4px solid ${theme.accentColor}; padding-bottom: 1rem; margin-bottom: 1.5rem; }
+  header .company { color: ${theme.primaryColor}; font-size: 1.75rem; font-weight: bold; }
+  header .contact { color: ${theme.mutedColor}; font-size: 0.9rem; margin-top: 0.25rem; }
+  h1 { color: ${theme.primaryColor}; margin: 0 0 0.25rem; }
+  h2 { color: ${theme.primaryColor}; border-bottom: 1px solid ${theme.accentColor}; padding-bottom: 0.25rem; margin-top: 2rem; }
+  .meta { color: ${theme.mutedColor}; }
+  table { width: 100%; border-collapse: collapse; }
+  th { background: ${theme.primaryColor}; color: #ffffff; text-align: left; padding: 0.5rem; }
+  td { padding: 0.4rem 0.5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  .num { text-align: right; white-space: nowrap; }
+  tr.depth-0 td.name { font-weight: bold; }
+  .details { color: ${theme.mutedColor}; font-size: 0.85rem; font-weight: normal; }
+  tr.subtotal td { font-weight: bold; border-bottom: 2px solid #d1d5db; }
+  table.totals { width: 50%; margin-left: auto; margin-top: 1rem; }
+  table.totals tr.total td { font-size: 1.2rem; font-weight: bold; color: ${theme.primaryColor}; border-top: 2px solid ${theme.accentColor}; }
+  .signatures { display: flex; gap: 3rem; margin-top: 3rem; }
+  .signature { flex: 1; }
+  .signature .line { border-bottom: 1px solid ${theme.textColor}; height: 2.5rem; }
+  .signature .label { color: ${theme.mutedColor}; font-size: 0.85rem; margin-bottom: 1rem; }
+  @media print { body { padding: 0; } }
+</style>
+</head>
+<body>
+<header>
+  <div class="company">${escapeHtml(company.name)}</div>
+  ${contact ? `<div class="contact">${contact}</div>` : ""}
+</header>
+
+<h1>${escapeHtml(proposal.title)}</h1>
+<div class="meta">${escapeHtml(proposal.reference)} &middot; ${escapeHtml(proposal.date)} &middot; Valid until ${escapeHtml(proposal.validUntil)}</div>
+
+<h2>Scope</h2>
+${scopeDescription}
+${scopeSections}
+
+<h2>Estimate</h2>
+<table class="items">
+  <thead>
+    <tr><th>Item</th><th class="num">Qty</th><th>Unit</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+  </thead>
+  <tbody>
+${renderHtmlRows(proposal)}
+  </tbody>
+</table>
+
+<table class="totals">
+${totalRows}
+  <tr class="total"><td>Total</td><td class="num">${money(total.amount)}</td></tr>
+</table>
+
+<h2>Terms</h2>
+<ol class="terms">
+${proposal.terms.map((term) => `  <li>${escapeHtml(term)}</li>`).join("\n")}
+</ol>
+
+<div class="signatures">
+${[proposal.signature.clientLabel, proposal.signature.companyLabel]
+  .map(
+    (label) => `  <div class="signature">
+    <div class="line"></div><div class="label">${escapeHtml(label)} &mdash; signature</div>
+    <div class="line"></div><div class="label">Name</div>
+    <div class="line"></div><div class="label">Date</div>
+  </div>`
+  )
+  .join("\n")}
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a proposal as a PDF
+ * @param {Object} proposal - The proposal from buildProposal
+ * @returns {Promise<Buffer>} - The PDF file
+ */
+function renderProposalPdf(proposal) {
+  const { theme, company } = proposal;
+  const doc = new PDFDocument({
+    size: "LETTER",
+    margin: 50,
+    info: { Title: `${proposal.title} - ${proposal.reference}`, Author: company.name },
+  });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+  const money = (amount) => formatMoney(amount, proposal.currency);
+
+  /**
+   * Start a new page when fewer than `height` points are left
+   * @param {number} height - Space needed
+   * @returns {boolean} - Whether a page was added
+   */
+  const ensureSpace = (height) => {
+    if (doc.y + height <= bottom()) return false;
+    doc.addPage();
+    return true;
+  };
+
+  /**
+   * Write a section heading with a rule under it
+   * @param {string} text - The heading
+   */
+  const heading = (text) => {
+    // Keep the heading on the same page as the first lines of its section
+    ensureSpace(60);
+    doc.moveDown(1);
+    doc.font(theme.pdfBoldFont).fontSize(14).fillColor(theme.primaryColor).text(text, left, doc.y);
+    doc
+      .moveTo(left, doc.y + 2)
+      .lineTo(left + width, doc.y + 2)
+      .lineWidth(0.75)
+      .strokeColor(theme.accentColor)
+      .stroke();
+    doc.moveDown(0.5);
+    doc.font(theme.pdfFont).fontSize(10).fillColor(theme.textColor);
+  };
+
+  // Company header
+  doc.font(theme.pdfBoldFont).fontSize(20).fillColor(theme.primaryColor).text(company.name, left, doc.y);
+  const contact = [company.address, company.phone, company.email, company.website].filter(Boolean).join("  |  ");
+  if (contact) {
+    doc.font(theme.pdfFont).fontSize(9).fillColor(theme.mutedColor).text(contact);
+  }
+  doc.moveDown(0.3);
+  doc.rect(left, doc.y, width, 3).fill(theme.accentColor);
+  doc.moveDown(1);
+
+  doc.font(theme.pdfBoldFont).fontSize(16).fillColor(theme.primaryColor).text(proposal.title, left, doc.y);
+  doc
+    .font(theme.pdfFont)
+    .fontSize(9)
+    .fillColor(theme.mutedColor)
+    .text(`${proposal.reference}  |  ${proposal.date}  |  Valid until ${proposal.validUntil}`);
+
+  // Scope summary
+  heading("Scope");
+  if (proposal.scope.description) {
+    doc.text(proposal.scope.description, { width });
+    doc.moveDown(0.5);
+  }
+  if (proposal.scope.sections.length > 0) {
+    doc.text("This proposal covers:");
+    doc.list(proposal.scope.sections, { width: width - 20, bulletRadius: 1.5 });
+  } else {
+    doc.text("No line items have been added to this project yet.");
+  }
+
+  // Line items
+  heading("Estimate");
+  const columns = [
+    { label: "Item", width: width - 290, align: "left" },
+    { label: "Qty", width: 50, align: "right" },
+    { label: "Unit", width: 60, align: "left" },
+    { label: "Unit price", width: 90, align: "right" },
+    { label: "Amount", width: 90, align: "right" },
+  ];
+
+  /**
+   * Draw a table row, starting a new page (with the column headers) when it does not fit
+   * @param {Array<string>} cells - Cell texts, one per column
+   * @param {Object} [options] - Row style: bold, background fill, text color and indent of the first cell
+   */
+  const drawRow = (cells, { bold = false, fill = null, color = theme.textColor, indent = 0 } = {}) => {
+    doc.font(bold ? theme.pdfBoldFont : theme.pdfFont).fontSize(9);
+    const heights = cells.map((cell, index) =>
+      doc.heightOfString(cell, { width: columns[index].width - 8 - (index === 0 ? indent : 0) })
+    );
+    const height = Math.max(...heights) + 8;
+
+    if (ensureSpace(height)) {
+      drawHeader();
+      doc.font(bold ? theme.pdfBoldFont : theme.pdfFont).fontSize(9);
+    }
+
+    const top = doc.y;
+    if (fill) {
+      doc.rect(left, top, width, height).fill(fill);
+    }
+    let x = left;
+    cells.forEach((cell, index) => {
+      const offset = index === 0 ? indent : 0;
+      doc.fillColor(color).text(cell, x + 4 + offset, top + 4, {
+        width: columns[index].width - 8 - offset,
+        align: columns[index].align,
+      });
+      x += columns[index].width;
+    });
+    doc
+      .moveTo(left, top + height)
+      .lineTo(left + width, top + height)
+      .lineWidth(0.5)
+      .strokeColor("#e5e7eb")
+      .stroke();
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  /**
+   * Draw the column headers of the table
+   */
+  const drawHeader = () => {
+    drawRow(
+      columns.map((column) => column.label),
+      { bold: true, fill: theme.primaryColor, color: "#ffffff" }
+    );
+  };
+
+  drawHeader();
+  for (const row of proposal.rows) {
+    if (row.type === "item") {
+      const { item } = row;
+      drawRow(
+        [
+          item.title || item.description || "",
+          formatQuantity(item.quantity),
+          item.unit_type || "",
+          item.unit_price === null || item.unit_price === undefined ? "" : money(item.unit_price),
+          money(Number(item.amount) || 0),
+        ],
+        { bold: row.depth === 0, indent: row.depth * 12 }
+      );
+    } else if (row.type === "subtotal") {
+      drawRow([row.label, "", "", "", money(row.amount)], { bold: true, indent: row.depth * 12 });
+    }
+  }
+
+  // Totals
+  doc.moveDown(1);
+  const totalsLeft = left + width / 2;
+  for (const row of proposal.rows.filter((candidate) => candidate.type !== "item" && candidate.type !== "subtotal")) {
+    const isTotal = row.type === "total";
+    ensureSpace(20);
+    const top = doc.y;
+    doc
+      .font(isTotal ? theme.pdfBoldFont : theme.pdfFont)
+      .fontSize(isTotal ? 12 : 10)
+      .fillColor(isTotal ? theme.primaryColor : theme.textColor);
+    doc.text(row.label, totalsLeft, top, { width: width / 4 });
+    doc.text(money(row.amount), totalsLeft + width / 4, top, { width: width / 4 - 4, align: "right" });
+    doc.y = top + (isTotal ? 18 : 14);
+  }
+  doc.x = left;
+
+  // Terms
+  heading("Terms");
+  proposal.terms.forEach((term, index) => {
+    ensureSpace(30);
+    doc.text(`${index + 1}. ${term}`, left, doc.y, { width });
+    doc.moveDown(0.3);
+  });
+
+  // Signature block
+  ensureSpace(130);
+  doc.moveDown(2);
+  const signatureTop = doc.y;
+  const columnWidth = (width - 40) / 2;
+  [proposal.signature.clientLabel, proposal.signature.companyLabel].forEach((label, index) => {
+    const x = left + index * (columnWidth + 40);
+    ["signature", "Name", "Date"].forEach((field, line) => {
+      const y = signatureTop + 30 + line * 40;
+      doc.moveTo(x, y).lineTo(x + columnWidth, y).lineWidth(0.75).strokeColor(theme.textColor).stroke();
+      doc
+        .font(theme.pdfFont)
+        .fontSize(8)
+        .fillColor(theme.mutedColor)
+        .text(field === "signature" ? `${label} - signature` : field, x, y + 3, { width: columnWidth });
+    });
+  });
+
+  doc.end();
+  return done;
+}
+
+/**
+ * Render a project's proposal
+ * @param {Object} project - The projects row
+ * @param {string} format - 'html' or 'pdf'
+ * @param {Object} options - Proposal options
+ * @param {string} options.currency - The project currency
+ * @param {string} [options.theme] - Theme name overriding the business settings
+ * @returns {Promise<string|Buffer>} - The HTML document or PDF file
+ * @throws {CurrencyError} - 409 if a currency of the items has no exchange rate
+ */
+async function renderProjectProposal(project, format, { currency, theme }) {
+  try {
+    const storage = getStorage();
+    const [business, projectItems] = await Promise.all([
+      project.business_id ? storage.businesses.getById(project.business_id) : null,
+      storage.estimateItems.listByProject(project.id),
+    ]);
+    const items = await convertProjectItems(project, projectItems);
+
+    const adjustments = computeAdjustments(computeTotals(items), getProjectPricingRules(project, business));
+    const proposal = buildProposal(project, business, items, { currency, theme, adjustments });
+    return format === "pdf" ? await renderProposalPdf(proposal) : renderProposalHtml(proposal);
+  } catch (error) {
+    if (!(error instanceof CurrencyError)) {
+      console.error("Error rendering proposal:", error);
+    }
+    throw error;
+  }
+}
+
+export {
+  PROPOSAL_THEMES,
+  buildProposal,
+  renderProposalHtml,
+  renderProposalPdf,
+  renderProjectProposal,
+};
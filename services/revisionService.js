@@ -0,0 +1,330 @@
+import { getStorage } from "../storage/index.js";
+import { canonicalJson } from "../utils/canonicalJson.js";
+import { recomputeProjectRollups } from "./rollupService.js";
+
+/**
+ * Columns derived from other rows, recomputed after every change. They are
+ * kept in the row images but ignored when comparing them, so that a rollup
+ * of a parent is neither recorded as a change nor reported as a conflict.
+ * @readonly
+ */
+const DERIVED_FIELDS = ["total_amount"];
+
+/**
+ * Error for an undo, redo or restore that cannot be carried out. `status` is
+ * the HTTP status the controller responds with.
+ */
+class RevisionError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} status - HTTP status (404 or 409)
+   * @param {Object} [details] - Extra response fields (e.g. conflicting item IDs)
+   */
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = "RevisionError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Read every line item of a project, to capture the row images before a change.
+ * The capture must be complete: a row missing from one of the two captures
+ * would be recorded as created or deleted, and undone as such.
+ * @param {number|string} projectId - The ID of the project
+ * @returns {Promise<Array>} - The estimate_items rows
+ */
+async function captureProjectItems(projectId) {
+  return getStorage().estimateItems.listByProject(projectId);
+}
+
+/**
+ * Serialize a row image for comparison, without its derived columns
+ * @param {Object|null} row - An estimate_items row, or null for a missing row
+ * @returns {string} - Canonical JSON of the row
+ */
+function comparableImage(row) {
+  if (!row) {
+    return canonicalJson(null);
+  }
+
+  const fields = { ...row };
+  for (const field of DERIVED_FIELDS) delete fields[field];
+  return canonicalJson(fields);
+}
+
+/**
+ * Compare two captures of a project's items
+ * @param {Array} beforeRows - Rows before the change
+ * @param {Array} afterRows - Rows after the change
+ * @returns {Array} - `{ item_id, before, after }` for every row that was created,
+ *   changed (including sub-items moved up by a delete) or deleted
+ */
+function diffItemImages(beforeRows, afterRows) {
+  const before = new Map(beforeRows.map((row) => [String(row.id), row]));
+  const after = new Map(afterRows.map((row) => [String(row.id), row]));
+  const ids = new Set([...before.keys(), ...after.keys()]);
+
+  return [...ids]
+    .filter((id) => comparableImage(before.get(id)) !== comparableImage(after.get(id)))
+    .map((id) => ({
+      item_id: Number(id),
+      before: before.get(id) || null,
+      after: after.get(id) || null,
+    }));
+}
+
+/**
+ * Record a revision for the changes made to a project since `beforeRows` was
+ * captured. Undone revisions can no longer be redone once a new one is recorded.
+ * Failures are logged rather than thrown, since the changes are already applied.
+ * @param {number|string} projectId - The ID of the project
+ * @param {string} userId - The ID of the authenticated user
+ * @param {Array} beforeRows - Rows from captureProjectItems before the change
+ * @returns {Promise<number|null>} - The ID of the revision, or null if nothing changed
+ */
+async function recordRevision(projectId, userId, beforeRows) {
+  try {
+    const storage = getStorage();
+    const changes = diffItemImages(beforeRows, await captureProjectItems(projectId));
+    if (changes.length === 0) {
+      return null;
+    }
+
+    await storage.revisions.updateByStatus(projectId, "undone", {
+      status: "superseded",
+      updated_at: new Date().toISOString(),
+    });
+
+    const revision = await storage.revisions.create({
+      project_id: projectId,
+      changes,
+      created_by: userId,
+    });
+    return revision.id;
+  } catch (error) {
+    console.error("Error recording revision:", error);
+    return null;
+  }
+}
+
+/**
+ * Link a revision to the assistant message that describes it
+ * @param {number} revisionId - The ID of the revision
+ * @param {number} messageId - The ID of the messages row
+ * @returns {Promise<void>}
+ */
+async function linkRevisionToMessage(revisionId, messageId) {
+  try {
+    await getStorage().revisions.update(revisionId, {
+      message_id: messageId,
+      updated_at: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error linking revision to message:", error);
+  }
+}
+
+/**
+ * Format an estimate_revisions row for API responses
+ * @param {Object} revision - The estimate_revisions row
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.includeChanges] - Include the row images
+ * @returns {Object} - The revision
+ */
+function formatRevision(revision, { includeChanges = false } = {}) {
+  const changes = revision.changes || [];
+  return {
+    id: revision.id,
+    projectId: revision.project_id,
+    messageId: revision.message_id,
+    status: revision.status,
+    createdBy: revision.created_by,
+    createdAt: revision.created_at,
+    itemsCreated: changes.filter((change) => !change.before).length,
+    itemsChanged: changes.filter((change) => change.before && change.after).length,
+    itemsDeleted: changes.filter((change) => !change.after).length,
+    ...(includeChanges ? { changes } : {}),
+  };
+}
+
+/**
+ * List the revisions of a project, newest first
+ * @param {number|string} projectId - The ID of the project
+ * @returns {Promise<Array>} - Array of estimate_revisions rows
+ */
+async function listProjectRevisions(projectId) {
+  try {
+    return await getStorage().revisions.listByProject(projectId);
+  } catch (error) {
+    console.error("Error in listProjectRevisions:", error);
+    throw error;
+  }
+}
+
+/**
+ * Undo and redo revisions in one transaction. Every revision is checked
+ * against the current rows first: a row that was changed since the revision
+ * (by a later edit that is not being undone) is a conflict. The rolled-up
+ * totals are recomputed once the rows are restored.
+ * @param {number|string} projectId - The ID of the project
+ * @param {Array} steps - `{ revision, direction }` in the order to apply them,
+ *   where direction is 'undo' (restore `before`) or 'redo' (restore `after`)
+ * @returns {Promise<Array>} - The updated revisions
+ * @throws {RevisionError} - 409 with the conflicting item IDs
+ */
+async function applyRevisionSteps(projectId, steps) {
+  const storage = getStorage();
+  const currentRows = await captureProjectItems(projectId);
+  const current = new Map(currentRows.map((row) => [String(row.id), row]));
+  const target = new Map(current);
+  const conflicts = new Set();
+
+  for (const { revision, direction } of steps) {
+    for (const change of revision.changes) {
+      const id = String(change.item_id);
+      const [expected, restored] =
+        direction === "undo" ? [change.after, change.before] : [change.before, change.after];
+
+      if (comparableImage(target.get(id)) !== comparableImage(expected)) {
+        conflicts.add(change.item_id);
+      }
+      if (restored) target.set(id, restored);
+      else target.delete(id);
+    }
+  }
+
+  if (conflicts.size > 0) {
+    throw new RevisionError(
+      "Some items were changed after this revision. Edit them back or restore a later revision.",
+      409,
+      { conflictingItemIds: [...conflicts] }
+    );
+  }
+
+  const changedIds = [...new Set([...current.keys(), ...target.keys()])].filter(
+    (id) => comparableImage(current.get(id)) !== comparableImage(target.get(id))
+  );
+  const restoredRows = changedIds.map((id) => target.get(id)).filter(Boolean);
+
+  // Rows are first written without their parent, so that the order of
+  // re-created parents and children does not matter
+  const operations = [
+    ...changedIds
+      .filter((id) => current.has(id) && !target.has(id))
+      .map((id) => ({ op: "delete", id: Number(id) })),
+    ...restoredRows.map((row) => ({ op: "restore", row: { ...row, parent_item_id: null } })),
+    ...restoredRows
+      .filter((row) => row.parent_item_id !== null && row.parent_item_id !== undefined)
+      .map((row) => ({ op: "restore", row })),
+  ];
+
+  const batch = await storage.estimateItems.applyBatch(projectId, operations);
+  if (!batch.committed) {
+    throw new Error(`Could not restore items: ${batch.error}`);
+  }
+
+  await recomputeProjectRollups(projectId);
+
+  const timestamp = new Date().toISOString();
+  return Promise.all(
+    steps.map(({ revision, direction }) =>
+      storage.revisions.update(revision.id, {
+        status: direction === "undo" ? "undone" : "applied",
+        updated_at: timestamp,
+      })
+    )
+  );
+}
+
+/**
+ * Undo the latest applied revision of a project
+ * @param {number|string} projectId - The ID of the project
+ * @returns {Promise<Object>} - The undone revision
+ * @throws {RevisionError} - 409 if there is nothing to undo or the items conflict
+ */
+async function undoRevision(projectId) {
+  const [latest] = await getStorage().revisions.listByProject(projectId, { status: "applied" });
+  if (!latest) {
+    throw new RevisionError("Nothing to undo", 409);
+  }
+
+  const [undone] = await applyRevisionSteps(projectId, [{ revision: latest, direction: "undo" }]);
+  return undone;
+}
+
+/**
+ * Redo the oldest undone revision of a project
+ * @param {number|string} projectId - The ID of the project
+ * @returns {Promise<Object>} - The redone revision
+ * @throws {RevisionError} - 409 if there is nothing to redo or the items conflict
+ */
+async function redoRevision(projectId) {
+  const undone = await getStorage().revisions.listByProject(projectId, { status: "undone" });
+  const next = undone[undone.length - 1];
+  if (!next) {
+    throw new RevisionError("Nothing to redo", 409);
+  }
+
+  const [redone] = await applyRevisionSteps(projectId, [{ revision: next, direction: "redo" }]);
+  return redone;
+}
+
+/**
+ * Bring a project back to its state right after a revision was applied, by
+ * undoing the later applied revisions or redoing the undone ones up to it
+ * @param {number|string} projectId - The ID of the project
+ * @param {number|string} revisionId - The ID of the revision to restore
+ * @returns {Promise<Object>} - `{ revision, undone, redone }` with the affected revision IDs
+ * @throws {RevisionError} - 404 if the revision does not exist, 409 if it was
+ *   superseded or the items conflict
+ */
+async function restoreRevision(projectId, revisionId) {
+  const storage = getStorage();
+  const revision = await storage.revisions.getById(projectId, revisionId);
+  if (!revision) {
+    throw new RevisionError("Revision not found", 404);
+  }
+  if (revision.status === "superseded") {
+    throw new RevisionError(
+      "This revision was undone and then replaced by later changes, so it can no longer be restored",
+      409
+    );
+  }
+
+  const revisions = await storage.revisions.listByProject(projectId);
+  // Newest first: undo the applied revisions after the target
+  const toUndo = revisions.filter((row) => row.status === "applied" && row.id > revision.id);
+  // Oldest first: redo the undone revisions up to and including the target
+  const toRedo = revisions
+    .filter((row) => row.status === "undone" && row.id <= revision.id)
+    .reverse();
+
+  const steps = [
+    ...toUndo.map((row) => ({ revision: row, direction: "undo" })),
+    ...toRedo.map((row) => ({ revision: row, direction: "redo" })),
+  ];
+
+  if (steps.length > 0) {
+    await applyRevisionSteps(projectId, steps);
+  }
+
+  return {
+    revision: await storage.revisions.getById(projectId, revision.id),
+    undone: toUndo.map((row) => row.id),
+    redone: toRedo.map((row) => row.id),
+  };
+}
+
+export {
+  RevisionError,
+  captureProjectItems,
+  recordRevision,
+  linkRevisionToMessage,
+  formatRevision,
+  listProjectRevisions,
+  undoRevision,
+  redoRevision,
+  restoreRevision,
+};
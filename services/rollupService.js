@@ -0,0 +1,209 @@
+import { getStorage } from "../storage/index.js";
+import { roundAmount, amountOf, sumAmounts } from "../utils/money.js";
+import { computeAdjustments, getProjectPricingRules } from "./pricingService.js";
+import { DEFAULT_CURRENCY, convertItems, loadBusinessRates } from "./currencyService.js";
+
+/**
+ * Compute the total and the subtotals by cost_type of a set of items
+ * @param {Array<Object>} items - estimate_items rows
+ * @returns {Object} - `{ total, itemCount, byCostType }`; items without a cost_type count as 'other'
+ */
+function computeTotals(items) {
+  const byCostType = {};
+  for (const item of items) {
+    const costType = item.cost_type || "other";
+    byCostType[costType] = roundAmount((byCostType[costType] || 0) + amountOf(item));
+  }
+
+  return {
+    total: sumAmounts(items),
+    itemCount: items.length,
+    byCostType,
+  };
+}
+
+/**
+ * Compute the rolled-up total_amount of every item: its own amount plus the
+ * total_amount of its sub-items, at any depth. An item whose parent is not in
+ * the set counts as top-level, and a parent_item_id cycle is cut where it
+ * closes, so every amount is counted once.
+ * @param {Array<Object>} items - estimate_items rows of one project
+ * @returns {Map<string, number>} - total_amount by item ID (as a string)
+ */
+function computeRollups(items) {
+  const byId = new Map(items.map((item) => [String(item.id), item]));
+  const children = new Map();
+  for (const item of items) {
+    const parentId = item.parent_item_id !== null && item.parent_item_id !== undefined
+      ? String(item.parent_item_id)
+      : null;
+    if (parentId === null || parentId === String(item.id) || !byId.has(parentId)) continue;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(String(item.id));
+  }
+
+  const totals = new Map();
+  const visiting = new Set();
+
+  const visit = (id) => {
+    if (totals.has(id)) return totals.get(id);
+    if (visiting.has(id)) return 0;
+
+    visiting.add(id);
+    const total = (children.get(id) || []).reduce(
+      (sum, childId) => sum + visit(childId),
+      amountOf(byId.get(id))
+    );
+    visiting.delete(id);
+
+    totals.set(id, roundAmount(total));
+    return totals.get(id);
+  };
+
+  for (const id of byId.keys()) visit(id);
+  return totals;
+}
+
+/**
+ * Build the summary of a project's items: the cost subtotal, the subtotals by
+ * cost_type, the lines of the pricing rules, the grand total and the
+ * rolled-up total of every top-level item, all in the project currency
+ * @param {Object} project - The projects row
+ * @param {Array<Object>} projectItems - The project's estimate_items rows
+ * @param {Object} [rules] - Pricing rules in effect (see getProjectPricingRules)
+ * @param {Array<Object>} [rates] - exchange_rates rows of the business
+ * @returns {Object} - `{ projectId, currency, subtotal, adjustments, total, itemCount,
+ *   byCostType, topLevelItems, conversions, missingRates }`; items in a currency
+ *   listed in missingRates are left out of the amounts
+ */
+function buildProjectSummary(project, projectItems, rules = {}, rates = []) {
+  const currency = project.currency || DEFAULT_CURRENCY;
+  const { items, conversions, missingRates } = convertItems(projectItems, currency, rates);
+  const rollups = computeRollups(items);
+  const ids = new Set(items.map((item) => String(item.id)));
+  const subItemCounts = new Map();
+  for (const item of items) {
+    const parentId = String(item.parent_item_id);
+    if (ids.has(parentId)) subItemCounts.set(parentId, (subItemCounts.get(parentId) || 0) + 1);
+  }
+
+  const totals = computeTotals(items);
+  const adjustments = computeAdjustments(totals, rules);
+  return {
+    projectId: project.id,
+    currency,
+    subtotal: totals.total,
+    adjustments,
+    total: roundAmount(totals.total + adjustments.reduce((sum, line) => sum + line.amount, 0)),
+    itemCount: totals.itemCount,
+    byCostType: totals.byCostType,
+    topLevelItems: items
+      .filter((item) => !ids.has(String(item.parent_item_id)))
+      .map((item) => ({
+        id: item.id,
+        title: item.title,
+        costType: item.cost_type || "other",
+        amount: amountOf(item),
+        totalAmount: rollups.get(String(item.id)),
+        subItemCount: subItemCounts.get(String(item.id)) || 0,
+      })),
+    conversions,
+    missingRates,
+  };
+}
+
+/**
+ * Load a project with the pricing rules in effect for it and the exchange
+ * rates of its business
+ * @param {number|string} projectId - The ID of the project
+ * @returns {Promise<Object|null>} - `{ project, rules, rates }` or null if the project does not exist
+ */
+async function loadProjectPricing(projectId) {
+  const storage = getStorage();
+  const project = await storage.projects.getById(projectId);
+  if (!project) {
+    return null;
+  }
+
+  const [business, rates] = await Promise.all([
+    project.business_id ? storage.businesses.getById(project.business_id) : null,
+    loadBusinessRates(project.business_id),
+  ]);
+  return { project, rules: getProjectPricingRules(project, business), rates };
+}
+
+/**
+ * Recompute the rolled-up totals of a project after its items, pricing rules
+ * or currency changed: the total_amount (in the project currency) of every
+ * item whose value is out of date, written in one call,
+ * the project's grand total (with the pricing rules applied) in total_amount
+ * and its cost subtotals in cost_type_totals. Failures are logged rather than
+ * thrown, since the changes are already applied.
+ * @param {number|string} projectId - The ID of the project
+ * @returns {Promise<Object|null>} - The summary (see buildProjectSummary), or
+ *   null if the project does not exist or the totals could not be saved
+ */
+async function recomputeProjectRollups(projectId) {
+  try {
+    const storage = getStorage();
+    const pricing = await loadProjectPricing(projectId);
+    if (!pricing) {
+      return null;
+    }
+
+    const items = await storage.estimateItems.listByProject(projectId);
+    const currency = pricing.project.currency || DEFAULT_CURRENCY;
+    const rollups = computeRollups(convertItems(items, currency, pricing.rates).items);
+
+    const changedTotals = [];
+    for (const item of items) {
+      const totalAmount = rollups.get(String(item.id));
+      if (item.total_amount === null || Number(item.total_amount) !== totalAmount) {
+        changedTotals.push({ id: item.id, total_amount: totalAmount });
+        item.total_amount = totalAmount;
+      }
+    }
+    if (changedTotals.length > 0) {
+      await storage.estimateItems.updateTotals(projectId, changedTotals);
+    }
+
+    const summary = buildProjectSummary(pricing.project, items, pricing.rules, pricing.rates);
+    await storage.projects.update(projectId, {
+      total_amount: summary.total,
+      cost_type_totals: summary.byCostType,
+    });
+    return summary;
+  } catch (error) {
+    console.error("Error recomputing project totals:", error);
+    return null;
+  }
+}
+
+/**
+ * Get the summary of a project, computed from its current items and pricing rules
+ * @param {number|string} projectId - The ID of the project
+ * @returns {Promise<Object|null>} - The summary (see buildProjectSummary) or null if
+ *   the project does not exist
+ */
+async function getProjectSummary(projectId) {
+  try {
+    const pricing = await loadProjectPricing(projectId);
+    if (!pricing) {
+      return null;
+    }
+
+    const items = await getStorage().estimateItems.listByProject(projectId);
+    return buildProjectSummary(pricing.project, items, pricing.rules, pricing.rates);
+  } catch (error) {
+    console.error("Error in getProjectSummary:", error);
+    throw error;
+  }
+}
+
+export {
+  computeTotals,
+  computeRollups,
+  buildProjectSummary,
+  recomputeProjectRollups,
+  getProjectSummary,
+};
@@ -0,0 +1,260 @@
+import { getStorage } from "../storage/index.js";
+import { canonicalJson } from "../utils/canonicalJson.js";
+import { roundAmount, amountOf } from "../utils/money.js";
+import { computeTotals } from "./rollupService.js";
+import { DEFAULT_CURRENCY, convertItems, loadBusinessRates } from "./currencyService.js";
+
+/**
+ * Fields compared when diffing two versions of an item
+ * @readonly
+ */
+const COMPARED_FIELDS = [
+  "title",
+  "description",
+  "quantity",
+  "unit_price",
+  "amount",
+  "unit_type",
+  "cost_type",
+  "currency",
+  "status",
+  "parent_item_id",
+  "is_sub_item",
+];
+
+/**
+ * Nest items under their parents
+ * @param {Array<Object>} items - estimate_items rows
+ * @returns {Array<Object>} - Top-level items, each with a `subItems` array
+ */
+function buildItemTree(items) {
+  const nodes = new Map(items.map((item) => [String(item.id), { ...item, subItems: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent =
+      node.parent_item_id !== null && node.parent_item_id !== undefined
+        ? nodes.get(String(node.parent_item_id))
+        : null;
+    if (parent) parent.subItems.push(node);
+    else roots.push(node);
+  }
+
+  return roots;
+}
+
+/**
+ * Format an estimate_snapshots row for API responses
+ * @param {Object} snapshot - The estimate_snapshots row
+ * @param {Object} [options] - Formatting options
+ * @param {boolean} [options.includeItems] - Include the item tree
+ * @returns {Object} - The snapshot
+ */
+function formatSnapshot(snapshot, { includeItems = false } = {}) {
+  return {
+    id: snapshot.id,
+    projectId: snapshot.project_id,
+    name: snapshot.name,
+    createdBy: snapshot.created_by,
+    createdAt: snapshot.created_at,
+    totals: snapshot.totals,
+    ...(includeItems ? { items: buildItemTree(snapshot.items) } : {}),
+  };
+}
+
+/**
+ * Freeze the current items and totals of a project under a name. The totals
+ * are in the project currency, converted with the current exchange rates.
+ * @param {number|string} projectId - The ID of the project
+ * @param {string} userId - The ID of the authenticated user
+ * @param {string} name - Name of the snapshot (unique within the project)
+ * @returns {Promise<Object>} - The created estimate_snapshots row
+ */
+async function createSnapshot(projectId, userId, name) {
+  try {
+    const storage = getStorage();
+    const [project, items] = await Promise.all([
+      storage.projects.getById(projectId),
+      storage.estimateItems.listByProject(projectId),
+    ]);
+    const currency = (project && project.currency) || DEFAULT_CURRENCY;
+    const rates = await loadBusinessRates(project && project.business_id);
+
+    return await storage.snapshots.create({
+      project_id: projectId,
+      name,
+      items,
+      totals: { ...computeTotals(convertItems(items, currency, rates).items), currency },
+      created_by: userId,
+    });
+  } catch (error) {
+    console.error("Error creating snapshot:", error);
+    throw error;
+  }
+}
+
+/**
+ * List the snapshots of a project, newest first, without their items
+ * @param {number|string} projectId - The ID of the project
+ * @returns {Promise<Array>} - Array of estimate_snapshots rows
+ */
+async function listProjectSnapshots(projectId) {
+  try {
+    return await getStorage().snapshots.listByProject(projectId);
+  } catch (error) {
+    console.error("Error in listProjectSnapshots:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a snapshot of a project
+ * @param {number|string} projectId - The ID of the project
+ * @param {number|string} snapshotId - The ID of the snapshot
+ * @returns {Promise<Object|null>} - The estimate_snapshots row or null if not found
+ */
+async function getSnapshot(projectId, snapshotId) {
+  try {
+    return await getStorage().snapshots.getById(projectId, snapshotId);
+  } catch (error) {
+    console.error("Error in getSnapshot:", error);
+    throw error;
+  }
+}
+
+/**
+ * Summarize an item for a diff
+ * @param {Object} item - An estimate_items row
+ * @returns {Object} - The item's ID, description, parent, cost_type and amount
+ */
+function summarizeItem(item) {
+  return {
+    itemId: item.id,
+    description: item.description,
+    parentItemId: item.parent_item_id ?? null,
+    costType: item.cost_type || "other",
+    amount: amountOf(item),
+  };
+}
+
+/**
+ * Compare two versions of a project's items. Items are matched by ID, which
+ * is kept by undo and restore.
+ * @param {Array<Object>} fromItems - The older items
+ * @param {Array<Object>} toItems - The newer items
+ * @returns {Object} - `{ added, removed, changed, totals, byCostType }`. Every
+ *   changed item lists its `changes` ({ field, before, after }) and `amountDelta`;
+ *   totals and subtotals by cost_type have `before`, `after` and `delta`.
+ */
+function diffItems(fromItems, toItems) {
+  const from = new Map(fromItems.map((item) => [String(item.id), item]));
+  const to = new Map(toItems.map((item) => [String(item.id), item]));
+
+  const added = toItems.filter((item) => !from.has(String(item.id))).map(summarizeItem);
+  const removed = fromItems.filter((item) => !to.has(String(item.id))).map(summarizeItem);
+
+  const changed = [];
+  for (const item of toItems) {
+    const previous = from.get(String(item.id));
+    if (!previous) continue;
+
+    const changes = COMPARED_FIELDS.filter(
+      (field) => canonicalJson(previous[field] ?? null) !== canonicalJson(item[field] ?? null)
+    ).map((field) => ({ field, before: previous[field] ?? null, after: item[field] ?? null }));
+
+    if (changes.length > 0) {
+      changed.push({
+        ...summarizeItem(item),
+        changes,
+        amountDelta: roundAmount(amountOf(item) - amountOf(previous)),
+      });
+    }
+  }
+
+  const fromTotals = computeTotals(fromItems);
+  const toTotals = computeTotals(toItems);
+  const costTypes = [
+    ...new Set([...Object.keys(fromTotals.byCostType), ...Object.keys(toTotals.byCostType)]),
+  ].sort();
+
+  return {
+    added,
+    removed,
+    changed,
+    totals: {
+      before: fromTotals.total,
+      after: toTotals.total,
+      delta: roundAmount(toTotals.total - fromTotals.total),
+    },
+    byCostType: Object.fromEntries(
+      costTypes.map((costType) => {
+        const before = fromTotals.byCostType[costType] || 0;
+        const after = toTotals.byCostType[costType] || 0;
+        return [costType, { before, after, delta: roundAmount(after - before) }];
+      })
+    ),
+  };
+}
+
+/**
+ * Load one side of a diff: a snapshot or the live project
+ * @param {number|string} projectId - The ID of the project
+ * @param {string} reference - A snapshot ID or 'live'
+ * @returns {Promise<Object|null>} - `{ reference, items }` or null if the snapshot does not exist
+ */
+async function loadDiffSide(projectId, reference) {
+  if (reference === "live") {
+    return {
+      reference: { type: "live" },
+      items: await getStorage().estimateItems.listByProject(projectId),
+    };
+  }
+
+  const snapshot = await getSnapshot(projectId, reference);
+  if (!snapshot) {
+    return null;
+  }
+  return {
+    reference: { type: "snapshot", id: snapshot.id, name: snapshot.name, createdAt: snapshot.created_at },
+    items: snapshot.items,
+  };
+}
+
+/**
+ * Compare two snapshots of a project, or a snapshot and the live project
+ * @param {number|string} projectId - The ID of the project
+ * @param {string} fromReference - A snapshot ID or 'live'
+ * @param {string} toReference - A snapshot ID or 'live'
+ * @returns {Promise<Object|null>} - The diff with `from` and `to` references, or null
+ *   if one of the snapshots does not exist
+ */
+async function diffSnapshots(projectId, fromReference, toReference) {
+  try {
+    const [from, to] = await Promise.all([
+      loadDiffSide(projectId, fromReference),
+      loadDiffSide(projectId, toReference),
+    ]);
+    if (!from || !to) {
+      return null;
+    }
+
+    return {
+      from: from.reference,
+      to: to.reference,
+      ...diffItems(from.items, to.items),
+    };
+  } catch (error) {
+    console.error("Error diffing snapshots:", error);
+    throw error;
+  }
+}
+
+export {
+  buildItemTree,
+  formatSnapshot,
+  createSnapshot,
+  listProjectSnapshots,
+  getSnapshot,
+  diffItems,
+  diffSnapshots,
+};
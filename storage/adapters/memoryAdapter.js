@@ -0,0 +1,1071 @@
+/**
+ * @fileoverview In-memory storage adapter.
+ *
+ * Keeps every table in process memory and enforces the same rules as the
+ * migrations in supabase/migrations: NOT NULL columns, column defaults, the
+ * unit_type and cost_type CHECK constraints and the foreign keys with their
+ * ON DELETE CASCADE / SET NULL behavior. Errors carry the PostgreSQL error
+ * code (`23502`, `23503`, `23505`, `23514`, `42703`) so callers see the same failures
+ * they would get from the database.
+ */
+
+import { findItemByParentReference, createsCycle, collectSubtree } from "../../utils/itemTree.js";
+
+/**
+ * Columns and defaults of each table, mirroring the migrations
+ * @readonly
+ */
+const TABLES = {
+  businesses: {
+    columns: ["id", "name", "created_at", "updated_at", "settings"],
+    required: ["name"],
+    defaults: () => ({ settings: {} })
+  },
+  business_users: {
+    columns: ["business_id", "user_id", "role", "created_at", "updated_at"],
+    required: [],
+    defaults: () => ({ role: "member" })
+  },
+  projects: {
+    columns: [
+      "id", "business_id", "name", "description", "created_at", "updated_at",
+      "status", "created_by", "total_amount", "cost_type_totals", "pricing_rules", "currency"
+    ],
+    required: ["name", "currency"],
+    defaults: () => ({
+      description: null,
+      status: "draft",
+      created_by: null,
+      total_amount: 0,
+      cost_type_totals: {},
+      pricing_rules: null,
+      currency: "USD"
+    })
+  },
+  estimate_items: {
+    columns: [
+      "id", "project_id", "title", "description", "quantity", "unit_price",
+      "unit_type", "cost_type", "amount", "currency", "total_amount",
+      "created_at", "updated_at", "status", "parent_item_id", "created_by",
+      "is_sub_item", "data"
+    ],
+    required: ["title"],
+    defaults: () => ({
+      description: null,
+      quantity: null,
+      unit_price: null,
+      unit_type: null,
+      cost_type: null,
+      amount: null,
+      currency: "USD",
+      total_amount: null,
+      status: "draft",
+      parent_item_id: null,
+      created_by: null,
+      is_sub_item: false,
+      data: {}
+    })
+  },
+  conversations: {
+    columns: [
+      "id", "business_id", "project_id", "created_at", "updated_at", "created_by"
+    ],
+    required: [],
+    defaults: () => ({ business_id: null, project_id: null, created_by: null })
+  },
+  messages: {
+    columns: [
+      "id", "conversation_id", "content", "role", "created_at", "user_id",
+      "related_estimate_item_id"
+    ],
+    required: ["content", "role"],
+    defaults: () => ({ user_id: null, related_estimate_item_id: null })
+  },
+  estimate_revisions: {
+    columns: [
+      "id", "project_id", "message_id", "status", "changes", "created_by",
+      "created_at", "updated_at"
+    ],
+    required: ["project_id", "changes"],
+    defaults: () => ({ message_id: null, status: "applied", created_by: null })
+  },
+  estimate_snapshots: {
+    columns: ["id", "project_id", "name", "items", "totals", "created_by", "created_at"],
+    required: ["project_id", "name", "items", "totals"],
+    unique: [["project_id", "name"]],
+    defaults: () => ({ created_by: null })
+  },
+  change_sets: {
+    columns: [
+      "id", "project_id", "status", "source", "prompt", "instructions", "currency",
+      "diff", "raw_response", "created_by", "created_at", "updated_at", "resolved_at"
+    ],
+    required: ["project_id", "source"],
+    defaults: () => ({
+      status: "pending",
+      prompt: null,
+      instructions: [],
+      currency: "USD",
+      diff: {},
+      raw_response: null,
+      created_by: null,
+      resolved_at: null
+    })
+  },
+  exchange_rates: {
+    columns: [
+      "id", "business_id", "from_currency", "to_currency", "rate", "created_by",
+      "created_at", "updated_at"
+    ],
+    required: ["business_id", "from_currency", "to_currency", "rate"],
+    unique: [["business_id", "from_currency", "to_currency"]],
+    defaults: () => ({ created_by: null })
+  },
+  catalog_items: {
+    columns: [
+      "id", "business_id", "name", "unit_type", "cost_type", "unit_price", "currency",
+      "supplier", "effective_date", "created_by", "created_at", "updated_at"
+    ],
+    required: ["business_id", "name", "unit_type", "cost_type", "unit_price", "currency", "effective_date"],
+    defaults: () => ({
+      unit_type: "unit",
+      cost_type: "material",
+      currency: "USD",
+      supplier: null,
+      effective_date: new Date().toISOString().slice(0, 10),
+      created_by: null
+    })
+  }
+};
+
+/**
+ * Values allowed by the CHECK constraints on estimate_items
+ * @readonly
+ */
+const CHECK_CONSTRAINTS = {
+  unit_type: ["unit", "sq-ft", "board-ft", "hour", "day", "package", "linear-ft"],
+  cost_type: ["admin", "subcontractor", "material", "labor", "equipment", "overhead", "other"]
+};
+
+/**
+ * Values allowed by the CHECK constraints on change_sets
+ * @readonly
+ */
+const CHANGE_SET_CHECK_CONSTRAINTS = {
+  status: ["pending", "applied", "discarded"],
+  source: ["prompt", "range_action"]
+};
+
+/**
+ * Values allowed by the CHECK constraint on estimate_revisions.status
+ * @readonly
+ */
+const REVISION_STATUSES = ["applied", "undone", "superseded"];
+
+/**
+ * Format of the currency columns of exchange_rates (an ISO 4217 code)
+ * @readonly
+ */
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * NUMERIC(10, 2) columns of estimate_items
+ * @readonly
+ */
+const NUMERIC_COLUMNS = ["quantity", "unit_price", "amount", "total_amount"];
+
+/**
+ * Create an error shaped like a PostgreSQL error from PostgREST
+ * @param {string} code - PostgreSQL error code
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function databaseError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Deep copy a row so callers never hold references into the store
+ * @param {Object|null} row - The row
+ * @returns {Object|null} The copy
+ */
+function copy(row) {
+  return row ? structuredClone(row) : null;
+}
+
+/**
+ * Compare rows by created_at, then by id
+ * @param {Object} a - First row
+ * @param {Object} b - Second row
+ * @returns {number} Sort comparison result (ascending)
+ */
+function byCreatedAt(a, b) {
+  return String(a.created_at).localeCompare(String(b.created_at)) || a.id - b.id;
+}
+
+/**
+ * Build a comparator for a sort field, keeping missing values last and
+ * breaking ties by id, like ORDER BY <field> NULLS LAST, id
+ * @param {string} field - Field to sort by
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {Function} Sort comparison function
+ */
+function byField(field, order) {
+  const direction = order === "asc" ? 1 : -1;
+  return (a, b) => {
+    const left = a[field];
+    const right = b[field];
+    const leftMissing = left === null || left === undefined;
+    const rightMissing = right === null || right === undefined;
+
+    if (leftMissing !== rightMissing) return leftMissing ? 1 : -1;
+    const result = leftMissing ? 0 : String(left).localeCompare(String(right));
+    return direction * (result || a.id - b.id);
+  };
+}
+
+/**
+ * Create in-memory storage
+ * @param {Object} [seed] - Initial rows
+ * @param {Array<Object>} [seed.users] - Users as { id, email, token }; the token authenticates the user
+ * @param {Array<Object>} [seed.businesses] - businesses rows
+ * @param {Array<Object>} [seed.businessUsers] - business_users rows
+ * @param {Array<Object>} [seed.projects] - projects rows
+ * @param {Array<Object>} [seed.estimateItems] - estimate_items rows
+ * @param {Array<Object>} [seed.changeSets] - change_sets rows
+ * @param {Array<Object>} [seed.revisions] - estimate_revisions rows
+ * @param {Array<Object>} [seed.snapshots] - estimate_snapshots rows
+ * @param {Array<Object>} [seed.exchangeRates] - exchange_rates rows
+ * @param {Array<Object>} [seed.catalogItems] - catalog_items rows
+ * @returns {Object} Storage with the same repositories as the Supabase adapter, plus `reset(seed)`
+ */
+function createMemoryStorage(seed = {}) {
+  let users = [];
+  let tables = {};
+  let nextIds = {};
+
+  const now = () => new Date().toISOString();
+
+  const rowsOf = (table) => tables[table];
+
+  /**
+   * Apply defaults and NOT NULL/unknown-column checks to a new row
+   * @param {string} table - Table name
+   * @param {Object} values - Inserted values
+   * @returns {Object} The complete row
+   */
+  const buildRow = (table, values) => {
+    const definition = TABLES[table];
+
+    for (const column of Object.keys(values)) {
+      if (!definition.columns.includes(column)) {
+        throw databaseError("42703", `column "${column}" of relation "${table}" does not exist`);
+      }
+    }
+
+    const timestamp = now();
+    const row = {
+      ...definition.defaults(),
+      created_at: timestamp,
+      ...(definition.columns.includes("updated_at") ? { updated_at: timestamp } : {}),
+      ...values
+    };
+
+    if (definition.columns.includes("id")) {
+      if (row.id === undefined) {
+        row.id = nextIds[table]++;
+      } else {
+        nextIds[table] = Math.max(nextIds[table], row.id + 1);
+      }
+    }
+
+    return row;
+  };
+
+  /**
+   * Enforce NOT NULL, CHECK and foreign key constraints on a row
+   * @param {string} table - Table name
+   * @param {Object} row - The row to check
+   */
+  const checkConstraints = (table, row) => {
+    for (const column of TABLES[table].required) {
+      if (row[column] === null || row[column] === undefined) {
+        throw databaseError(
+          "23502",
+          `null value in column "${column}" of relation "${table}" violates not-null constraint`
+        );
+      }
+    }
+
+    const references = (column, targetTable) => {
+      const value = row[column];
+      if (value === null || value === undefined) return;
+      if (!rowsOf(targetTable).some(target => String(target.id) === String(value))) {
+        throw databaseError(
+          "23503",
+          `insert or update on table "${table}" violates foreign key constraint "${table}_${column}_fkey"`
+        );
+      }
+    };
+
+    switch (table) {
+      case "business_users":
+        references("business_id", "businesses");
+        break;
+      case "projects":
+        references("business_id", "businesses");
+        break;
+      case "estimate_items":
+        for (const [column, allowed] of Object.entries(CHECK_CONSTRAINTS)) {
+          if (row[column] !== null && row[column] !== undefined && !allowed.includes(row[column])) {
+            throw databaseError(
+              "23514",
+              `new row for relation "estimate_items" violates check constraint "estimate_items_${column}_check"`
+            );
+          }
+        }
+        for (const column of NUMERIC_COLUMNS) {
+          if (row[column] !== null && row[column] !== undefined) {
+            const value = Number(row[column]);
+            if (!Number.isFinite(value)) {
+              throw databaseError("22P02", `invalid input syntax for type numeric: "${row[column]}"`);
+            }
+            row[column] = Math.round(value * 100) / 100;
+          }
+        }
+        references("project_id", "projects");
+        references("parent_item_id", "estimate_items");
+        // Like the estimate_items_prevent_cycles trigger
+        if (
+          row.parent_item_id !== null &&
+          row.parent_item_id !== undefined &&
+          createsCycle(rowsOf("estimate_items"), row.id, row.parent_item_id)
+        ) {
+          throw databaseError("23514", "an item cannot be moved under itself or one of its sub-items");
+        }
+        break;
+      case "conversations":
+        references("business_id", "businesses");
+        references("project_id", "projects");
+        break;
+      case "messages":
+        references("conversation_id", "conversations");
+        references("related_estimate_item_id", "estimate_items");
+        break;
+      case "estimate_revisions":
+        if (!REVISION_STATUSES.includes(row.status)) {
+          throw databaseError(
+            "23514",
+            'new row for relation "estimate_revisions" violates check constraint "estimate_revisions_status_check"'
+          );
+        }
+        references("project_id", "projects");
+        references("message_id", "messages");
+        break;
+      case "estimate_snapshots":
+        references("project_id", "projects");
+        break;
+      case "change_sets":
+        for (const [column, allowed] of Object.entries(CHANGE_SET_CHECK_CONSTRAINTS)) {
+          if (!allowed.includes(row[column])) {
+            throw databaseError(
+              "23514",
+              `new row for relation "change_sets" violates check constraint "change_sets_${column}_check"`
+            );
+          }
+        }
+        references("project_id", "projects");
+        break;
+      case "exchange_rates":
+        for (const column of ["from_currency", "to_currency"]) {
+          if (!CURRENCY_CODE_PATTERN.test(row[column])) {
+            throw databaseError(
+              "23514",
+              `new row for relation "exchange_rates" violates check constraint "exchange_rates_${column}_check"`
+            );
+          }
+        }
+        if (!(Number(row.rate) > 0)) {
+          throw databaseError(
+            "23514",
+            'new row for relation "exchange_rates" violates check constraint "exchange_rates_rate_check"'
+          );
+        }
+        references("business_id", "businesses");
+        break;
+      case "catalog_items":
+        for (const [column, allowed] of Object.entries(CHECK_CONSTRAINTS)) {
+          if (!allowed.includes(row[column])) {
+            throw databaseError(
+              "23514",
+              `new row for relation "catalog_items" violates check constraint "catalog_items_${column}_check"`
+            );
+          }
+        }
+        if (!CURRENCY_CODE_PATTERN.test(row.currency)) {
+          throw databaseError(
+            "23514",
+            'new row for relation "catalog_items" violates check constraint "catalog_items_currency_check"'
+          );
+        }
+        {
+          const unitPrice = Number(row.unit_price);
+          if (!Number.isFinite(unitPrice)) {
+            throw databaseError("22P02", `invalid input syntax for type numeric: "${row.unit_price}"`);
+          }
+          if (unitPrice < 0) {
+            throw databaseError(
+              "23514",
+              'new row for relation "catalog_items" violates check constraint "catalog_items_unit_price_check"'
+            );
+          }
+          row.unit_price = Math.round(unitPrice * 100) / 100;
+        }
+        references("business_id", "businesses");
+        break;
+      default:
+        break;
+    }
+  };
+
+  const insert = (table, values) => {
+    const row = buildRow(table, values);
+    checkConstraints(table, row);
+
+    for (const columns of TABLES[table].unique || []) {
+      const duplicate = rowsOf(table).some(existing =>
+        columns.every(column => String(existing[column]) === String(row[column]))
+      );
+      if (duplicate) {
+        throw databaseError(
+          "23505",
+          `duplicate key value violates unique constraint "${table}_${columns.join("_")}_key"`
+        );
+      }
+    }
+
+    rowsOf(table).push(row);
+    return copy(row);
+  };
+
+  const update = (table, row, updates) => {
+    for (const column of Object.keys(updates)) {
+      if (!TABLES[table].columns.includes(column)) {
+        throw databaseError("42703", `column "${column}" of relation "${table}" does not exist`);
+      }
+    }
+
+    const updated = { ...row, ...updates };
+    checkConstraints(table, updated);
+    Object.assign(row, updated);
+    return copy(row);
+  };
+
+  /**
+   * Delete rows and apply ON DELETE CASCADE / SET NULL to the rows referencing them
+   * @param {string} table - Table name
+   * @param {Function} predicate - Selects the rows to delete
+   */
+  const remove = (table, predicate) => {
+    const removed = rowsOf(table).filter(predicate);
+    if (removed.length === 0) return;
+
+    tables[table] = rowsOf(table).filter(row => !predicate(row));
+    const ids = new Set(removed.map(row => String(row.id)));
+    const referencesRemoved = column => row => ids.has(String(row[column]));
+
+    const setNull = (childTable, column) => {
+      for (const row of rowsOf(childTable)) {
+        if (ids.has(String(row[column]))) row[column] = null;
+      }
+    };
+
+    switch (table) {
+      case "businesses":
+        remove("business_users", referencesRemoved("business_id"));
+        remove("projects", referencesRemoved("business_id"));
+        remove("conversations", referencesRemoved("business_id"));
+        remove("exchange_rates", referencesRemoved("business_id"));
+        remove("catalog_items", referencesRemoved("business_id"));
+        break;
+      case "projects":
+        remove("estimate_items", referencesRemoved("project_id"));
+        remove("conversations", referencesRemoved("project_id"));
+        remove("change_sets", referencesRemoved("project_id"));
+        remove("estimate_revisions", referencesRemoved("project_id"));
+        remove("estimate_snapshots", referencesRemoved("project_id"));
+        break;
+      case "estimate_items":
+        setNull("estimate_items", "parent_item_id");
+        setNull("messages", "related_estimate_item_id");
+        break;
+      case "conversations":
+        remove("messages", referencesRemoved("conversation_id"));
+        break;
+      case "messages":
+        setNull("estimate_revisions", "message_id");
+        break;
+      default:
+        break;
+    }
+  };
+
+  const findBusinessUser = (businessId, userId) =>
+    rowsOf("business_users").find(
+      row => String(row.business_id) === String(businessId) && row.user_id === userId
+    ) || null;
+
+  const withMessages = conversation => {
+    const conversationMessages = rowsOf("messages")
+      .filter(message => String(message.conversation_id) === String(conversation.id))
+      .sort(byCreatedAt)
+      .map(copy);
+
+    return {
+      ...copy(conversation),
+      // jsonb_agg returns NULL for an empty set
+      messages: conversationMessages.length > 0 ? conversationMessages : null
+    };
+  };
+
+  /**
+   * Replace all data with the given seed
+   * @param {Object} [newSeed] - Initial rows (see createMemoryStorage)
+   */
+  const reset = (newSeed = {}) => {
+    users = (newSeed.users || []).map(copy);
+    tables = Object.fromEntries(Object.keys(TABLES).map(table => [table, []]));
+    nextIds = Object.fromEntries(Object.keys(TABLES).map(table => [table, 1]));
+
+    const seedTables = [
+      ["businesses", newSeed.businesses],
+      ["business_users", newSeed.businessUsers],
+      ["projects", newSeed.projects],
+      ["estimate_items", newSeed.estimateItems],
+      ["conversations", newSeed.conversations],
+      ["messages", newSeed.messages],
+      ["change_sets", newSeed.changeSets],
+      ["estimate_revisions", newSeed.revisions],
+      ["estimate_snapshots", newSeed.snapshots],
+      ["exchange_rates", newSeed.exchangeRates],
+      ["catalog_items", newSeed.catalogItems]
+    ];
+
+    for (const [table, rows] of seedTables) {
+      for (const row of rows || []) {
+        insert(table, row);
+      }
+    }
+  };
+
+  reset(seed);
+
+  const auth = {
+    async getUserByToken(token) {
+      const user = users.find(candidate => candidate.token === token);
+      if (!user) return null;
+      const { token: _token, ...publicUser } = user;
+      return copy(publicUser);
+    }
+  };
+
+  const businesses = {
+    async getById(businessId) {
+      return copy(rowsOf("businesses").find(row => String(row.id) === String(businessId)));
+    }
+  };
+
+  const businessUsers = {
+    async getFirstForUser(userId) {
+      return copy(rowsOf("business_users").find(row => row.user_id === userId));
+    },
+
+    async get(businessId, userId) {
+      return copy(findBusinessUser(businessId, userId));
+    }
+  };
+
+  const projects = {
+    async getById(projectId) {
+      return copy(rowsOf("projects").find(row => String(row.id) === String(projectId)));
+    },
+
+    async listForUser(userId) {
+      return rowsOf("projects")
+        .filter(project => findBusinessUser(project.business_id, userId))
+        .map(project => {
+          const business = rowsOf("businesses").find(row => row.id === project.business_id);
+          return {
+            id: project.id,
+            name: project.name,
+            description: project.description,
+            status: project.status,
+            total_amount: project.total_amount,
+            currency: project.currency,
+            created_at: project.created_at,
+            updated_at: project.updated_at,
+            created_by: project.created_by,
+            business: { id: business.id, name: business.name }
+          };
+        });
+    },
+
+    async listPageForUser(userId, { limit, offset = 0, sort = "created_at", order = "desc" }) {
+      const all = (await projects.listForUser(userId)).sort(byField(sort, order));
+      return { projects: all.slice(offset, offset + limit), total: all.length };
+    },
+
+    async create(project) {
+      return insert("projects", project);
+    },
+
+    async update(projectId, updates) {
+      const row = rowsOf("projects").find(candidate => String(candidate.id) === String(projectId));
+      return row ? update("projects", row, updates) : null;
+    },
+
+    async delete(projectId) {
+      remove("projects", row => String(row.id) === String(projectId));
+    }
+  };
+
+  const findItem = (projectId, itemId) =>
+    rowsOf("estimate_items").find(
+      row => String(row.id) === String(itemId) && String(row.project_id) === String(projectId)
+    ) || null;
+
+  const itemsOfProject = projectId =>
+    rowsOf("estimate_items").filter(row => String(row.project_id) === String(projectId));
+
+  const findItemByDescription = (projectId, description) =>
+    findItemByParentReference(itemsOfProject(projectId), description);
+
+  /**
+   * Apply one batch operation (see apply_estimate_item_operations)
+   * @param {number|string} projectId - The ID of the project
+   * @param {Object} operation - The operation
+   * @param {Map} refs - IDs of the items inserted earlier in the batch by their ref
+   * @returns {Object} `{ item, parentFound }`
+   */
+  const applyOperation = (projectId, operation, refs) => {
+    const createsItem = operation.op === "insert" || operation.op === "restore";
+    const existing = createsItem ? null : findItem(projectId, operation.id);
+    if (!createsItem && !existing) {
+      throw new Error(`item ID:${operation.id} not found`);
+    }
+
+    switch (operation.op) {
+      case "restore": {
+        const { id, ...fields } = operation.row;
+        const current = rowsOf("estimate_items").find(row => String(row.id) === String(id));
+        if (current && String(current.project_id) !== String(projectId)) {
+          throw new Error(`item ID:${id} belongs to another project`);
+        }
+
+        const values = { ...fields, project_id: Number(projectId) };
+        return {
+          item: current
+            ? update("estimate_items", current, values)
+            : insert("estimate_items", { ...values, id: Number(id) }),
+          parentFound: null
+        };
+      }
+
+      case "insert": {
+        const fields = { ...operation.fields, project_id: Number(projectId) };
+        let parentFound = null;
+
+        if (operation.parentRef !== undefined && refs.has(operation.parentRef)) {
+          parentFound = true;
+          fields.parent_item_id = refs.get(operation.parentRef);
+          fields.is_sub_item = true;
+        } else if (operation.parentDescription !== undefined) {
+          const parent = findItemByDescription(projectId, operation.parentDescription);
+          parentFound = parent !== null;
+          fields.parent_item_id = parent ? parent.id : null;
+          if (parent) fields.is_sub_item = true;
+        } else if (operation.parentRef !== undefined) {
+          throw new Error(`parent ref '${operation.parentRef}' not found`);
+        }
+
+        const item = insert("estimate_items", fields);
+        if (operation.ref !== undefined) refs.set(operation.ref, item.id);
+        return { item, parentFound };
+      }
+
+      case "update":
+        return {
+          item: update("estimate_items", existing, { ...operation.fields, updated_at: now() }),
+          parentFound: null
+        };
+
+      case "delete": {
+        const item = copy(existing);
+        if (operation.cascade) {
+          const subtree = new Set(collectSubtree(itemsOfProject(projectId), existing.id));
+          remove("estimate_items", row => subtree.has(row));
+        } else {
+          // Sub-items take the place of the deleted item
+          for (const child of itemsOfProject(projectId)) {
+            if (String(child.parent_item_id) === String(existing.id)) {
+              update("estimate_items", child, {
+                parent_item_id: existing.parent_item_id ?? null,
+                is_sub_item: existing.parent_item_id !== null && existing.parent_item_id !== undefined,
+                updated_at: now()
+              });
+            }
+          }
+          remove("estimate_items", row => row === existing);
+        }
+        return { item, parentFound: null };
+      }
+
+      case "move": {
+        let parent = null;
+        if (operation.parentId !== undefined) {
+          parent = findItem(projectId, operation.parentId);
+          if (!parent) throw new Error(`parent item ID:${operation.parentId} not found`);
+        } else if (operation.parentDescription !== undefined) {
+          parent = findItemByDescription(projectId, operation.parentDescription);
+          if (!parent) throw new Error(`parent item '${operation.parentDescription}' not found`);
+        }
+
+        for (let ancestor = parent; ancestor; ) {
+          if (ancestor === existing) {
+            throw new Error("an item cannot be moved under itself or one of its sub-items");
+          }
+          ancestor = ancestor.parent_item_id ? findItem(projectId, ancestor.parent_item_id) : null;
+        }
+
+        return {
+          item: update("estimate_items", existing, {
+            parent_item_id: parent ? parent.id : null,
+            is_sub_item: parent !== null,
+            updated_at: now()
+          }),
+          parentFound: null
+        };
+      }
+
+      default:
+        throw new Error(`unknown operation "${operation.op}"`);
+    }
+  };
+
+  const estimateItems = {
+    async listByProject(projectId, { offset = 0, limit = null } = {}) {
+      const items = rowsOf("estimate_items")
+        .filter(row => String(row.project_id) === String(projectId))
+        .sort(byCreatedAt);
+      const page = limit === null ? items.slice(offset) : items.slice(offset, offset + limit);
+      return page.map(copy);
+    },
+
+    async getById(projectId, itemId) {
+      return copy(findItem(projectId, itemId));
+    },
+
+    async findByDescription(projectId, description) {
+      return copy(findItemByDescription(projectId, description));
+    },
+
+    async create(item) {
+      return insert("estimate_items", item);
+    },
+
+    async createMany(items) {
+      // A multi-row INSERT is atomic: validate every row before storing any
+      const snapshot = { rows: [...rowsOf("estimate_items")], nextId: nextIds.estimate_items };
+      try {
+        return items.map(item => insert("estimate_items", item));
+      } catch (error) {
+        tables.estimate_items = snapshot.rows;
+        nextIds.estimate_items = snapshot.nextId;
+        throw error;
+      }
+    },
+
+    async update(projectId, itemId, updates) {
+      const row = findItem(projectId, itemId);
+      return row ? update("estimate_items", row, updates) : null;
+    },
+
+    async updateTotals(projectId, totals) {
+      let count = 0;
+      for (const { id, total_amount } of totals) {
+        const row = findItem(projectId, id);
+        if (row) {
+          update("estimate_items", row, { total_amount });
+          count++;
+        }
+      }
+      return count;
+    },
+
+    async delete(projectId, itemId) {
+      remove(
+        "estimate_items",
+        row => String(row.id) === String(itemId) && String(row.project_id) === String(projectId)
+      );
+    },
+
+    async applyBatch(projectId, operations) {
+      // Like the Postgres function, roll back every table on failure but not the ID sequences
+      const snapshot = Object.fromEntries(
+        Object.entries(tables).map(([table, rows]) => [table, rows.map(copy)])
+      );
+      const results = [];
+      const refs = new Map();
+      let index = 0;
+
+      try {
+        for (; index < operations.length; index++) {
+          results.push(applyOperation(projectId, operations[index], refs));
+        }
+      } catch (error) {
+        tables = snapshot;
+        return { committed: false, failedIndex: index, error: error.message };
+      }
+
+      return { committed: true, results };
+    }
+  };
+
+  const conversations = {
+    async listByProject(projectId) {
+      return rowsOf("conversations")
+        .filter(row => String(row.project_id) === String(projectId))
+        .sort((a, b) => byCreatedAt(b, a))
+        .map(copy);
+    },
+
+    async findLatestByProject(projectId) {
+      const [latest] = await conversations.listByProject(projectId);
+      return latest || null;
+    },
+
+    async create(conversation) {
+      return insert("conversations", conversation);
+    },
+
+    async listForUser(userId, projectId = null) {
+      return rowsOf("conversations")
+        .filter(row => findBusinessUser(row.business_id, userId))
+        .filter(row => projectId === null || String(row.project_id) === String(projectId))
+        .map(withMessages);
+    },
+
+    async getForUser(conversationId, userId) {
+      const conversation = rowsOf("conversations").find(
+        row => String(row.id) === String(conversationId) && findBusinessUser(row.business_id, userId)
+      );
+      return conversation ? withMessages(conversation) : null;
+    }
+  };
+
+  const messages = {
+    async create(message) {
+      return insert("messages", message);
+    },
+
+    async listByConversation(conversationId, { role = null } = {}) {
+      return rowsOf("messages")
+        .filter(row => String(row.conversation_id) === String(conversationId))
+        .filter(row => !role || row.role === role)
+        .sort(byCreatedAt)
+        .map(copy);
+    }
+  };
+
+  const changeSets = {
+    async create(changeSet) {
+      return insert("change_sets", changeSet);
+    },
+
+    async getById(changeSetId) {
+      return copy(rowsOf("change_sets").find(row => String(row.id) === String(changeSetId)));
+    },
+
+    async listByProject(projectId, { status = null } = {}) {
+      return rowsOf("change_sets")
+        .filter(row => String(row.project_id) === String(projectId))
+        .filter(row => !status || row.status === status)
+        .sort((a, b) => byCreatedAt(b, a))
+        .map(copy);
+    },
+
+    async update(changeSetId, updates, { status = null } = {}) {
+      const row = rowsOf("change_sets").find(
+        candidate =>
+          String(candidate.id) === String(changeSetId) && (!status || candidate.status === status)
+      );
+      return row ? update("change_sets", row, updates) : null;
+    }
+  };
+
+  const revisions = {
+    async create(revision) {
+      return insert("estimate_revisions", revision);
+    },
+
+    async getById(projectId, revisionId) {
+      return copy(
+        rowsOf("estimate_revisions").find(
+          row => String(row.id) === String(revisionId) && String(row.project_id) === String(projectId)
+        )
+      );
+    },
+
+    async listByProject(projectId, { status = null } = {}) {
+      return rowsOf("estimate_revisions")
+        .filter(row => String(row.project_id) === String(projectId))
+        .filter(row => !status || row.status === status)
+        .sort((a, b) => b.id - a.id)
+        .map(copy);
+    },
+
+    async update(revisionId, updates) {
+      const row = rowsOf("estimate_revisions").find(candidate => String(candidate.id) === String(revisionId));
+      return row ? update("estimate_revisions", row, updates) : null;
+    },
+
+    async updateByStatus(projectId, status, updates) {
+      return rowsOf("estimate_revisions")
+        .filter(row => String(row.project_id) === String(projectId) && row.status === status)
+        .map(row => update("estimate_revisions", row, updates));
+    }
+  };
+
+  const snapshots = {
+    async create(snapshot) {
+      return insert("estimate_snapshots", snapshot);
+    },
+
+    async getById(projectId, snapshotId) {
+      return copy(
+        rowsOf("estimate_snapshots").find(
+          row => String(row.id) === String(snapshotId) && String(row.project_id) === String(projectId)
+        )
+      );
+    },
+
+    async listByProject(projectId) {
+      return rowsOf("estimate_snapshots")
+        .filter(row => String(row.project_id) === String(projectId))
+        .sort((a, b) => byCreatedAt(b, a))
+        .map(({ items, ...snapshot }) => copy(snapshot));
+    }
+  };
+
+  const findExchangeRate = (businessId, fromCurrency, toCurrency) =>
+    rowsOf("exchange_rates").find(
+      row =>
+        String(row.business_id) === String(businessId) &&
+        row.from_currency === fromCurrency &&
+        row.to_currency === toCurrency
+    ) || null;
+
+  const exchangeRates = {
+    async listByBusiness(businessId) {
+      return rowsOf("exchange_rates")
+        .filter(row => String(row.business_id) === String(businessId))
+        .sort(
+          (a, b) =>
+            a.from_currency.localeCompare(b.from_currency) || a.to_currency.localeCompare(b.to_currency)
+        )
+        .map(copy);
+    },
+
+    async upsert(exchangeRate) {
+      const existing = findExchangeRate(
+        exchangeRate.business_id,
+        exchangeRate.from_currency,
+        exchangeRate.to_currency
+      );
+      return existing
+        ? update("exchange_rates", existing, { ...exchangeRate, updated_at: now() })
+        : insert("exchange_rates", exchangeRate);
+    },
+
+    async delete(businessId, fromCurrency, toCurrency) {
+      const existing = findExchangeRate(businessId, fromCurrency, toCurrency);
+      if (!existing) return null;
+      const removed = copy(existing);
+      remove("exchange_rates", row => row === existing);
+      return removed;
+    }
+  };
+
+  const findCatalogItem = (businessId, catalogItemId) =>
+    rowsOf("catalog_items").find(
+      row => String(row.id) === String(catalogItemId) && String(row.business_id) === String(businessId)
+    ) || null;
+
+  const catalogItems = {
+    async listByBusiness(businessId) {
+      return rowsOf("catalog_items")
+        .filter(row => String(row.business_id) === String(businessId))
+        .sort(
+          (a, b) =>
+            a.name.localeCompare(b.name) ||
+            String(b.effective_date).localeCompare(String(a.effective_date)) ||
+            a.id - b.id
+        )
+        .map(copy);
+    },
+
+    async getById(businessId, catalogItemId) {
+      return copy(findCatalogItem(businessId, catalogItemId));
+    },
+
+    async create(catalogItem) {
+      return insert("catalog_items", catalogItem);
+    },
+
+    async createMany(catalogItemRows) {
+      // A multi-row INSERT is atomic: validate every row before storing any
+      const snapshot = { rows: [...rowsOf("catalog_items")], nextId: nextIds.catalog_items };
+      try {
+        return catalogItemRows.map(catalogItem => insert("catalog_items", catalogItem));
+      } catch (error) {
+        tables.catalog_items = snapshot.rows;
+        nextIds.catalog_items = snapshot.nextId;
+        throw error;
+      }
+    },
+
+    async update(businessId, catalogItemId, updates) {
+      const row = findCatalogItem(businessId, catalogItemId);
+      return row ? update("catalog_items", row, { ...updates, updated_at: now() }) : null;
+    },
+
+    async delete(businessId, catalogItemId) {
+      const row = findCatalogItem(businessId, catalogItemId);
+      if (!row) return null;
+      const removed = copy(row);
+      remove("catalog_items", candidate => candidate === row);
+      return removed;
+    }
+  };
+
+  return {
+    name: "memory",
+    auth,
+    businesses,
+    businessUsers,
+    projects,
+    estimateItems,
+    conversations,
+    messages,
+    changeSets,
+    revisions,
+    snapshots,
+    exchangeRates,
+    catalogItems,
+    reset
+  };
+}
+
+export { createMemoryStorage };
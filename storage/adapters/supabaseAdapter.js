@@ -0,0 +1,570 @@
+/**
+ * @fileoverview Storage adapter backed by Supabase (PostgreSQL)
+ */
+
+/**
+ * Number of rows read per request when a whole list is loaded; at most the
+ * max_rows of the API (supabase/config.toml)
+ * @readonly
+ */
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * Return the data of a Supabase response or throw its error
+ * @param {Object} response - Supabase response ({ data, error })
+ * @returns {any} The response data
+ */
+function unwrap({ data, error }) {
+  if (error) {
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Return the first row of a Supabase response or null
+ * @param {Object} response - Supabase response ({ data, error })
+ * @returns {Object|null} The first row
+ */
+function firstRow(response) {
+  const rows = unwrap(response);
+  return rows && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Convert a batch operation to the JSON accepted by apply_estimate_item_operations
+ * @param {Object} operation - Operation as passed to estimateItems.applyBatch
+ * @returns {Object} The operation with snake_case keys
+ */
+function toOperationPayload({ parentId, parentDescription, parentRef, ...operation }) {
+  const payload = { ...operation };
+  if (parentId !== undefined) payload.parent_id = parentId;
+  if (parentDescription !== undefined) payload.parent_description = parentDescription;
+  if (parentRef !== undefined) payload.parent_ref = parentRef;
+  return payload;
+}
+
+/**
+ * Create the storage repositories on top of a Supabase client
+ * @param {Object} supabase - Supabase client (service role)
+ * @returns {Object} Storage with auth, projects, estimateItems, conversations, messages, changeSets, revisions, snapshots and businessUsers repositories
+ */
+function createSupabaseStorage(supabase) {
+  const auth = {
+    async getUserByToken(token) {
+      const { data, error } = await supabase.auth.getUser(token);
+      if (error) {
+        throw error;
+      }
+      return data && data.user ? data.user : null;
+    }
+  };
+
+  const businesses = {
+    async getById(businessId) {
+      return firstRow(
+        await supabase.from("businesses").select("*").eq("id", businessId).limit(1)
+      );
+    }
+  };
+
+  const businessUsers = {
+    async getFirstForUser(userId) {
+      return firstRow(
+        await supabase
+          .from("business_users")
+          .select("business_id, user_id, role")
+          .eq("user_id", userId)
+          .limit(1)
+      );
+    },
+
+    async get(businessId, userId) {
+      return firstRow(
+        await supabase
+          .from("business_users")
+          .select("business_id, user_id, role")
+          .eq("business_id", businessId)
+          .eq("user_id", userId)
+          .limit(1)
+      );
+    }
+  };
+
+  const projects = {
+    async getById(projectId) {
+      return firstRow(
+        await supabase.from("projects").select("*").eq("id", projectId).limit(1)
+      );
+    },
+
+    async listForUser(userId) {
+      return (
+        unwrap(
+          await supabase.rpc("get_user_projects", { user_id_param: userId })
+        ) || []
+      );
+    },
+
+    async listPageForUser(userId, { limit, offset = 0, sort = "created_at", order = "desc" }) {
+      const page = unwrap(
+        await supabase.rpc("get_user_projects_page", {
+          user_id_param: userId,
+          limit_param: limit,
+          offset_param: offset,
+          sort_param: sort,
+          order_param: order
+        })
+      );
+      return { projects: page.projects || [], total: page.total };
+    },
+
+    async create(project) {
+      return unwrap(
+        await supabase.from("projects").insert(project).select().single()
+      );
+    },
+
+    async update(projectId, updates) {
+      return firstRow(
+        await supabase.from("projects").update(updates).eq("id", projectId).select()
+      );
+    },
+
+    async delete(projectId) {
+      unwrap(await supabase.from("projects").delete().eq("id", projectId));
+    }
+  };
+
+  const estimateItems = {
+    async listByProject(projectId, { offset = 0, limit = null } = {}) {
+      const listPage = async (from, count) =>
+        unwrap(
+          await supabase
+            .from("estimate_items")
+            .select("*")
+            .eq("project_id", projectId)
+            .order("created_at", { ascending: true })
+            .order("id", { ascending: true })
+            .range(from, from + count - 1)
+        ) || [];
+
+      if (limit !== null) {
+        return listPage(offset, limit);
+      }
+
+      // Without a limit, read every row: PostgREST caps a response at max_rows
+      const rows = [];
+      for (;;) {
+        const page = await listPage(offset + rows.length, LIST_PAGE_SIZE);
+        rows.push(...page);
+        if (page.length < LIST_PAGE_SIZE) return rows;
+      }
+    },
+
+    async getById(projectId, itemId) {
+      return firstRow(
+        await supabase
+          .from("estimate_items")
+          .select("*")
+          .eq("id", itemId)
+          .eq("project_id", projectId)
+          .limit(1)
+      );
+    },
+
+    async findByDescription(projectId, description) {
+      // A description or a parent path (see utils/itemTree.js)
+      const itemId = unwrap(
+        await supabase.rpc("find_estimate_item_by_parent_reference", {
+          project_id_param: projectId,
+          reference_param: description
+        })
+      );
+      return itemId ? estimateItems.getById(projectId, itemId) : null;
+    },
+
+    async create(item) {
+      return unwrap(
+        await supabase.from("estimate_items").insert(item).select().single()
+      );
+    },
+
+    async createMany(items) {
+      if (items.length === 0) return [];
+      return unwrap(await supabase.from("estimate_items").insert(items).select()) || [];
+    },
+
+    async update(projectId, itemId, updates) {
+      return firstRow(
+        await supabase
+          .from("estimate_items")
+          .update(updates)
+          .eq("id", itemId)
+          .eq("project_id", projectId)
+          .select()
+      );
+    },
+
+    async updateTotals(projectId, totals) {
+      if (totals.length === 0) return 0;
+      return unwrap(
+        await supabase.rpc("update_estimate_item_totals", {
+          project_id_param: projectId,
+          totals_param: totals
+        })
+      );
+    },
+
+    async delete(projectId, itemId) {
+      unwrap(
+        await supabase
+          .from("estimate_items")
+          .delete()
+          .eq("id", itemId)
+          .eq("project_id", projectId)
+      );
+    },
+
+    async applyBatch(projectId, operations) {
+      const outcome = unwrap(
+        await supabase.rpc("apply_estimate_item_operations", {
+          project_id_param: projectId,
+          operations_param: operations.map(toOperationPayload)
+        })
+      );
+
+      if (!outcome.committed) {
+        return {
+          committed: false,
+          failedIndex: outcome.failed_index,
+          error: outcome.error
+        };
+      }
+
+      return {
+        committed: true,
+        results: outcome.results.map(result => ({
+          item: result.item,
+          parentFound: result.parent_found
+        }))
+      };
+    }
+  };
+
+  const conversations = {
+    async listByProject(projectId) {
+      return (
+        unwrap(
+          await supabase
+            .from("conversations")
+            .select("*")
+            .eq("project_id", projectId)
+            .order("created_at", { ascending: false })
+        ) || []
+      );
+    },
+
+    async findLatestByProject(projectId) {
+      return firstRow(
+        await supabase
+          .from("conversations")
+          .select("*")
+          .eq("project_id", projectId)
+          .order("created_at", { ascending: false })
+          .limit(1)
+      );
+    },
+
+    async create(conversation) {
+      return unwrap(
+        await supabase.from("conversations").insert(conversation).select().single()
+      );
+    },
+
+    async listForUser(userId, projectId = null) {
+      return (
+        unwrap(
+          await supabase.rpc("get_user_conversations", {
+            user_id_param: userId,
+            project_id_param: projectId
+          })
+        ) || []
+      );
+    },
+
+    async getForUser(conversationId, userId) {
+      return unwrap(
+        await supabase.rpc("get_conversation_by_id", {
+          conversation_id_param: conversationId,
+          user_id_param: userId
+        })
+      );
+    }
+  };
+
+  const messages = {
+    async create(message) {
+      return unwrap(
+        await supabase.from("messages").insert(message).select().single()
+      );
+    },
+
+    async listByConversation(conversationId, { role = null } = {}) {
+      let query = supabase
+        .from("messages")
+        .select("*")
+        .eq("conversation_id", conversationId)
+        .order("created_at", { ascending: true });
+
+      if (role) {
+        query = query.eq("role", role);
+      }
+
+      return unwrap(await query) || [];
+    }
+  };
+
+  const changeSets = {
+    async create(changeSet) {
+      return unwrap(
+        await supabase.from("change_sets").insert(changeSet).select().single()
+      );
+    },
+
+    async getById(changeSetId) {
+      return firstRow(
+        await supabase.from("change_sets").select("*").eq("id", changeSetId).limit(1)
+      );
+    },
+
+    async listByProject(projectId, { status = null } = {}) {
+      let query = supabase
+        .from("change_sets")
+        .select("*")
+        .eq("project_id", projectId)
+        .order("created_at", { ascending: false });
+
+      if (status) {
+        query = query.eq("status", status);
+      }
+
+      return unwrap(await query) || [];
+    },
+
+    async update(changeSetId, updates, { status = null } = {}) {
+      let query = supabase.from("change_sets").update(updates).eq("id", changeSetId);
+
+      if (status) {
+        query = query.eq("status", status);
+      }
+
+      return firstRow(await query.select());
+    }
+  };
+
+  const revisions = {
+    async create(revision) {
+      return unwrap(
+        await supabase.from("estimate_revisions").insert(revision).select().single()
+      );
+    },
+
+    async getById(projectId, revisionId) {
+      return firstRow(
+        await supabase
+          .from("estimate_revisions")
+          .select("*")
+          .eq("id", revisionId)
+          .eq("project_id", projectId)
+          .limit(1)
+      );
+    },
+
+    async listByProject(projectId, { status = null } = {}) {
+      let query = supabase
+        .from("estimate_revisions")
+        .select("*")
+        .eq("project_id", projectId)
+        .order("id", { ascending: false });
+
+      if (status) {
+        query = query.eq("status", status);
+      }
+
+      return unwrap(await query) || [];
+    },
+
+    async update(revisionId, updates) {
+      return firstRow(
+        await supabase
+          .from("estimate_revisions")
+          .update(updates)
+          .eq("id", revisionId)
+          .select()
+      );
+    },
+
+    async updateByStatus(projectId, status, updates) {
+      return (
+        unwrap(
+          await supabase
+            .from("estimate_revisions")
+            .update(updates)
+            .eq("project_id", projectId)
+            .eq("status", status)
+            .select()
+        ) || []
+      );
+    }
+  };
+
+  const snapshots = {
+    async create(snapshot) {
+      return unwrap(
+        await supabase.from("estimate_snapshots").insert(snapshot).select().single()
+      );
+    },
+
+    async getById(projectId, snapshotId) {
+      return firstRow(
+        await supabase
+          .from("estimate_snapshots")
+          .select("*")
+          .eq("id", snapshotId)
+          .eq("project_id", projectId)
+          .limit(1)
+      );
+    },
+
+    async listByProject(projectId) {
+      return (
+        unwrap(
+          await supabase
+            .from("estimate_snapshots")
+            .select("id, project_id, name, totals, created_by, created_at")
+            .eq("project_id", projectId)
+            .order("created_at", { ascending: false })
+        ) || []
+      );
+    }
+  };
+
+  const exchangeRates = {
+    async listByBusiness(businessId) {
+      return (
+        unwrap(
+          await supabase
+            .from("exchange_rates")
+            .select("*")
+            .eq("business_id", businessId)
+            .order("from_currency", { ascending: true })
+            .order("to_currency", { ascending: true })
+        ) || []
+      );
+    },
+
+    async upsert(exchangeRate) {
+      return unwrap(
+        await supabase
+          .from("exchange_rates")
+          .upsert(
+            { ...exchangeRate, updated_at: new Date().toISOString() },
+            { onConflict: "business_id,from_currency,to_currency" }
+          )
+          .select()
+          .single()
+      );
+    },
+
+    async delete(businessId, fromCurrency, toCurrency) {
+      return firstRow(
+        await supabase
+          .from("exchange_rates")
+          .delete()
+          .eq("business_id", businessId)
+          .eq("from_currency", fromCurrency)
+          .eq("to_currency", toCurrency)
+          .select()
+      );
+    }
+  };
+
+  const catalogItems = {
+    async listByBusiness(businessId) {
+      return (
+        unwrap(
+          await supabase
+            .from("catalog_items")
+            .select("*")
+            .eq("business_id", businessId)
+            .order("name", { ascending: true })
+            .order("effective_date", { ascending: false })
+            .order("id", { ascending: true })
+        ) || []
+      );
+    },
+
+    async getById(businessId, catalogItemId) {
+      return firstRow(
+        await supabase
+          .from("catalog_items")
+          .select("*")
+          .eq("id", catalogItemId)
+          .eq("business_id", businessId)
+          .limit(1)
+      );
+    },
+
+    async create(catalogItem) {
+      return unwrap(
+        await supabase.from("catalog_items").insert(catalogItem).select().single()
+      );
+    },
+
+    async createMany(catalogItemRows) {
+      if (catalogItemRows.length === 0) return [];
+      return unwrap(await supabase.from("catalog_items").insert(catalogItemRows).select()) || [];
+    },
+
+    async update(businessId, catalogItemId, updates) {
+      return firstRow(
+        await supabase
+          .from("catalog_items")
+          .update({ ...updates, updated_at: new Date().toISOString() })
+          .eq("id", catalogItemId)
+          .eq("business_id", businessId)
+          .select()
+      );
+    },
+
+    async delete(businessId, catalogItemId) {
+      return firstRow(
+        await supabase
+          .from("catalog_items")
+          .delete()
+          .eq("id", catalogItemId)
+          .eq("business_id", businessId)
+          .select()
+      );
+    }
+  };
+
+  return {
+    name: "supabase",
+    auth,
+    businesses,
+    businessUsers,
+    projects,
+    estimateItems,
+    conversations,
+    messages,
+    changeSets,
+    revisions,
+    snapshots,
+    exchangeRates,
+    catalogItems
+  };
+}
+
+export { createSupabaseStorage };
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Storage access for businesses, projects, estimate items, conversations,
+ * messages, change sets, estimate revisions, snapshots, exchange rates, price book (catalog)
+ * items and business memberships.
+ *
+ * The adapter is selected with the STORAGE_ADAPTER environment variable:
+ * - `supabase` (default): the Supabase database
+ * - `memory`: in-process storage that enforces the same constraints as the
+ *   migrations, for running the API locally or in tests without a database.
+ *   It is seeded with one user (authenticated by MEMORY_AUTH_TOKEN) who owns one business.
+ *
+ * Repository methods resolve to plain rows (or null when nothing matches)
+ * and throw on database errors. The exception is estimateItems.applyBatch,
+ * which applies insert/update/delete/move/restore operations in one transaction and
+ * resolves to `{ committed: true, results }` or, when an operation fails and
+ * everything was rolled back, `{ committed: false, failedIndex, error }`.
+ * changeSets.update only updates a change set that still has the `status`
+ * option, so that a change set cannot be applied twice.
+ */
+
+import dotenv from "dotenv";
+import { supabase } from "../services/supabaseService.js";
+import { createSupabaseStorage } from "./adapters/supabaseAdapter.js";
+import { createMemoryStorage } from "./adapters/memoryAdapter.js";
+
+dotenv.config();
+
+const DEFAULT_MEMORY_USER = {
+  id: "00000000-0000-0000-0000-000000000001",
+  email: "local@example.com",
+};
+
+let storage = null;
+
+/**
+ * Build the seed for the memory adapter from the environment
+ * @returns {Object} Seed with one user, one business and the membership between them
+ */
+function createDefaultMemorySeed() {
+  const userId = process.env.MEMORY_USER_ID || DEFAULT_MEMORY_USER.id;
+
+  return {
+    users: [
+      {
+        id: userId,
+        email: process.env.MEMORY_USER_EMAIL || DEFAULT_MEMORY_USER.email,
+        token: process.env.MEMORY_AUTH_TOKEN || "local-dev-token",
+      },
+    ],
+    businesses: [{ id: 1, name: "Local Business" }],
+    businessUsers: [{ business_id: 1, user_id: userId, role: "owner" }],
+  };
+}
+
+/**
+ * Create the storage named by the STORAGE_ADAPTER environment variable
+ * @returns {Object} The storage
+ */
+function createStorageFromEnv() {
+  const name = (process.env.STORAGE_ADAPTER || "supabase").toLowerCase();
+
+  switch (name) {
+    case "supabase":
+      return createSupabaseStorage(supabase);
+    case "memory":
+      return createMemoryStorage(createDefaultMemorySeed());
+    default:
+      throw new Error(
+        `Unknown STORAGE_ADAPTER "${name}". Supported adapters are: supabase, memory`
+      );
+  }
+}
+
+/**
+ * Get the active storage, creating it from the environment on first use
+ * @returns {Object} The storage
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorageFromEnv();
+    console.log(`Using storage adapter: ${storage.name}`);
+  }
+  return storage;
+}
+
+/**
+ * Replace the active storage (e.g. with a seeded memory storage in tests)
+ * @param {Object|null} newStorage - The storage to use, or null to recreate it from the environment
+ */
+function setStorage(newStorage) {
+  storage = newStorage;
+}
+
+export { getStorage, setStorage, createMemoryStorage };
@@ -0,0 +1,27 @@
+-- Extend get_user_projects with the fields the projects API lists and sorts by
+CREATE OR REPLACE FUNCTION get_user_projects(user_id_param UUID)
+RETURNS SETOF jsonb AS $$
+BEGIN
+  RETURN QUERY
+  SELECT 
+    jsonb_build_object(
+      'id', p.id,
+      'name', p.name,
+      'description', p.description,
+      'status', p.status,
+      'created_at', p.created_at,
+      'updated_at', p.updated_at,
+      'created_by', p.created_by,
+      'business', jsonb_build_object(
+        'id', b.id,
+        'name', b.name
+      )
+    )
+  FROM 
+    projects p
+    JOIN businesses b ON p.business_id = b.id
+    JOIN business_users bu ON b.id = bu.business_id
+  WHERE 
+    bu.user_id = user_id_param;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
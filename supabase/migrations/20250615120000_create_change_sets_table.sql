@@ -0,0 +1,20 @@
+-- Pending change sets created by preview requests. A change set stores the
+-- instructions proposed by the model together with the diff that was shown to
+-- the user, until it is applied or discarded.
+CREATE TABLE IF NOT EXISTS public.change_sets (
+  id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+  project_id BIGINT NOT NULL REFERENCES public.projects(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'discarded')),
+  source TEXT NOT NULL CHECK (source IN ('prompt', 'range_action')),
+  prompt TEXT,
+  instructions JSONB NOT NULL DEFAULT '[]'::jsonb,
+  currency TEXT NOT NULL DEFAULT 'USD',
+  diff JSONB NOT NULL DEFAULT '{}'::jsonb,
+  raw_response JSONB,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_sets_project_id ON public.change_sets(project_id);
@@ -0,0 +1,15 @@
+-- One revision per batch of line item changes. `changes` holds the row images
+-- of every estimate item the batch touched: [{ "item_id", "before", "after" }],
+-- where `before` is NULL for created items and `after` is NULL for deleted ones.
+CREATE TABLE IF NOT EXISTS public.estimate_revisions (
+  id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+  project_id BIGINT NOT NULL REFERENCES public.projects(id) ON DELETE CASCADE,
+  message_id BIGINT REFERENCES public.messages(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'applied' CHECK (status IN ('applied', 'undone', 'superseded')),
+  changes JSONB NOT NULL,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_estimate_revisions_project_id ON public.estimate_revisions(project_id);
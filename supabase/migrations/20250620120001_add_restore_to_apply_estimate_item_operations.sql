@@ -0,0 +1,190 @@
+-- Add the restore operation to apply_estimate_item_operations:
+--   { "op": "restore", "row": { "id": 1, ... } }
+-- writes a complete estimate_items row image with its original ID, inserting
+-- the row if it was deleted. Revisions use it to undo and redo changes.
+CREATE OR REPLACE FUNCTION apply_estimate_item_operations(project_id_param BIGINT, operations_param JSONB)
+RETURNS jsonb AS $$
+DECLARE
+  operation jsonb;
+  operation_index INTEGER := 0;
+  operation_fields jsonb;
+  new_values estimate_items;
+  result_item estimate_items;
+  target_parent_id BIGINT;
+  target_parent_found BOOLEAN;
+  ancestor_id BIGINT;
+  results jsonb := '[]'::jsonb;
+BEGIN
+  BEGIN
+    FOR operation IN SELECT value FROM jsonb_array_elements(operations_param) LOOP
+      operation_fields := COALESCE(operation->'fields', '{}'::jsonb);
+      new_values := jsonb_populate_record(NULL::estimate_items, operation_fields);
+      target_parent_id := NULL;
+      target_parent_found := NULL;
+
+      CASE operation->>'op'
+        WHEN 'restore' THEN
+          -- Write a complete row image, keeping its ID (used to undo and redo revisions)
+          new_values := jsonb_populate_record(NULL::estimate_items, operation->'row');
+          new_values.project_id := project_id_param;
+
+          INSERT INTO estimate_items OVERRIDING SYSTEM VALUE
+          SELECT (new_values).*
+          ON CONFLICT (id) DO UPDATE SET
+            title = EXCLUDED.title,
+            description = EXCLUDED.description,
+            quantity = EXCLUDED.quantity,
+            unit_price = EXCLUDED.unit_price,
+            unit_type = EXCLUDED.unit_type,
+            cost_type = EXCLUDED.cost_type,
+            amount = EXCLUDED.amount,
+            currency = EXCLUDED.currency,
+            total_amount = EXCLUDED.total_amount,
+            created_at = EXCLUDED.created_at,
+            updated_at = EXCLUDED.updated_at,
+            status = EXCLUDED.status,
+            parent_item_id = EXCLUDED.parent_item_id,
+            created_by = EXCLUDED.created_by,
+            is_sub_item = EXCLUDED.is_sub_item,
+            data = EXCLUDED.data
+          WHERE estimate_items.project_id = project_id_param
+          RETURNING * INTO result_item;
+
+          IF NOT FOUND THEN
+            RAISE EXCEPTION 'item ID:% belongs to another project', operation->'row'->>'id';
+          END IF;
+
+        WHEN 'insert' THEN
+          target_parent_id := new_values.parent_item_id;
+
+          IF operation ? 'parent_description' THEN
+            SELECT ei.id INTO target_parent_id
+            FROM estimate_items ei
+            WHERE ei.project_id = project_id_param
+              AND ei.description = operation->>'parent_description'
+            ORDER BY ei.id
+            LIMIT 1;
+
+            -- A missing parent is not an error: the item is added at the top level
+            target_parent_found := target_parent_id IS NOT NULL;
+          END IF;
+
+          INSERT INTO estimate_items (
+            project_id, title, description, quantity, unit_price, unit_type, cost_type,
+            amount, currency, total_amount, status, parent_item_id, created_by, is_sub_item, data
+          )
+          VALUES (
+            project_id_param, new_values.title, new_values.description, new_values.quantity,
+            new_values.unit_price, new_values.unit_type, new_values.cost_type, new_values.amount,
+            COALESCE(new_values.currency, 'USD'), new_values.total_amount,
+            COALESCE(new_values.status, 'draft'), target_parent_id, new_values.created_by,
+            CASE WHEN target_parent_found THEN TRUE ELSE COALESCE(new_values.is_sub_item, FALSE) END,
+            COALESCE(new_values.data, '{}'::jsonb)
+          )
+          RETURNING * INTO result_item;
+
+        WHEN 'update' THEN
+          UPDATE estimate_items ei SET
+            title = CASE WHEN operation_fields ? 'title' THEN new_values.title ELSE ei.title END,
+            description = CASE WHEN operation_fields ? 'description' THEN new_values.description ELSE ei.description END,
+            quantity = CASE WHEN operation_fields ? 'quantity' THEN new_values.quantity ELSE ei.quantity END,
+            unit_price = CASE WHEN operation_fields ? 'unit_price' THEN new_values.unit_price ELSE ei.unit_price END,
+            unit_type = CASE WHEN operation_fields ? 'unit_type' THEN new_values.unit_type ELSE ei.unit_type END,
+            cost_type = CASE WHEN operation_fields ? 'cost_type' THEN new_values.cost_type ELSE ei.cost_type END,
+            amount = CASE WHEN operation_fields ? 'amount' THEN new_values.amount ELSE ei.amount END,
+            currency = CASE WHEN operation_fields ? 'currency' THEN new_values.currency ELSE ei.currency END,
+            total_amount = CASE WHEN operation_fields ? 'total_amount' THEN new_values.total_amount ELSE ei.total_amount END,
+            status = CASE WHEN operation_fields ? 'status' THEN new_values.status ELSE ei.status END,
+            parent_item_id = CASE WHEN operation_fields ? 'parent_item_id' THEN new_values.parent_item_id ELSE ei.parent_item_id END,
+            is_sub_item = CASE WHEN operation_fields ? 'is_sub_item' THEN new_values.is_sub_item ELSE ei.is_sub_item END,
+            data = CASE WHEN operation_fields ? 'data' THEN new_values.data ELSE ei.data END,
+            updated_at = NOW()
+          WHERE ei.id = (operation->>'id')::BIGINT
+            AND ei.project_id = project_id_param
+          RETURNING * INTO result_item;
+
+          IF NOT FOUND THEN
+            RAISE EXCEPTION 'item ID:% not found', operation->>'id';
+          END IF;
+
+        WHEN 'delete' THEN
+          DELETE FROM estimate_items ei
+          WHERE ei.id = (operation->>'id')::BIGINT
+            AND ei.project_id = project_id_param
+          RETURNING * INTO result_item;
+
+          IF NOT FOUND THEN
+            RAISE EXCEPTION 'item ID:% not found', operation->>'id';
+          END IF;
+
+        WHEN 'move' THEN
+          IF operation ? 'parent_id' THEN
+            SELECT ei.id INTO target_parent_id
+            FROM estimate_items ei
+            WHERE ei.id = (operation->>'parent_id')::BIGINT
+              AND ei.project_id = project_id_param;
+
+            IF target_parent_id IS NULL THEN
+              RAISE EXCEPTION 'parent item ID:% not found', operation->>'parent_id';
+            END IF;
+          ELSIF operation ? 'parent_description' THEN
+            SELECT ei.id INTO target_parent_id
+            FROM estimate_items ei
+            WHERE ei.project_id = project_id_param
+              AND ei.description = operation->>'parent_description'
+            ORDER BY ei.id
+            LIMIT 1;
+
+            IF target_parent_id IS NULL THEN
+              RAISE EXCEPTION 'parent item ''%'' not found', operation->>'parent_description';
+            END IF;
+          END IF;
+
+          -- Walk up from the new parent to make sure the item is not one of its ancestors
+          ancestor_id := target_parent_id;
+          WHILE ancestor_id IS NOT NULL LOOP
+            IF ancestor_id = (operation->>'id')::BIGINT THEN
+              RAISE EXCEPTION 'an item cannot be moved under itself or one of its sub-items';
+            END IF;
+
+            SELECT ei.parent_item_id INTO ancestor_id
+            FROM estimate_items ei
+            WHERE ei.id = ancestor_id;
+          END LOOP;
+
+          UPDATE estimate_items ei SET
+            parent_item_id = target_parent_id,
+            is_sub_item = target_parent_id IS NOT NULL,
+            updated_at = NOW()
+          WHERE ei.id = (operation->>'id')::BIGINT
+            AND ei.project_id = project_id_param
+          RETURNING * INTO result_item;
+
+          IF NOT FOUND THEN
+            RAISE EXCEPTION 'item ID:% not found', operation->>'id';
+          END IF;
+
+        ELSE
+          RAISE EXCEPTION 'unknown operation "%"', operation->>'op';
+      END CASE;
+
+      results := results || jsonb_build_array(
+        jsonb_build_object(
+          'item', to_jsonb(result_item),
+          'parent_found', target_parent_found
+        )
+      );
+      operation_index := operation_index + 1;
+    END LOOP;
+  EXCEPTION WHEN OTHERS THEN
+    -- Leaving the block through the handler rolls back every operation applied in it
+    RETURN jsonb_build_object(
+      'committed', FALSE,
+      'failed_index', operation_index,
+      'error', SQLERRM
+    );
+  END;
+
+  RETURN jsonb_build_object('committed', TRUE, 'results', results);
+END;
+$$ LANGUAGE plpgsql;
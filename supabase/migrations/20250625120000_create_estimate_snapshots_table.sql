@@ -0,0 +1,15 @@
+-- Named, read-only copies of a project's estimate items and totals, e.g. the
+-- estimate as it was sent to the client. `items` holds the estimate_items rows
+-- (with their parent_item_id links) and `totals` the total and subtotals by cost_type.
+CREATE TABLE IF NOT EXISTS public.estimate_snapshots (
+  id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+  project_id BIGINT NOT NULL REFERENCES public.projects(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  items JSONB NOT NULL,
+  totals JSONB NOT NULL,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (project_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_estimate_snapshots_project_id ON public.estimate_snapshots(project_id);
@@ -0,0 +1,36 @@
+-- Rolled-up totals of a project's estimate items, recomputed by the API after
+-- every change: the grand total and the subtotals by cost_type. The
+-- total_amount of an estimate item is its own amount plus the total_amount
+-- of its sub-items.
+ALTER TABLE public.projects
+  ADD COLUMN IF NOT EXISTS total_amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS cost_type_totals JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- List the totals with the projects
+CREATE OR REPLACE FUNCTION get_user_projects(user_id_param UUID)
+RETURNS SETOF jsonb AS $$
+BEGIN
+  RETURN QUERY
+  SELECT 
+    jsonb_build_object(
+      'id', p.id,
+      'name', p.name,
+      'description', p.description,
+      'status', p.status,
+      'total_amount', p.total_amount,
+      'created_at', p.created_at,
+      'updated_at', p.updated_at,
+      'created_by', p.created_by,
+      'business', jsonb_build_object(
+        'id', b.id,
+        'name', b.name
+      )
+    )
+  FROM 
+    projects p
+    JOIN businesses b ON p.business_id = b.id
+    JOIN business_users bu ON b.id = bu.business_id
+  WHERE 
+    bu.user_id = user_id_param;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
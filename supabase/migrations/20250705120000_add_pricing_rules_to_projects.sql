@@ -0,0 +1,5 @@
+-- Per-project overrides of the pricing rules in businesses.settings.pricing
+-- (markup per cost_type, overhead, contingency, fees and tax). NULL uses the
+-- rules of the business unchanged.
+ALTER TABLE public.projects
+  ADD COLUMN IF NOT EXISTS pricing_rules JSONB;
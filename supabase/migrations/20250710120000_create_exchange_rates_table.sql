@@ -0,0 +1,51 @@
+-- Currency of a project. Line items keep their own currency and are converted
+-- to this one, with the exchange rates of the business, when totaling.
+ALTER TABLE public.projects
+  ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'USD';
+
+-- List the currency with the projects
+CREATE OR REPLACE FUNCTION get_user_projects(user_id_param UUID)
+RETURNS SETOF jsonb AS $$
+BEGIN
+  RETURN QUERY
+  SELECT 
+    jsonb_build_object(
+      'id', p.id,
+      'name', p.name,
+      'description', p.description,
+      'status', p.status,
+      'total_amount', p.total_amount,
+      'currency', p.currency,
+      'created_at', p.created_at,
+      'updated_at', p.updated_at,
+      'created_by', p.created_by,
+      'business', jsonb_build_object(
+        'id', b.id,
+        'name', b.name
+      )
+    )
+  FROM 
+    projects p
+    JOIN businesses b ON p.business_id = b.id
+    JOIN business_users bu ON b.id = bu.business_id
+  WHERE 
+    bu.user_id = user_id_param;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Exchange rates maintained by each business: one unit of from_currency is
+-- worth `rate` units of to_currency. The inverse pair is used when only one
+-- direction is stored.
+CREATE TABLE IF NOT EXISTS public.exchange_rates (
+  id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+  business_id BIGINT NOT NULL REFERENCES public.businesses(id) ON DELETE CASCADE,
+  from_currency TEXT NOT NULL CHECK (from_currency ~ '^[A-Z]{3}$'),
+  to_currency TEXT NOT NULL CHECK (to_currency ~ '^[A-Z]{3}$'),
+  rate NUMERIC(20, 10) NOT NULL CHECK (rate > 0),
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (business_id, from_currency, to_currency)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_business_id ON public.exchange_rates(business_id);
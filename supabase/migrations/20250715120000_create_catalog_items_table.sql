@@ -0,0 +1,19 @@
+-- Price book of a business: the prices it actually pays, used to ground the
+-- unit prices of generated estimates. An item can have several entries with
+-- different effective dates; the latest one that is in effect is used.
+CREATE TABLE IF NOT EXISTS public.catalog_items (
+  id BIGINT PRIMARY KEY GENERATED ALWAYS AS IDENTITY,
+  business_id BIGINT NOT NULL REFERENCES public.businesses(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  unit_type TEXT NOT NULL DEFAULT 'unit' CHECK (unit_type IN ('unit', 'sq-ft', 'board-ft', 'hour', 'day', 'package', 'linear-ft')),
+  cost_type TEXT NOT NULL DEFAULT 'material' CHECK (cost_type IN ('admin', 'subcontractor', 'material', 'labor', 'equipment', 'overhead', 'other')),
+  unit_price NUMERIC(10, 2) NOT NULL CHECK (unit_price >= 0),
+  currency TEXT NOT NULL DEFAULT 'USD' CHECK (currency ~ '^[A-Z]{3}$'),
+  supplier TEXT,
+  effective_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_catalog_items_business_id ON public.catalog_items(business_id);
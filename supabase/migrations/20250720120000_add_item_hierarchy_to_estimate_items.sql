@@ -0,0 +1,309 @@
+-- Items nest to any depth (see utils/itemTree.js):
+--   * estimate_items_prevent_cycles rejects a parent_item_id that would make an
+--     item its own ancestor, whichever code path writes it.
+--   * find_estimate_item_by_parent_reference resolves the parent of an insert
+--     or move by description or by a path such as 'Framing > Walls > Labor'.
+--   * apply_estimate_item_operations uses it, and its delete operation either
+--     moves the sub-items of the deleted item up to the item's parent or, with
+--     { "op": "delete", "id": 1, "cascade": true }, deletes the whole subtree.
+
+CREATE OR REPLACE FUNCTION public.prevent_estimate_item_cycles()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.parent_item_id IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  -- UNION stops at a loop, so rows written before this trigger cannot hang it
+  IF EXISTS (
+    WITH RECURSIVE ancestors(id) AS (
+      SELECT NEW.parent_item_id
+      UNION
+      SELECT ei.parent_item_id
+      FROM estimate_items ei
+      JOIN ancestors ON ei.id = ancestors.id
+      WHERE ei.parent_item_id IS NOT NULL
+    )
+    SELECT 1 FROM ancestors WHERE ancestors.id = NEW.id
+  ) THEN
+    RAISE EXCEPTION 'an item cannot be moved under itself or one of its sub-items'
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS estimate_items_prevent_cycles ON public.estimate_items;
+CREATE TRIGGER estimate_items_prevent_cycles
+  BEFORE INSERT OR UPDATE OF parent_item_id ON public.estimate_items
+  FOR EACH ROW EXECUTE FUNCTION public.prevent_estimate_item_cycles();
+
+CREATE INDEX IF NOT EXISTS idx_estimate_items_parent_item_id ON public.estimate_items(parent_item_id);
+
+-- Find the item a parent reference names: the first item whose description is
+-- the whole reference, otherwise the first item matching it as a path, where
+-- the last segment names the item and the segments before it its nearest
+-- ancestors (compared trimmed and case-insensitively). NULL if none matches.
+CREATE OR REPLACE FUNCTION find_estimate_item_by_parent_reference(project_id_param BIGINT, reference_param TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+  segments TEXT[];
+  candidate estimate_items;
+  current_item estimate_items;
+  segment_index INTEGER;
+  matched BOOLEAN;
+BEGIN
+  SELECT ei.* INTO candidate
+  FROM estimate_items ei
+  WHERE ei.project_id = project_id_param
+    AND ei.description = reference_param
+  ORDER BY ei.id
+  LIMIT 1;
+
+  IF FOUND THEN
+    RETURN candidate.id;
+  END IF;
+
+  SELECT array_agg(lower(btrim(path.segment)) ORDER BY path.position) INTO segments
+  FROM unnest(string_to_array(reference_param, '>')) WITH ORDINALITY AS path(segment, position);
+
+  FOR candidate IN
+    SELECT ei.*
+    FROM estimate_items ei
+    WHERE ei.project_id = project_id_param
+      AND lower(btrim(COALESCE(ei.description, ''))) = segments[array_length(segments, 1)]
+    ORDER BY ei.id
+  LOOP
+    current_item := candidate;
+    matched := TRUE;
+
+    FOR segment_index IN REVERSE array_length(segments, 1) - 1 .. 1 LOOP
+      IF current_item.parent_item_id IS NULL THEN
+        matched := FALSE;
+        EXIT;
+      END IF;
+
+      SELECT ei.* INTO current_item
+      FROM estimate_items ei
+      WHERE ei.id = current_item.parent_item_id;
+
+      IF lower(btrim(COALESCE(current_item.description, ''))) <> segments[segment_index] THEN
+        matched := FALSE;
+        EXIT;
+      END IF;
+    END LOOP;
+
+    IF matched THEN
+      RETURN candidate.id;
+    END IF;
+  END LOOP;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+CREATE OR REPLACE FUNCTION apply_estimate_item_operations(project_id_param BIGINT, operations_param JSONB)
+RETURNS jsonb AS $$
+DECLARE
+  operation jsonb;
+  operation_index INTEGER := 0;
+  operation_fields jsonb;
+  new_values estimate_items;
+  result_item estimate_items;
+  target_parent_id BIGINT;
+  target_parent_found BOOLEAN;
+  ancestor_id BIGINT;
+  results jsonb := '[]'::jsonb;
+BEGIN
+  BEGIN
+    FOR operation IN SELECT value FROM jsonb_array_elements(operations_param) LOOP
+      operation_fields := COALESCE(operation->'fields', '{}'::jsonb);
+      new_values := jsonb_populate_record(NULL::estimate_items, operation_fields);
+      target_parent_id := NULL;
+      target_parent_found := NULL;
+
+      CASE operation->>'op'
+        WHEN 'restore' THEN
+          -- Write a complete row image, keeping its ID (used to undo and redo revisions)
+          new_values := jsonb_populate_record(NULL::estimate_items, operation->'row');
+          new_values.project_id := project_id_param;
+
+          INSERT INTO estimate_items OVERRIDING SYSTEM VALUE
+          SELECT (new_values).*
+          ON CONFLICT (id) DO UPDATE SET
+            title = EXCLUDED.title,
+            description = EXCLUDED.description,
+            quantity = EXCLUDED.quantity,
+            unit_price = EXCLUDED.unit_price,
+            unit_type = EXCLUDED.unit_type,
+            cost_type = EXCLUDED.cost_type,
+            amount = EXCLUDED.amount,
+            currency = EXCLUDED.currency,
+            total_amount = EXCLUDED.total_amount,
+            created_at = EXCLUDED.created_at,
+            updated_at = EXCLUDED.updated_at,
+            status = EXCLUDED.status,
+            parent_item_id = EXCLUDED.parent_item_id,
+            created_by = EXCLUDED.created_by,
+            is_sub_item = EXCLUDED.is_sub_item,
+            data = EXCLUDED.data
+          WHERE estimate_items.project_id = project_id_param
+          RETURNING * INTO result_item;
+
+          IF NOT FOUND THEN
+            RAISE EXCEPTION 'item ID:% belongs to another project', operation->'row'->>'id';
+          END IF;
+
+        WHEN 'insert' THEN
+          target_parent_id := new_values.parent_item_id;
+
+          IF operation ? 'parent_description' THEN
+            target_parent_id := find_estimate_item_by_parent_reference(
+              project_id_param, operation->>'parent_description'
+            );
+
+            -- A missing parent is not an error: the item is added at the top level
+            target_parent_found := target_parent_id IS NOT NULL;
+          END IF;
+
+          INSERT INTO estimate_items (
+            project_id, title, description, quantity, unit_price, unit_type, cost_type,
+            amount, currency, total_amount, status, parent_item_id, created_by, is_sub_item, data
+          )
+          VALUES (
+            project_id_param, new_values.title, new_values.description, new_values.quantity,
+            new_values.unit_price, new_values.unit_type, new_values.cost_type, new_values.amount,
+            COALESCE(new_values.currency, 'USD'), new_values.total_amount,
+            COALESCE(new_values.status, 'draft'), target_parent_id, new_values.created_by,
+            CASE WHEN target_parent_found THEN TRUE ELSE COALESCE(new_values.is_sub_item, FALSE) END,
+            COALESCE(new_values.data, '{}'::jsonb)
+          )
+          RETURNING * INTO result_item;
+
+        WHEN 'update' THEN
+          UPDATE estimate_items ei SET
+            title = CASE WHEN operation_fields ? 'title' THEN new_values.title ELSE ei.title END,
+            description = CASE WHEN operation_fields ? 'description' THEN new_values.description ELSE ei.description END,
+            quantity = CASE WHEN operation_fields ? 'quantity' THEN new_values.quantity ELSE ei.quantity END,
+            unit_price = CASE WHEN operation_fields ? 'unit_price' THEN new_values.unit_price ELSE ei.unit_price END,
+            unit_type = CASE WHEN operation_fields ? 'unit_type' THEN new_values.unit_type ELSE ei.unit_type END,
+            cost_type = CASE WHEN operation_fields ? 'cost_type' THEN new_values.cost_type ELSE ei.cost_type END,
+            amount = CASE WHEN operation_fields ? 'amount' THEN new_values.amount ELSE ei.amount END,
+            currency = CASE WHEN operation_fields ? 'currency' THEN new_values.currency ELSE ei.currency END,
+            total_amount = CASE WHEN operation_fields ? 'total_amount' THEN new_values.total_amount ELSE ei.total_amount END,
+            status = CASE WHEN operation_fields ? 'status' THEN new_values.status ELSE ei.status END,
+            parent_item_id = CASE WHEN operation_fields ? 'parent_item_id' THEN new_values.parent_item_id ELSE ei.parent_item_id END,
+            is_sub_item = CASE WHEN operation_fields ? 'is_sub_item' THEN new_values.is_sub_item ELSE ei.is_sub_item END,
+            data = CASE WHEN operation_fields ? 'data' THEN new_values.data ELSE ei.data END,
+            updated_at = NOW()
+          WHERE ei.id = (operation->>'id')::BIGINT
+            AND ei.project_id = project_id_param
+          RETURNING * INTO result_item;
+
+          IF NOT FOUND THEN
+            RAISE EXCEPTION 'item ID:% not found', operation->>'id';
+          END IF;
+
+        WHEN 'delete' THEN
+          SELECT ei.* INTO result_item
+          FROM estimate_items ei
+          WHERE ei.id = (operation->>'id')::BIGINT
+            AND ei.project_id = project_id_param;
+
+          IF NOT FOUND THEN
+            RAISE EXCEPTION 'item ID:% not found', operation->>'id';
+          END IF;
+
+          IF COALESCE((operation->>'cascade')::BOOLEAN, FALSE) THEN
+            DELETE FROM estimate_items ei
+            WHERE ei.id IN (
+              WITH RECURSIVE subtree(id) AS (
+                SELECT result_item.id
+                UNION
+                SELECT child.id
+                FROM estimate_items child
+                JOIN subtree ON child.parent_item_id = subtree.id
+              )
+              SELECT subtree.id FROM subtree
+            );
+          ELSE
+            -- Sub-items take the place of the deleted item
+            UPDATE estimate_items ei SET
+              parent_item_id = result_item.parent_item_id,
+              is_sub_item = result_item.parent_item_id IS NOT NULL,
+              updated_at = NOW()
+            WHERE ei.parent_item_id = result_item.id;
+
+            DELETE FROM estimate_items ei
+            WHERE ei.id = result_item.id;
+          END IF;
+
+        WHEN 'move' THEN
+          IF operation ? 'parent_id' THEN
+            SELECT ei.id INTO target_parent_id
+            FROM estimate_items ei
+            WHERE ei.id = (operation->>'parent_id')::BIGINT
+              AND ei.project_id = project_id_param;
+
+            IF target_parent_id IS NULL THEN
+              RAISE EXCEPTION 'parent item ID:% not found', operation->>'parent_id';
+            END IF;
+          ELSIF operation ? 'parent_description' THEN
+            target_parent_id := find_estimate_item_by_parent_reference(
+              project_id_param, operation->>'parent_description'
+            );
+
+            IF target_parent_id IS NULL THEN
+              RAISE EXCEPTION 'parent item ''%'' not found', operation->>'parent_description';
+            END IF;
+          END IF;
+
+          -- Walk up from the new parent to make sure the item is not one of its ancestors
+          ancestor_id := target_parent_id;
+          WHILE ancestor_id IS NOT NULL LOOP
+            IF ancestor_id = (operation->>'id')::BIGINT THEN
+              RAISE EXCEPTION 'an item cannot be moved under itself or one of its sub-items';
+            END IF;
+
+            SELECT ei.parent_item_id INTO ancestor_id
+            FROM estimate_items ei
+            WHERE ei.id = ancestor_id;
+          END LOOP;
+
+          UPDATE estimate_items ei SET
+            parent_item_id = target_parent_id,
+            is_sub_item = target_parent_id IS NOT NULL,
+            updated_at = NOW()
+          WHERE ei.id = (operation->>'id')::BIGINT
+            AND ei.project_id = project_id_param
+          RETURNING * INTO result_item;
+
+          IF NOT FOUND THEN
+            RAISE EXCEPTION 'item ID:% not found', operation->>'id';
+          END IF;
+
+        ELSE
+          RAISE EXCEPTION 'unknown operation "%"', operation->>'op';
+      END CASE;
+
+      results := results || jsonb_build_array(
+        jsonb_build_object(
+          'item', to_jsonb(result_item),
+          'parent_found', target_parent_found
+        )
+      );
+      operation_index := operation_index + 1;
+    END LOOP;
+  EXCEPTION WHEN OTHERS THEN
+    -- Leaving the block through the handler rolls back every operation applied in it
+    RETURN jsonb_build_object(
+      'committed', FALSE,
+      'failed_index', operation_index,
+      'error', SQLERRM
+    );
+  END;
+
+  RETURN jsonb_build_object('committed', TRUE, 'results', results);
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,19 @@
+-- Store the rolled-up total_amount of many estimate items in one statement:
+--   [{ "id": 12, "total_amount": 3100 }, ...]
+-- Used by the API after every change to the items, with only the rows whose
+-- total changed. IDs that are not items of the project are ignored.
+CREATE OR REPLACE FUNCTION update_estimate_item_totals(project_id_param BIGINT, totals_param JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+  updated_count INTEGER;
+BEGIN
+  UPDATE estimate_items e
+  SET total_amount = t.total_amount
+  FROM jsonb_to_recordset(totals_param) AS t(id BIGINT, total_amount NUMERIC)
+  WHERE e.id = t.id
+    AND e.project_id = project_id_param;
+
+  GET DIAGNOSTICS updated_count = ROW_COUNT;
+  RETURN updated_count;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,74 @@
+-- One page of the projects a user can access, sorted in the database:
+--   { "projects": [...], "total": 120 }
+-- Projects have the fields of get_user_projects. sort_param is one of
+-- created_at, updated_at, name or status and order_param asc or desc; missing
+-- values sort last and ties are broken by ID, so pages do not overlap. total
+-- is the number of projects across all pages.
+CREATE OR REPLACE FUNCTION get_user_projects_page(
+  user_id_param UUID,
+  limit_param INTEGER,
+  offset_param INTEGER,
+  sort_param TEXT DEFAULT 'created_at',
+  order_param TEXT DEFAULT 'desc'
+)
+RETURNS jsonb AS $$
+DECLARE
+  page jsonb;
+  total_count INTEGER;
+  direction TEXT;
+BEGIN
+  IF sort_param NOT IN ('created_at', 'updated_at', 'name', 'status') THEN
+    RAISE EXCEPTION 'Unsupported sort field: %', sort_param;
+  END IF;
+
+  direction := CASE WHEN lower(order_param) = 'asc' THEN 'ASC' ELSE 'DESC' END;
+
+  SELECT COUNT(DISTINCT p.id) INTO total_count
+  FROM
+    projects p
+    JOIN business_users bu ON p.business_id = bu.business_id
+  WHERE
+    bu.user_id = user_id_param;
+
+  EXECUTE format(
+    $query$
+    SELECT COALESCE(jsonb_agg(project ORDER BY position), '[]'::jsonb)
+    FROM (
+      SELECT
+        jsonb_build_object(
+          'id', p.id,
+          'name', p.name,
+          'description', p.description,
+          'status', p.status,
+          'total_amount', p.total_amount,
+          'currency', p.currency,
+          'created_at', p.created_at,
+          'updated_at', p.updated_at,
+          'created_by', p.created_by,
+          'business', jsonb_build_object(
+            'id', b.id,
+            'name', b.name
+          )
+        ) AS project,
+        ROW_NUMBER() OVER (ORDER BY p.%1$I %2$s NULLS LAST, p.id %2$s) AS position
+      FROM
+        projects p
+        JOIN businesses b ON p.business_id = b.id
+      WHERE
+        EXISTS (
+          SELECT 1 FROM business_users bu
+          WHERE bu.business_id = b.id AND bu.user_id = $1
+        )
+      ORDER BY p.%1$I %2$s NULLS LAST, p.id %2$s
+      LIMIT $2 OFFSET $3
+    ) AS paged
+    $query$,
+    sort_param,
+    direction
+  )
+  INTO page
+  USING user_id_param, limit_param, offset_param;
+
+  RETURN jsonb_build_object('projects', page, 'total', total_count);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
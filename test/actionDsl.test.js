@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAction, formatAction, ActionSyntaxError } from "../utils/actionDsl.js";
+
+test("parses an add with typed bare values", () => {
+  assert.deepEqual(parseAction("+ description='Boards', quantity=2, unit_price=12.5, taxable=true, notes=null"), {
+    verb: "add",
+    attributes: { description: "Boards", quantity: 2, unit_price: 12.5, taxable: true, notes: null },
+  });
+});
+
+test("keeps bare values of text attributes as strings", () => {
+  assert.deepEqual(parseAction("+ description=2x4, ref=1").attributes, { description: "2x4", ref: "1" });
+});
+
+test("parses updates and deletes", () => {
+  assert.deepEqual(parseAction("+ ID:12, unit_price=40"), {
+    verb: "update",
+    id: 12,
+    attributes: { unit_price: 40 },
+  });
+  assert.deepEqual(parseAction("  - id : 7 "), { verb: "delete", id: 7 });
+});
+
+test("unescapes quotes and backslashes in strings", () => {
+  assert.equal(parseAction("+ description='Owner\\'s suite'").attributes.description, "Owner's suite");
+  assert.equal(parseAction('+ description="Say \\"hi\\""').attributes.description, 'Say "hi"');
+  assert.equal(parseAction("+ description='C:\\\\temp'").attributes.description, "C:\\temp");
+});
+
+test("keeps an unescaped quote that does not end the value", () => {
+  assert.equal(parseAction("+ description='Owner's suite', quantity=1").attributes.description, "Owner's suite");
+});
+
+test("allows commas and = inside strings", () => {
+  assert.equal(parseAction("+ description='a, b = c', quantity=1").attributes.description, "a, b = c");
+});
+
+test("reports a missing comma with its column", () => {
+  assert.throws(() => parseAction("+ quantity=3 unit_price=4"), (error) => {
+    assert.ok(error instanceof ActionSyntaxError);
+    assert.equal(error.column, 14);
+    assert.equal(error.message, 'Expected "," between attributes at column 14');
+    return true;
+  });
+  assert.throws(() => parseAction("+ description='Boards' quantity=2"), {
+    name: "ActionSyntaxError",
+    message: 'Expected "," between attributes at column 24',
+  });
+});
+
+test("reports other syntax errors with their column", () => {
+  assert.throws(() => parseAction(""), { message: "Empty action at column 1" });
+  assert.throws(() => parseAction("* ID:1"), { message: /Expected "\+", "-", "move" or "reparent" at column 1/ });
+  assert.throws(() => parseAction("- ID:"), { message: "Expected digits after ID: at column 6" });
+  assert.throws(() => parseAction("+ quantity=1, quantity=2"), { message: 'Duplicate attribute "quantity" at column 15' });
+  assert.throws(() => parseAction("+ description='Open"), { message: "Unterminated string at column 15" });
+});
+
+test("parses the move targets", () => {
+  assert.deepEqual(parseAction("move ID:12 to ID:3"), { verb: "move", id: 12, target: { type: "id", id: 3 } });
+  assert.deepEqual(parseAction("REPARENT ID:12 TO root"), { verb: "move", id: 12, target: { type: "root" } });
+  assert.deepEqual(parseAction("move ID:12 to 'Framing > Walls'"), {
+    verb: "move",
+    id: 12,
+    target: { type: "description", description: "Framing > Walls" },
+  });
+  assert.throws(() => parseAction("move ID:12 ID:3"), { message: 'Expected "to" after the item ID at column 12' });
+  assert.throws(() => parseAction("move ID:12 to ID:3 now"), { message: /Unexpected "n" after the end of the action/ });
+});
+
+test("parseAction reads formatAction output back unchanged", () => {
+  const actions = [
+    { verb: "add", attributes: { description: "Owner's suite, \\ back", quantity: 1.5, unit_price: 0, taxable: false, notes: null } },
+    { verb: "add", attributes: { description: "12", ref: "1", parent_ref: "a'b" } },
+    { verb: "update", id: 4, attributes: { unit_type: "hour", amount: -20 } },
+    { verb: "update", id: 4, attributes: {} },
+    { verb: "delete", id: 9 },
+    { verb: "move", id: 9, target: { type: "root" } },
+    { verb: "move", id: 9, target: { type: "id", id: 2 } },
+    { verb: "move", id: 9, target: { type: "description", description: "Framing > 'Walls'" } },
+  ];
+
+  for (const action of actions) {
+    assert.deepEqual(parseAction(formatAction(action)), action);
+  }
+});
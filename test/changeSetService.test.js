@@ -0,0 +1,80 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage, setStorage } from "../storage/index.js";
+import { setProvider } from "../aimodel/aiClient.js";
+import { createChangeSet, applyChangeSet } from "../services/changeSetService.js";
+
+const USER_ID = "00000000-0000-0000-0000-000000000001";
+
+let storage;
+let project;
+let modelCalls;
+
+beforeEach(async () => {
+  storage = createMemoryStorage({
+    users: [{ id: USER_ID, email: "test@example.com", token: "test-token" }],
+    businesses: [{ id: 1, name: "Test Business", settings: { costTypes: { modelFallback: true } } }],
+    businessUsers: [{ business_id: 1, user_id: USER_ID, role: "owner" }],
+  });
+  setStorage(storage);
+  project = await storage.projects.create({ name: "Deck", business_id: 1, created_by: USER_ID });
+
+  // A model that gives a different cost type every time it is asked
+  modelCalls = 0;
+  const answers = ["labor", "equipment"];
+  setProvider({
+    name: "test",
+    getModel: () => ({
+      provider: "test",
+      async generateText() {
+        return answers[modelCalls++ % answers.length];
+      },
+    }),
+  });
+});
+
+after(() => {
+  setStorage(null);
+  setProvider(null);
+});
+
+test("previews and applies a change set without asking the model for cost types", async () => {
+  const changeSet = await createChangeSet({
+    projectId: project.id,
+    userId: USER_ID,
+    source: "prompt",
+    instructions: ["+ description='Widget', quantity=2, unit_price=10"],
+  });
+
+  const result = await applyChangeSet(changeSet, USER_ID);
+
+  assert.equal(result.outcome, "applied");
+  assert.equal(modelCalls, 0);
+  const [item] = await storage.estimateItems.listByProject(project.id);
+  assert.equal(item.cost_type, "other");
+  assert.equal(item.data.cost_type_classification.source, "none");
+});
+
+test("previews and applies later updates of an item against the earlier ones", async () => {
+  const item = await storage.estimateItems.create({
+    project_id: project.id,
+    title: "Boards",
+    cost_type: "material",
+    quantity: 2,
+    unit_price: 10,
+    amount: 20,
+  });
+
+  const changeSet = await createChangeSet({
+    projectId: project.id,
+    userId: USER_ID,
+    source: "prompt",
+    instructions: [`+ ID:${item.id}, quantity=3`, `+ ID:${item.id}, unit_price=5`],
+  });
+  assert.equal(changeSet.diff.totals.after, 15);
+
+  const result = await applyChangeSet(changeSet, USER_ID);
+
+  assert.equal(result.outcome, "applied");
+  assert.equal((await storage.estimateItems.getById(project.id, item.id)).amount, 15);
+});
@@ -0,0 +1,178 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage, setStorage } from "../storage/index.js";
+import { setProvider } from "../aimodel/aiClient.js";
+import {
+  handleAdditionalPrompt,
+  handleAdditionalPromptStream,
+  handleRangeAction,
+} from "../controllers/estimatorController.js";
+
+const OWNER_ID = "00000000-0000-0000-0000-000000000001";
+const OUTSIDER_ID = "00000000-0000-0000-0000-000000000002";
+
+let storage;
+let project;
+
+beforeEach(async () => {
+  storage = createMemoryStorage({
+    users: [
+      { id: OWNER_ID, email: "owner@example.com", token: "owner-token" },
+      { id: OUTSIDER_ID, email: "outsider@example.com", token: "outsider-token" },
+    ],
+    businesses: [
+      { id: 1, name: "Owner Business" },
+      { id: 2, name: "Other Business" },
+    ],
+    businessUsers: [
+      { business_id: 1, user_id: OWNER_ID, role: "owner" },
+      { business_id: 2, user_id: OUTSIDER_ID, role: "owner" },
+    ],
+  });
+  setStorage(storage);
+  project = await storage.projects.create({ name: "Deck", business_id: 1, created_by: OWNER_ID });
+  await storage.estimateItems.create({ project_id: project.id, title: "Boards", amount: 100 });
+});
+
+after(() => {
+  setStorage(null);
+  setProvider(null);
+});
+
+/**
+ * Create a stand-in for an Express response that records the status and body
+ * @returns {Object} Response with `statusCode`, `body` and `headersSent`
+ */
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headersSent: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    setHeader() {
+      res.headersSent = true;
+    },
+    writeHead() {
+      res.headersSent = true;
+    },
+    flushHeaders() {},
+    write() {},
+    end() {},
+    on() {},
+  };
+  return res;
+}
+
+/**
+ * Call a handler as a user with a request body
+ * @param {Function} handler - The controller function
+ * @param {string} userId - The ID of the authenticated user
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} The response
+ */
+async function call(handler, userId, body) {
+  const res = createResponse();
+  await handler({ body, user: { id: userId }, on() {} }, res);
+  return res;
+}
+
+test("the streaming prompt rejects a user outside the project's business", async () => {
+  const res = await call(handleAdditionalPromptStream, OUTSIDER_ID, {
+    projectId: project.id,
+    prompt: "Delete everything",
+  });
+
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body, { error: "You do not have access to this project" });
+  assert.equal(res.headersSent, false);
+  assert.equal((await storage.estimateItems.listByProject(project.id)).length, 1);
+});
+
+test("the streaming prompt reports a missing project", async () => {
+  const res = await call(handleAdditionalPromptStream, OWNER_ID, { projectId: 999, prompt: "Add a railing" });
+
+  assert.equal(res.statusCode, 404);
+});
+
+test("a prompt preview rejects a user outside the project's business", async () => {
+  const res = await call(handleAdditionalPrompt, OUTSIDER_ID, {
+    projectId: project.id,
+    prompt: "Add a railing",
+    preview: true,
+  });
+
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(await storage.changeSets.listByProject(project.id), []);
+});
+
+test("a range action rejects a user outside the project's business", async () => {
+  for (const body of [
+    { action: "update", data: { quantity: 2 }, preview: true },
+    { action: "delete" },
+    { prompt: "Raise prices", xmlResponse: "<estimate><actions><action>- ID:1</action></actions></estimate>" },
+  ]) {
+    const res = await call(handleRangeAction, OUTSIDER_ID, {
+      projectId: project.id,
+      range: { start: 1, end: 1 },
+      ...body,
+    });
+
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, { error: "You do not have access to this project" });
+  }
+
+  assert.deepEqual(await storage.changeSets.listByProject(project.id), []);
+  assert.equal((await storage.estimateItems.listByProject(project.id)).length, 1);
+});
+
+test("a range prompt asks the model about the items of the range", async () => {
+  const railing = await storage.estimateItems.create({ project_id: project.id, title: "Railing", description: "Railing", amount: 50 });
+  const prompts = [];
+  setProvider({
+    name: "test",
+    getModel: () => ({
+      provider: "test",
+      async generateText(prompt) {
+        prompts.push(prompt);
+        return `<estimate><actions><action>+ ID:${railing.id}, quantity=3, unit_price=20</action></actions></estimate>`;
+      },
+    }),
+  });
+
+  const res = await call(handleRangeAction, OWNER_ID, {
+    projectId: project.id,
+    range: { start: 1, end: 1 },
+    prompt: "Use three railings",
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(prompts.length, 1);
+  assert.match(prompts[0], /Deck/);
+  assert.match(prompts[0], new RegExp(`ID:${railing.id}, description='Railing'`));
+  assert.match(prompts[0], /Use three railings/);
+  assert.equal(res.body.actionSummary.itemsUpdated, 1);
+  assert.equal((await storage.estimateItems.getById(project.id, railing.id)).amount, 60);
+});
+
+test("a range prompt adds items in the project's currency", async () => {
+  await storage.projects.update(project.id, { currency: "EUR" });
+  await storage.estimateItems.create({ project_id: project.id, title: "Railing", amount: 50 });
+
+  const res = await call(handleRangeAction, OWNER_ID, {
+    projectId: project.id,
+    range: { start: 1, end: 1 },
+    prompt: "Add a gate",
+    xmlResponse: "<estimate><actions><action>+ description='Gate', quantity=1, unit_price=10</action></actions></estimate>",
+  });
+
+  assert.equal(res.statusCode, 200);
+  const items = await storage.estimateItems.listByProject(project.id);
+  assert.equal(items.find((item) => item.description === "Gate").currency, "EUR");
+});
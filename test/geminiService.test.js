@@ -0,0 +1,134 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { setProvider } from "../aimodel/aiClient.js";
+import { createGeminiProvider } from "../aimodel/providers/geminiProvider.js";
+import { createScriptedProvider } from "../aimodel/providers/scriptedProvider.js";
+import { generateEstimate, generateAdditionalEstimate } from "../services/geminiService.js";
+
+const originalFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+  setProvider(null);
+});
+
+/**
+ * Answer every model request with a fixed response text
+ * @param {string} text - The response text
+ */
+function respondWith(text) {
+  setProvider(createScriptedProvider({ script: [{ response: text }] }));
+}
+
+const existingProject = { id: 1, name: "Deck" };
+
+test("the Gemini provider sends the JSON response settings with the request", async () => {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push({ url: String(url), body: JSON.parse(init.body) });
+    return new Response(
+      JSON.stringify({ candidates: [{ content: { parts: [{ text: '{"actions":[]}' }] } }] }),
+      { status: 200, headers: { "Content-Type": "application/json" } }
+    );
+  };
+
+  setProvider(createGeminiProvider({ apiKey: "test-key" }));
+  const { instructions } = await generateAdditionalEstimate(
+    { prompt: "Add a railing", existingProject, existingItems: [] },
+    { outputFormat: "json" }
+  );
+
+  assert.deepEqual(instructions, []);
+  assert.equal(requests.length, 1);
+  assert.match(requests[0].url, /\/v1beta\/models\/gemini-2\.0-flash-001:generateContent$/);
+  const { generationConfig } = requests[0].body;
+  assert.equal(generationConfig.responseMimeType, "application/json");
+  assert.equal(generationConfig.responseSchema.properties.actions.type, "array");
+});
+
+test("converts a JSON estimate into add instructions with refs for sub-items", async () => {
+  respondWith(JSON.stringify({
+    estimate: {
+      title: "Deck",
+      currency: "EUR",
+      lineItems: [
+        {
+          description: "Framing",
+          quantity: 1,
+          unitPrice: 0,
+          amount: 0,
+          subItems: [{ description: "Joists", quantity: 10, unitPrice: 12, amount: 120, unitType: "linear-ft" }],
+        },
+        { description: "Owner's permit", quantity: 1, unitPrice: 50, amount: 50, costType: "admin" },
+      ],
+    },
+  }));
+
+  const result = await generateEstimate({ projectDetails: { title: "Deck" } }, { outputFormat: "json" });
+
+  assert.equal(result.projectTitle, "Deck");
+  assert.equal(result.currency, "EUR");
+  assert.equal(result.rawGeminiResponse.outputFormat, "json");
+  assert.deepEqual(result.instructions, [
+    "+ description='Framing', quantity=1, unit_price=0, amount=0, ref='1'",
+    "+ description='Joists', quantity=10, unit_price=12, amount=120, unit_type='linear-ft', parent_ref='1'",
+    "+ description='Owner\\'s permit', quantity=1, unit_price=50, amount=50, cost_type='admin'",
+  ]);
+});
+
+test("reads JSON wrapped in a markdown code block", async () => {
+  respondWith('```json\n{"actions":[{"verb":"delete","id":4},{"verb":"move","id":5,"parent_id":2}]}\n```');
+
+  const { instructions } = await generateAdditionalEstimate(
+    { prompt: "Tidy up", existingProject, existingItems: [] },
+    { outputFormat: "json" }
+  );
+
+  assert.deepEqual(instructions, ["- ID:4", "move ID:5 to ID:2"]);
+});
+
+test("converts JSON actions into instructions", async () => {
+  respondWith(JSON.stringify({
+    actions: [
+      { verb: "add", description: "Railing", quantity: 2, unit_price: 40, ref: "r" },
+      { verb: "add", description: "Posts", quantity: 4, unit_price: 5, parent_ref: "r" },
+      { verb: "update", id: 3, unit_price: 45 },
+      { verb: "move", id: 6 },
+    ],
+  }));
+
+  const { instructions } = await generateAdditionalEstimate(
+    { prompt: "Add a railing", existingProject, existingItems: [] },
+    { outputFormat: "json" }
+  );
+
+  assert.deepEqual(instructions, [
+    "+ description='Railing', quantity=2, unit_price=40, ref='r'",
+    "+ description='Posts', quantity=4, unit_price=5, parent_ref='r'",
+    "+ ID:3, unit_price=45",
+    "move ID:6 to root",
+  ]);
+});
+
+test("rejects a response that is not JSON", async () => {
+  respondWith("<estimate></estimate>");
+
+  await assert.rejects(
+    generateEstimate({ projectDetails: { title: "Deck" } }, { outputFormat: "json" }),
+    { message: /^Failed to parse JSON response/ }
+  );
+});
+
+test("rejects JSON that does not match the response schema", async () => {
+  respondWith(JSON.stringify({ actions: [{ verb: "rename", id: 1 }] }));
+  await assert.rejects(
+    generateAdditionalEstimate({ prompt: "x", existingProject, existingItems: [] }, { outputFormat: "json" }),
+    { message: "JSON response does not match the response schema: response.actions[0].verb must be one of: add, update, delete, move" }
+  );
+
+  respondWith(JSON.stringify({ actions: [{ verb: "update", unit_price: 4 }] }));
+  await assert.rejects(
+    generateAdditionalEstimate({ prompt: "x", existingProject, existingItems: [] }, { outputFormat: "json" }),
+    { message: "JSON response does not match the response schema: response.actions[0].id is required for update" }
+  );
+});
@@ -0,0 +1,151 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage } from "../storage/adapters/memoryAdapter.js";
+
+const USER_ID = "00000000-0000-0000-0000-000000000001";
+
+let storage;
+let project;
+
+beforeEach(async () => {
+  storage = createMemoryStorage({
+    users: [{ id: USER_ID, email: "test@example.com", token: "test-token" }],
+    businesses: [{ id: 1, name: "Test Business" }],
+    businessUsers: [{ business_id: 1, user_id: USER_ID, role: "owner" }],
+  });
+  project = await storage.projects.create({ name: "Deck", business_id: 1, created_by: USER_ID });
+});
+
+/**
+ * Create an estimate item of the test project
+ * @param {Object} [fields] - Columns to set
+ * @returns {Promise<Object>} The created row
+ */
+function createItem(fields = {}) {
+  return storage.estimateItems.create({ project_id: project.id, title: "Boards", ...fields });
+}
+
+test("applies column defaults", async () => {
+  const item = await createItem();
+
+  assert.equal(item.currency, "USD");
+  assert.equal(item.status, "draft");
+  assert.equal(item.is_sub_item, false);
+  assert.deepEqual(item.data, {});
+});
+
+test("rejects a missing NOT NULL column", async () => {
+  await assert.rejects(
+    storage.estimateItems.create({ project_id: project.id }),
+    { code: "23502", message: /column "title"/ }
+  );
+});
+
+test("rejects an unknown column", async () => {
+  await assert.rejects(createItem({ colour: "red" }), { code: "42703" });
+});
+
+test("enforces the unit_type and cost_type CHECK constraints", async () => {
+  await assert.rejects(createItem({ unit_type: "furlong" }), {
+    code: "23514",
+    message: /estimate_items_unit_type_check/,
+  });
+  await assert.rejects(createItem({ cost_type: "snacks" }), {
+    code: "23514",
+    message: /estimate_items_cost_type_check/,
+  });
+
+  const item = await createItem();
+  await assert.rejects(storage.estimateItems.update(project.id, item.id, { unit_type: "furlong" }), {
+    code: "23514",
+  });
+});
+
+test("rounds NUMERIC(10, 2) columns and rejects values that are not numbers", async () => {
+  const item = await createItem({ quantity: 1.005, unit_price: "12.345" });
+  assert.equal(item.unit_price, 12.35);
+
+  await assert.rejects(createItem({ amount: "lots" }), { code: "22P02" });
+});
+
+test("enforces foreign keys", async () => {
+  await assert.rejects(
+    storage.estimateItems.create({ project_id: 999, title: "Orphan" }),
+    { code: "23503", message: /estimate_items_project_id_fkey/ }
+  );
+  await assert.rejects(createItem({ parent_item_id: 999 }), {
+    code: "23503",
+    message: /estimate_items_parent_item_id_fkey/,
+  });
+  await assert.rejects(storage.projects.create({ name: "Other", business_id: 2 }), {
+    code: "23503",
+  });
+});
+
+test("rejects a parent cycle", async () => {
+  const parent = await createItem();
+  const child = await createItem({ parent_item_id: parent.id, is_sub_item: true });
+
+  await assert.rejects(storage.estimateItems.update(project.id, parent.id, { parent_item_id: child.id }), {
+    code: "23514",
+    message: /under itself/,
+  });
+});
+
+test("cascades project deletes and sets removed parents to null", async () => {
+  const parent = await createItem();
+  const child = await createItem({ parent_item_id: parent.id, is_sub_item: true });
+
+  await storage.estimateItems.delete(project.id, parent.id);
+  assert.equal((await storage.estimateItems.getById(project.id, child.id)).parent_item_id, null);
+
+  await storage.projects.delete(project.id);
+  assert.deepEqual(await storage.estimateItems.listByProject(project.id), []);
+});
+
+test("rolls back a whole batch when one operation fails", async () => {
+  const item = await createItem({ quantity: 1 });
+
+  const result = await storage.estimateItems.applyBatch(project.id, [
+    { op: "update", id: item.id, fields: { quantity: 2 } },
+    { op: "insert", fields: { title: "Nails" } },
+    { op: "update", id: item.id, fields: { unit_type: "furlong" } },
+  ]);
+
+  assert.equal(result.committed, false);
+  assert.equal(result.failedIndex, 2);
+  const items = await storage.estimateItems.listByProject(project.id);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].quantity, 1);
+});
+
+test("pages and sorts the projects of a user", async () => {
+  await storage.projects.update(project.id, { status: "active" });
+  const second = await storage.projects.create({ name: "Attic", business_id: 1, created_by: USER_ID });
+  const third = await storage.projects.create({ name: "Barn", business_id: 1, created_by: USER_ID, status: null });
+
+  const firstPage = await storage.projects.listPageForUser(USER_ID, { limit: 2, sort: "name", order: "asc" });
+  assert.equal(firstPage.total, 3);
+  assert.deepEqual(firstPage.projects.map((row) => row.name), ["Attic", "Barn"]);
+
+  const secondPage = await storage.projects.listPageForUser(USER_ID, { limit: 2, offset: 2, sort: "name", order: "asc" });
+  assert.deepEqual(secondPage.projects.map((row) => row.name), ["Deck"]);
+
+  const byStatus = await storage.projects.listPageForUser(USER_ID, { limit: 10, sort: "status", order: "desc" });
+  assert.deepEqual(byStatus.projects.map((row) => row.id), [second.id, project.id, third.id]);
+});
+
+test("lists every item of a project with more than 1000 items", async () => {
+  const fields = Array.from({ length: 1205 }, (_, index) => ({
+    project_id: project.id,
+    title: `Item ${index}`,
+  }));
+  await storage.estimateItems.createMany(fields);
+
+  const items = await storage.estimateItems.listByProject(project.id);
+  assert.equal(items.length, 1205);
+  assert.equal(new Set(items.map((item) => item.id)).size, 1205);
+
+  const page = await storage.estimateItems.listByProject(project.id, { offset: 1200, limit: 10 });
+  assert.deepEqual(page.map((item) => item.title), ["Item 1200", "Item 1201", "Item 1202", "Item 1203", "Item 1204"]);
+});
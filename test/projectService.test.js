@@ -0,0 +1,156 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage, setStorage } from "../storage/index.js";
+import {
+  updateLineItem,
+  applyLineItemInstruction,
+  applyRangeAction,
+  applyLineItemChanges,
+} from "../services/projectService.js";
+
+const USER_ID = "00000000-0000-0000-0000-000000000001";
+
+let storage;
+let project;
+
+beforeEach(async () => {
+  storage = createMemoryStorage({
+    users: [{ id: USER_ID, email: "test@example.com", token: "test-token" }],
+    businesses: [{ id: 1, name: "Test Business" }],
+    businessUsers: [{ business_id: 1, user_id: USER_ID, role: "owner" }],
+  });
+  setStorage(storage);
+  project = await storage.projects.create({ name: "Deck", business_id: 1, created_by: USER_ID });
+});
+
+after(() => {
+  setStorage(null);
+});
+
+/**
+ * Create an estimate item of the test project
+ * @param {Object} [fields] - Columns to set
+ * @returns {Promise<Object>} The created row
+ */
+function createItem(fields = {}) {
+  return storage.estimateItems.create({
+    project_id: project.id,
+    title: "Boards",
+    cost_type: "material",
+    ...fields,
+  });
+}
+
+test("recomputes the amount when only the quantity changes", async () => {
+  const item = await createItem({ quantity: 20, unit_price: 35, amount: 700 });
+
+  const updated = await updateLineItem(project.id, item.id, { quantity: 30 });
+
+  assert.equal(updated.amount, 1050);
+});
+
+test("recomputes the amount when only the unit price changes", async () => {
+  const item = await createItem({ quantity: 1.5, unit_price: 10, amount: 15 });
+
+  const updated = await updateLineItem(project.id, item.id, { unit_price: 12.25 });
+
+  assert.equal(updated.amount, 18.38);
+});
+
+test("keeps an explicit amount", async () => {
+  const item = await createItem({ quantity: 2, unit_price: 10, amount: 20 });
+
+  const updated = await updateLineItem(project.id, item.id, { quantity: 3, amount: 25 });
+
+  assert.equal(updated.amount, 25);
+});
+
+test("leaves the amount alone when the stored item has no unit price", async () => {
+  const item = await createItem({ quantity: 2, amount: 20 });
+
+  const updated = await updateLineItem(project.id, item.id, { quantity: 3 });
+
+  assert.equal(updated.amount, 20);
+});
+
+test("converts the stored unit price when the unit changes with a new quantity", async () => {
+  const item = await createItem({ unit_type: "sq-ft", quantity: 45, unit_price: 2, amount: 90 });
+
+  await applyLineItemInstruction(project.id, USER_ID, `+ ID:${item.id}, unit_type='sq yd', quantity=10`);
+
+  const updated = await storage.estimateItems.getById(project.id, item.id);
+  assert.equal(updated.unit_type, "sq-ft");
+  assert.equal(updated.quantity, 90);
+  assert.equal(updated.unit_price, 2);
+  assert.equal(updated.amount, 180);
+});
+
+test("converts the stored unit price from days to hours with a new quantity", async () => {
+  const item = await createItem({ unit_type: "day", quantity: 2, unit_price: 400, amount: 800 });
+
+  await applyLineItemInstruction(project.id, USER_ID, `+ ID:${item.id}, unit_type='hour', quantity=12`);
+
+  const updated = await storage.estimateItems.getById(project.id, item.id);
+  assert.equal(updated.unit_type, "hour");
+  assert.equal(updated.unit_price, 50);
+  assert.equal(updated.amount, 600);
+});
+
+test("resolves each instruction of an atomic batch against the earlier ones", async () => {
+  const item = await createItem({ quantity: 2, unit_price: 10, amount: 20 });
+
+  const summary = await applyLineItemChanges(
+    project.id,
+    USER_ID,
+    [`+ ID:${item.id}, quantity=3`, `+ ID:${item.id}, unit_price=5`],
+    "USD",
+    { atomic: true }
+  );
+
+  assert.equal(summary.committed, true);
+  const updated = await storage.estimateItems.getById(project.id, item.id);
+  assert.equal(updated.quantity, 3);
+  assert.equal(updated.unit_price, 5);
+  assert.equal(updated.amount, 15);
+});
+
+test("reports an update of a missing item as an error", async () => {
+  const result = await applyLineItemInstruction(project.id, USER_ID, "+ ID:999, quantity=2");
+
+  assert.equal(result.type, "error");
+  assert.equal(result.itemId, 999);
+  assert.equal(result.error, "Item ID:999 not found");
+});
+
+test("applies a range update to every item, recomputing each amount", async () => {
+  const first = await createItem({ quantity: 2, unit_price: 10, amount: 20 });
+  const second = await createItem({ quantity: 4, unit_price: 5, amount: 20 });
+
+  const result = await applyRangeAction(project.id, USER_ID, "update", [first, second], { quantity: 3 });
+
+  assert.equal(result.committed, true);
+  assert.deepEqual(result.items.map((item) => item.amount), [30, 15]);
+  assert.equal(result.summary.total, 45);
+});
+
+test("duplicates a range of items", async () => {
+  const item = await createItem({ quantity: 2, unit_price: 10, amount: 20, data: { note: "kept" } });
+
+  const result = await applyRangeAction(project.id, USER_ID, "duplicate", [item]);
+
+  assert.equal(result.committed, true);
+  assert.notEqual(result.items[0].id, item.id);
+  assert.deepEqual(result.items[0].data, { note: "kept" });
+  assert.equal((await storage.estimateItems.listByProject(project.id)).length, 2);
+});
+
+test("applies nothing when a range action fails for one item", async () => {
+  const item = await createItem();
+
+  const result = await applyRangeAction(project.id, USER_ID, "delete", [item, { id: 999 }]);
+
+  assert.equal(result.committed, false);
+  assert.equal(result.itemId, 999);
+  assert.match(result.error, /item ID:999 not found/);
+  assert.equal((await storage.estimateItems.listByProject(project.id)).length, 1);
+});
@@ -0,0 +1,39 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage, setStorage } from "../storage/index.js";
+import { captureProjectItems, recordRevision, undoRevision } from "../services/revisionService.js";
+
+const USER_ID = "00000000-0000-0000-0000-000000000001";
+
+let storage;
+let project;
+
+beforeEach(async () => {
+  storage = createMemoryStorage({
+    users: [{ id: USER_ID, email: "test@example.com", token: "test-token" }],
+    businesses: [{ id: 1, name: "Test Business" }],
+    businessUsers: [{ business_id: 1, user_id: USER_ID, role: "owner" }],
+  });
+  setStorage(storage);
+  project = await storage.projects.create({ name: "Deck", business_id: 1, created_by: USER_ID });
+});
+
+after(() => {
+  setStorage(null);
+});
+
+test("records only the deleted item of a project with more than 1000 items", async () => {
+  const items = await storage.estimateItems.createMany(
+    Array.from({ length: 1100 }, (_, index) => ({ project_id: project.id, title: `Item ${index}` }))
+  );
+
+  const before = await captureProjectItems(project.id);
+  await storage.estimateItems.delete(project.id, items[10].id);
+  const revisionId = await recordRevision(project.id, USER_ID, before);
+
+  const revision = await storage.revisions.getById(project.id, revisionId);
+  assert.deepEqual(revision.changes.map((change) => [change.item_id, change.after]), [[items[10].id, null]]);
+
+  await undoRevision(project.id);
+  assert.equal((await storage.estimateItems.listByProject(project.id)).length, 1100);
+});
@@ -0,0 +1,87 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage, setStorage } from "../storage/index.js";
+import { recomputeProjectRollups } from "../services/rollupService.js";
+
+const USER_ID = "00000000-0000-0000-0000-000000000001";
+
+let storage;
+let project;
+let totalWrites;
+
+beforeEach(async () => {
+  storage = createMemoryStorage({
+    users: [{ id: USER_ID, email: "test@example.com", token: "test-token" }],
+    businesses: [{ id: 1, name: "Test Business" }],
+    businessUsers: [{ business_id: 1, user_id: USER_ID, role: "owner" }],
+  });
+  project = await storage.projects.create({ name: "Deck", business_id: 1, created_by: USER_ID });
+
+  // Record every write of item totals
+  totalWrites = [];
+  const { updateTotals } = storage.estimateItems;
+  storage.estimateItems.updateTotals = (projectId, totals) => {
+    totalWrites.push(totals);
+    return updateTotals(projectId, totals);
+  };
+  storage.estimateItems.update = () => {
+    throw new Error("totals must be written with updateTotals");
+  };
+  setStorage(storage);
+});
+
+after(() => {
+  setStorage(null);
+});
+
+/**
+ * Create an estimate item of the test project
+ * @param {Object} [fields] - Columns to set
+ * @returns {Promise<Object>} The created row
+ */
+function createItem(fields = {}) {
+  return storage.estimateItems.create({ project_id: project.id, title: "Boards", ...fields });
+}
+
+test("writes the changed item totals in one call", async () => {
+  const parent = await createItem({ amount: 100 });
+  const child = await createItem({ amount: 50, parent_item_id: parent.id, is_sub_item: true });
+
+  const summary = await recomputeProjectRollups(project.id);
+
+  assert.equal(summary.total, 150);
+  assert.equal(totalWrites.length, 1);
+  assert.deepEqual(
+    totalWrites[0].sort((a, b) => a.id - b.id),
+    [
+      { id: parent.id, total_amount: 150 },
+      { id: child.id, total_amount: 50 },
+    ]
+  );
+  assert.equal((await storage.estimateItems.getById(project.id, parent.id)).total_amount, 150);
+});
+
+test("writes only the totals that changed", async () => {
+  const parent = await createItem({ amount: 100 });
+  await createItem({ amount: 50, parent_item_id: parent.id, is_sub_item: true });
+  const other = await createItem({ amount: 10 });
+  await recomputeProjectRollups(project.id);
+  totalWrites = [];
+
+  await storage.estimateItems.applyBatch(project.id, [
+    { op: "update", id: other.id, fields: { amount: 20 } },
+  ]);
+  await recomputeProjectRollups(project.id);
+
+  assert.deepEqual(totalWrites, [[{ id: other.id, total_amount: 20 }]]);
+});
+
+test("skips the write when no total changed", async () => {
+  await createItem({ amount: 100 });
+  await recomputeProjectRollups(project.id);
+  totalWrites = [];
+
+  await recomputeProjectRollups(project.id);
+
+  assert.deepEqual(totalWrites, []);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSupabaseStorage } from "../storage/adapters/supabaseAdapter.js";
+
+const MAX_ROWS = 1000;
+
+/**
+ * Create a stand-in for the Supabase client that serves estimate_items rows
+ * and, like PostgREST, returns at most MAX_ROWS rows per request
+ * @param {Array<Object>} rows - estimate_items rows
+ * @returns {Object} Client with the query builder methods used by listByProject, and the requested ranges
+ */
+function createFakeClient(rows) {
+  const ranges = [];
+
+  const from = () => {
+    let filtered = rows;
+    let range = [0, Infinity];
+
+    const builder = {
+      select: () => builder,
+      order: () => builder,
+      eq(column, value) {
+        filtered = filtered.filter((row) => String(row[column]) === String(value));
+        return builder;
+      },
+      range(start, end) {
+        range = [start, end];
+        ranges.push(range);
+        return builder;
+      },
+      then(resolve, reject) {
+        const end = Math.min(range[1] + 1, range[0] + MAX_ROWS);
+        return Promise.resolve({ data: filtered.slice(range[0], end), error: null }).then(resolve, reject);
+      },
+    };
+    return builder;
+  };
+
+  return { from, ranges };
+}
+
+test("listByProject reads past the max_rows cap when no limit is given", async () => {
+  const rows = Array.from({ length: 2500 }, (_, index) => ({ id: index + 1, project_id: 7 }));
+  const client = createFakeClient(rows);
+  const storage = createSupabaseStorage(client);
+
+  const items = await storage.estimateItems.listByProject(7);
+
+  assert.equal(items.length, 2500);
+  assert.deepEqual(client.ranges, [[0, 999], [1000, 1999], [2000, 2999]]);
+});
+
+test("listByProject reads one page when a limit is given", async () => {
+  const rows = Array.from({ length: 50 }, (_, index) => ({ id: index + 1, project_id: 7 }));
+  const client = createFakeClient(rows);
+  const storage = createSupabaseStorage(client);
+
+  const items = await storage.estimateItems.listByProject(7, { offset: 10, limit: 5 });
+
+  assert.deepEqual(items.map((item) => item.id), [11, 12, 13, 14, 15]);
+  assert.deepEqual(client.ranges, [[10, 14]]);
+});
@@ -0,0 +1,386 @@
+/**
+ * Grammar and parser for the estimate action language used inside <action>
+ * elements.
+ *
+ * ```
+ * action         = add | update | delete | move ;
+ * add            = "+" attribute-list ;
+ * update         = "+" id-ref [ "," attribute-list ] ;
+ * delete         = "-" id-ref ;
+ * move           = ( "move" | "reparent" ) id-ref "to" target ;
+ * target         = id-ref | string | "root" ;
+ * id-ref         = "ID" ":" digit { digit } ;
+ * attribute-list = attribute { "," attribute } ;
+ * attribute      = name "=" value ;
+ * name           = letter { letter | digit | "_" } ;
+ * value          = string | bare-value ;
+ * string         = "'" { char | "\" char } "'" | '"' { char | "\" char } '"' ;
+ * bare-value     = { any character except "," } ;
+ * ```
+ *
+ * Whitespace is allowed between all tokens and keywords are case-insensitive.
+ * Inside a string a backslash escapes the next character, so `\'` is a quote
+ * and `\\` a backslash. Because models often forget to escape apostrophes, a
+ * quote that is not followed by a comma or the end of the action is kept as
+ * part of the string. Bare values are trimmed and typed: numbers become
+ * numbers (except for the text fields in TEXT_ATTRIBUTES), `true`/`false`
+ * booleans and `null` null. A bare value containing `name=`, or an
+ * unterminated string with a quote followed by `name=`, is reported as a
+ * missing comma.
+ */
+
+/**
+ * Attributes whose bare values are always kept as strings
+ * @readonly
+ */
+const TEXT_ATTRIBUTES = ["title", "description", "cost_type", "unit_type", "status", "parent", "ref", "parent_ref"];
+
+/**
+ * Verbs accepted for moving an item under another parent
+ * @readonly
+ */
+const MOVE_VERBS = ["move", "reparent"];
+
+/**
+ * Error raised for an action that does not match the grammar
+ */
+class ActionSyntaxError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {string} source - The action being parsed
+   * @param {number} column - 1-based column where the problem was found
+   */
+  constructor(message, source, column) {
+    super(`${message} at column ${column}`);
+    this.name = "ActionSyntaxError";
+    this.source = source;
+    this.column = column;
+  }
+}
+
+/**
+ * Create a cursor over an action string
+ * @param {string} source - The action string
+ * @returns {Object} - Cursor with the helpers used by the parser
+ */
+function createCursor(source) {
+  let pos = 0;
+
+  const cursor = {
+    get pos() {
+      return pos;
+    },
+    peek(offset = 0) {
+      return source[pos + offset];
+    },
+    atEnd() {
+      return pos >= source.length;
+    },
+    advance(count = 1) {
+      pos += count;
+    },
+    skipWhitespace() {
+      while (pos < source.length && /\s/.test(source[pos])) pos++;
+    },
+    rest() {
+      return source.substring(pos);
+    },
+    fail(message, at = pos) {
+      throw new ActionSyntaxError(message, source, at + 1);
+    },
+    /**
+     * Consume a case-insensitive keyword followed by a non-word character
+     * @param {string} keyword - The keyword
+     * @returns {boolean} - Whether the keyword was consumed
+     */
+    acceptKeyword(keyword) {
+      const candidate = source.substr(pos, keyword.length);
+      const next = source[pos + keyword.length];
+      if (candidate.toLowerCase() === keyword && (next === undefined || !/\w/.test(next))) {
+        pos += keyword.length;
+        return true;
+      }
+      return false;
+    },
+    expect(char, description = `"${char}"`) {
+      cursor.skipWhitespace();
+      if (source[pos] !== char) {
+        cursor.fail(`Expected ${description}${cursor.atEnd() ? " but the action ended" : ` but found "${source[pos]}"`}`);
+      }
+      pos++;
+    },
+  };
+
+  return cursor;
+}
+
+/**
+ * Parse an `ID:<n>` reference
+ * @param {Object} cursor - Parser cursor
+ * @returns {number} - The item ID
+ */
+function parseIdRef(cursor) {
+  cursor.skipWhitespace();
+  const start = cursor.pos;
+  if (!cursor.acceptKeyword("id")) {
+    cursor.fail("Expected an item reference like ID:123");
+  }
+  cursor.expect(":");
+  cursor.skipWhitespace();
+
+  let digits = "";
+  while (!cursor.atEnd() && /\d/.test(cursor.peek())) {
+    digits += cursor.peek();
+    cursor.advance();
+  }
+
+  if (!digits) {
+    cursor.fail("Expected digits after ID:", cursor.pos);
+  }
+  if (!cursor.atEnd() && /\w/.test(cursor.peek())) {
+    cursor.fail("Invalid item ID", start);
+  }
+
+  return parseInt(digits, 10);
+}
+
+/**
+ * Whether only whitespace stands between a position and the next comma or the end
+ * @param {Object} cursor - Parser cursor
+ * @param {number} offset - Offset from the cursor to start looking at
+ * @returns {boolean}
+ */
+function endsValue(cursor, offset) {
+  for (let i = offset; ; i++) {
+    const char = cursor.peek(i);
+    if (char === undefined || char === ",") return true;
+    if (!/\s/.test(char)) return false;
+  }
+}
+
+/**
+ * Parse a quoted string, starting at the opening quote
+ * @param {Object} cursor - Parser cursor
+ * @returns {string} - The unescaped string
+ */
+function parseString(cursor) {
+  const start = cursor.pos;
+  const quote = cursor.peek();
+  let value = "";
+  // First quote followed by `name=`, where a comma was probably left out
+  let missingComma = null;
+  cursor.advance();
+
+  while (!cursor.atEnd()) {
+    const char = cursor.peek();
+
+    if (char === "\\" && cursor.peek(1) !== undefined) {
+      value += cursor.peek(1);
+      cursor.advance(2);
+      continue;
+    }
+
+    if (char === quote && endsValue(cursor, 1)) {
+      cursor.advance();
+      return value;
+    }
+
+    if (char === quote && missingComma === null) {
+      const following = cursor.rest().substring(1).match(/^\s+[A-Za-z]\w*\s*=/);
+      if (following) missingComma = cursor.pos + following[0].search(/\S/) + 1;
+    }
+
+    value += char;
+    cursor.advance();
+  }
+
+  if (missingComma !== null) {
+    return cursor.fail('Expected "," between attributes', missingComma);
+  }
+  return cursor.fail("Unterminated string", start);
+}
+
+/**
+ * Convert a bare value to a number, boolean or null where it looks like one
+ * @param {string} name - The attribute name
+ * @param {string} raw - The trimmed bare value
+ * @returns {any} - The typed value
+ */
+function typeBareValue(name, raw) {
+  if (TEXT_ATTRIBUTES.includes(name)) return raw;
+  if (raw !== "" && !isNaN(raw)) return Number(raw);
+
+  const lower = raw.toLowerCase();
+  if (lower === "true") return true;
+  if (lower === "false") return false;
+  if (lower === "null") return null;
+  return raw;
+}
+
+/**
+ * Parse a comma separated attribute list up to the end of the action
+ * @param {Object} cursor - Parser cursor
+ * @returns {Object} - Attributes by name
+ */
+function parseAttributeList(cursor) {
+  const attributes = {};
+
+  while (true) {
+    cursor.skipWhitespace();
+    const nameStart = cursor.pos;
+    let name = "";
+    while (!cursor.atEnd() && /\w/.test(cursor.peek())) {
+      name += cursor.peek();
+      cursor.advance();
+    }
+
+    if (!name || !/^[A-Za-z]/.test(name)) {
+      cursor.fail("Expected an attribute name", nameStart);
+    }
+    if (Object.prototype.hasOwnProperty.call(attributes, name)) {
+      cursor.fail(`Duplicate attribute "${name}"`, nameStart);
+    }
+
+    cursor.expect("=", `"=" after "${name}"`);
+    cursor.skipWhitespace();
+
+    if (cursor.peek() === "'" || cursor.peek() === '"') {
+      attributes[name] = parseString(cursor);
+    } else {
+      const valueStart = cursor.pos;
+      let raw = "";
+      while (!cursor.atEnd() && cursor.peek() !== ",") {
+        raw += cursor.peek();
+        cursor.advance();
+      }
+
+      // `quantity=3 unit_price=4` is a missing comma, not the value "3 unit_price=4"
+      const missingComma = raw.match(/\s([A-Za-z]\w*)\s*=/);
+      if (missingComma) {
+        cursor.fail('Expected "," between attributes', valueStart + missingComma.index + 1);
+      }
+      attributes[name] = typeBareValue(name, raw.trim());
+    }
+
+    cursor.skipWhitespace();
+    if (cursor.atEnd()) {
+      return attributes;
+    }
+    cursor.expect(",", '"," between attributes');
+  }
+}
+
+/**
+ * Parse the target of a move: an item reference, a parent description or `root`
+ * @param {Object} cursor - Parser cursor
+ * @returns {Object} - `{ type: 'root' }`, `{ type: 'id', id }` or `{ type: 'description', description }`
+ */
+function parseMoveTarget(cursor) {
+  cursor.skipWhitespace();
+
+  if (cursor.acceptKeyword("root")) {
+    return { type: "root" };
+  }
+  if (cursor.peek() === "'" || cursor.peek() === '"') {
+    return { type: "description", description: parseString(cursor) };
+  }
+  return { type: "id", id: parseIdRef(cursor) };
+}
+
+/**
+ * Parse a single action
+ * @param {string} source - The action text (the content of an <action> element)
+ * @returns {Object} - `{ verb: 'add', attributes }`, `{ verb: 'update', id, attributes }`,
+ *   `{ verb: 'delete', id }` or `{ verb: 'move', id, target }`
+ * @throws {ActionSyntaxError} - If the action does not match the grammar
+ */
+function parseAction(source) {
+  const cursor = createCursor(String(source));
+  let action;
+
+  cursor.skipWhitespace();
+
+  if (cursor.atEnd()) {
+    cursor.fail("Empty action");
+  }
+
+  if (cursor.peek() === "+") {
+    cursor.advance();
+    cursor.skipWhitespace();
+
+    if (/^id\s*:/i.test(cursor.rest())) {
+      const id = parseIdRef(cursor);
+      cursor.skipWhitespace();
+      let attributes = {};
+      if (!cursor.atEnd()) {
+        cursor.expect(",", '"," after the item ID');
+        attributes = parseAttributeList(cursor);
+      }
+      action = { verb: "update", id, attributes };
+    } else {
+      action = { verb: "add", attributes: parseAttributeList(cursor) };
+    }
+  } else if (cursor.peek() === "-") {
+    cursor.advance();
+    action = { verb: "delete", id: parseIdRef(cursor) };
+  } else if (MOVE_VERBS.some((verb) => cursor.acceptKeyword(verb))) {
+    const id = parseIdRef(cursor);
+    cursor.skipWhitespace();
+    if (!cursor.acceptKeyword("to")) {
+      cursor.fail('Expected "to" after the item ID');
+    }
+    action = { verb: "move", id, target: parseMoveTarget(cursor) };
+  } else {
+    cursor.fail(`Expected "+", "-", "move" or "reparent"`);
+  }
+
+  cursor.skipWhitespace();
+  if (!cursor.atEnd()) {
+    cursor.fail(`Unexpected "${cursor.peek()}" after the end of the action`);
+  }
+
+  return action;
+}
+
+/**
+ * Format a value so that parseAction reads it back unchanged
+ * @param {any} value - Attribute value
+ * @returns {string} - The formatted value
+ */
+function formatValue(value) {
+  if (value === null) return "null";
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Format a parsed action back into action text
+ * @param {Object} action - An action as returned by parseAction
+ * @returns {string} - The action text
+ */
+function formatAction(action) {
+  const attributes = Object.entries(action.attributes || {})
+    .map(([name, value]) => `${name}=${formatValue(value)}`)
+    .join(", ");
+
+  switch (action.verb) {
+    case "add":
+      return `+ ${attributes}`;
+    case "update":
+      return attributes ? `+ ID:${action.id}, ${attributes}` : `+ ID:${action.id}`;
+    case "delete":
+      return `- ID:${action.id}`;
+    case "move": {
+      const { target } = action;
+      const formattedTarget =
+        target.type === "root" ? "root"
+          : target.type === "description" ? formatValue(target.description)
+            : `ID:${target.id}`;
+      return `move ID:${action.id} to ${formattedTarget}`;
+    }
+    default:
+      throw new Error(`Unknown action verb: ${action.verb}`);
+  }
+}
+
+export { ActionSyntaxError, parseAction, formatAction, formatValue, TEXT_ATTRIBUTES };
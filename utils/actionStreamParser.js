@@ -0,0 +1,101 @@
+/**
+ * Incremental parser for the estimate XML emitted by the model.
+ * Complete <project_title>, <currency> and <action> elements are extracted
+ * as soon as their closing tag arrives, so actions can be applied while the
+ * rest of the response is still streaming.
+ */
+
+const STREAMED_ELEMENTS = ["project_title", "currency", "action"];
+
+const ELEMENT_REGEX = new RegExp(
+  `<(${STREAMED_ELEMENTS.join("|")})>([\\s\\S]*?)<\\/\\1>`,
+  "g"
+);
+
+/**
+ * Decode the predefined XML entities
+ * @param {string} text - Text content of an element
+ * @returns {string} - Decoded text
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Find where the unparsed remainder of the buffer has to be kept from:
+ * the start of an element that is still open, or the tail that may hold
+ * a partially received tag.
+ * @param {string} buffer - The remaining buffer
+ * @returns {number} - Index to keep the buffer from
+ */
+function findRetainIndex(buffer) {
+  let retainFrom = -1;
+
+  for (const name of STREAMED_ELEMENTS) {
+    const openIndex = buffer.lastIndexOf(`<${name}>`);
+    if (openIndex !== -1 && (retainFrom === -1 || openIndex < retainFrom)) {
+      retainFrom = openIndex;
+    }
+  }
+
+  if (retainFrom !== -1) {
+    return retainFrom;
+  }
+
+  const lastTagStart = buffer.lastIndexOf("<");
+  return lastTagStart === -1 ? buffer.length : lastTagStart;
+}
+
+/**
+ * Create a parser that turns streamed response chunks into events
+ * @returns {Object} - Parser with `push(chunk)` and `end()`, both returning an array of events:
+ *   `{ type: 'project_title', value }`, `{ type: 'currency', value }` or `{ type: 'action', instruction }`
+ */
+function createActionStreamParser() {
+  let buffer = "";
+
+  const drain = () => {
+    const events = [];
+    let lastIndex = 0;
+    let match;
+
+    ELEMENT_REGEX.lastIndex = 0;
+    while ((match = ELEMENT_REGEX.exec(buffer)) !== null) {
+      const [, name, content] = match;
+      const value = decodeXmlEntities(content).trim();
+      lastIndex = ELEMENT_REGEX.lastIndex;
+
+      if (!value) continue;
+
+      if (name === "action") {
+        events.push({ type: "action", instruction: value });
+      } else {
+        events.push({ type: name, value });
+      }
+    }
+
+    const remainder = buffer.substring(lastIndex);
+    buffer = remainder.substring(findRetainIndex(remainder));
+
+    return events;
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      return drain();
+    },
+    end() {
+      const events = drain();
+      buffer = "";
+      return events;
+    },
+  };
+}
+
+export { createActionStreamParser };
@@ -0,0 +1,22 @@
+/**
+ * Serialize a value with sorted object keys, so that values read back from a
+ * jsonb column (which does not keep key order) compare equal to the values
+ * that were stored
+ * @param {any} value - The value
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+export { canonicalJson };
@@ -0,0 +1,69 @@
+/**
+ * Minimal CSV reader (RFC 4180): comma-separated fields, optionally quoted
+ * with double quotes, where a doubled quote is a literal quote and quoted
+ * fields may contain commas and line breaks. Whitespace is kept, since
+ * leading spaces can carry the indentation of an outline.
+ */
+
+/**
+ * Parse a CSV document
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} - The rows, each an array of fields
+ * @throws {Error} - If a quoted field is not closed
+ */
+function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let pos = 0;
+
+  while (pos < source.length) {
+    const char = source[pos];
+
+    if (quoted) {
+      if (char === '"' && source[pos + 1] === '"') {
+        field += '"';
+        pos += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      pos++;
+      continue;
+    }
+
+    if (char === '"' && field.trim() === "") {
+      // Spaces before an opening quote are indentation, not part of the value
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\r" || char === "\n") {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+      if (char === "\r" && source[pos + 1] === "\n") pos++;
+    } else {
+      field += char;
+    }
+    pos++;
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted field at the end of the CSV");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+export { parseCsv };
@@ -0,0 +1,141 @@
+/**
+ * Helpers for the hierarchy of estimate items (estimate_items.parent_item_id).
+ * Items nest to any depth. Instructions name a parent by its description or
+ * by a path of descriptions from one of its ancestors, e.g. 'Framing > Labor'.
+ */
+
+/**
+ * Separator between the descriptions of a parent path
+ * @readonly
+ */
+const PARENT_PATH_SEPARATOR = ">";
+
+/**
+ * Join descriptions into a parent path
+ * @param {Array<string>} descriptions - Descriptions from the outermost ancestor down
+ * @returns {string} - The path, e.g. 'Framing > Walls > Labor'
+ */
+function formatParentPath(descriptions) {
+  return descriptions.join(` ${PARENT_PATH_SEPARATOR} `);
+}
+
+/**
+ * Normalize a description for comparison with a path segment
+ * @param {string|null} text - The description
+ * @returns {string}
+ */
+function comparableDescription(text) {
+  return String(text ?? "").trim().toLowerCase();
+}
+
+/**
+ * Index items by ID
+ * @param {Array<Object>} items - estimate_items rows
+ * @returns {Map<string, Object>}
+ */
+function indexById(items) {
+  return new Map(items.map((item) => [String(item.id), item]));
+}
+
+/**
+ * Get the parent of an item
+ * @param {Map<string, Object>} itemsById - Items by ID (see indexById)
+ * @param {Object} item - The item
+ * @returns {Object|null} - The parent, or null for a top-level item
+ */
+function parentOf(itemsById, item) {
+  if (item.parent_item_id === null || item.parent_item_id === undefined) {
+    return null;
+  }
+  return itemsById.get(String(item.parent_item_id)) || null;
+}
+
+/**
+ * Find the item a parent reference names. An item whose description is the
+ * whole reference wins. Otherwise the reference is read as a path: its last
+ * segment must match the item and the segments before it its nearest
+ * ancestors. Path segments are compared trimmed and case-insensitively.
+ * This mirrors find_estimate_item_by_parent_reference in the migrations.
+ * @param {Array<Object>} items - estimate_items rows of the project, in ID order
+ * @param {string} reference - A description or a parent path
+ * @returns {Object|null} - The first matching item, or null if none matches
+ */
+function findItemByParentReference(items, reference) {
+  const exact = items.find((item) => item.description === reference);
+  if (exact) return exact;
+
+  const segments = String(reference).split(PARENT_PATH_SEPARATOR).map(comparableDescription);
+  const itemsById = indexById(items);
+
+  return (
+    items.find((item) => {
+      let current = item;
+      for (let index = segments.length - 1; index >= 0; index--) {
+        if (!current || comparableDescription(current.description) !== segments[index]) {
+          return false;
+        }
+        current = parentOf(itemsById, current);
+      }
+      return true;
+    }) || null
+  );
+}
+
+/**
+ * Check whether giving an item a new parent would make the item its own ancestor
+ * @param {Array<Object>} items - estimate_items rows of the project
+ * @param {number|string} itemId - The ID of the item
+ * @param {number|string|null} parentId - The ID of the new parent
+ * @returns {boolean}
+ */
+function createsCycle(items, itemId, parentId) {
+  const itemsById = indexById(items);
+  const visited = new Set();
+
+  for (let id = parentId; id !== null && id !== undefined; ) {
+    const key = String(id);
+    if (key === String(itemId)) return true;
+    // Stop at a loop that does not contain the item
+    if (visited.has(key)) return false;
+    visited.add(key);
+
+    const ancestor = itemsById.get(key);
+    id = ancestor ? ancestor.parent_item_id : null;
+  }
+
+  return false;
+}
+
+/**
+ * Collect an item and all of its descendants
+ * @param {Array<Object>} items - estimate_items rows of the project
+ * @param {number|string} itemId - The ID of the item
+ * @returns {Array<Object>} - The item first, then its descendants level by level
+ *   (empty if the item is not in `items`)
+ */
+function collectSubtree(items, itemId) {
+  const root = items.find((item) => String(item.id) === String(itemId));
+  if (!root) return [];
+
+  const subtree = [root];
+  const included = new Set([String(root.id)]);
+  for (let index = 0; index < subtree.length; index++) {
+    const parentId = String(subtree[index].id);
+    for (const item of items) {
+      if (String(item.parent_item_id) === parentId && !included.has(String(item.id))) {
+        included.add(String(item.id));
+        subtree.push(item);
+      }
+    }
+  }
+
+  return subtree;
+}
+
+export {
+  PARENT_PATH_SEPARATOR,
+  formatParentPath,
+  findItemByParentReference,
+  createsCycle,
+  collectSubtree,
+};
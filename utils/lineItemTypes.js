@@ -0,0 +1,35 @@
+/**
+ * Allowed values of the typed columns of estimate_items. They mirror the
+ * CHECK constraints and are shared by the services that validate items,
+ * catalog entries and pricing rules.
+ */
+
+/**
+ * Allowed values for estimate_items.unit_type (mirrors the CHECK constraint)
+ * @readonly
+ */
+const VALID_UNIT_TYPES = [
+  "unit",
+  "sq-ft",
+  "board-ft",
+  "hour",
+  "day",
+  "package",
+  "linear-ft",
+];
+
+/**
+ * Allowed values for estimate_items.cost_type (mirrors the CHECK constraint)
+ * @readonly
+ */
+const VALID_COST_TYPES = [
+  "admin",
+  "subcontractor",
+  "material",
+  "labor",
+  "equipment",
+  "overhead",
+  "other",
+];
+
+export { VALID_UNIT_TYPES, VALID_COST_TYPES };
@@ -0,0 +1,33 @@
+/**
+ * Helpers for line item amounts, which are stored as NUMERIC(10, 2)
+ */
+
+/**
+ * Round a value to cents
+ * @param {number} value - The value
+ * @returns {number} - The rounded value
+ */
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Get the amount of an estimate item as a number
+ * @param {Object|null} item - An estimate_items row
+ * @returns {number} - The amount, or 0 if the item has none
+ */
+function amountOf(item) {
+  const amount = item ? Number(item.amount) : 0;
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+/**
+ * Sum the amounts of estimate items
+ * @param {Array<Object>} items - estimate_items rows
+ * @returns {number} - The rounded total
+ */
+function sumAmounts(items) {
+  return roundAmount(items.reduce((total, item) => total + amountOf(item), 0));
+}
+
+export { roundAmount, amountOf, sumAmounts };
@@ -39,8 +39,9 @@ function generateGeminiXmlTemplate() {
   <currency>USD</currency>
   <actions>
     <action>+ description='Description of item', quantity=1, unit_price=100, amount=100, unit_type='hour', cost_type='labor'</action>
-    <action>+ description='Another item with sub-items', quantity=1, unit_price=200, amount=200, unit_type='each', cost_type='material'</action>
-    <action>+ description='Sub-item 1', quantity=2, unit_price=50, amount=100, parent='Another item with sub-items', is_sub_item=true</action>
+    <action>+ description='Another item with sub-items', quantity=1, unit_price=200, amount=200, unit_type='each', cost_type='material', ref='2'</action>
+    <action>+ description='Sub-item 1', quantity=2, unit_price=50, amount=100, ref='2.1', parent_ref='2', is_sub_item=true</action>
+    <action>+ description='Part of sub-item 1', quantity=4, unit_price=10, amount=40, parent_ref='2.1', is_sub_item=true</action>
   </actions>
 </estimate>
   `;
@@ -83,6 +84,7 @@ function generateResponseStructureTemplate() {
           amount: 100,
           unitType: "hour",
           costType: "labor",
+          catalogId: 12,
           subItems: [
             {
               description: "Description of sub-item",
@@ -91,6 +93,18 @@ function generateResponseStructureTemplate() {
               amount: 50,
               unitType: "hour",
               costType: "labor",
+              catalogId: 12,
+              subItems: [
+                {
+                  description: "Description of a part of the sub-item",
+                  quantity: 1,
+                  unitPrice: 25,
+                  amount: 25,
+                  unitType: "hour",
+                  costType: "labor",
+                  catalogId: 12,
+                },
+              ],
             },
           ],
         },
@@ -99,10 +113,193 @@ function generateResponseStructureTemplate() {
   };
 }
 
+/**
+ * Line item columns the model may set through a JSON action
+ * @readonly
+ */
+const ACTION_ITEM_FIELDS = [
+  "title",
+  "description",
+  "quantity",
+  "unit_price",
+  "unit_type",
+  "cost_type",
+  "amount",
+];
+
+/**
+ * Verbs of a JSON action (the same operations as the action language)
+ * @readonly
+ */
+const ACTION_VERBS = ["add", "update", "delete", "move"];
+
+/**
+ * Derive a response schema from a sample value such as the response structure template.
+ * Object properties are required unless their name is listed in `optional`, and
+ * arrays take the schema of their first element.
+ * @param {any} template - Sample value
+ * @param {Object} [options] - Derivation options
+ * @param {Array<string>} [options.optional] - Property names that are not required
+ * @returns {Object} Response schema (the subset of JSON Schema accepted by Gemini)
+ */
+function generateSchemaFromTemplate(template, { optional = [] } = {}) {
+  if (Array.isArray(template)) {
+    return {
+      type: "array",
+      items: generateSchemaFromTemplate(template[0], { optional }),
+    };
+  }
+
+  if (template !== null && typeof template === "object") {
+    const properties = {};
+    for (const [key, value] of Object.entries(template)) {
+      properties[key] = generateSchemaFromTemplate(value, { optional });
+    }
+
+    return {
+      type: "object",
+      properties,
+      required: Object.keys(template).filter((key) => !optional.includes(key)),
+    };
+  }
+
+  return { type: typeof template };
+}
+
+/**
+ * Generate the response schema for a new estimate in JSON mode
+ * @returns {Object} Response schema derived from generateResponseStructureTemplate
+ */
+function generateEstimateResponseSchema() {
+  return generateSchemaFromTemplate(generateResponseStructureTemplate(), {
+    optional: ["totalAmount", "unitType", "costType", "catalogId", "subItems"],
+  });
+}
+
+/**
+ * Generate the response schema for changes to an existing estimate in JSON mode
+ * @returns {Object} Response schema for `{ actions: [...] }`, with the item fields
+ *   typed from generateEstimateItemsSchema
+ */
+function generateActionsResponseSchema() {
+  const columnTypes = generateEstimateItemsSchema();
+  const itemProperties = {};
+  for (const field of ACTION_ITEM_FIELDS) {
+    itemProperties[field] = { type: columnTypes[field] };
+  }
+
+  return {
+    type: "object",
+    properties: {
+      actions: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            verb: { type: "string", format: "enum", enum: ACTION_VERBS },
+            id: {
+              type: "integer",
+              description: "ID of the item to update, delete or move",
+            },
+            parent: {
+              type: "string",
+              description: "Description of the parent item of a new sub-item, or the path of descriptions down to it (e.g. 'Framing > Walls')",
+            },
+            parent_id: {
+              type: "integer",
+              description: "Existing parent of a new sub-item, or the new parent of a moved item; omit it to move the item to the top level",
+            },
+            ref: {
+              type: "string",
+              description: "Reference to a new item, unique in the response, that later sub-items name in parent_ref",
+            },
+            parent_ref: {
+              type: "string",
+              description: "ref of the parent of a new sub-item, added earlier in the response",
+            },
+            catalog_id: {
+              type: "integer",
+              description: "ID of the price book entry an added or updated item is priced from",
+            },
+            ...itemProperties,
+          },
+          required: ["verb"],
+        },
+      },
+    },
+    required: ["actions"],
+  };
+}
+
+/**
+ * Check whether a value has a response schema type
+ * @param {any} value - The value
+ * @param {string} type - Schema type name
+ * @returns {boolean}
+ */
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "array":
+      return Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a response schema
+ * @param {any} value - The value to validate (e.g. a parsed model response)
+ * @param {Object} schema - Schema from generateSchemaFromTemplate or generateActionsResponseSchema
+ * @param {string} [path] - Path of the value, used in error messages
+ * @returns {string|null} Error message for the first mismatch, null if the value is valid
+ */
+function validateAgainstSchema(value, schema, path = "response") {
+  if (!matchesSchemaType(value, schema.type)) {
+    return `${path} must be of type ${schema.type}`;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${path} must be one of: ${schema.enum.join(", ")}`;
+  }
+
+  if (schema.type === "array") {
+    for (let i = 0; i < value.length; i++) {
+      const error = validateAgainstSchema(value[i], schema.items, `${path}[${i}]`);
+      if (error) return error;
+    }
+  }
+
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        return `${path}.${key} is required`;
+      }
+    }
+
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] === undefined || value[key] === null) continue;
+      const error = validateAgainstSchema(value[key], propertySchema, `${path}.${key}`);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
 export {
   generateEstimateItemsSchema,
   generateGeminiXmlTemplate,
   generateUpdateInstruction,
   generateDeleteInstruction,
   generateResponseStructureTemplate,
+  generateSchemaFromTemplate,
+  generateEstimateResponseSchema,
+  generateActionsResponseSchema,
+  validateAgainstSchema,
 };
@@ -0,0 +1,38 @@
+/**
+ * Helpers for writing Server-Sent Events responses
+ */
+
+/**
+ * Prepare an Express response for Server-Sent Events
+ * @param {Object} res - Express response object
+ */
+function initSse(res) {
+  res.status(200);
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Disable response buffering in nginx-style proxies
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write a single named event with a JSON payload
+ * @param {Object} res - Express response object
+ * @param {string} event - The event name
+ * @param {Object} data - The payload (serialized as JSON)
+ * @returns {boolean} - False if the connection is already closed
+ */
+function sendSseEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) {
+    return false;
+  }
+
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+  return true;
+}
+
+export { initSse, sendSseEvent };
@@ -0,0 +1,144 @@
+/**
+ * Units of measure for estimate_items.unit_type. The canonical values mirror
+ * the CHECK constraint; free-text units (e.g. "sqft", "LF", "hrs") are mapped
+ * onto them through their synonyms, and units that are not stored (e.g.
+ * square yards) are converted into a canonical one. Hours and days convert
+ * into each other at HOURS_PER_DAY hours per day.
+ */
+
+import { roundAmount } from "./money.js";
+
+/**
+ * Length of a work day in hours unless HOURS_PER_DAY is set
+ */
+const DEFAULT_HOURS_PER_DAY = 8;
+
+/**
+ * Synonyms of every canonical unit_type, compared after lower-casing and
+ * removing spaces, dots, hyphens and underscores
+ * @readonly
+ */
+const UNIT_SYNONYMS = {
+  unit: ["unit", "units", "u", "ea", "each", "pc", "pcs", "piece", "pieces", "item", "items", "no", "nr", "qty", "count", "ct"],
+  "sq-ft": ["sqft", "sf", "sqfeet", "sqfoot", "squarefoot", "squarefeet", "ft2", "ft²", "sft"],
+  "board-ft": ["boardft", "bf", "bdft", "fbm", "boardfoot", "boardfeet", "bft"],
+  hour: ["hour", "hours", "hr", "hrs", "h", "mh", "manhour", "manhours", "labourhour", "laborhour"],
+  day: ["day", "days", "d", "dy", "manday", "mandays"],
+  package: ["package", "packages", "pkg", "pkgs", "pack", "packs", "lot", "lots", "ls", "lumpsum", "set", "sets", "kit", "kits", "bundle", "bundles"],
+  "linear-ft": ["linearft", "lf", "linft", "linearfoot", "linearfeet", "lnft", "ft", "feet", "foot", "'"],
+};
+
+/**
+ * Units that are not stored but converted into a canonical unit_type:
+ * `factor` canonical units make one of the unit
+ * @readonly
+ */
+const CONVERTED_UNITS = {
+  "sq-yd": {
+    unitType: "sq-ft",
+    factor: 9,
+    synonyms: ["sqyd", "sy", "sqyard", "sqyards", "squareyard", "squareyards", "yd2", "yd²"],
+  },
+};
+
+const SYNONYM_LOOKUP = new Map(
+  Object.entries(UNIT_SYNONYMS).flatMap(([unitType, synonyms]) =>
+    synonyms.map((synonym) => [synonym, unitType])
+  )
+);
+
+/**
+ * Map a free-text unit onto a canonical unit_type
+ * @param {string} text - The unit as written (e.g. "Sq Ft", "LF", "ea")
+ * @returns {string|null} - The canonical unit_type, or null if the unit is not recognized
+ */
+function normalizeUnitType(text) {
+  if (text === null || text === undefined) {
+    return null;
+  }
+
+  const key = String(text).trim().toLowerCase();
+  if (Object.hasOwn(UNIT_SYNONYMS, key)) {
+    return key;
+  }
+
+  return SYNONYM_LOOKUP.get(key.replace(/[\s._-]+/g, "")) || null;
+}
+
+/**
+ * Get the configured length of a work day
+ * @returns {number} - Hours per day (HOURS_PER_DAY, default 8)
+ */
+function getHoursPerDay() {
+  const hours = Number(process.env.HOURS_PER_DAY);
+  return Number.isFinite(hours) && hours > 0 && hours <= 24 ? hours : DEFAULT_HOURS_PER_DAY;
+}
+
+/**
+ * Map a free-text unit onto the unit_type it is stored in
+ * @param {string} text - The unit as written (e.g. "LF", "sq yd")
+ * @returns {Object|null} - `{ unit, unitType, factor }`: the unit recognized,
+ *   the canonical unit_type and how many of it make one unit, or null if the
+ *   unit is not recognized
+ */
+function resolveUnit(text) {
+  const unitType = normalizeUnitType(text);
+  if (unitType) {
+    return { unit: unitType, unitType, factor: 1 };
+  }
+
+  const key = String(text ?? "").trim().toLowerCase();
+  const compact = key.replace(/[\s._-]+/g, "");
+  for (const [unit, conversion] of Object.entries(CONVERTED_UNITS)) {
+    if (key === unit || conversion.synonyms.includes(compact)) {
+      return { unit, unitType: conversion.unitType, factor: conversion.factor };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get how many of one canonical unit_type make one of another
+ * @param {string} from - The unit_type converted from
+ * @param {string} to - The unit_type converted to
+ * @returns {number|null} - The factor, or null if the units are not compatible
+ */
+function conversionFactor(from, to) {
+  if (from === to) return 1;
+  if (from === "day" && to === "hour") return getHoursPerDay();
+  if (from === "hour" && to === "day") return 1 / getHoursPerDay();
+  return null;
+}
+
+/**
+ * Convert the quantity and unit_price of line item fields by a factor,
+ * keeping the amount. The amount is computed first when both values are
+ * given, so it does not change with the rounding of the converted values.
+ * @param {Object} fields - Line item fields (modified in place)
+ * @param {number} factor - How many of the new unit make one of the old unit
+ * @returns {Object} - The same object
+ */
+function convertQuantity(fields, factor) {
+  if (factor === 1) return fields;
+
+  const hasQuantity = typeof fields.quantity === "number";
+  const hasUnitPrice = typeof fields.unit_price === "number";
+  if (fields.amount === undefined && hasQuantity && hasUnitPrice) {
+    fields.amount = roundAmount(fields.quantity * fields.unit_price);
+  }
+  if (hasQuantity) fields.quantity = roundAmount(fields.quantity * factor);
+  if (hasUnitPrice) fields.unit_price = roundAmount(fields.unit_price / factor);
+  return fields;
+}
+
+export {
+  UNIT_SYNONYMS,
+  CONVERTED_UNITS,
+  DEFAULT_HOURS_PER_DAY,
+  normalizeUnitType,
+  getHoursPerDay,
+  resolveUnit,
+  conversionFactor,
+  convertQuantity,
+};